@@ -0,0 +1,17 @@
+(function(){
+  'use strict';
+
+  // Reads the chosen bundle file into the textarea; the form posts the text.
+  const input = document.querySelector('[data-bundle-file]');
+  const text = document.querySelector('[data-bundle-text]');
+  if (!input || !text) return;
+
+  input.addEventListener('change', function(){
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function(){ text.value = String(reader.result || ''); };
+    reader.onerror = function(){ console.error('Failed to read bundle file', reader.error); };
+    reader.readAsText(file);
+  });
+})();
@@ -2,17 +2,6 @@
   'use strict';
   if (!window.echarts) return;
 
-  const el = document.getElementById('dashboardData');
-  if (!el) return;
-
-  let metrics;
-  try {
-    metrics = JSON.parse(el.textContent || '{}');
-  } catch (e) {
-    console.error('Failed to parse dashboardData JSON', e);
-    return;
-  }
-
   const baseText = '#e8ecff';
   const muted = '#aab3da';
   const border = 'rgba(40,52,94,0.8)';
@@ -23,6 +12,75 @@
     return echarts.init(node, null, { renderer: 'canvas' });
   }
 
+  function readData(id){
+    const node = document.getElementById(id);
+    if (!node) return null;
+    try {
+      return JSON.parse(node.textContent || '{}');
+    } catch (e) {
+      console.error('Failed to parse ' + id + ' JSON', e);
+      return null;
+    }
+  }
+
+  // Portfolio page: policies per program / jurisdiction, stacked by readiness
+  const portfolio = readData('portfolioData');
+  if (portfolio){
+    const colors = { overdue: '#fb7185', at_risk: '#f97316', in_progress: '#60a5fa', ready: '#22c55e' };
+    const escape = (t) => String(t).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+    const stacked = (id, groups) => {
+      const chart = mkChart(id);
+      if (!chart) return null;
+      const statuses = Object.keys(portfolio.readiness);
+      chart.setOption({
+        backgroundColor: 'transparent',
+        grid: { left: 10, right: 18, top: 34, bottom: 10, containLabel: true },
+        legend: { top: 0, textStyle: { color: muted }, itemWidth: 12, itemHeight: 10 },
+        tooltip: {
+          trigger: 'item',
+          backgroundColor: 'rgba(11,16,32,0.92)',
+          borderColor: border,
+          textStyle: { color: baseText },
+          // The policies behind the segment
+          formatter: (p) => p.marker + ' ' + escape(p.name) + ' — ' + escape(p.seriesName) + ': <span style="font-family:ui-monospace">' + p.value + '</span>'
+            + '<br/><span style="color:' + muted + '">' + groups[p.dataIndex].policies[statuses[p.seriesIndex]].map(escape).join('<br/>') + '</span>'
+        },
+        xAxis: {
+          type: 'value',
+          minInterval: 1,
+          splitLine: { lineStyle: { color: 'rgba(40,52,94,0.35)' } },
+          axisLabel: { color: muted }
+        },
+        yAxis: {
+          type: 'category',
+          inverse: true,
+          data: groups.map(g => g.name),
+          axisLine: { lineStyle: { color: border } },
+          axisTick: { show: false },
+          axisLabel: { color: muted, width: 140, overflow: 'truncate' }
+        },
+        series: statuses.map(status => ({
+          type: 'bar',
+          name: portfolio.readiness[status],
+          stack: 'policies',
+          barMaxWidth: 26,
+          itemStyle: { color: colors[status] },
+          emphasis: { focus: 'series' },
+          data: groups.map(g => g.policies[status].length || null)
+        }))
+      });
+      return chart;
+    };
+
+    const charts = [stacked('portfolioPrograms', portfolio.programs || []), stacked('portfolioJurisdictions', portfolio.jurisdictions || [])].filter(Boolean);
+    window.addEventListener('resize', () => charts.forEach(c => c.resize()));
+  }
+
+  // Policy dashboard
+  const metrics = readData('dashboardData');
+  if (!metrics) return;
+
   const donut = mkChart('traceDonut');
   if (donut){
     const trace = Number(metrics.reqTraceable || 0);
@@ -84,11 +142,18 @@
       { name: 'Requirements', value: Number(metrics.reqTotal || 0) },
       { name: 'Approved decision', value: Number(metrics.reqWithApprovedDecision || 0) },
       { name: 'Rules', value: Number(metrics.reqWithRule || 0) },
-      { name: 'Tests', value: Number(metrics.reqWithTests || 0) },
+      { name: 'Tests written', value: Number(metrics.reqWithTests || 0) },
+      { name: 'Tests passing', value: Number(metrics.reqWithPassingTests || 0) },
       { name: 'Evidence', value: Number(metrics.reqWithEvidence || 0) },
       { name: 'Fully traceable', value: Number(metrics.reqTraceable || 0) }
     ];
 
+    // Test-case level breakdown, shown on the test steps of the funnel
+    const testBreakdown = '<br/><span style="color:' + muted + '">test cases: '
+      + Number(metrics.testsPassing || 0) + ' passing, '
+      + Number(metrics.testsFailing || 0) + ' failing, '
+      + Number(metrics.testsNeverRun || 0) + ' never run</span>';
+
     funnel.setOption({
       backgroundColor: 'transparent',
       tooltip: {
@@ -96,7 +161,8 @@
         backgroundColor: 'rgba(11,16,32,0.92)',
         borderColor: border,
         textStyle: { color: baseText },
-        formatter: (p) => p.marker + ' ' + p.name + ': <span style="font-family:ui-monospace">' + p.value + '</span>'
+        formatter: (p) => p.marker + ' ' + p.name + ': <span style="font-family:ui-monospace">' + p.value + '</span> requirement(s)'
+          + (p.name.indexOf('Tests') === 0 ? testBreakdown : '')
       },
       series: [{
         type: 'funnel',
@@ -121,7 +187,7 @@
           value: s.value,
           itemStyle: {
             color: new echarts.graphic.LinearGradient(0,0,1,0,[
-              { offset: 0, color: ['#60a5fa','#a78bfa','#22c55e','#06b6d4','#f97316','#fb7185'][i] || '#60a5fa' },
+              { offset: 0, color: ['#60a5fa','#a78bfa','#22c55e','#06b6d4','#14b8a6','#f97316','#fb7185'][i] || '#60a5fa' },
               { offset: 1, color: 'rgba(18,26,51,0.35)' }
             ])
           }
@@ -176,6 +242,81 @@
     });
   }
 
-  const charts = [donut, funnel, impactBar].filter(Boolean);
+  const burnup = mkChart('burnup');
+  if (burnup){
+    const history = metrics.history || [];
+    const line = (name, key, color, extra) => Object.assign({
+      type: 'line',
+      name: name,
+      showSymbol: history.length < 40,
+      symbolSize: 5,
+      lineStyle: { width: 2, color: color },
+      itemStyle: { color: color },
+      data: history.map(h => [h.at, Number(h[key] || 0)])
+    }, extra || {});
+
+    // Vertical markers for the effective date and the projected readiness date
+    const marks = [];
+    if (metrics.effectiveDate) marks.push({ xAxis: metrics.effectiveDate, name: 'Effective', lineStyle: { color: '#fb7185' } });
+    if (metrics.projectedDate) marks.push({ xAxis: metrics.projectedDate, name: 'Projected ready', lineStyle: { color: '#22c55e' } });
+
+    const markTimes = marks.map(m => Date.parse(m.xAxis));
+
+    const last = history[history.length - 1];
+    const series = [
+      line('Requirements (scope)', 'reqTotal', muted, { step: 'end', lineStyle: { width: 2, type: 'dashed', color: muted } }),
+      line('Fully traceable', 'reqTraceable', '#22c55e', {
+        areaStyle: { color: new echarts.graphic.LinearGradient(0,0,0,1,[{offset:0,color:'rgba(34,197,94,0.35)'},{offset:1,color:'rgba(34,197,94,0.02)'}]) },
+        markLine: {
+          symbol: 'none',
+          label: { color: baseText, formatter: (p) => p.name },
+          data: marks
+        }
+      }),
+      line('Decisions approved', 'decisionsApproved', '#a78bfa'),
+      line('Test cases', 'testsTotal', '#06b6d4'),
+      line('Evidence', 'evidenceTotal', '#f97316')
+    ];
+    if (metrics.projectedDate && last){
+      series.push({
+        type: 'line',
+        name: 'Projection',
+        showSymbol: false,
+        lineStyle: { width: 2, type: 'dotted', color: '#22c55e' },
+        itemStyle: { color: '#22c55e' },
+        data: [[last.at, Number(last.reqTraceable || 0)], [metrics.projectedDate, Number(last.reqTotal || 0)]]
+      });
+    }
+
+    burnup.setOption({
+      backgroundColor: 'transparent',
+      grid: { left: 10, right: 24, top: 40, bottom: 10, containLabel: true },
+      legend: { top: 0, textStyle: { color: muted }, itemWidth: 14, itemHeight: 8 },
+      tooltip: {
+        trigger: 'axis',
+        backgroundColor: 'rgba(11,16,32,0.92)',
+        borderColor: border,
+        textStyle: { color: baseText }
+      },
+      xAxis: {
+        type: 'time',
+        // Stretch to the markers even when they fall outside the snapshots
+        min: (v) => Math.min.apply(null, [v.min].concat(markTimes)),
+        max: (v) => Math.max.apply(null, [v.max].concat(markTimes)),
+        axisLine: { lineStyle: { color: border } },
+        axisLabel: { color: muted },
+        splitLine: { show: false }
+      },
+      yAxis: {
+        type: 'value',
+        minInterval: 1,
+        splitLine: { lineStyle: { color: 'rgba(40,52,94,0.35)' } },
+        axisLabel: { color: muted }
+      },
+      series: series
+    });
+  }
+
+  const charts = [donut, funnel, impactBar, burnup].filter(Boolean);
   window.addEventListener('resize', () => charts.forEach(c => c.resize()));
 })();
@@ -0,0 +1,23 @@
+(function(){
+  'use strict';
+
+  // Reads the chosen file into the textarea and guesses format and title from its name.
+  const input = document.querySelector('[data-document-file]');
+  const text = document.querySelector('[data-document-text]');
+  const format = document.querySelector('[data-document-format]');
+  const title = document.querySelector('[data-document-title]');
+  if (!input || !text) return;
+
+  input.addEventListener('change', function(){
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function(){
+      text.value = String(reader.result || '');
+      if (format) format.value = /\.html?$/i.test(file.name) ? 'html' : /\.(md|markdown)$/i.test(file.name) ? 'markdown' : 'text';
+      if (title && !title.value) title.value = file.name.replace(/\.[^.]+$/, '');
+    };
+    reader.onerror = function(){ console.error('Failed to read document file', reader.error); };
+    reader.readAsText(file);
+  });
+})();
@@ -0,0 +1,40 @@
+(function(){
+  'use strict';
+
+  // CSV / TSV files go into the textarea; .xlsx files are sent base64-encoded in a hidden field.
+  const input = document.querySelector('[data-sheet-file]');
+  const text = document.querySelector('[data-sheet-text]');
+  const xlsx = document.querySelector('[data-sheet-xlsx]');
+  const filename = document.querySelector('[data-sheet-filename]');
+  const label = document.querySelector('[data-sheet-name]');
+  if (!input || !text || !xlsx || !filename) return;
+
+  input.addEventListener('change', function(){
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const isXlsx = /\.xlsx$/i.test(file.name);
+    const reader = new FileReader();
+    reader.onload = function(){
+      const result = String(reader.result || '');
+      if (isXlsx) {
+        xlsx.value = result.slice(result.indexOf(',') + 1);
+        text.value = '';
+      } else {
+        xlsx.value = '';
+        text.value = result;
+      }
+      filename.value = file.name;
+      if (label) label.textContent = 'Loaded ' + file.name;
+    };
+    reader.onerror = function(){ console.error('Failed to read sheet file', reader.error); };
+    if (isXlsx) reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+
+  // Typing into the textarea means the pasted text is the sheet, not an earlier .xlsx
+  text.addEventListener('input', function(){
+    xlsx.value = '';
+    filename.value = '';
+    if (label) label.textContent = '';
+  });
+})();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import { openDb } from '../src/db.js';
+import { loadMigrations, migrationStatus } from '../src/migrate.js';
+import { policyMetrics } from '../src/coverage.js';
+import { complianceCheck, renderJunit, CHECK_FORMATS } from '../src/compliance_check.js';
+
+// The compliance check of GET /policies/:policyId/gate, run against a local database for CI:
+//   node scripts/gate_check.js <policyId> [--format json|junit] [--output <file>]
+// The database is opened read-only and never migrated. Writes the report to stdout (or <file>)
+// and everything else to stderr. Exit code 0 when the policy passes its traceability gate, 1 when
+// it fails, 2 for bad arguments, a missing or out-of-date database, or an unknown policy.
+const DB_PATH = process.env.DB_PATH || './data/policy_to_code.sqlite';
+const USAGE = `Usage: node scripts/gate_check.js <policyId> [--format ${CHECK_FORMATS.join('|')}] [--output <file>]`;
+
+function usage() {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+function cannotCheck(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+const args = process.argv.slice(2);
+const options = { format: 'json', output: null };
+let policyId = null;
+while (args.length) {
+  const arg = args.shift();
+  if (arg === '--format' || arg === '--output') {
+    if (!args.length) usage();
+    options[arg.slice(2)] = args.shift();
+  } else if (!arg.startsWith('--') && !policyId) {
+    policyId = arg;
+  } else {
+    usage();
+  }
+}
+if (!policyId || !CHECK_FORMATS.includes(options.format)) usage();
+
+if (!fs.existsSync(DB_PATH)) cannotCheck(`No database at ${DB_PATH} (set DB_PATH)`);
+const db = await openDb(DB_PATH, { readonly: true });
+const status = migrationStatus(db, await loadMigrations());
+const pending = status.migrations.filter(m => !m.applied_at);
+if (status.unknown.length) cannotCheck(`${DB_PATH} has been migrated by a newer version of the app (${status.unknown.map(r => r.name).join(', ')})`);
+if (pending.length) cannotCheck(`${DB_PATH} has pending migrations (${pending.map(m => m.name).join(', ')}); run npm run migrate -- up first`);
+
+const policy = db.prepare('SELECT * FROM policies WHERE id = ? AND deleted_at IS NULL').get(policyId);
+if (!policy) cannotCheck(`Policy not found in ${DB_PATH}: ${policyId}`);
+
+const check = complianceCheck(policy, policyMetrics(db, policy.id));
+const report = options.format === 'junit' ? renderJunit(check) : `${JSON.stringify(check, null, 2)}\n`;
+if (options.output) fs.writeFileSync(options.output, report);
+else process.stdout.write(report);
+
+const { summary } = check;
+console.error(`Traceability gate ${check.status.toUpperCase()}: ${policy.title} (${summary.passed}/${summary.requirements} requirements pass${summary.exempt ? `, ${summary.exempt} exempt` : ''})`);
+for (const reason of check.reasons) console.error(`- ${reason}`);
+process.exitCode = check.status === 'pass' ? 0 : 1;
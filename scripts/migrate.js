@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+import { openDb } from '../src/db.js';
+import { loadMigrations, migrationStatus, migrate, rollback, MigrationError } from '../src/migrate.js';
+
+// Schema migrations by hand (the server applies pending ones when it starts):
+//   node scripts/migrate.js status
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--to <version>]   (without --to, undoes the newest one)
+const DB_PATH = process.env.DB_PATH || './data/policy_to_code.sqlite';
+const USAGE = 'Usage: node scripts/migrate.js status | up [--to <version>] | down [--to <version>]';
+
+const [command = 'status', ...rest] = process.argv.slice(2);
+let to;
+if (rest.length) {
+  if (rest[0] !== '--to' || rest.length !== 2 || !/^\d+$/.test(rest[1])) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+  to = Number(rest[1]);
+}
+
+const db = await openDb(DB_PATH, { migrate: false });
+const migrations = await loadMigrations();
+
+try {
+  if (command === 'status') {
+    const status = migrationStatus(db, migrations);
+    console.log('Database:', DB_PATH);
+    for (const m of status.migrations) {
+      console.log(`${m.applied_at ? 'applied' : 'pending'}  ${m.name}${m.applied_at ? `  ${m.applied_at}` : ''}${m.reversible ? '' : '  (irreversible)'}`);
+    }
+    for (const r of status.unknown) console.log(`unknown  ${r.name}  ${r.applied_at}  (not in this version of the app)`);
+  } else if (command === 'up') {
+    const applied = migrate(db, migrations, { to });
+    console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Nothing to apply.');
+  } else if (command === 'down') {
+    const undone = rollback(db, migrations, { to });
+    console.log(undone.length ? `Rolled back: ${undone.join(', ')}` : 'Nothing to roll back.');
+  } else {
+    console.error(USAGE);
+    process.exit(2);
+  }
+} catch (err) {
+  if (!(err instanceof MigrationError)) throw err;
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+}
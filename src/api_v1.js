@@ -0,0 +1,469 @@
+import express from 'express';
+import { nanoid } from 'nanoid';
+import { EDITABLE_STATUSES, WorkflowError } from './decision_workflow.js';
+import { BundleError } from './bundle.js';
+import { can } from './auth.js';
+import { isIsoDate } from './form_validation.js';
+import { REQUIREMENT_STATUSES, MAPPING_TYPES, EVIDENCE_KINDS, EVIDENCE_STATUSES } from './field_values.js';
+
+// JSON API mounted at /api/v1. Same tables and prepared statements as the HTML routes.
+// Requests are made as a user: the browser session, or HTTP Basic credentials. Writes need the
+// same role permissions as the HTML forms (403 otherwise), and the user is the recorded actor.
+// Everything is scoped to one workspace: X-Workspace: <workspace id>, else the session's (or
+// the user's first) workspace. Rows in other workspaces are 404s.
+//
+//   GET    /api/v1/policies                    list (paginated: ?limit=&offset=)
+//   POST   /api/v1/policies                    create
+//   GET    /api/v1/policies/:id                get
+//   PATCH  /api/v1/policies/:id                update (only the fields sent)
+//   DELETE /api/v1/policies/:id                delete (moves it and its children to the trash)
+//
+// Children are listed/created under their parent and read/updated/deleted by id:
+//   /policies/:id/requirements, /requirements/:id/decisions, /decisions/:id/rules,
+//   /rules/:id/test-cases, /decisions|rules/:id/mappings, /decisions|rules/:id/evidence
+//
+// Decision status is read-only here; it moves through the approval workflow:
+//   GET  /api/v1/decisions/:id/reviews         approval history
+//   POST /api/v1/decisions/:id/reviews         { action, comment?, reviewers? } (reviewers are usernames)
+//   POST /api/v1/decisions/:id/supersede       { decision, rationale?, alternatives?, owner?, comment, carry_rules? }
+//                                              creates the replacement (201) and retires this decision
+//
+// Rule versions: older versions are frozen (PATCH and new test cases return 409).
+//   GET  /api/v1/rules/:id/versions            every version of the rule, oldest first
+//   POST /api/v1/rules/:id/versions            { version } copies the rule forward and freezes it
+//
+// Policy bundles (see src/bundle.js):
+//   GET  /api/v1/policies/:id/bundle           the policy and everything under it, IDs included
+//   POST /api/v1/bundles                       import a bundle (201); ?remap=true gives every row a
+//                                              new ID, otherwise IDs already in use are a 409
+//                                              whose `fields` lists them per table
+//
+// Errors always look like { "error": { "code", "message", "fields"? } }.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class ApiError extends Error {
+  constructor(status, code, message, fields) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+  }
+}
+
+const notFound = (what) => new ApiError(404, 'not_found', `${what} not found`);
+
+// Coerces body fields per spec. With `existing`, fields not sent keep their current value (PATCH).
+function readFields(body, spec, existing = null) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_body', 'Request body must be a JSON object');
+  }
+
+  const errors = {};
+  const out = {};
+
+  for (const key of Object.keys(body)) {
+    if (!Object.hasOwn(spec, key)) errors[key] = 'is not a writable field';
+  }
+
+  for (const [key, rule] of Object.entries(spec)) {
+    let value = existing ? existing[key] : null;
+
+    if (Object.hasOwn(body, key)) {
+      value = body[key];
+      if (rule.json) {
+        if (value !== null && typeof value !== 'string') value = JSON.stringify(value);
+        if (typeof value === 'string') {
+          try {
+            JSON.parse(value);
+          } catch {
+            errors[key] = 'must be valid JSON';
+          }
+        }
+      } else if (value !== null && typeof value !== 'string') {
+        errors[key] = 'must be a string';
+        continue;
+      }
+      if (typeof value === 'string') value = value.trim() || null;
+    }
+
+    if (value === null && !existing && rule.default !== undefined) value = rule.default;
+    if (value === null && rule.required) errors[key] ??= 'is required';
+    if (value !== null && rule.enum && !rule.enum.includes(value)) errors[key] ??= `must be one of: ${rule.enum.join(', ')}`;
+    if (value !== null && rule.date && !isIsoDate(value)) errors[key] ??= 'must be a date (YYYY-MM-DD)';
+    out[key] = value;
+  }
+
+  if (Object.keys(errors).length) throw new ApiError(400, 'validation_failed', 'Request body is invalid', errors);
+  return out;
+}
+
+// One page of a list: `page` and `count` are the list's statements (see q.pagePolicies), `args` its arguments.
+function paginate(req, page, count, args, serialize = row => row) {
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ApiError(400, 'invalid_query', `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ApiError(400, 'invalid_query', 'offset must be a non-negative integer');
+  }
+  return { data: page.all(...args, limit, offset).map(serialize), pagination: { total: count.get(...args).n, limit, offset } };
+}
+
+export function apiV1({
+  q, parseDefinition, updateWithHistory, softDelete, auditCreate, transitionDecision,
+  isFrozen, ruleLineage, newVersionError, createRuleVersion, supersedeDecision,
+  exportBundle, importPolicyBundle, ownerProblem, inActiveWorkspace
+}) {
+  const router = express.Router();
+  // Bundles are the largest bodies we accept
+  router.use(express.json({ limit: '10mb' }));
+
+  const now = () => new Date().toISOString();
+  const actor = (req) => req.user.username;
+
+  function authorize(req, permission) {
+    if (!can(req.user, permission)) throw new ApiError(403, 'forbidden', `The ${req.user.role} role cannot do this in workspace ${req.user.workspace_name}`);
+  }
+
+  const serializeRule = (rule) => ({
+    ...rule,
+    definition_ast: rule.definition_ast ? JSON.parse(rule.definition_ast) : null,
+    parse_error: rule.parse_error ? JSON.parse(rule.parse_error) : null
+  });
+
+  // Each resource: how to load, validate and write one row.
+  const resources = {
+    policies: {
+      permission: 'policy:write',
+      entityType: 'policy',
+      label: 'Policy',
+      get: (id) => q.getPolicy.get(id),
+      fields: {
+        title: { required: true },
+        jurisdiction: {},
+        program: {},
+        source_citation: {},
+        effective_date: { date: true }
+      },
+      insert: (values) => q.insertPolicy.run(values)
+    },
+    requirements: {
+      permission: 'policy:write',
+      entityType: 'requirement',
+      label: 'Requirement',
+      get: (id) => q.getRequirement.get(id),
+      fields: {
+        statement: { required: true },
+        status: { enum: REQUIREMENT_STATUSES, default: 'draft', required: true },
+        tags: {},
+        external_id: {}
+      },
+      insert: (values) => q.insertRequirement.run(values)
+    },
+    decisions: {
+      permission: 'decision:write',
+      entityType: 'decision',
+      label: 'Decision',
+      get: (id) => q.getDecision.get(id),
+      fields: {
+        decision: { required: true },
+        rationale: {},
+        alternatives: {},
+        owner: {}
+      },
+      prepare: (values, existing) => {
+        const owner = ownerProblem(values.owner, existing?.owner);
+        if (owner) throw new ApiError(400, 'validation_failed', 'Request body is invalid', { owner });
+        if (!existing) return { ...values, status: 'draft', approved_at: null };
+        if (!EDITABLE_STATUSES.includes(existing.status)) {
+          throw new ApiError(409, 'decision_locked', `Decision is ${existing.status}; only ${EDITABLE_STATUSES.join(' or ')} decisions can be edited`);
+        }
+        return values;
+      },
+      insert: (values) => q.insertDecision.run({ supersedes_id: null, ...values })
+    },
+    rules: {
+      permission: 'rule:write',
+      entityType: 'rule',
+      label: 'Rule',
+      get: (id) => q.getRule.get(id),
+      fields: {
+        name: { required: true },
+        version: { default: '0.1', required: true },
+        definition_text: { required: true },
+        inputs: {},
+        exceptions: {}
+      },
+      prepare: (values, existing) => {
+        if (existing) {
+          assertNotFrozen(existing);
+          if (values.version !== existing.version) {
+            throw new ApiError(400, 'validation_failed', 'Request body is invalid', { version: 'can only change by creating a new version' });
+          }
+        }
+        return { ...values, ...parseDefinition(values.definition_text) };
+      },
+      insert: (values) => q.insertRule.run({ previous_version_id: null, ...values }),
+      serialize: serializeRule
+    },
+    'test-cases': {
+      permission: 'rule:write',
+      entityType: 'test_case',
+      label: 'Test case',
+      get: (id) => q.getTestCase.get(id),
+      fields: {
+        name: { required: true },
+        given_json: { required: true, json: true },
+        expected_json: { required: true, json: true },
+        notes: {}
+      },
+      prepare: (values, existing) => {
+        if (existing) assertNotFrozen(q.getRule.get(existing.rule_id));
+        return values;
+      },
+      insert: (values) => q.insertTestCase.run(values)
+    },
+    mappings: {
+      permission: 'trace:write',
+      entityType: 'mapping',
+      label: 'Mapping',
+      get: (id) => q.getMapping.get(id),
+      fields: {
+        type: { enum: MAPPING_TYPES, default: 'service', required: true },
+        ref: { required: true },
+        notes: {}
+      },
+      insert: (values) => q.insertMapping.run(values)
+    },
+    evidence: {
+      permission: 'trace:write',
+      entityType: 'evidence',
+      label: 'Evidence',
+      get: (id) => q.getEvidence.get(id),
+      fields: {
+        kind: { enum: EVIDENCE_KINDS, default: 'link', required: true },
+        ref: { required: true },
+        status: { enum: EVIDENCE_STATUSES },
+        notes: {}
+      },
+      insert: (values) => q.insertEvidence.run({ rule_version: null, ...values })
+    }
+  };
+
+  function assertNotFrozen(rule) {
+    if (isFrozen(rule)) throw new ApiError(409, 'rule_frozen', `Rule version ${rule.version} is frozen; a newer version exists or must be created`);
+  }
+
+  const serialize = (res, row) => (res.serialize ? res.serialize(row) : row);
+
+  const load = (req, name, id) => {
+    const r = resources[name];
+    const row = r.get(id);
+    if (!row || !inActiveWorkspace(req, r.entityType, row)) throw notFound(r.label);
+    return row;
+  };
+
+  function create(name, req, res, parentColumns) {
+    const r = resources[name];
+    authorize(req, r.permission);
+    const values = readFields(req.body, r.fields);
+    const id = nanoid();
+    const row = { id, ...parentColumns, ...(r.prepare ? r.prepare(values, null) : values), created_at: now() };
+    r.insert(row);
+    auditCreate(r.entityType, row, actor(req));
+    res.status(201).location(`/api/v1/${name}/${id}`).json({ data: serialize(r, r.get(id)) });
+  }
+
+  // Top-level and child collections
+  router.get('/policies', (req, res) => {
+    res.json(paginate(req, q.pagePolicies, q.countPolicies, [req.user.workspace_id]));
+  });
+  router.post('/policies', (req, res) => create('policies', req, res, { workspace_id: req.user.workspace_id }));
+
+  router.get('/policies/:id/requirements', (req, res) => {
+    const policy = load(req, 'policies', req.params.id);
+    res.json(paginate(req, q.pageRequirements, q.countRequirements, [policy.id]));
+  });
+  router.post('/policies/:id/requirements', (req, res) => {
+    const policy = load(req, 'policies', req.params.id);
+    create('requirements', req, res, { policy_id: policy.id });
+  });
+
+  router.get('/requirements/:id/decisions', (req, res) => {
+    const requirement = load(req, 'requirements', req.params.id);
+    res.json(paginate(req, q.pageDecisionsByRequirement, q.countDecisionsByRequirement, [requirement.id]));
+  });
+  router.post('/requirements/:id/decisions', (req, res) => {
+    const requirement = load(req, 'requirements', req.params.id);
+    create('decisions', req, res, { requirement_id: requirement.id });
+  });
+
+  router.get('/decisions/:id/rules', (req, res) => {
+    const decision = load(req, 'decisions', req.params.id);
+    res.json(paginate(req, q.pageRulesByDecision, q.countRulesByDecision, [decision.id], serializeRule));
+  });
+  router.post('/decisions/:id/rules', (req, res) => {
+    const decision = load(req, 'decisions', req.params.id);
+    create('rules', req, res, { decision_id: decision.id });
+  });
+
+  router.get('/rules/:id/test-cases', (req, res) => {
+    const rule = load(req, 'rules', req.params.id);
+    res.json(paginate(req, q.pageTestCasesByRule, q.countTestCasesByRule, [rule.id]));
+  });
+  router.post('/rules/:id/test-cases', (req, res) => {
+    // A role that can't write test cases gets 403, not the frozen version's 409
+    authorize(req, resources['test-cases'].permission);
+    const rule = load(req, 'rules', req.params.id);
+    assertNotFrozen(rule);
+    create('test-cases', req, res, { rule_id: rule.id, rule_version: rule.version });
+  });
+
+  router.get('/rules/:id/versions', (req, res) => {
+    const rule = load(req, 'rules', req.params.id);
+    res.json({ data: ruleLineage(rule).map(serializeRule) });
+  });
+  router.post('/rules/:id/versions', (req, res) => {
+    authorize(req, 'rule:write');
+    const rule = load(req, 'rules', req.params.id);
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const version = typeof body.version === 'string' ? body.version.trim() : '';
+    if (!version) throw new ApiError(400, 'validation_failed', 'Request body is invalid', { version: 'is required' });
+    const error = newVersionError(rule, version);
+    if (error) throw new ApiError(409, 'version_not_allowed', error);
+    const next = createRuleVersion(rule, version, actor(req));
+    res.status(201).location(`/api/v1/rules/${next.id}`).json({ data: serializeRule(q.getRule.get(next.id)) });
+  });
+
+  for (const targetType of ['decision', 'rule']) {
+    const parent = `${targetType}s`;
+    router.get(`/${parent}/:id/mappings`, (req, res) => {
+      const target = load(req, parent, req.params.id);
+      res.json(paginate(req, q.pageMappings, q.countMappings, [targetType, target.id]));
+    });
+    router.post(`/${parent}/:id/mappings`, (req, res) => {
+      const target = load(req, parent, req.params.id);
+      create('mappings', req, res, { target_type: targetType, target_id: target.id });
+    });
+    router.get(`/${parent}/:id/evidence`, (req, res) => {
+      const target = load(req, parent, req.params.id);
+      res.json(paginate(req, q.pageEvidence, q.countEvidence, [targetType, target.id]));
+    });
+    router.post(`/${parent}/:id/evidence`, (req, res) => {
+      const target = load(req, parent, req.params.id);
+      create('evidence', req, res, { target_type: targetType, target_id: target.id, rule_version: targetType === 'rule' ? target.version : null });
+    });
+  }
+
+  router.get('/decisions/:id/reviews', (req, res) => {
+    const decision = load(req, 'decisions', req.params.id);
+    res.json({ data: q.listDecisionReviews.all(decision.id).map(({ reviewers_json, ...r }) => ({ ...r, reviewers: reviewers_json ? JSON.parse(reviewers_json) : null })) });
+  });
+  router.post('/decisions/:id/reviews', (req, res) => {
+    const decision = load(req, 'decisions', req.params.id);
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    if (typeof body.action !== 'string') throw new ApiError(400, 'validation_failed', 'Request body is invalid', { action: 'is required' });
+    authorize(req, body.action === 'approve' || body.action === 'reject' ? 'decision:review' : 'decision:write');
+    try {
+      transitionDecision(decision, body.action, {
+        actor: actor(req),
+        comment: typeof body.comment === 'string' ? body.comment.trim() || null : null,
+        reviewers: body.reviewers
+      });
+    } catch (err) {
+      if (!(err instanceof WorkflowError)) throw err;
+      throw new ApiError(409, 'transition_not_allowed', err.message);
+    }
+    res.json({ data: q.getDecision.get(decision.id) });
+  });
+
+  router.post('/decisions/:id/supersede', (req, res) => {
+    authorize(req, 'decision:write');
+    const decision = load(req, 'decisions', req.params.id);
+    const { comment, carry_rules: carryRules = true, ...rest } = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const values = readFields(rest, resources.decisions.fields);
+    const owner = ownerProblem(values.owner, decision.owner);
+    if (owner) throw new ApiError(400, 'validation_failed', 'Request body is invalid', { owner });
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      throw new ApiError(400, 'validation_failed', 'Request body is invalid', { comment: 'must be a string' });
+    }
+    let replacement;
+    try {
+      replacement = supersedeDecision(decision, values, {
+        actor: actor(req),
+        comment: comment?.trim() || null,
+        carryRules: carryRules !== false
+      });
+    } catch (err) {
+      if (!(err instanceof WorkflowError)) throw err;
+      throw new ApiError(409, 'transition_not_allowed', err.message);
+    }
+    res.status(201).location(`/api/v1/decisions/${replacement.id}`).json({ data: q.getDecision.get(replacement.id) });
+  });
+
+  router.get('/policies/:id/bundle', (req, res) => {
+    const policy = load(req, 'policies', req.params.id);
+    res.json(exportBundle(policy.id));
+  });
+  router.post('/bundles', (req, res) => {
+    authorize(req, 'admin');
+    const remap = req.query.remap === 'true' || req.query.remap === '1';
+    let result;
+    try {
+      result = importPolicyBundle(req.body, { remap, actor: actor(req), workspaceId: req.user.workspace_id });
+    } catch (err) {
+      if (!(err instanceof BundleError)) throw err;
+      if (err.conflicts) throw new ApiError(409, 'id_conflict', err.message, err.conflicts);
+      throw new ApiError(400, 'invalid_bundle', err.message);
+    }
+    res.status(201).location(`/api/v1/policies/${result.policyId}`).json({
+      data: { policy_id: result.policyId, counts: result.counts, id_map: result.idMap }
+    });
+  });
+
+  // Single rows: get / update / delete
+  for (const [name, r] of Object.entries(resources)) {
+    router.get(`/${name}/:id`, (req, res) => {
+      res.json({ data: serialize(r, load(req, name, req.params.id)) });
+    });
+
+    router.patch(`/${name}/:id`, (req, res) => {
+      authorize(req, r.permission);
+      const existing = load(req, name, req.params.id);
+      const values = readFields(req.body, r.fields, existing);
+      updateWithHistory(r.entityType, existing, r.prepare ? r.prepare(values, existing) : values, actor(req));
+      res.json({ data: serialize(r, r.get(existing.id)) });
+    });
+
+    // Soft delete with cascade, same as the HTML delete; restore from /trash
+    router.delete(`/${name}/:id`, (req, res) => {
+      authorize(req, r.permission);
+      const existing = load(req, name, req.params.id);
+      const { deletionId, counts } = softDelete(r.entityType, existing, actor(req));
+      res.json({ data: { deletion_id: deletionId, deleted: counts } });
+    });
+  }
+
+  router.use((req, res) => {
+    res.status(404).json({ error: { code: 'not_found', message: `No route for ${req.method} ${req.baseUrl}${req.path}` } });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: { code: err.code, message: err.message, ...(err.fields ? { fields: err.fields } : {}) } });
+    }
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: { code: 'invalid_json', message: 'Request body is not valid JSON' } });
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: { code: 'payload_too_large', message: `Request body is larger than the ${err.limit}-byte limit` } });
+    }
+    console.error(err);
+    return res.status(500).json({ error: { code: 'internal_error', message: 'Internal server error' } });
+  });
+
+  return router;
+}
@@ -0,0 +1,57 @@
+import crypto from 'node:crypto';
+
+// Hash chain for the append-only audit_log table. Each entry's hash covers its own fields
+// and the previous entry's hash, so editing, removing or reordering any entry breaks every
+// hash after it.
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+function canonical(v) {
+  if (Array.isArray(v)) return v.map(canonical);
+  if (v && typeof v === 'object') {
+    return Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]));
+  }
+  return v;
+}
+
+// `entry` is an audit_log row (details as details_json text).
+export function entryHash(entry, prevHash) {
+  const payload = JSON.stringify(canonical({
+    seq: entry.seq,
+    at: entry.at,
+    actor: entry.actor ?? null,
+    action: entry.action,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id,
+    policy_id: entry.policy_id ?? null,
+    details_json: entry.details_json
+  }));
+  return crypto.createHash('sha256').update(`${prevHash}\n${payload}`).digest('hex');
+}
+
+// Checks rows ordered by seq. Returns { ok, entries, head, broken } where broken is
+// { seq, reason } for the first entry that doesn't fit the chain.
+export function verifyChain(rows) {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = rows.length ? rows[0].seq : 1;
+
+  if (rows.length && rows[0].seq !== 1) {
+    return { ok: false, entries: rows.length, head: null, broken: { seq: rows[0].seq, reason: `chain starts at seq ${rows[0].seq}; earlier entries are missing` } };
+  }
+
+  for (const row of rows) {
+    if (row.seq !== expectedSeq) {
+      return { ok: false, entries: rows.length, head: null, broken: { seq: row.seq, reason: `expected seq ${expectedSeq}; entries are missing` } };
+    }
+    if (row.prev_hash !== prevHash) {
+      return { ok: false, entries: rows.length, head: null, broken: { seq: row.seq, reason: 'prev_hash does not match the previous entry' } };
+    }
+    if (entryHash(row, prevHash) !== row.hash) {
+      return { ok: false, entries: rows.length, head: null, broken: { seq: row.seq, reason: 'entry content does not match its hash' } };
+    }
+    prevHash = row.hash;
+    expectedSeq++;
+  }
+
+  return { ok: true, entries: rows.length, head: rows.length ? prevHash : GENESIS_HASH, broken: null };
+}
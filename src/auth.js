@@ -0,0 +1,138 @@
+import crypto from 'node:crypto';
+
+// Local accounts: roles and what they may change, password hashing and session tokens.
+// Roles are held per workspace: a member can read everything in the workspace, and writes need
+// a permission held by their role there. Accounts and workspaces are managed by site admins.
+
+export const ROLES = ['analyst', 'engineer', 'approver', 'auditor', 'admin'];
+
+export const ROLE_LABELS = {
+  analyst: 'Policy analyst',
+  engineer: 'Engineer',
+  approver: 'Approver',
+  auditor: 'Auditor (read-only)',
+  admin: 'Admin'
+};
+
+const PERMISSIONS = {
+  // policies, requirements, source documents, citations, candidates, spreadsheet import
+  'policy:write': ['analyst', 'admin'],
+  // decisions (ADRs): create, edit, submit / reopen, supersede
+  'decision:write': ['analyst', 'engineer', 'admin'],
+  // approve or reject a decision in review
+  'decision:review': ['approver', 'admin'],
+  // rules, rule versions, test cases
+  'rule:write': ['engineer', 'admin'],
+  // architecture mappings and evidence
+  'trace:write': ['analyst', 'engineer', 'admin'],
+  // running tests, taking a dashboard snapshot
+  'tests:run': ['analyst', 'engineer', 'approver', 'admin'],
+  // purging the trash, bundle import, copying policies to another workspace
+  admin: ['admin']
+};
+
+// The account's own role (users.role), separate from its roles in workspaces
+export const ACCOUNT_ROLES = ['member', 'admin'];
+
+export const ACCOUNT_ROLE_LABELS = {
+  member: 'Member',
+  admin: 'Site admin'
+};
+
+export function can(user, permission) {
+  if (!Object.hasOwn(PERMISSIONS, permission)) throw new Error(`Unknown permission ${permission}`);
+  return Boolean(user) && PERMISSIONS[permission].includes(user.role);
+}
+
+export function rolesWith(permission) {
+  return PERMISSIONS[permission];
+}
+
+export function isSiteAdmin(user) {
+  return user?.account_role === 'admin';
+}
+
+// ---------- passwords ----------
+// Stored as scrypt$N$r$p$salt$hash (base64) so the cost can be raised without breaking old hashes.
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+export const MIN_PASSWORD_LENGTH = 10;
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username doesn't exist, so a miss takes as long as a wrong password.
+export const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+export function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  return null;
+}
+
+export function usernameProblem(username) {
+  if (!/^[a-z0-9][a-z0-9._-]{1,39}$/.test(username)) return 'Username must be 2–40 characters: lowercase letters, digits, dot, dash or underscore.';
+  return null;
+}
+
+// ---------- sessions ----------
+export const SESSION_COOKIE = 'sid';
+export const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+export function newSessionToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Sessions are stored by digest: a copy of the database doesn't hand out live sessions.
+export function tokenDigest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function parseCookies(header) {
+  const out = {};
+  for (const part of String(header ?? '').split(';')) {
+    const at = part.indexOf('=');
+    if (at < 0) continue;
+    const name = part.slice(0, at).trim();
+    if (!name || Object.hasOwn(out, name)) continue;
+    try {
+      out[name] = decodeURIComponent(part.slice(at + 1).trim());
+    } catch {
+      out[name] = part.slice(at + 1).trim();
+    }
+  }
+  return out;
+}
+
+// ---------- CSRF ----------
+// Double-submit token: a random value in its own cookie that every form echoes back as `_csrf`
+// (or scripts as an X-CSRF-Token header). Another site can make the browser send the cookie,
+// but can't read it to put it in the form.
+export const CSRF_COOKIE = 'csrf';
+export const CSRF_FIELD = '_csrf';
+
+export function sameToken(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !a) return false;
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// "Authorization: Basic …" for scripts calling the API → { username, password } or null.
+export function basicCredentials(header) {
+  const m = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(String(header ?? '').trim());
+  if (!m) return null;
+  const decoded = Buffer.from(m[1], 'base64').toString('utf8');
+  const at = decoded.indexOf(':');
+  return at < 0 ? null : { username: decoded.slice(0, at), password: decoded.slice(at + 1) };
+}
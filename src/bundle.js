@@ -0,0 +1,241 @@
+import { nanoid } from 'nanoid';
+
+// Policy bundles: one JSON file holding a policy and every live row under it, IDs included,
+// so it can be moved to another instance and imported there unchanged.
+//
+//   { format, version, exported_at, policy, requirements, decisions, decision_reviews, rules,
+//     test_cases, test_runs, mappings, evidence, policy_documents, policy_clauses,
+//     requirement_clauses, requirement_candidates, revisions }
+//
+// Rows carry every column except the soft-delete bookkeeping and the policy's workspace. The
+// audit log and dashboard snapshots are not part of a bundle: they belong to the instance, and
+// the import itself is recorded there.
+
+export const BUNDLE_FORMAT = 'policy-to-code/bundle';
+export const BUNDLE_VERSION = 1;
+
+// Parent before child. `parent` is the column that ties a row into the policy tree; `refs` are
+// other columns pointing at rows in the bundle (required unless listed in `optional`);
+// `target` is a polymorphic (type column, id column, type → table) reference. Rows are exported
+// in `order` (default created_at, rowid: insertion order breaks ties).
+const TABLES = [
+  { table: 'requirements', parent: ['policy_id', 'policies'] },
+  { table: 'decisions', parent: ['requirement_id', 'requirements'], refs: { supersedes_id: 'decisions' }, optional: ['supersedes_id'] },
+  { table: 'decision_reviews', parent: ['decision_id', 'decisions'] },
+  { table: 'rules', parent: ['decision_id', 'decisions'], refs: { previous_version_id: 'rules' }, optional: ['previous_version_id'] },
+  { table: 'test_cases', parent: ['rule_id', 'rules'] },
+  { table: 'test_runs', parent: ['test_case_id', 'test_cases'], refs: { rule_id: 'rules' }, order: 'ran_at, rowid' },
+  { table: 'mappings', target: ['target_type', 'target_id', { decision: 'decisions', rule: 'rules' }] },
+  { table: 'evidence', target: ['target_type', 'target_id', { decision: 'decisions', rule: 'rules' }] },
+  { table: 'policy_documents', parent: ['policy_id', 'policies'] },
+  { table: 'policy_clauses', parent: ['document_id', 'policy_documents'], refs: { parent_id: 'policy_clauses' }, optional: ['parent_id'] },
+  { table: 'requirement_clauses', parent: ['requirement_id', 'requirements'], refs: { clause_id: 'policy_clauses' } },
+  {
+    table: 'requirement_candidates',
+    parent: ['policy_id', 'policies'],
+    refs: { clause_id: 'policy_clauses', requirement_id: 'requirements' },
+    optional: ['requirement_id']
+  },
+  {
+    table: 'revisions',
+    order: 'edited_at, rowid',
+    target: ['entity_type', 'entity_id', {
+      policy: 'policies', requirement: 'requirements', decision: 'decisions', rule: 'rules',
+      test_case: 'test_cases', mapping: 'mappings', evidence: 'evidence'
+    }]
+  }
+];
+
+// Not exported: soft-delete bookkeeping, and the workspace, which the importer chooses
+const LOCAL_COLUMNS = ['deleted_at', 'deletion_id', 'workspace_id'];
+
+export class BundleError extends Error {
+  constructor(message, conflicts = null) {
+    super(message);
+    this.conflicts = conflicts;
+  }
+}
+
+function columnsOf(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+function hasSoftDelete(db, table) {
+  return columnsOf(db, table).includes('deleted_at');
+}
+
+// id first, then alphabetical: column order differs between databases created at different
+// releases, and the same data should give the same bundle.
+function exportColumns(db, table) {
+  return columnsOf(db, table)
+    .filter(c => !LOCAL_COLUMNS.includes(c))
+    .sort((a, b) => (a === 'id' ? -1 : b === 'id' ? 1 : a.localeCompare(b)));
+}
+
+// Returns the bundle for a live policy, or null if there is none.
+export function exportBundle(db, policyId) {
+  const policy = db.prepare(`SELECT ${exportColumns(db, 'policies').join(', ')} FROM policies WHERE id = ? AND deleted_at IS NULL`).get(policyId);
+  if (!policy) return null;
+
+  const rows = { policies: [policy] };
+  const ids = { policies: new Set([policy.id]) };
+
+  for (const spec of TABLES) {
+    const cols = exportColumns(db, spec.table);
+    const live = hasSoftDelete(db, spec.table) ? ' AND deleted_at IS NULL' : '';
+    const order = spec.order ?? 'created_at, rowid';
+    let found;
+    if (spec.parent) {
+      const [column, parentTable] = spec.parent;
+      found = db.prepare(`SELECT ${cols.join(', ')} FROM ${spec.table}
+        WHERE ${column} IN (SELECT value FROM json_each(?))${live} ORDER BY ${order}`)
+        .all(JSON.stringify([...ids[parentTable]]));
+    } else {
+      const [typeCol, idCol, types] = spec.target;
+      const match = Object.keys(types).map(() => `(${typeCol} = ? AND ${idCol} IN (SELECT value FROM json_each(?)))`).join(' OR ');
+      found = db.prepare(`SELECT ${cols.join(', ')} FROM ${spec.table} WHERE (${match})${live} ORDER BY ${order}`)
+        .all(Object.entries(types).flatMap(([type, table]) => [type, JSON.stringify([...ids[table]])]));
+    }
+
+    // Drop rows whose required references left the bundle (e.g. runs of a trashed rule) and
+    // clear optional ones, so the bundle always imports cleanly.
+    ids[spec.table] = new Set(found.map(r => r.id)); // for references within the same table
+    found = found.filter(row => Object.entries(spec.refs ?? {}).every(([col, table]) =>
+      row[col] === null || ids[table].has(row[col]) || spec.optional?.includes(col)));
+    for (const row of found) {
+      for (const col of spec.optional ?? []) {
+        if (row[col] !== null && !ids[spec.refs[col]].has(row[col])) row[col] = null;
+      }
+    }
+
+    rows[spec.table] = found;
+    ids[spec.table] = new Set(found.map(r => r.id));
+  }
+
+  const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exported_at: new Date().toISOString(), policy };
+  for (const spec of TABLES) bundle[spec.table] = rows[spec.table];
+  return bundle;
+}
+
+// Checks shape and internal references. Throws BundleError.
+export function validateBundle(db, bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) throw new BundleError('Bundle must be a JSON object');
+  if (bundle.format !== BUNDLE_FORMAT) throw new BundleError(`Not a policy bundle (format must be "${BUNDLE_FORMAT}")`);
+  if (bundle.version !== BUNDLE_VERSION) throw new BundleError(`Unsupported bundle version ${bundle.version}; this instance reads version ${BUNDLE_VERSION}`);
+
+  const checkRow = (table, row, where) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) throw new BundleError(`${where} must be an object`);
+    if (typeof row.id !== 'string' || !row.id) throw new BundleError(`${where} has no id`);
+    const known = exportColumns(db, table);
+    const unknown = Object.keys(row).filter(k => !known.includes(k));
+    if (unknown.length) throw new BundleError(`${where} has unknown field(s): ${unknown.join(', ')}`);
+  };
+
+  checkRow('policies', bundle.policy, 'policy');
+  const ids = { policies: new Set([bundle.policy.id]) };
+
+  for (const spec of TABLES) {
+    const list = bundle[spec.table] ?? [];
+    if (!Array.isArray(list)) throw new BundleError(`${spec.table} must be an array`);
+    ids[spec.table] = new Set();
+    list.forEach((row, i) => {
+      const where = `${spec.table}[${i}]`;
+      checkRow(spec.table, row, where);
+      if (ids[spec.table].has(row.id)) throw new BundleError(`${where}: duplicate id ${row.id}`);
+      ids[spec.table].add(row.id);
+    });
+  }
+
+  // References are checked once every id is known: supersedes_id and previous_version_id can
+  // point forward in the list.
+  for (const spec of TABLES) {
+    (bundle[spec.table] ?? []).forEach((row, i) => {
+      const where = `${spec.table}[${i}]`;
+      const refs = { ...(spec.parent ? { [spec.parent[0]]: spec.parent[1] } : {}), ...(spec.refs ?? {}) };
+      for (const [col, table] of Object.entries(refs)) {
+        if ((row[col] === null || row[col] === undefined) && spec.optional?.includes(col)) continue;
+        if (!ids[table].has(row[col])) throw new BundleError(`${where}: ${col} ${row[col] ?? '(missing)'} is not in the bundle`);
+      }
+      if (spec.target) {
+        const [typeCol, idCol, types] = spec.target;
+        if (!Object.hasOwn(types, row[typeCol])) throw new BundleError(`${where}: ${typeCol} must be one of ${Object.keys(types).join(', ')}`);
+        if (!ids[types[row[typeCol]]].has(row[idCol])) throw new BundleError(`${where}: ${idCol} ${row[idCol]} is not in the bundle`);
+      }
+    });
+  }
+}
+
+// IDs in the bundle that already exist here, trashed rows included: { table: [id, ...] }.
+export function findConflicts(db, bundle) {
+  const conflicts = {};
+  for (const table of ['policies', ...TABLES.map(s => s.table)]) {
+    const list = table === 'policies' ? [bundle.policy] : (bundle[table] ?? []);
+    if (!list.length) continue;
+    const taken = db.prepare(`SELECT id FROM ${table} WHERE id IN (SELECT value FROM json_each(?))`)
+      .all(JSON.stringify(list.map(r => r.id))).map(r => r.id);
+    if (taken.length) conflicts[table] = taken;
+  }
+  return Object.keys(conflicts).length ? conflicts : null;
+}
+
+// Same bundle with a fresh id for every row and every reference rewritten to match.
+// Test-run batch ids are remapped too so imported runs never join an existing batch.
+function remapBundle(bundle) {
+  const map = new Map();
+  const fresh = (id) => {
+    if (id === null || id === undefined) return id;
+    if (!map.has(id)) map.set(id, nanoid());
+    return map.get(id);
+  };
+
+  const out = { ...bundle, policy: { ...bundle.policy, id: fresh(bundle.policy.id) } };
+  for (const spec of TABLES) {
+    out[spec.table] = (bundle[spec.table] ?? []).map((row) => {
+      const copy = { ...row, id: fresh(row.id) };
+      if (spec.parent) copy[spec.parent[0]] = fresh(row[spec.parent[0]]);
+      for (const col of Object.keys(spec.refs ?? {})) copy[col] = fresh(row[col]);
+      if (spec.target) copy[spec.target[1]] = fresh(row[spec.target[1]]);
+      if (spec.table === 'test_runs') copy.batch_id = fresh(row.batch_id);
+      return copy;
+    });
+  }
+  return { bundle: out, idMap: Object.fromEntries(map) };
+}
+
+// Writes the bundle into the workspace in one transaction. With `remap`, every row gets a new
+// id; otherwise any id already in use is a conflict and nothing is written.
+// Returns { policyId, counts, idMap } (idMap is old id → new id, empty without remap).
+export function importBundle(db, bundle, { remap = false, workspaceId } = {}) {
+  validateBundle(db, bundle);
+
+  let idMap = {};
+  if (remap) ({ bundle, idMap } = remapBundle(bundle));
+  else {
+    const conflicts = findConflicts(db, bundle);
+    if (conflicts) throw new BundleError('Some IDs in the bundle already exist in this database', conflicts);
+  }
+
+  const insert = (table, row) => {
+    const cols = Object.keys(row);
+    db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(c => `@${c}`).join(', ')})`).run(row);
+  };
+
+  const counts = {};
+  try {
+    db.transaction(() => {
+      // supersedes_id / previous_version_id may point at rows later in the list
+      db.pragma('defer_foreign_keys = ON');
+      insert('policies', { ...bundle.policy, workspace_id: workspaceId });
+      for (const spec of TABLES) {
+        for (const row of bundle[spec.table] ?? []) insert(spec.table, row);
+        counts[spec.table] = (bundle[spec.table] ?? []).length;
+      }
+    })();
+  } catch (err) {
+    // Missing NOT NULL values, values SQLite can't store, etc.
+    if (err.code?.startsWith('SQLITE_') || err instanceof TypeError) throw new BundleError(`Could not import the bundle: ${err.message}`);
+    throw err;
+  }
+
+  return { policyId: bundle.policy.id, counts, idMap };
+}
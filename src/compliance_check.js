@@ -0,0 +1,104 @@
+import { gateCriteria, gateText } from './traceability_gate.js';
+
+// The compliance check a delivery pipeline runs before releasing a policy's implementation: it
+// passes when every requirement the gate applies to is fully traceable and none of their rule
+// tests fail. Built from policyMetrics() (src/coverage.js) by GET /policies/:policyId/gate and
+// scripts/gate_check.js.
+//
+//   { policy: { id, title, effective_date }, checked_at, status: 'pass' | 'fail', reasons,
+//     gate: { ...gate, text }, summary, requirements: [{ id, external_id, statement, status,
+//     result: 'pass' | 'fail' | 'exempt', failures: [{ criterion, message }] }] }
+
+export const CHECK_FORMATS = ['json', 'junit'];
+
+export function complianceCheck(policy, metrics, checkedAt = new Date().toISOString()) {
+  const requirements = metrics.rows.map((x) => {
+    const failures = [...x.failures];
+    // Failing tests fail the check even under a gate that doesn't ask for passing tests
+    if (!x.exempt && x.tests.failing && !failures.some(f => f.criterion === 'passing_tests')) {
+      failures.push({ criterion: 'failing_tests', message: `${x.tests.failing} test case(s) failing on the current rule version` });
+    }
+    const r = x.requirement;
+    return {
+      id: r.id,
+      external_id: r.external_id,
+      statement: r.statement,
+      status: r.status,
+      result: x.exempt ? 'exempt' : failures.length ? 'fail' : 'pass',
+      failures
+    };
+  });
+
+  const failed = requirements.filter(r => r.result === 'fail');
+  const missing = (criterion) => failed.filter(r => r.failures.some(f => f.criterion === criterion)).length;
+  const reasons = [
+    ...(metrics.reqTotal ? [] : ['No requirements are subject to the gate']),
+    ...gateCriteria(metrics.gate)
+      .map(c => [missing(c.criterion), `without ${c.label}`])
+      .concat([[missing('failing_tests'), 'with failing test cases']])
+      .filter(([n]) => n)
+      .map(([n, what]) => `${n} of ${metrics.reqTotal} requirement(s) ${what}`)
+  ];
+
+  return {
+    policy: { id: policy.id, title: policy.title, effective_date: policy.effective_date },
+    checked_at: checkedAt,
+    status: reasons.length ? 'fail' : 'pass',
+    reasons,
+    gate: { ...metrics.gate, text: gateText(metrics.gate) },
+    summary: {
+      requirements: metrics.reqTotal,
+      exempt: metrics.reqExempt,
+      passed: requirements.filter(r => r.result === 'pass').length,
+      failed: failed.length,
+      tests: { total: metrics.testsTotal, passing: metrics.testsPassing, failing: metrics.testsFailing, never_run: metrics.testsNeverRun }
+    },
+    requirements
+  };
+}
+
+function xml(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&apos;');
+}
+
+const caseName = (r) => {
+  const statement = r.statement.replace(/\s+/g, ' ').trim();
+  const short = statement.length > 100 ? `${statement.slice(0, 99)}…` : statement;
+  return r.external_id ? `${r.external_id}: ${short}` : short;
+};
+
+// JUnit XML for CI test reports: one test suite per policy, one test case per requirement
+// (exempt ones skipped), plus a failing "policy" case when the gate applies to nothing.
+export function renderJunit(check) {
+  const cases = check.requirements.map((r) => {
+    const open = `    <testcase classname="${xml(`policy.${check.policy.id}`)}" name="${xml(caseName(r))}" time="0">`;
+    if (r.result === 'exempt') return `${open}\n      <skipped message="${xml(`${r.status} requirements are exempt from the gate`)}"/>\n    </testcase>`;
+    if (r.result === 'pass') return `${open}</testcase>`;
+    const message = r.failures.map(f => f.message).join('; ');
+    const body = [`Requirement ${r.id}`, ...r.failures.map(f => `- ${f.message}`)].join('\n');
+    return `${open}\n      <failure type="traceability" message="${xml(message)}">${xml(body)}</failure>\n    </testcase>`;
+  });
+  if (!check.summary.requirements) {
+    cases.push(`    <testcase classname="${xml(`policy.${check.policy.id}`)}" name="policy" time="0">\n      <failure type="traceability" message="No requirements are subject to the gate"/>\n    </testcase>`);
+  }
+  const failures = cases.filter(c => c.includes('<failure')).length;
+  const skipped = check.summary.exempt;
+  const counts = `tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}"`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Traceability gate" ${counts} time="0">
+  <testsuite name="${xml(check.policy.title)}" ${counts} time="0" timestamp="${xml(check.checked_at.slice(0, 19))}">
+    <properties>
+      <property name="policy_id" value="${xml(check.policy.id)}"/>
+      <property name="gate" value="${xml(check.gate.text)}"/>
+      <property name="status" value="${check.status}"/>
+    </properties>
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
@@ -0,0 +1,153 @@
+import { ruleHash, testCaseHash } from './test_runner.js';
+import { isSignedOff } from './decision_workflow.js';
+import { parseGate, evaluateGate } from './traceability_gate.js';
+
+// Traceability coverage of a policy's requirements, judged by the policy's gate: the numbers
+// behind the dashboard, portfolio, snapshots, exports and the compliance check. Shared by the
+// server and scripts/gate_check.js, so it takes the database rather than the server's statements.
+
+const statements = new WeakMap();
+
+function queries(db) {
+  if (!statements.has(db)) {
+    statements.set(db, {
+      getPolicy: db.prepare('SELECT * FROM policies WHERE id = ? AND deleted_at IS NULL'),
+      listRequirements: db.prepare('SELECT * FROM requirements WHERE policy_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+      listCurrentDecisionsByRequirement: db.prepare(`SELECT * FROM decisions WHERE requirement_id = ? AND deleted_at IS NULL
+        AND status <> 'superseded' ORDER BY created_at ASC`),
+      // Current versions only: rules without a live newer version
+      listRulesByDecision: db.prepare(`SELECT * FROM rules WHERE decision_id = ? AND deleted_at IS NULL
+        AND NOT EXISTS (SELECT 1 FROM rules n WHERE n.previous_version_id = rules.id AND n.deleted_at IS NULL)
+        ORDER BY created_at ASC`),
+      listTestCasesByRule: db.prepare('SELECT * FROM test_cases WHERE rule_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+      latestTestRunByCaseForHash: db.prepare(`SELECT * FROM test_runs WHERE test_case_id = ? AND rule_hash = ? AND case_hash = ?
+        ORDER BY ran_at DESC, rowid DESC LIMIT 1`),
+      listMappings: db.prepare('SELECT * FROM mappings WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+      listEvidence: db.prepare('SELECT * FROM evidence WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC')
+    });
+  }
+  return statements.get(db);
+}
+
+// Test results against the current text of each rule and test case. A run recorded against an
+// older definition, or before the case's given/expected was edited, doesn't count: that case is
+// "never run" as it stands.
+export function testStatusForRules(db, rules) {
+  const q = queries(db);
+  const status = { total: 0, passing: 0, failing: 0, neverRun: 0 };
+  for (const rule of rules) {
+    const hash = ruleHash(rule);
+    for (const tc of q.listTestCasesByRule.all(rule.id)) {
+      const last = q.latestTestRunByCaseForHash.get(tc.id, hash, testCaseHash(tc));
+      status.total++;
+      if (!last) status.neverRun++;
+      else if (last.verdict === 'pass') status.passing++;
+      else status.failing++;
+    }
+  }
+  return status;
+}
+
+// Coverage metrics for one requirement (dashboard rows, export matrix), judged by the policy's gate
+export function requirementCoverage(db, r, gate) {
+  const q = queries(db);
+  // Superseded decisions are history (shown in the timeline), not coverage
+  const decisions = q.listCurrentDecisionsByRequirement.all(r.id);
+  const approvedDecisions = decisions.filter(isSignedOff);
+
+  const rules = decisions.flatMap(d => q.listRulesByDecision.all(d.id));
+  const tests = testStatusForRules(db, rules);
+  const testCount = tests.total;
+
+  const evidence = [
+    ...decisions.flatMap(d => q.listEvidence.all('decision', d.id)),
+    ...rules.flatMap(rule => q.listEvidence.all('rule', rule.id))
+  ];
+  const evidenceCount = evidence.length;
+  const mappings = [
+    ...decisions.flatMap(d => q.listMappings.all('decision', d.id)),
+    ...rules.flatMap(rule => q.listMappings.all('rule', rule.id))
+  ];
+
+  const hasDecisionApproved = approvedDecisions.length > 0;
+  const hasRule = rules.length > 0;
+  const hasTests = testCount > 0;
+  // Every test of every rule passes against the rule's current version
+  const hasPassingTests = hasTests && tests.passing === testCount;
+  const hasEvidence = evidenceCount > 0;
+
+  const { exempt, failures } = evaluateGate(gate, {
+    status: r.status,
+    approvedDecisions: approvedDecisions.length,
+    rules: rules.length,
+    tests,
+    evidence: evidenceCount,
+    approvedEvidence: evidence.filter(ev => ev.status === 'approved').length,
+    mappingTypes: new Set(mappings.map(m => m.type))
+  });
+  const fullyTraceable = !exempt && !failures.length;
+
+  return {
+    requirement: r,
+    decisions,
+    approvedDecisions,
+    rules,
+    testCount,
+    tests,
+    evidenceCount,
+    mappings,
+    hasDecisionApproved,
+    hasRule,
+    hasTests,
+    hasPassingTests,
+    hasEvidence,
+    exempt,
+    failures,
+    fullyTraceable
+  };
+}
+
+export function policyGate(db, policyId) {
+  return parseGate(queries(db).getPolicy.get(policyId)?.gate_json);
+}
+
+// Dashboard numbers for one policy: per-requirement coverage rows and their totals. Requirements
+// the gate exempts are listed but left out of the requirement counts.
+export function policyMetrics(db, policyId) {
+  const gate = policyGate(db, policyId);
+  const requirements = queries(db).listRequirements.all(policyId);
+  const rows = requirements.map(r => requirementCoverage(db, r, gate));
+  const gated = rows.filter(x => !x.exempt);
+
+  const reqTotal = gated.length;
+  const reqExempt = rows.length - gated.length;
+  const reqTraceable = gated.filter(x => x.fullyTraceable).length;
+  const reqWithApprovedDecision = gated.filter(x => x.hasDecisionApproved).length;
+  const reqWithRule = gated.filter(x => x.hasRule).length;
+  const reqWithTests = gated.filter(x => x.hasTests).length;
+  const reqWithPassingTests = gated.filter(x => x.hasPassingTests).length;
+  const reqWithEvidence = gated.filter(x => x.hasEvidence).length;
+
+  const decisionsTotal = rows.reduce((a, x) => a + x.decisions.length, 0);
+  const decisionsApproved = rows.reduce((a, x) => a + x.approvedDecisions.length, 0);
+
+  const rulesTotal = rows.reduce((a, x) => a + x.rules.length, 0);
+  const testsTotal = rows.reduce((a, x) => a + x.testCount, 0);
+  const testsPassing = rows.reduce((a, x) => a + x.tests.passing, 0);
+  const testsFailing = rows.reduce((a, x) => a + x.tests.failing, 0);
+  const testsNeverRun = rows.reduce((a, x) => a + x.tests.neverRun, 0);
+  const evidenceTotal = rows.reduce((a, x) => a + x.evidenceCount, 0);
+
+  // Impact counts from mappings across all decisions and rules
+  const impact = { service: 0, api: 0, data: 0, integration: 0, security: 0 };
+  for (const x of rows) {
+    for (const m of x.mappings) impact[m.type] = (impact[m.type] || 0) + 1;
+  }
+
+  return {
+    gate, requirements, rows,
+    reqTotal, reqExempt, reqTraceable, reqWithApprovedDecision, reqWithRule, reqWithTests, reqWithPassingTests, reqWithEvidence,
+    decisionsTotal, decisionsApproved, rulesTotal,
+    testsTotal, testsPassing, testsFailing, testsNeverRun, evidenceTotal, impact
+  };
+}
@@ -0,0 +1,38 @@
+import Database from 'better-sqlite3';
+import fs from 'node:fs';
+import path from 'node:path';
+import { nanoid } from 'nanoid';
+import { loadMigrations, migrate } from './migrate.js';
+
+// Opens (creating if needed) the app database and applies pending migrations (src/migrations/).
+// Shared by the server and the scripts in scripts/; scripts/migrate.js opens it with
+// { migrate: false } to migrate or roll back by hand, and scripts/gate_check.js with
+// { readonly: true }, which opens an existing file as it is and never migrates or writes.
+
+function ensureDir(p) {
+  const dir = path.dirname(p);
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+export async function openDb(dbPath, { migrate: applyPending = true, readonly = false } = {}) {
+  if (readonly) return new Database(dbPath, { readonly: true, fileMustExist: true });
+  ensureDir(dbPath);
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  // Off by default in SQLite; without it the ON DELETE CASCADE clauses never fire.
+  db.pragma('foreign_keys = ON');
+  if (applyPending) {
+    const applied = migrate(db, await loadMigrations());
+    if (applied.length) console.log(`Migrated ${dbPath}: ${applied.join(', ')}`);
+  }
+  return db;
+}
+
+// The oldest workspace; a "Default workspace" is created when there is none yet.
+export function defaultWorkspaceId(db) {
+  const first = db.prepare('SELECT id FROM workspaces ORDER BY created_at, rowid LIMIT 1').get();
+  if (first) return first.id;
+  const id = nanoid();
+  db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)').run(id, 'Default workspace', new Date().toISOString());
+  return id;
+}
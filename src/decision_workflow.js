@@ -0,0 +1,82 @@
+// Decision (ADR) sign-off workflow.
+//
+//   draft ──submit──▶ in_review ──approve──▶ approved ──supersede──▶ superseded
+//     ▲                   │
+//     └──reopen── rejected ◀──reject
+//
+// Approve and reject need a comment and can only be done by one of the reviewers named at
+// submit time, never by an author (the owner, or anyone who created, edited or submitted it).
+// A review whose reviewers can no longer approve is submitted again rather than signed off.
+// Supersede needs a reason and always comes with a replacement decision that links back to
+// the original.
+
+export const DECISION_STATUSES = ['draft', 'in_review', 'approved', 'rejected', 'superseded'];
+
+export const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review', label: 'Submit for review' },
+  approve: { from: ['in_review'], to: 'approved', label: 'Approve' },
+  reject: { from: ['in_review'], to: 'rejected', label: 'Reject' },
+  reopen: { from: ['rejected'], to: 'draft', label: 'Reopen as draft' },
+  supersede: { from: ['approved'], to: 'superseded', label: 'Supersede' }
+};
+
+// Content can only change before review or after a rejection.
+export const EDITABLE_STATUSES = ['draft', 'rejected'];
+
+export class WorkflowError extends Error {}
+
+export function parseReviewers(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const out = [];
+  for (const name of list.map(v => String(v).trim()).filter(Boolean)) {
+    if (!out.some(n => sameName(n, name))) out.push(name);
+  }
+  return out;
+}
+
+function sameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// An 'approved' decision only counts once a reviewer has signed it off.
+export function isSignedOff(decision) {
+  return decision.status === 'approved' && Boolean(decision.approved_by);
+}
+
+// Decisions marked approved before this workflow existed can be sent through review, and a
+// stale review can be sent again with new reviewers.
+function allowedFrom(decision, action, staleReview) {
+  if (action === 'submit' && decision.status === 'approved' && !decision.approved_by) return true;
+  if (action === 'submit' && decision.status === 'in_review' && staleReview) return true;
+  return TRANSITIONS[action].from.includes(decision.status);
+}
+
+// Returns the status the decision moves to, or throws WorkflowError.
+// `authors`, `reviewers` (the current review's reviewers) and `staleReview` (none of them can
+// approve any more) come from the caller.
+export function checkTransition(decision, action, { actor, comment, reviewers = [], newReviewers = [], authors = [], staleReview = false }) {
+  if (!Object.hasOwn(TRANSITIONS, action)) throw new WorkflowError(`Unknown action "${action}"`);
+  if (!allowedFrom(decision, action, staleReview)) {
+    throw new WorkflowError(`Cannot ${action} a decision that is ${decision.status.replace('_', ' ')}`);
+  }
+  if (!actor) throw new WorkflowError('Your name is required');
+
+  const isAuthor = (name) => authors.some(a => sameName(a, name));
+
+  if (action === 'submit') {
+    if (!newReviewers.length) throw new WorkflowError('Name at least one reviewer');
+    const self = newReviewers.find(name => isAuthor(name) || sameName(name, actor));
+    if (self) throw new WorkflowError(`${self} is an author of this decision and cannot review it`);
+  }
+
+  if (action === 'approve' || action === 'reject') {
+    if (isAuthor(actor)) throw new WorkflowError('Authors cannot approve or reject their own decision');
+    if (staleReview) throw new WorkflowError('None of the named reviewers can approve decisions in this workspace any more; submit it again with current reviewers');
+    if (!reviewers.some(r => sameName(r, actor))) throw new WorkflowError(`${actor} is not a named reviewer of this decision`);
+    if (!comment) throw new WorkflowError(`A comment is required to ${action}`);
+  }
+
+  if (action === 'supersede' && !comment) throw new WorkflowError('Give a reason for superseding this decision');
+
+  return TRANSITIONS[action].to;
+}
@@ -0,0 +1,7 @@
+// Allowed values of the enumerated columns, shared by the HTML forms, the JSON API and the
+// traceability gate. Decision statuses live with their workflow in src/decision_workflow.js.
+
+export const MAPPING_TYPES = ['service', 'api', 'data', 'integration', 'security'];
+export const EVIDENCE_KINDS = ['pr', 'commit', 'build', 'deploy', 'doc', 'link'];
+export const EVIDENCE_STATUSES = ['draft', 'approved'];
+export const REQUIREMENT_STATUSES = ['draft', 'in_review', 'approved', 'superseded'];
@@ -0,0 +1,58 @@
+// Server-side checks for HTML form posts. A route's field list is the same one that draws its
+// form (see formPage in server.js):
+//   { name, label, required, type: 'input' | 'textarea' | 'select', options, format, maxLength, default }
+// `format` is 'date' (YYYY-MM-DD) or 'json'; select options are values or { value, label }.
+
+const MAX_INPUT = 500;
+const MAX_TEXTAREA = 50_000;
+
+export function isIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) return false;
+  const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+function fieldError(field, value) {
+  const label = field.label.replace(/\s*\(.*\)$/, '');
+  const max = field.maxLength ?? (field.type === 'textarea' ? MAX_TEXTAREA : MAX_INPUT);
+  if (value === null) return field.required ? `${label} is required.` : null;
+  if (value.length > max) return `${label} must be at most ${max.toLocaleString('en-US')} characters.`;
+  if (field.type === 'select' && field.options) {
+    const allowed = field.options.map(o => typeof o === 'string' ? o : o.value);
+    if (!allowed.includes(value)) return `${label} must be one of: ${allowed.filter(Boolean).join(', ')}.`;
+  }
+  if (field.format === 'date' && !isIsoDate(value)) return `${label} must be a date like 2026-01-31.`;
+  if (field.format === 'json') {
+    try {
+      JSON.parse(value);
+    } catch (err) {
+      return `${label} is not valid JSON: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+// Returns { values, errors }: trimmed values (empty → null, then `fallback[name]` or the field's
+// default) and a message per invalid field. A field sent twice is an error, not a crash.
+export function validateForm(body, fields, fallback = {}) {
+  const values = {};
+  const errors = {};
+  for (const field of fields) {
+    const raw = body?.[field.name];
+    if (raw !== undefined && typeof raw !== 'string') {
+      values[field.name] = null;
+      errors[field.name] = `${field.label} must be a single value.`;
+      continue;
+    }
+    const value = raw?.trim() || fallback[field.name] || field.default || null;
+    values[field.name] = value;
+    const error = fieldError(field, value);
+    if (error) errors[field.name] = error;
+  }
+  return { values, errors };
+}
+
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
@@ -0,0 +1,75 @@
+// Line-level diff (longest common subsequence) for comparing rule versions.
+
+function splitLines(text) {
+  return text === null || text === undefined || text === '' ? [] : String(text).split('\n');
+}
+
+// Returns [{ op: 'same' | 'del' | 'add', text }] turning `a` into `b`.
+export function diffLines(a, b) {
+  const left = splitLines(a);
+  const right = splitLines(b);
+  const n = left.length;
+  const m = right.length;
+
+  // lcs[i][j] = length of the LCS of left[i..] and right[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (left[i] === right[j]) {
+      out.push({ op: 'same', text: left[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: 'del', text: left[i++] });
+    } else {
+      out.push({ op: 'add', text: right[j++] });
+    }
+  }
+  while (i < n) out.push({ op: 'del', text: left[i++] });
+  while (j < m) out.push({ op: 'add', text: right[j++] });
+  return out;
+}
+
+// Pairs a diff into side-by-side rows: [{ left, right, leftNo, rightNo, op }] where op is
+// 'same', 'change' (a removed line shown next to an added one), 'del' or 'add'.
+export function sideBySide(diff) {
+  const rows = [];
+  let leftNo = 0;
+  let rightNo = 0;
+  let k = 0;
+  while (k < diff.length) {
+    if (diff[k].op === 'same') {
+      leftNo++;
+      rightNo++;
+      rows.push({ op: 'same', left: diff[k].text, right: diff[k].text, leftNo, rightNo });
+      k++;
+      continue;
+    }
+    const dels = [];
+    const adds = [];
+    while (k < diff.length && diff[k].op !== 'same') {
+      (diff[k].op === 'del' ? dels : adds).push(diff[k].text);
+      k++;
+    }
+    for (let x = 0; x < Math.max(dels.length, adds.length); x++) {
+      const hasLeft = x < dels.length;
+      const hasRight = x < adds.length;
+      rows.push({
+        op: hasLeft && hasRight ? 'change' : hasLeft ? 'del' : 'add',
+        left: hasLeft ? dels[x] : null,
+        right: hasRight ? adds[x] : null,
+        leftNo: hasLeft ? ++leftNo : null,
+        rightNo: hasRight ? ++rightNo : null
+      });
+    }
+  }
+  return rows;
+}
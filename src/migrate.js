@@ -0,0 +1,91 @@
+import fs from 'node:fs';
+
+// Schema migrations: numbered files in src/migrations/ (NNN_name.js) exporting up(db) and,
+// when the change can be undone, down(db). Each runs in a transaction together with its row
+// in schema_migrations, so a failed migration leaves the database as it was.
+// Migrations that predate this runner (001–003) are written to also adopt databases created
+// by older versions of the app, which already have some of their tables.
+
+export const MIGRATIONS_DIR = new URL('./migrations/', import.meta.url);
+
+export class MigrationError extends Error {}
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = /^(\d+)_(\w+)\.js$/.exec(file);
+    if (!m) continue;
+    const mod = await import(new URL(file, dir));
+    if (typeof mod.up !== 'function') throw new MigrationError(`Migration ${file} does not export up(db)`);
+    migrations.push({ version: Number(m[1]), name: `${m[1]}_${m[2]}`, up: mod.up, down: mod.down ?? null });
+  }
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) throw new MigrationError(`Two migrations are numbered ${migrations[i].version}`);
+  }
+  return migrations;
+}
+
+// Returns false when there is no table yet and the connection is read-only (nothing applied).
+function ensureTable(db) {
+  if (db.readonly) return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get());
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+  return true;
+}
+
+// Every migration with whether it has been applied, plus applied versions this code doesn't have.
+export function migrationStatus(db, migrations) {
+  const rows = ensureTable(db) ? db.prepare('SELECT * FROM schema_migrations').all() : [];
+  const applied = new Map(rows.map(r => [r.version, r]));
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    migrations: migrations.map(m => ({ version: m.version, name: m.name, reversible: Boolean(m.down), applied_at: applied.get(m.version)?.applied_at ?? null })),
+    unknown: [...applied.values()].filter(r => !known.has(r.version))
+  };
+}
+
+// Applies pending migrations in order, up to and including `to`. Returns the names applied.
+export function migrate(db, migrations, { to = Infinity } = {}) {
+  const status = migrationStatus(db, migrations);
+  if (status.unknown.length) {
+    throw new MigrationError(`The database has migrations this version doesn't know (${status.unknown.map(r => r.name).join(', ')}); it was upgraded by a newer version of the app.`);
+  }
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  const done = [];
+  for (const [i, migration] of migrations.entries()) {
+    if (migration.version > to || status.migrations[i].applied_at) continue;
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    done.push(migration.name);
+  }
+  return done;
+}
+
+// Undoes applied migrations newest first, down to (not including) `to`; without `to`, the
+// newest one. Stops before touching anything if one of them has no down().
+export function rollback(db, migrations, { to } = {}) {
+  const status = migrationStatus(db, migrations);
+  const applied = migrations.filter((m, i) => status.migrations[i].applied_at).reverse();
+  const targets = to === undefined ? applied.slice(0, 1) : applied.filter(m => m.version > to);
+  const stuck = targets.find(m => !m.down);
+  if (stuck) throw new MigrationError(`Migration ${stuck.name} can't be rolled back.`);
+  const forget = db.prepare('DELETE FROM schema_migrations WHERE version = ?');
+  for (const migration of targets) {
+    db.transaction(() => {
+      migration.down(db);
+      forget.run(migration.version);
+    })();
+  }
+  return targets.map(m => m.name);
+}
+
+// For migrations: ALTER TABLE … ADD COLUMN unless the column is already there.
+export function addColumnIfMissing(db, table, column, decl) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!cols.some(c => c.name === column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${decl}`);
+}
@@ -0,0 +1,293 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// The schema as it stood when migrations were introduced, minus workspaces (002) and the
+// search index (003). Written with IF NOT EXISTS / addColumnIfMissing so it also brings a database
+// from any earlier version of the app up to that point. Not reversible.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS policies (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      jurisdiction TEXT,
+      program TEXT,
+      source_citation TEXT,
+      effective_date TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS requirements (
+      id TEXT PRIMARY KEY,
+      policy_id TEXT NOT NULL,
+      statement TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'draft',
+      tags TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(policy_id) REFERENCES policies(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS decisions (
+      id TEXT PRIMARY KEY,
+      requirement_id TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      rationale TEXT,
+      alternatives TEXT,
+      owner TEXT,
+      status TEXT NOT NULL DEFAULT 'draft', -- see src/decision_workflow.js
+      approved_at TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(requirement_id) REFERENCES requirements(id) ON DELETE CASCADE
+    );
+
+    -- Approval history: one row per workflow step (submit, approve, reject, reopen, supersede)
+    CREATE TABLE IF NOT EXISTS decision_reviews (
+      id TEXT PRIMARY KEY,
+      decision_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      actor TEXT NOT NULL,
+      comment TEXT,
+      reviewers_json TEXT,       -- submit only: the reviewers named for this review
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(decision_id) REFERENCES decisions(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS rules (
+      id TEXT PRIMARY KEY,
+      decision_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      version TEXT NOT NULL DEFAULT '0.1',
+      definition_text TEXT NOT NULL,
+      inputs TEXT,
+      exceptions TEXT,
+      definition_ast TEXT,       -- parsed definition_text (JSON), NULL when it does not parse
+      parse_error TEXT,          -- JSON { message, line, column } when definition_text does not parse
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(decision_id) REFERENCES decisions(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS test_cases (
+      id TEXT PRIMARY KEY,
+      rule_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      given_json TEXT NOT NULL,
+      expected_json TEXT NOT NULL,
+      notes TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(rule_id) REFERENCES rules(id) ON DELETE CASCADE
+    );
+
+    -- One row per test case per run; batch_id groups the cases run by one "Run tests" action
+    CREATE TABLE IF NOT EXISTS test_runs (
+      id TEXT PRIMARY KEY,
+      batch_id TEXT NOT NULL,
+      scope TEXT NOT NULL,       -- 'rule' | 'policy'
+      test_case_id TEXT NOT NULL,
+      rule_id TEXT NOT NULL,
+      rule_version TEXT NOT NULL,
+      rule_hash TEXT NOT NULL,   -- sha256 of definition_text at run time
+      verdict TEXT NOT NULL,     -- 'pass' | 'fail' | 'error'
+      actual_json TEXT,
+      error TEXT,
+      ran_at TEXT NOT NULL,
+      FOREIGN KEY(test_case_id) REFERENCES test_cases(id) ON DELETE CASCADE,
+      FOREIGN KEY(rule_id) REFERENCES rules(id) ON DELETE CASCADE
+    );
+
+    -- Edit history: one row per saved edit with the previous and new value of each changed field
+    CREATE TABLE IF NOT EXISTS revisions (
+      id TEXT PRIMARY KEY,
+      entity_type TEXT NOT NULL, -- 'policy' | 'requirement' | 'decision' | 'rule' | 'test_case' | 'mapping' | 'evidence'
+      entity_id TEXT NOT NULL,
+      edited_by TEXT,
+      edited_at TEXT NOT NULL,
+      changes_json TEXT NOT NULL -- { field: { from, to } }
+    );
+
+    -- Trash: one row per delete action; every row it hid carries the same deletion_id
+    CREATE TABLE IF NOT EXISTS deletions (
+      id TEXT PRIMARY KEY,
+      entity_type TEXT NOT NULL, -- type of the row the user deleted (the root of the cascade)
+      entity_id TEXT NOT NULL,
+      label TEXT NOT NULL,
+      counts_json TEXT NOT NULL, -- { entity_type: rows hidden }
+      deleted_by TEXT,
+      deleted_at TEXT NOT NULL
+    );
+
+    -- Append-only, hash-chained log of every change (see src/audit.js)
+    CREATE TABLE IF NOT EXISTS audit_log (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      at TEXT NOT NULL,
+      actor TEXT,
+      action TEXT NOT NULL,      -- 'create' | 'update' | 'delete' | 'restore' | 'purge' | 'run_tests' | 'import' | 'extract' | 'accept' | 'reject' | workflow and version actions
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      policy_id TEXT,
+      details_json TEXT NOT NULL,
+      prev_hash TEXT NOT NULL,
+      hash TEXT NOT NULL
+    );
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+    -- Architecture mappings (attach to either a decision or a rule)
+    CREATE TABLE IF NOT EXISTS mappings (
+      id TEXT PRIMARY KEY,
+      target_type TEXT NOT NULL, -- 'decision' | 'rule'
+      target_id TEXT NOT NULL,
+      type TEXT NOT NULL,        -- 'service' | 'api' | 'data' | 'integration' | 'security'
+      ref TEXT NOT NULL,
+      notes TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    -- Evidence (manual first; later sync from ADO)
+    CREATE TABLE IF NOT EXISTS evidence (
+      id TEXT PRIMARY KEY,
+      target_type TEXT NOT NULL, -- 'decision' | 'rule'
+      target_id TEXT NOT NULL,
+      kind TEXT NOT NULL,        -- 'pr' | 'commit' | 'build' | 'deploy' | 'doc' | 'link'
+      ref TEXT NOT NULL,
+      status TEXT,               -- optional: 'draft' | 'approved'
+      notes TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    -- Policy source text (statute, regulation, guidance) as uploaded, split into clauses
+    CREATE TABLE IF NOT EXISTS policy_documents (
+      id TEXT PRIMARY KEY,
+      policy_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      format TEXT NOT NULL,      -- 'text' | 'markdown' | 'html'
+      source TEXT NOT NULL,      -- as uploaded
+      text TEXT NOT NULL,        -- normalized plain text; clause offsets point into this
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(policy_id) REFERENCES policies(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS policy_clauses (
+      id TEXT PRIMARY KEY,
+      document_id TEXT NOT NULL,
+      parent_id TEXT,            -- enclosing section / clause
+      kind TEXT NOT NULL,        -- 'section' | 'clause'
+      number TEXT NOT NULL,      -- e.g. '§ 101(a)(1)', unique within the document
+      heading TEXT,
+      text TEXT NOT NULL,
+      depth INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      start_offset INTEGER NOT NULL,
+      end_offset INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(document_id) REFERENCES policy_documents(id) ON DELETE CASCADE,
+      FOREIGN KEY(parent_id) REFERENCES policy_clauses(id) ON DELETE CASCADE
+    );
+
+    -- A requirement's citation of a clause: the whole clause, or the span
+    -- [span_start, span_end) of the clause text
+    CREATE TABLE IF NOT EXISTS requirement_clauses (
+      id TEXT PRIMARY KEY,
+      requirement_id TEXT NOT NULL,
+      clause_id TEXT NOT NULL,
+      span_start INTEGER,
+      span_end INTEGER,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(requirement_id) REFERENCES requirements(id) ON DELETE CASCADE,
+      FOREIGN KEY(clause_id) REFERENCES policy_clauses(id) ON DELETE CASCADE
+    );
+
+    -- Draft requirements proposed from normative sentences of the source text; an analyst
+    -- accepts (creating the requirement) or rejects each one
+    CREATE TABLE IF NOT EXISTS requirement_candidates (
+      id TEXT PRIMARY KEY,
+      policy_id TEXT NOT NULL,
+      clause_id TEXT NOT NULL,
+      span_start INTEGER NOT NULL, -- the source sentence within the clause text
+      span_end INTEGER NOT NULL,
+      statement TEXT NOT NULL,     -- as proposed
+      signals TEXT NOT NULL,       -- comma-separated, e.g. 'obligation,age range'
+      status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'accepted' | 'rejected'
+      requirement_id TEXT,
+      decided_by TEXT,
+      decided_at TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(policy_id) REFERENCES policies(id) ON DELETE CASCADE,
+      FOREIGN KEY(clause_id) REFERENCES policy_clauses(id) ON DELETE CASCADE,
+      FOREIGN KEY(requirement_id) REFERENCES requirements(id) ON DELETE SET NULL
+    );
+
+    -- Local accounts. Usernames are what the audit log, edit history and decisions record.
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      display_name TEXT NOT NULL,
+      role TEXT NOT NULL,        -- site role 'admin' | 'member' once 002_workspaces moves work roles to workspace_members
+      password_hash TEXT NOT NULL,
+      disabled_at TEXT,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,       -- sha256 of the cookie token
+      user_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_requirements_policy_id ON requirements(policy_id);
+    CREATE INDEX IF NOT EXISTS idx_decisions_requirement_id ON decisions(requirement_id);
+    CREATE INDEX IF NOT EXISTS idx_rules_decision_id ON rules(decision_id);
+    CREATE INDEX IF NOT EXISTS idx_test_cases_rule_id ON test_cases(rule_id);
+    CREATE INDEX IF NOT EXISTS idx_test_runs_test_case_id ON test_runs(test_case_id, ran_at);
+    CREATE INDEX IF NOT EXISTS idx_test_runs_rule_id ON test_runs(rule_id, ran_at);
+    CREATE INDEX IF NOT EXISTS idx_revisions_entity ON revisions(entity_type, entity_id, edited_at);
+    CREATE INDEX IF NOT EXISTS idx_decision_reviews_decision_id ON decision_reviews(decision_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_policy_id ON audit_log(policy_id, seq);
+    CREATE INDEX IF NOT EXISTS idx_mappings_target ON mappings(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_mappings_type ON mappings(type);
+    CREATE INDEX IF NOT EXISTS idx_evidence_target ON evidence(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_evidence_kind ON evidence(kind);
+    CREATE INDEX IF NOT EXISTS idx_policy_documents_policy_id ON policy_documents(policy_id);
+    CREATE INDEX IF NOT EXISTS idx_policy_clauses_document_id ON policy_clauses(document_id, position);
+    CREATE INDEX IF NOT EXISTS idx_requirement_clauses_requirement_id ON requirement_clauses(requirement_id);
+    CREATE INDEX IF NOT EXISTS idx_requirement_clauses_clause_id ON requirement_clauses(clause_id);
+    -- A sentence is proposed once; rejected candidates don't come back on the next scan
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_requirement_candidates_span ON requirement_candidates(clause_id, span_start, span_end);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_requirement_candidates_policy_id ON requirement_candidates(policy_id, status);
+  `);
+
+  // Columns added before migrations existed; CREATE TABLE IF NOT EXISTS won't add them to older DBs.
+  addColumnIfMissing(db, 'rules', 'definition_ast', 'TEXT');
+  addColumnIfMissing(db, 'rules', 'parse_error', 'TEXT');
+  addColumnIfMissing(db, 'decisions', 'approved_by', 'TEXT');
+  // ADR supersession: the replacement points at the decision it supersedes
+  addColumnIfMissing(db, 'decisions', 'supersedes_id', 'TEXT REFERENCES decisions(id) ON DELETE SET NULL');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_decisions_supersedes_id ON decisions(supersedes_id)');
+  // Rule lineage: a new version links back to the one it was copied from, which is then frozen
+  addColumnIfMissing(db, 'rules', 'previous_version_id', 'TEXT REFERENCES rules(id) ON DELETE SET NULL');
+  addColumnIfMissing(db, 'rules', 'frozen_at', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_rules_previous_version_id ON rules(previous_version_id)');
+  // The rule version a test case / rule evidence was recorded against
+  addColumnIfMissing(db, 'test_cases', 'rule_version', 'TEXT');
+  addColumnIfMissing(db, 'evidence', 'rule_version', 'TEXT');
+  db.exec(`
+    UPDATE test_cases SET rule_version = (SELECT version FROM rules WHERE rules.id = test_cases.rule_id) WHERE rule_version IS NULL;
+    UPDATE evidence SET rule_version = (SELECT version FROM rules WHERE rules.id = evidence.target_id)
+      WHERE target_type = 'rule' AND rule_version IS NULL;
+  `);
+  // Key of the spreadsheet row a requirement was imported from; re-imports update by it
+  addColumnIfMissing(db, 'requirements', 'external_id', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_requirements_external_id ON requirements(policy_id, external_id)');
+  // Soft delete: deleted_at hides the row, deletion_id ties it to its trash entry
+  for (const table of ['policies', 'requirements', 'decisions', 'rules', 'test_cases', 'mappings', 'evidence']) {
+    addColumnIfMissing(db, table, 'deleted_at', 'TEXT');
+    addColumnIfMissing(db, table, 'deletion_id', 'TEXT');
+  }
+}
@@ -0,0 +1,46 @@
+import { addColumnIfMissing } from '../migrate.js';
+import { defaultWorkspaceId } from '../db.js';
+
+// Workspaces (tenants): every policy belongs to one, and roles move from the account to the
+// membership. Existing policies and users go into a "Default workspace"; each user keeps their
+// role there and users.role becomes the site role ('admin' | 'member'). Not reversible: the
+// per-workspace roles can't be folded back into one role per account.
+
+export function up(db) {
+  const hadWorkspaces = Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'workspaces'").get());
+  db.exec(`
+    -- Tenants (one per agency). Every policy belongs to one; users see the ones they are members of.
+    CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS workspace_members (
+      workspace_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL,        -- 'analyst' | 'engineer' | 'approver' | 'auditor' | 'admin'
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, user_id),
+      FOREIGN KEY(workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+  `);
+  // The policy's tenant, and the workspace a browser session is working in
+  addColumnIfMissing(db, 'policies', 'workspace_id', 'TEXT REFERENCES workspaces(id)');
+  addColumnIfMissing(db, 'sessions', 'workspace_id', 'TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_policies_workspace_id ON policies(workspace_id, created_at)');
+
+  const orphans = db.prepare('SELECT COUNT(*) AS n FROM policies WHERE workspace_id IS NULL').get().n;
+  // A database from before workspaces existed; one that already has them keeps its memberships
+  const users = hadWorkspaces ? [] : db.prepare('SELECT id, role FROM users').all();
+  if (!orphans && !users.length) return;
+  const workspaceId = defaultWorkspaceId(db);
+  const now = new Date().toISOString();
+  db.prepare('UPDATE policies SET workspace_id = ? WHERE workspace_id IS NULL').run(workspaceId);
+  const addMember = db.prepare('INSERT OR IGNORE INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (?, ?, ?, ?)');
+  for (const user of users) addMember.run(workspaceId, user.id, user.role, now);
+  if (users.length) db.exec("UPDATE users SET role = 'member' WHERE role <> 'admin'");
+}
@@ -0,0 +1,42 @@
+// Full-text search: one FTS5 table over the traceability artifacts, kept in sync by triggers so
+// every write path (forms, API, imports, trash) updates it. Soft-deleted rows drop out and come
+// back on restore. Per entity: [table, title expression, body expression] with `$` for the row.
+const SEARCH_SOURCES = {
+  policy: ['policies', '$.title', "coalesce($.jurisdiction, '') || ' ' || coalesce($.program, '') || ' ' || coalesce($.source_citation, '')"],
+  requirement: ['requirements', '$.statement', "coalesce($.tags, '') || ' ' || coalesce($.external_id, '')"],
+  decision: ['decisions', '$.decision', "coalesce($.rationale, '') || ' ' || coalesce($.alternatives, '') || ' ' || coalesce($.owner, '')"],
+  rule: ['rules', '$.name', "$.definition_text || ' ' || coalesce($.inputs, '') || ' ' || coalesce($.exceptions, '')"],
+  test_case: ['test_cases', '$.name', "coalesce($.notes, '') || ' ' || $.given_json || ' ' || $.expected_json"],
+  mapping: ['mappings', "$.type || ': ' || $.ref", "coalesce($.notes, '')"],
+  evidence: ['evidence', "$.kind || ': ' || $.ref", "coalesce($.notes, '')"]
+};
+
+export function up(db) {
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE name = 'search_index'").get();
+  db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    entity_type UNINDEXED, entity_id UNINDEXED, title, body, tokenize = 'porter unicode61'
+  )`);
+  for (const [type, [table, title, body]] of Object.entries(SEARCH_SOURCES)) {
+    const row = (alias) => `'${type}', ${alias}.id, ${title.replaceAll('$', alias)}, ${body.replaceAll('$', alias)}`;
+    const remove = `DELETE FROM search_index WHERE entity_type = '${type}' AND entity_id = old.id;`;
+    const add = `INSERT INTO search_index (entity_type, entity_id, title, body) SELECT ${row('new')} WHERE new.deleted_at IS NULL;`;
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS search_${table}_insert AFTER INSERT ON ${table} BEGIN ${add} END;
+      CREATE TRIGGER IF NOT EXISTS search_${table}_update AFTER UPDATE ON ${table} BEGIN ${remove} ${add} END;
+      CREATE TRIGGER IF NOT EXISTS search_${table}_delete AFTER DELETE ON ${table} BEGIN ${remove} END;
+    `);
+    // Rows written before the index existed
+    if (!exists) db.exec(`INSERT INTO search_index (entity_type, entity_id, title, body) SELECT ${row('r')} FROM ${table} r WHERE r.deleted_at IS NULL`);
+  }
+}
+
+export function down(db) {
+  for (const [table] of Object.values(SEARCH_SOURCES)) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS search_${table}_insert;
+      DROP TRIGGER IF EXISTS search_${table}_update;
+      DROP TRIGGER IF EXISTS search_${table}_delete;
+    `);
+  }
+  db.exec('DROP TABLE IF EXISTS search_index');
+}
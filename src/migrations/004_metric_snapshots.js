@@ -0,0 +1,28 @@
+// Dashboard history: the policy's traceability numbers as they stood at a point in time, taken
+// daily and on demand, for the burn-up chart.
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE metric_snapshots (
+      id TEXT PRIMARY KEY,
+      policy_id TEXT NOT NULL,
+      taken_at TEXT NOT NULL,
+      source TEXT NOT NULL,      -- 'scheduled' | 'manual'
+      taken_by TEXT,             -- manual only
+      req_total INTEGER NOT NULL,
+      req_traceable INTEGER NOT NULL,
+      decisions_total INTEGER NOT NULL,
+      decisions_approved INTEGER NOT NULL,
+      tests_total INTEGER NOT NULL,
+      tests_passing INTEGER NOT NULL,
+      evidence_total INTEGER NOT NULL,
+      impact_json TEXT NOT NULL, -- { mapping type: count }
+      FOREIGN KEY(policy_id) REFERENCES policies(id) ON DELETE CASCADE
+    );
+    CREATE INDEX idx_metric_snapshots_policy_id ON metric_snapshots(policy_id, taken_at);
+  `);
+}
+
+export function down(db) {
+  db.exec('DROP TABLE metric_snapshots');
+}
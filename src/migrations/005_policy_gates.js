@@ -0,0 +1,9 @@
+// Per-policy traceability gate (see src/traceability_gate.js); NULL is the default gate.
+
+export function up(db) {
+  db.exec('ALTER TABLE policies ADD COLUMN gate_json TEXT');
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE policies DROP COLUMN gate_json');
+}
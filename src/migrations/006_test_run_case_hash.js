@@ -0,0 +1,20 @@
+import { testCaseHash } from '../test_runner.js';
+
+// Ties each test run to the given/expected it ran with (see testCaseHash in src/test_runner.js),
+// so editing a test case makes its earlier runs stale. Existing runs get the case's current hash
+// unless its given or expected was edited after the run; those stay NULL and never match.
+
+export function up(db) {
+  db.exec('ALTER TABLE test_runs ADD COLUMN case_hash TEXT');
+  const backfill = db.prepare(`UPDATE test_runs SET case_hash = ? WHERE test_case_id = ?
+    AND NOT EXISTS (SELECT 1 FROM revisions v WHERE v.entity_type = 'test_case' AND v.entity_id = test_runs.test_case_id
+      AND v.edited_at > test_runs.ran_at
+      AND (json_extract(v.changes_json, '$.given_json') IS NOT NULL OR json_extract(v.changes_json, '$.expected_json') IS NOT NULL))`);
+  for (const tc of db.prepare('SELECT id, given_json, expected_json FROM test_cases').all()) {
+    backfill.run(testCaseHash(tc), tc.id);
+  }
+}
+
+export function down(db) {
+  db.exec('ALTER TABLE test_runs DROP COLUMN case_hash');
+}
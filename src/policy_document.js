@@ -0,0 +1,245 @@
+import crypto from 'node:crypto';
+
+// Policy source documents: the statute / regulation / guidance text a policy's requirements are
+// derived from. The text is split into numbered sections and clauses so requirements can cite
+// them, and uncovered clauses show where the policy has no requirement at all.
+//
+// Splitting is heuristic but deterministic: the same text always gives the same clauses.
+//   sections  markdown headings, <h1>–<h6>, and lines like "SEC. 101. TITLE" / "§ 5" / "Article 3";
+//             unnumbered headings are numbered "#1", "#2", …
+//   clauses   enumerated paragraphs "(a)", "(1)", "(A)", "(i)" (nested in statutory order),
+//             list items, and any other paragraph (numbered "¶1", "¶2", … within its section)
+
+export const DOCUMENT_FORMATS = ['text', 'markdown', 'html'];
+export const MAX_DOCUMENT_CHARS = 2_000_000;
+
+export class DocumentError extends Error {}
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', sect: '§', para: '¶',
+  mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…'
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] !== '#') return ENTITIES[e.toLowerCase()] ?? m;
+    const cp = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+    return cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+  });
+}
+
+// Block-level tags become blank lines and headings become markdown headings, so the result
+// splits like any other text.
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (m, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/\s+/g, ' ')}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|li|ul|ol|dl|dt|dd|tr|table|section|article|blockquote|pre)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t\u00a0]+/g, ' ');
+}
+
+// The text clause offsets point into: LF line endings, no trailing spaces, at most one blank line.
+export function normalizeDocument(source, format) {
+  let text = String(source ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  if (format === 'html') text = htmlToText(text);
+  return text.replace(/[ \t]+$/gm, '').replace(/^[ \t]+(?=\S)/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export function sourceDigest(source) {
+  return crypto.createHash('sha256').update(String(source ?? '')).digest('hex');
+}
+
+// "SEC. 101. DEFINITIONS." and friends. The keyword must be capitalized so a wrapped sentence
+// starting with "section 5 of …" isn't taken for a heading.
+const SECTION_LINE = /^(§§?|SEC\.|Sec\.|SECTION|Section|ARTICLE|Article|PART|Part|CHAPTER|Chapter|TITLE|Title)\s*([0-9][0-9A-Za-z.\-]*?|[IVXLC]+|[A-Z])\.?(?:\s+|$|(?=[—–:]))(?:[—–:-]\s*)?(.*)$/;
+const SECTION_LEVELS = { title: 1, chapter: 2, part: 3, article: 3 }; // anything else is a section (4)
+const ENUMERATED = /^((?:\((?:\d{1,3}|[A-Za-z]{1,5})\)\s*)+)/;
+const LIST_ITEM = /^(?:[-*+]|(\d{1,3})[.)])\s+/;
+
+function sectionLine(line) {
+  const m = SECTION_LINE.exec(line);
+  if (!m || /^[a-z]/.test(m[3])) return null;
+  const keyword = m[1].replace('.', '').toLowerCase();
+  const named = keyword.startsWith('§') || keyword.startsWith('sec');
+  return {
+    number: named ? `§ ${m[2]}` : `${m[1][0]}${m[1].slice(1).toLowerCase()} ${m[2]}`,
+    heading: m[3].trim(),
+    level: SECTION_LEVELS[keyword] ?? 4
+  };
+}
+
+// ---------- enumerator nesting ----------
+// Statutes nest (a) → (1) → (A) → (i) → (I). A label continues the sequence at some level of the
+// current stack, opens a new deeper level, or restarts a level of its kind.
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+function romanValue(s) {
+  const digits = [...s.toLowerCase()].map(c => ROMAN[c]);
+  return digits.reduce((n, d, i) => n + (d < (digits[i + 1] ?? 0) ? -d : d), 0);
+}
+
+function labelKinds(label) {
+  const kinds = [];
+  if (/^\d+$/.test(label)) kinds.push(['digit', Number(label)]);
+  if (/^[ivxlc]+$/.test(label)) kinds.push(['roman', romanValue(label)]);
+  if (/^[IVXLC]+$/.test(label)) kinds.push(['ROMAN', romanValue(label)]);
+  if (/^([a-z])\1*$/.test(label)) kinds.push(['lower', (label.length - 1) * 26 + label.charCodeAt(0) - 96]);
+  if (/^([A-Z])\1*$/.test(label)) kinds.push(['upper', (label.length - 1) * 26 + label.charCodeAt(0) - 64]);
+  return kinds;
+}
+
+function placeLabel(stack, label, kinds) {
+  const replaceAt = (k, kind, ordinal) => stack.splice(k, stack.length - k, { kind, ordinal, label, index: null });
+  for (let k = stack.length - 1; k >= 0; k--) {
+    const next = kinds.find(([kind, ordinal]) => kind === stack[k].kind && ordinal === stack[k].ordinal + 1);
+    if (next) return replaceAt(k, ...next);
+  }
+  const opening = kinds.find(([kind, ordinal]) => ordinal === 1 && !stack.some(l => l.kind === kind));
+  if (opening) return replaceAt(stack.length, ...opening);
+  for (let k = stack.length - 1; k >= 0; k--) {
+    const same = kinds.find(([kind]) => kind === stack[k].kind);
+    if (same) return replaceAt(k, ...same);
+  }
+  replaceAt(stack.length, ...kinds[0]);
+}
+
+// Returns { text, items } where text is the normalized document and items are sections and
+// clauses in document order: { kind, number, heading, text, depth, parent, start, end }.
+// `parent` is the index of the enclosing item; `start`/`end` are offsets into text.
+export function parsePolicyDocument(source, format) {
+  if (!DOCUMENT_FORMATS.includes(format)) throw new DocumentError(`Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`);
+  if (String(source ?? '').length > MAX_DOCUMENT_CHARS) throw new DocumentError(`The document is over ${MAX_DOCUMENT_CHARS.toLocaleString('en-US')} characters; split it into parts.`);
+  const text = normalizeDocument(source, format);
+  if (!text) throw new DocumentError('The document has no text.');
+
+  const items = [];
+  const sections = []; // open sections, outermost first: { level, index }
+  let stack = [];      // enumerator levels of the current section
+  let section = null;
+  let paragraphs = 0;
+  let autoNumber = 0;
+  let block = null;    // clause still collecting continuation lines
+  const used = new Map();
+
+  const unique = (number) => {
+    const n = (used.get(number) ?? 0) + 1;
+    used.set(number, n);
+    return n === 1 ? number : `${number} [${n}]`;
+  };
+
+  const openSection = ({ number, heading, level }, start, end) => {
+    while (sections.length && sections[sections.length - 1].level >= level) sections.pop();
+    const parent = sections.length ? sections[sections.length - 1].index : null;
+    section = {
+      kind: 'section',
+      number: unique(number ?? `#${++autoNumber}`), // own namespace: can't collide with explicit numbers
+      heading: heading || null,
+      text: heading || '',
+      depth: sections.length,
+      parent,
+      start,
+      end
+    };
+    sections.push({ level, index: items.length });
+    items.push(section);
+    stack = [];
+    paragraphs = 0;
+  };
+
+  const openClause = (labels, start, end) => {
+    const prefix = section ? section.number : '';
+    let number;
+    let parent = section ? items.indexOf(section) : null;
+    let depth = section ? section.depth + 1 : 0;
+    if (labels.length) {
+      for (const label of labels) placeLabel(stack, label, labelKinds(label));
+      number = `${prefix}${stack.map(l => `(${l.label})`).join('')}`;
+      const enclosing = stack.slice(0, -1).reverse().find(l => l.index !== null);
+      if (enclosing) parent = enclosing.index;
+      depth += stack.length - 1;
+      stack[stack.length - 1].index = items.length;
+    } else {
+      number = `${prefix}${prefix ? ' ' : ''}¶${++paragraphs}`;
+    }
+    block = { kind: 'clause', number: unique(number), heading: null, text: '', depth, parent, start, end };
+    items.push(block);
+  };
+
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const start = offset;
+    const end = start + line.length;
+    offset = end + 1;
+
+    if (!line) {
+      block = null;
+      continue;
+    }
+
+    const md = /^(#{1,6})\s+(.*?)[\s#]*$/.exec(line);
+    if (md) {
+      block = null;
+      const named = sectionLine(md[2]);
+      const numbered = !named && /^(\d+(?:\.\d+)*)\.?\s+(.*)$/.exec(md[2]);
+      const level = md[1].length;
+      if (named) openSection({ ...named, level }, start, end);
+      else if (numbered) openSection({ number: numbered[1], heading: numbered[2], level }, start, end);
+      else openSection({ heading: md[2], level }, start, end);
+      continue;
+    }
+
+    // Mid-paragraph, only an all-caps heading line starts a section
+    const sec = sectionLine(line);
+    if (sec && (!block || sec.heading === sec.heading.toUpperCase())) {
+      block = null;
+      // "Sec. 2. (a) In general.—…": the heading line can open the first clause too
+      const inline = ENUMERATED.exec(sec.heading);
+      const inlineLabels = inline ? [...inline[1].matchAll(/\(([^)]+)\)/g)].map(m => m[1]) : [];
+      const opens = inlineLabels.length && inlineLabels.every(l => labelKinds(l).length);
+      openSection({ ...sec, heading: opens ? null : sec.heading }, start, end);
+      if (opens) openClause(inlineLabels, end - sec.heading.length, end);
+      continue;
+    }
+
+    const enumerated = ENUMERATED.exec(line);
+    const labels = enumerated ? [...enumerated[1].matchAll(/\(([^)]+)\)/g)].map(m => m[1]) : [];
+    if (labels.length && labels.every(l => labelKinds(l).length)) {
+      openClause(labels, start, end);
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item) {
+      const skip = item[1] ? 0 : item[0].length; // keep "1." (it is the label), drop bullets
+      openClause(item[1] ? [item[1]] : [], start + skip, end);
+      continue;
+    }
+
+    if (block) block.end = end;
+    else openClause([], start, end);
+  }
+
+  for (const item of items) {
+    if (item.kind === 'clause') item.text = text.slice(item.start, item.end);
+  }
+  return { text, items };
+}
+
+// Coverage per clause row ({ id, parent_id } in document order) given the ids cited by live
+// requirements: 'cited' directly, 'inherited' from a cited section / enclosing clause,
+// 'partial' when only something inside it is cited, otherwise 'uncovered'.
+export function clauseCoverage(clauses, citedIds) {
+  const state = new Map();
+  for (const c of clauses) {
+    if (citedIds.has(c.id)) state.set(c.id, 'cited');
+    else if (c.parent_id && ['cited', 'inherited'].includes(state.get(c.parent_id))) state.set(c.id, 'inherited');
+    else state.set(c.id, 'uncovered');
+  }
+  for (const c of [...clauses].reverse()) {
+    if (c.parent_id && state.get(c.parent_id) === 'uncovered' && state.get(c.id) !== 'uncovered') state.set(c.parent_id, 'partial');
+  }
+  return state;
+}
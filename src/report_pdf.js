@@ -0,0 +1,250 @@
+import PDFDocument from 'pdfkit';
+import { gateResultText } from './reports.js';
+
+// PDF version of the Policy Implementation Report. Takes the same report as the renderers in
+// reports.js and lays it out with pdfkit's built-in fonts, so nothing outside the process is
+// needed. Headers and page numbers are stamped once all pages exist (bufferPages).
+
+const MARGIN = 56;
+const HEADER_SPACE = 28;
+const COLORS = { text: '#1a1f36', muted: '#5b6382', rule: '#c9cedd', code: '#f3f5f9', bad: '#b03a2e' };
+
+// The standard PDF fonts only cover WinAnsi; swap the few symbols users tend to type.
+const REPLACEMENTS = { '→': '->', '←': '<-', '≥': '>=', '≤': '<=', '≠': '!=', '✓': 'yes', '✗': 'no', '•': '-' };
+function clean(s) {
+  return String(s ?? '').replace(/[→←≥≤≠✓✗•]/g, c => REPLACEMENTS[c]);
+}
+
+function firstLine(text) {
+  return String(text).split('\n')[0];
+}
+
+function evidenceLine(ev) {
+  return `${ev.kind}: ${ev.ref}${ev.status ? ` (${ev.status})` : ''}${ev.rule_version ? ` [v${ev.rule_version}]` : ''}${ev.notes ? ` — ${ev.notes}` : ''}`;
+}
+
+// Everyone who signed off a current decision, with what they signed and when.
+function approversOf(report) {
+  const byName = new Map();
+  for (const r of report.requirements) {
+    for (const d of r.decisions) {
+      if (!d.signed_off) continue;
+      const key = d.approved_by.trim().toLowerCase();
+      if (!byName.has(key)) byName.set(key, { name: d.approved_by, decisions: [] });
+      byName.get(key).decisions.push({ id: d.id, decision: firstLine(d.decision), approved_at: d.approved_at });
+    }
+  }
+  return [...byName.values()];
+}
+
+export function renderPdfReport(report) {
+  const { policy, summary, audit } = report;
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    bufferPages: true,
+    margins: { top: MARGIN + HEADER_SPACE, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    info: { Title: `Policy Implementation Report — ${policy.title}`, Subject: `Policy ${policy.id}`, Creator: 'Policy-to-Code' }
+  });
+  const chunks = [];
+  doc.on('data', c => chunks.push(c));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const ensureRoom = (h) => { if (doc.y + h > bottom()) doc.addPage(); };
+
+  const heading = (text, size) => {
+    ensureRoom(size * 4);
+    doc.moveDown(0.6).font('Helvetica-Bold').fontSize(size).fillColor(COLORS.text).text(clean(text), { width });
+    doc.moveDown(0.3);
+  };
+  const para = (text, opts = {}) => {
+    doc.font(opts.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(opts.size ?? 10).fillColor(opts.color ?? COLORS.text)
+      .text(clean(text), MARGIN + (opts.indent ?? 0), doc.y, { width: width - (opts.indent ?? 0) });
+    if (opts.gap !== false) doc.moveDown(0.35);
+  };
+  const field = (label, value, indent = 0, mono = false) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted)
+      .text(`${label}: `, MARGIN + indent, doc.y, { width: width - indent, continued: true })
+      .font(mono ? 'Courier' : 'Helvetica').fontSize(mono ? 9 : 10).fillColor(COLORS.text).text(clean(value));
+  };
+  const bullets = (items, indent = 0) => {
+    for (const item of items) para(`-  ${item}`, { indent: indent + 8, gap: false });
+    doc.moveDown(0.35);
+  };
+  const code = (text, indent = 0) => {
+    doc.font('Courier').fontSize(9);
+    const w = width - indent - 12;
+    const h = doc.heightOfString(clean(text), { width: w }) + 10;
+    ensureRoom(Math.min(h, 200));
+    const top = doc.y;
+    if (top + h <= bottom()) doc.rect(MARGIN + indent, top, width - indent, h).fill(COLORS.code);
+    doc.fillColor(COLORS.text).text(clean(text), MARGIN + indent + 6, top + 5, { width: w });
+    doc.x = MARGIN;
+    doc.moveDown(0.5);
+  };
+  const hr = () => {
+    doc.moveDown(0.3);
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    doc.moveDown(0.5);
+  };
+
+  // ---------- Title page content ----------
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(COLORS.text).text('Policy Implementation Report', { width });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(14).text(clean(policy.title), { width });
+  doc.moveDown(0.8);
+  field('Policy ID', policy.id);
+  field('Jurisdiction', policy.jurisdiction || '—');
+  field('Program', policy.program || '—');
+  field('Effective date', policy.effective_date || '—');
+  field('Citation', policy.source_citation || '—');
+  field('Generated at', report.generated_at);
+  field('Audit log', audit.ok
+    ? `intact (${audit.entries} entries for this policy${audit.head ? `, latest ${audit.head}` : ''})`
+    : `BROKEN at entry #${audit.broken.seq}: ${audit.broken.reason}`);
+  doc.moveDown(0.6);
+  bullets([
+    `Traceability gate: ${report.gate.text}`,
+    `Requirements fully traceable: ${summary.traceable}/${summary.requirements}${summary.exempt ? ` (${summary.exempt} exempt)` : ''}`,
+    `Decisions signed off: ${summary.decisionsApproved}/${summary.decisions}`,
+    `Rules: ${summary.rules}`,
+    `Tests passing: ${summary.testsPassing}/${summary.tests} (${summary.testsFailing} failing, ${summary.testsNeverRun} never run)`,
+    `Evidence items: ${summary.evidence}`
+  ]);
+
+  // ---------- Requirements ----------
+  heading('Requirements', 16);
+  for (const r of report.requirements) {
+    hr();
+    heading(`Requirement: ${r.id}`, 13);
+    para(r.statement);
+    field('Status', r.status);
+    if (r.tags) field('Tags', r.tags);
+    field('Traceability', gateResultText(r.coverage));
+    doc.moveDown(0.4);
+
+    if (r.has_history) {
+      para('Decision timeline', { bold: true });
+      bullets(r.timeline.map(e =>
+        `${e.at} — ${firstLine(e.decision)} (${e.decision_id}): ${e.kind}${e.by ? ` (${e.by})` : ''}${e.comment ? ` — ${e.comment}` : ''}`));
+    }
+    if (!r.decisions.length) {
+      para(r.has_history ? 'No current decision recorded.' : 'No decisions recorded yet.', { color: COLORS.muted });
+      continue;
+    }
+
+    for (const d of r.decisions) {
+      heading(`Decision (ADR): ${d.id}`, 11.5);
+      field('Status', d.status_text);
+      if (d.supersedes_id) field('Supersedes', d.supersedes_id);
+      field('Owner', d.owner || '—');
+      if (d.signed_off) {
+        field('Approved by', `${d.approved_by} at ${d.approved_at}`);
+        if (d.approval_comment) field('Approval comment', d.approval_comment);
+      }
+      doc.moveDown(0.4);
+      para('Decision', { bold: true, gap: false });
+      para(d.decision);
+      if (d.rationale) { para('Rationale', { bold: true, gap: false }); para(d.rationale); }
+      if (d.alternatives) { para('Alternatives', { bold: true, gap: false }); para(d.alternatives); }
+      if (d.mappings.length) {
+        para('Architecture mappings (Decision)', { bold: true, gap: false });
+        bullets(d.mappings.map(m => `${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}`));
+      }
+      if (d.evidence.length) {
+        para('Evidence (Decision)', { bold: true, gap: false });
+        bullets(d.evidence.map(evidenceLine));
+      }
+
+      if (!d.rules.length) {
+        para('No rules recorded for this decision yet.', { color: COLORS.muted });
+        continue;
+      }
+
+      for (const rule of d.rules) {
+        heading(`Rule: ${rule.name} (v${rule.version})`, 10.5);
+        field('Rule ID', rule.id, 12);
+        if (rule.previous_version) field('Previous version', `v${rule.previous_version.version} (${rule.previous_version.id})`, 12);
+        if (rule.inputs) field('Inputs', rule.inputs, 12, true);
+        if (rule.exceptions) field('Exceptions', rule.exceptions, 12, true);
+        doc.moveDown(0.3);
+        code(rule.definition_text, 12);
+        const pe = rule.parse_error;
+        if (pe) para(`Definition does not parse: line ${pe.line}, column ${pe.column}: ${pe.message}`, { indent: 12, color: COLORS.bad });
+        if (rule.mappings.length) {
+          para('Architecture mappings (Rule)', { bold: true, indent: 12, gap: false });
+          bullets(rule.mappings.map(m => `${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}`), 12);
+        }
+        if (rule.evidence.length) {
+          para('Evidence (Rule)', { bold: true, indent: 12, gap: false });
+          bullets(rule.evidence.map(evidenceLine), 12);
+        }
+
+        para(`Test Cases (${rule.test_cases.length})`, { bold: true, indent: 12 });
+        if (!rule.test_cases.length) para('No test cases recorded yet.', { indent: 12, color: COLORS.muted });
+        for (const tc of rule.test_cases) {
+          ensureRoom(60);
+          para(tc.name, { bold: true, indent: 20, gap: false });
+          if (tc.rule_version) field('Recorded against', `v${tc.rule_version}`, 28);
+          field('Given', tc.given_json, 28, true);
+          field('Expected', tc.expected_json, 28, true);
+          if (tc.notes) field('Notes', tc.notes, 28);
+          const run = tc.last_run;
+          field('Last run', run
+            ? `${run.verdict.toUpperCase()} at ${run.ran_at} (v${run.rule_version}${run.stale ? ', rule or test case changed since' : ''})`
+            : 'never run', 28);
+          doc.moveDown(0.4);
+        }
+      }
+    }
+  }
+
+  // ---------- Signature block ----------
+  doc.addPage();
+  heading('Approvals', 16);
+  para(`By signing below, each approver confirms the decisions they signed off in this report for policy ${policy.id} as generated at ${report.generated_at}.`, { color: COLORS.muted });
+  const approvers = approversOf(report);
+  const blanks = approvers.length ? approvers : [{ name: '', decisions: [] }, { name: '', decisions: [] }];
+  for (const a of blanks) {
+    ensureRoom(110 + a.decisions.length * 14);
+    doc.moveDown(0.8);
+    if (a.name) {
+      para(a.name, { bold: true, gap: false });
+      bullets(a.decisions.map(d => `Signed off ${d.id} (${d.decision}) at ${d.approved_at}`));
+    }
+    doc.moveDown(1.2);
+    const y = doc.y;
+    doc.lineWidth(0.75).strokeColor(COLORS.text);
+    doc.moveTo(MARGIN, y).lineTo(MARGIN + width * 0.55, y).stroke();
+    doc.moveTo(MARGIN + width * 0.65, y).lineTo(MARGIN + width, y).stroke();
+    doc.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted);
+    doc.text(a.name ? `Signature — ${clean(a.name)}` : 'Name and signature', MARGIN, y + 4, { width: width * 0.55 });
+    doc.text('Date', MARGIN + width * 0.65, y + 4, { width: width * 0.35 });
+    doc.x = MARGIN;
+    doc.moveDown(0.8);
+  }
+
+  // ---------- Headers and footers on every page ----------
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { margins } = doc.page;
+    const saved = margins.bottom;
+    margins.bottom = 0; // writing inside the margin must not start a new page
+    doc.font('Helvetica').fontSize(8.5).fillColor(COLORS.muted);
+    doc.text(clean(policy.title), MARGIN, MARGIN - 20, { width: width * 0.7, lineBreak: false, ellipsis: true });
+    doc.text(`Policy ${policy.id}`, MARGIN + width * 0.7, MARGIN - 20, { width: width * 0.3, align: 'right', lineBreak: false });
+    doc.moveTo(MARGIN, MARGIN - 6).lineTo(MARGIN + width, MARGIN - 6).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    const footerY = doc.page.height - MARGIN + 18;
+    doc.text(`Generated ${report.generated_at}`, MARGIN, footerY, { width: width / 2, lineBreak: false });
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, MARGIN + width / 2, footerY, { width: width / 2, align: 'right', lineBreak: false });
+    margins.bottom = saved;
+  }
+
+  doc.end();
+  return done;
+}
@@ -0,0 +1,371 @@
+// Renderers for the policy export. Both take the plain report built by buildReport() in
+// server.js, so the Markdown report and the HTML audit packet always show the same data.
+
+function esc(s) {
+  return String(s ?? '')
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
+
+const firstLine = (text) => String(text).split('\n')[0];
+
+const evidenceLine = (ev) =>
+  `${ev.kind}: ${ev.ref}${ev.status ? ` (${ev.status})` : ''}${ev.rule_version ? ` [v${ev.rule_version}]` : ''}${ev.notes ? ` — ${ev.notes}` : ''}`;
+
+// "traceable", "exempt" or "fails: no rule; no evidence" under the policy's gate
+export const gateResultText = (coverage) => {
+  if (coverage.exempt) return 'exempt';
+  return coverage.fullyTraceable ? 'traceable' : `fails: ${coverage.failures.map(f => f.message).join('; ')}`;
+};
+
+const lastRunText = (run) => run
+  ? `${run.verdict.toUpperCase()} at ${run.ran_at} (v${run.rule_version}${run.stale ? ', rule or test case changed since' : ''})`
+  : 'never run';
+
+// ---------- Markdown ----------
+export function renderMarkdownReport(report) {
+  const { policy } = report;
+  let out = '';
+  out += `# Policy Implementation Report\n\n`;
+  out += `- **Title:** ${policy.title}\n`;
+  out += `- **Policy ID:** ${policy.id}\n`;
+  out += `- **Jurisdiction:** ${policy.jurisdiction || '—'}\n`;
+  out += `- **Program:** ${policy.program || '—'}\n`;
+  out += `- **Effective date:** ${policy.effective_date || '—'}\n`;
+  out += `- **Citation:** ${policy.source_citation || '—'}\n`;
+  out += `- **Traceability gate:** ${report.gate.text}\n`;
+  out += `- **Requirements fully traceable:** ${report.summary.traceable}/${report.summary.requirements}${report.summary.exempt ? ` (${report.summary.exempt} exempt)` : ''}\n\n`;
+
+  out += `## Requirements\n\n`;
+
+  for (const r of report.requirements) {
+    out += `### Requirement: ${r.id}\n\n`;
+    out += `${r.statement}\n\n`;
+    out += `- Status: ${r.status}\n`;
+    if (r.tags) out += `- Tags: ${r.tags}\n`;
+    out += `- Traceability: ${gateResultText(r.coverage)}\n`;
+    out += `\n`;
+
+    // Only current decisions in full; superseded ones appear in the timeline
+    if (r.has_history) {
+      out += `**Decision timeline**\n\n`;
+      for (const e of r.timeline) {
+        out += `- ${e.at} — ${firstLine(e.decision)} (${e.decision_id}): ${e.kind}${e.by ? ` (${e.by})` : ''}${e.comment ? ` — ${e.comment}` : ''}\n`;
+      }
+      out += `\n`;
+    }
+    if (!r.decisions.length) {
+      out += r.has_history ? `> No current decision recorded.\n\n` : `> No decisions recorded yet.\n\n`;
+      continue;
+    }
+
+    for (const d of r.decisions) {
+      out += `#### Decision (ADR): ${d.id}\n\n`;
+      out += `- Status: ${d.status_text}\n`;
+      if (d.supersedes_id) out += `- Supersedes: ${d.supersedes_id}\n`;
+      out += `- Owner: ${d.owner || '—'}\n`;
+      if (d.signed_off) {
+        out += `- Approved by: ${d.approved_by} at ${d.approved_at}\n`;
+        if (d.approval_comment) out += `- Approval comment: ${d.approval_comment}\n`;
+      }
+      out += `\n`;
+      out += `**Decision:**\n\n${d.decision}\n\n`;
+      if (d.rationale) out += `**Rationale:**\n\n${d.rationale}\n\n`;
+      if (d.alternatives) out += `**Alternatives:**\n\n${d.alternatives}\n\n`;
+
+      if (d.mappings.length) {
+        out += `**Architecture mappings (Decision)**\n\n`;
+        for (const m of d.mappings) {
+          out += `- ${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}\n`;
+        }
+        out += `\n`;
+      }
+
+      if (d.evidence.length) {
+        out += `**Evidence (Decision)**\n\n`;
+        for (const ev of d.evidence) out += `- ${evidenceLine(ev)}\n`;
+        out += `\n`;
+      }
+
+      if (!d.rules.length) {
+        out += `> No rules recorded for this decision yet.\n\n`;
+        continue;
+      }
+
+      for (const rule of d.rules) {
+        out += `##### Rule: ${rule.name} (v${rule.version})\n\n`;
+        out += `- Rule ID: ${rule.id}\n`;
+        if (rule.previous_version) out += `- Previous version: v${rule.previous_version.version} (${rule.previous_version.id})\n`;
+        if (rule.inputs) out += `- Inputs: ${rule.inputs}\n`;
+        if (rule.exceptions) out += `- Exceptions: ${rule.exceptions}\n`;
+        out += `\n`;
+        out += "```\n" + rule.definition_text + "\n```\n\n";
+        const pe = rule.parse_error;
+        if (pe) out += `> Definition does not parse: line ${pe.line}, column ${pe.column}: ${pe.message}\n\n`;
+
+        if (rule.mappings.length) {
+          out += `**Architecture mappings (Rule)**\n\n`;
+          for (const m of rule.mappings) {
+            out += `- ${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}\n`;
+          }
+          out += `\n`;
+        }
+
+        if (rule.evidence.length) {
+          out += `**Evidence (Rule)**\n\n`;
+          for (const ev of rule.evidence) out += `- ${evidenceLine(ev)}\n`;
+          out += `\n`;
+        }
+
+        out += `**Test Cases (${rule.test_cases.length})**\n\n`;
+        if (!rule.test_cases.length) {
+          out += `> No test cases recorded yet.\n\n`;
+        } else {
+          for (const tc of rule.test_cases) {
+            out += `- ${tc.name}\n`;
+            if (tc.rule_version) out += `  - Recorded against: v${tc.rule_version}\n`;
+            out += `  - Given: \`${tc.given_json}\`\n`;
+            out += `  - Expected: \`${tc.expected_json}\`\n`;
+            if (tc.notes) out += `  - Notes: ${tc.notes}\n`;
+            out += `  - Last run: ${lastRunText(tc.last_run)}\n`;
+          }
+          out += `\n`;
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+// ---------- HTML audit packet ----------
+// One offline file: styles (and a few lines of script for expand/collapse and printing) inline,
+// no external requests.
+const PACKET_CSS = `
+  :root { --text:#1a1f36; --muted:#5b6382; --border:#d5d9e6; --ok:#1e8e5a; --bad:#c0392b; --warn:#b7791f; --bg-alt:#f5f7fb; }
+  * { box-sizing: border-box; }
+  body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; color: var(--text); margin: 0; line-height: 1.45; }
+  main { max-width: 1100px; margin: 0 auto; padding: 32px 40px; }
+  h1, h2, h3 { line-height: 1.2; }
+  h2 { border-bottom: 2px solid var(--border); padding-bottom: 6px; margin-top: 40px; }
+  a { color: #2550b0; }
+  .muted { color: var(--muted); }
+  .small { font-size: 12px; }
+  .mono, pre, code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; }
+  pre { background: var(--bg-alt); border: 1px solid var(--border); border-radius: 6px; padding: 10px; white-space: pre-wrap; margin: 6px 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--border); vertical-align: top; }
+  th { background: var(--bg-alt); }
+  .cover { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; border-bottom: 4px solid var(--text); }
+  .cover h1 { font-size: 36px; margin: 8px 0; }
+  .kvs { display: grid; grid-template-columns: 180px 1fr; gap: 6px 16px; margin: 16px 0; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 24px; }
+  .kpi { border: 1px solid var(--border); border-radius: 8px; padding: 12px; }
+  .kpi .v { font-size: 24px; font-weight: 700; }
+  .yes { color: var(--ok); font-weight: 600; }
+  .no { color: var(--bad); font-weight: 600; }
+  .pill { display: inline-block; padding: 1px 8px; border: 1px solid var(--border); border-radius: 999px; font-size: 11px; color: var(--muted); }
+  .pass { color: var(--ok); border-color: var(--ok); }
+  .fail { color: var(--bad); border-color: var(--bad); }
+  .error, .stale { color: var(--warn); border-color: var(--warn); }
+  details { border-left: 2px solid var(--border); margin: 6px 0 6px 4px; padding-left: 12px; }
+  summary { cursor: pointer; padding: 4px 0; }
+  .toc ol { padding-left: 20px; }
+  .toolbar { margin: 8px 0 16px 0; }
+  .toolbar button { font: inherit; padding: 4px 10px; border: 1px solid var(--border); border-radius: 6px; background: white; cursor: pointer; }
+  footer { margin-top: 48px; border-top: 1px solid var(--border); padding-top: 8px; }
+  @media print {
+    main { padding: 0; max-width: none; }
+    .toolbar { display: none; }
+    .page-break { break-before: page; }
+    a { color: inherit; text-decoration: none; }
+  }
+`;
+
+const PACKET_SCRIPT = `
+  function setAll(open) { document.querySelectorAll('details').forEach(function (d) { d.open = open; }); }
+  window.addEventListener('beforeprint', function () { setAll(true); });
+`;
+
+const yesNo = (v) => (v ? '<span class="yes">✓</span>' : '<span class="no">✗</span>');
+const pct = (n, d) => (d ? Math.round((n / d) * 100) : 0);
+
+function verdictBadge(run) {
+  if (!run) return '<span class="pill">never run</span>';
+  return `<span class="pill ${esc(run.verdict)}">${esc(run.verdict)}</span>${run.stale ? ' <span class="pill stale">rule or test case changed since</span>' : ''}`;
+}
+
+function evidenceList(items) {
+  if (!items.length) return '';
+  return `<div class="small"><strong>Evidence</strong><ul>${items.map(ev => `<li>${esc(evidenceLine(ev))}</li>`).join('')}</ul></div>`;
+}
+
+function mappingList(items) {
+  if (!items.length) return '';
+  return `<div class="small"><strong>Architecture mappings</strong><ul>${items.map(m => `<li>${esc(m.type)}: ${esc(m.ref)}${m.notes ? ` — ${esc(m.notes)}` : ''}</li>`).join('')}</ul></div>`;
+}
+
+function ruleNode(rule) {
+  const pe = rule.parse_error;
+  return `
+    <details>
+      <summary><strong>Rule:</strong> ${esc(rule.name)} <span class="muted">v${esc(rule.version)}</span> <span class="muted small">(${rule.test_cases.length} test case(s))</span></summary>
+      <div class="small muted">Rule ID <span class="mono">${esc(rule.id)}</span>${rule.previous_version ? ` • previous version v${esc(rule.previous_version.version)}` : ''}</div>
+      ${rule.inputs ? `<div class="small">Inputs: <span class="mono">${esc(rule.inputs)}</span></div>` : ''}
+      ${rule.exceptions ? `<div class="small">Exceptions: <span class="mono">${esc(rule.exceptions)}</span></div>` : ''}
+      <pre>${esc(rule.definition_text)}</pre>
+      ${pe ? `<div class="small no">Definition does not parse: line ${pe.line}, column ${pe.column}: ${esc(pe.message)}</div>` : ''}
+      ${mappingList(rule.mappings)}
+      ${evidenceList(rule.evidence)}
+      ${rule.test_cases.map(tc => `
+        <details>
+          <summary><strong>Test:</strong> ${esc(tc.name)} ${verdictBadge(tc.last_run)}</summary>
+          ${tc.rule_version ? `<div class="small muted">Recorded against v${esc(tc.rule_version)}</div>` : ''}
+          <div class="small">Given</div><pre>${esc(tc.given_json)}</pre>
+          <div class="small">Expected</div><pre>${esc(tc.expected_json)}</pre>
+          ${tc.last_run?.verdict === 'fail' ? `<div class="small">Actual (last run)</div><pre>${esc(tc.last_run.actual_json ?? 'null')}</pre>` : ''}
+          ${tc.last_run?.verdict === 'error' ? `<div class="small no">${esc(tc.last_run.error)}</div>` : ''}
+          ${tc.notes ? `<div class="small muted">${esc(tc.notes)}</div>` : ''}
+          <div class="small muted">Last run: ${esc(lastRunText(tc.last_run))}</div>
+        </details>
+      `).join('') || '<div class="small muted">No test cases recorded yet.</div>'}
+    </details>
+  `;
+}
+
+function decisionNode(d) {
+  return `
+    <details>
+      <summary><strong>Decision:</strong> ${esc(firstLine(d.decision).slice(0, 120))} <span class="pill">${esc(d.status_text)}</span></summary>
+      <div class="small muted">Decision ID <span class="mono">${esc(d.id)}</span> • owner ${esc(d.owner || '—')}${d.supersedes_id ? ` • supersedes <span class="mono">${esc(d.supersedes_id)}</span>` : ''}</div>
+      ${d.signed_off ? `<div class="small">Approved by ${esc(d.approved_by)} at ${esc(d.approved_at)}${d.approval_comment ? ` — “${esc(d.approval_comment)}”` : ''}</div>` : ''}
+      <p style="white-space:pre-wrap">${esc(d.decision)}</p>
+      ${d.rationale ? `<div class="small"><strong>Rationale</strong></div><p class="small" style="white-space:pre-wrap">${esc(d.rationale)}</p>` : ''}
+      ${d.alternatives ? `<div class="small"><strong>Alternatives</strong></div><p class="small" style="white-space:pre-wrap">${esc(d.alternatives)}</p>` : ''}
+      ${mappingList(d.mappings)}
+      ${evidenceList(d.evidence)}
+      ${d.rules.map(ruleNode).join('') || '<div class="small muted">No rules recorded for this decision yet.</div>'}
+    </details>
+  `;
+}
+
+export function renderHtmlPacket(report) {
+  const { policy, summary, audit } = report;
+  const reqs = report.requirements;
+  const tests = reqs.flatMap((r, i) => r.decisions.flatMap(d => d.rules.flatMap(rule =>
+    rule.test_cases.map(tc => ({ req: i + 1, rule, tc })))));
+
+  const body = `
+    <section class="cover">
+      <div class="muted">Policy Implementation Report — Audit Packet</div>
+      <h1>${esc(policy.title)}</h1>
+      <div class="kvs">
+        <div class="muted">Policy ID</div><div class="mono">${esc(policy.id)}</div>
+        <div class="muted">Jurisdiction</div><div>${esc(policy.jurisdiction || '—')}</div>
+        <div class="muted">Program</div><div>${esc(policy.program || '—')}</div>
+        <div class="muted">Effective date</div><div>${esc(policy.effective_date || '—')}</div>
+        <div class="muted">Citation</div><div>${esc(policy.source_citation || '—')}</div>
+        <div class="muted">Generated at</div><div class="mono">${esc(report.generated_at)}</div>
+        <div class="muted">Audit log</div><div>${audit.ok
+          ? `intact — ${audit.entries} entries for this policy${audit.head ? `, latest <span class="mono">${esc(audit.head)}</span>` : ''}`
+          : `<span class="no">broken at entry #${audit.broken.seq}: ${esc(audit.broken.reason)}</span>`}</div>
+      </div>
+      <div class="kpis">
+        <div class="kpi"><div class="muted small">Requirements traceable</div><div class="v">${summary.traceable}/${summary.requirements}</div><div class="small muted">${pct(summary.traceable, summary.requirements)}%</div></div>
+        <div class="kpi"><div class="muted small">Decisions signed off</div><div class="v">${summary.decisionsApproved}/${summary.decisions}</div><div class="small muted">${pct(summary.decisionsApproved, summary.decisions)}%</div></div>
+        <div class="kpi"><div class="muted small">Tests passing</div><div class="v">${summary.testsPassing}/${summary.tests}</div><div class="small muted">${summary.testsFailing} failing • ${summary.testsNeverRun} never run</div></div>
+        <div class="kpi"><div class="muted small">Evidence items</div><div class="v">${summary.evidence}</div><div class="small muted">${summary.rules} rule(s)</div></div>
+      </div>
+    </section>
+
+    <section class="toc page-break">
+      <h2>Contents</h2>
+      <ol>
+        <li><a href="#matrix">Traceability matrix</a></li>
+        <li><a href="#tree">Requirements in detail</a>
+          <ol>${reqs.map((r, i) => `<li><a href="#req-${i + 1}">R${i + 1}: ${esc(firstLine(r.statement).slice(0, 90))}</a></li>`).join('')}</ol>
+        </li>
+        <li><a href="#tests">Latest test results</a></li>
+      </ol>
+    </section>
+
+    <section id="matrix" class="page-break">
+      <h2>1. Traceability matrix</h2>
+      <p class="small muted">A requirement is traceable when it passes the policy's gate: ${esc(report.gate.text)}.${summary.exempt ? ` ${summary.exempt} exempt requirement(s) are not counted.` : ''}</p>
+      <table>
+        <thead><tr><th>#</th><th>Requirement</th><th>Decision signed off</th><th>Rule</th><th>Tests passing</th><th>Evidence</th><th>Traceable</th></tr></thead>
+        <tbody>
+          ${reqs.map((r, i) => `
+            <tr>
+              <td><a href="#req-${i + 1}">R${i + 1}</a></td>
+              <td>${esc(r.statement)}</td>
+              <td>${yesNo(r.coverage.hasDecisionApproved)}</td>
+              <td>${yesNo(r.coverage.hasRule)}</td>
+              <td>${yesNo(r.coverage.hasPassingTests)} <span class="small muted">${r.coverage.tests.passing}/${r.coverage.tests.total}</span></td>
+              <td>${yesNo(r.coverage.hasEvidence)} <span class="small muted">${r.coverage.evidenceCount}</span></td>
+              <td>${r.coverage.exempt ? '<span class="pill">exempt</span>' : yesNo(r.coverage.fullyTraceable)}${r.coverage.failures.map(f => `<div class="small no">${esc(f.message)}</div>`).join('')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </section>
+
+    <section id="tree" class="page-break">
+      <h2>2. Requirements in detail</h2>
+      <div class="toolbar"><button type="button" onclick="setAll(true)">Expand all</button> <button type="button" onclick="setAll(false)">Collapse all</button></div>
+      ${reqs.map((r, i) => `
+        <details id="req-${i + 1}">
+          <summary><strong>R${i + 1}:</strong> ${esc(r.statement)} ${r.coverage.exempt ? '<span class="pill">exempt</span>' : r.coverage.fullyTraceable ? '<span class="pill pass">traceable</span>' : `<span class="pill fail" title="${esc(gateResultText(r.coverage))}">gaps</span>`}</summary>
+          <div class="small muted">Requirement ID <span class="mono">${esc(r.id)}</span> • status ${esc(r.status)}${r.tags ? ` • tags ${esc(r.tags)}` : ''}</div>
+          ${r.timeline.length ? `
+            <div class="small"><strong>Decision timeline</strong></div>
+            <ul class="small">${r.timeline.map(e => `<li><span class="mono">${esc(e.at)}</span> — ${esc(firstLine(e.decision).slice(0, 80))}: ${esc(e.kind)}${e.by ? ` (${esc(e.by)})` : ''}${e.comment ? ` — ${esc(e.comment)}` : ''}</li>`).join('')}</ul>
+          ` : ''}
+          ${r.decisions.map(decisionNode).join('') || `<div class="small muted">${r.has_history ? 'No current decision recorded.' : 'No decisions recorded yet.'}</div>`}
+        </details>
+      `).join('')}
+    </section>
+
+    <section id="tests" class="page-break">
+      <h2>3. Latest test results</h2>
+      <p class="small muted">Latest recorded run of every test case on the current rule versions. “Rule or test case changed since” means the run was against an earlier rule definition or an earlier given/expected and does not count as passing.</p>
+      ${tests.length ? `
+      <table>
+        <thead><tr><th>Req.</th><th>Rule</th><th>Test case</th><th>Verdict</th><th>Ran at</th><th>Rule version</th></tr></thead>
+        <tbody>
+          ${tests.map(({ req, rule, tc }) => `
+            <tr>
+              <td><a href="#req-${req}">R${req}</a></td>
+              <td>${esc(rule.name)} <span class="muted">v${esc(rule.version)}</span></td>
+              <td>${esc(tc.name)}</td>
+              <td>${verdictBadge(tc.last_run)}</td>
+              <td class="mono">${esc(tc.last_run?.ran_at ?? '—')}</td>
+              <td class="mono">${tc.last_run ? `v${esc(tc.last_run.rule_version)}` : '—'}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>` : '<p class="muted">No test cases recorded.</p>'}
+    </section>
+
+    <footer class="small muted">Generated ${esc(report.generated_at)} by Policy-to-Code • policy <span class="mono">${esc(policy.id)}</span></footer>
+  `;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>Audit packet — ${esc(policy.title)}</title>
+  <style>${PACKET_CSS}</style>
+  <script>${PACKET_SCRIPT}</script>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
@@ -0,0 +1,87 @@
+// Requirement candidates: normative sentences found in a policy's source clauses (see
+// policy_document.js), proposed as draft requirements for an analyst to accept, edit or reject.
+// Pattern matching only, so it runs offline and the same text always gives the same candidates.
+
+// Wording that makes a sentence a requirement on its own
+const OBLIGATION = /\b(must|shall|is required to|are required to|will be required to|has to|have to)\b/i;
+const PROHIBITION = /\b(must not|shall not|may not|cannot|is prohibited|are prohibited|is not permitted|are not permitted|no (?:individual|person|state|agency|entity) (?:may|shall))\b/i;
+
+// Signals that only count together (e.g. "may" plus an age range)
+const WEAK_SIGNALS = [
+  ['permission', /\b(may|is eligible|are eligible|is permitted|are permitted|is exempt|are exempt)\b/i],
+  ['applicability', /\b(applies|apply|takes effect|effective)\b/i],
+  ['threshold', /\b(at least|not less than|no less than|not more than|no more than|not to exceed|minimum of|maximum of|more than|less than|exceeds?)\b|\b\d+(?:\.\d+)?\s*(?:%|percent\b|hours?\b|dollars\b)|\$\s?\d[\d,]*/i],
+  ['age range', /\b(ages?d?\s+\d{1,3}|\d{1,3}\s+years of age|(?:under|over|below|above) (?:the )?age|age of \d{1,3})/i],
+  ['date window', /\b(within \d+|not later than|no later than|on or (?:before|after)|beginning (?:on|with)|\d+[- ](?:day|month|year) period|(?:January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4})/i]
+];
+
+// Words ending in a period that don't end a sentence
+const ABBREVIATIONS = /(?:\b(?:Sec|Secs|U\.S\.C|U\.S|No|Nos|Pub|Stat|Inc|e\.g|i\.e|etc|Mr|Ms|Dr|St|v|vs|cf|para|subpara|cl)|\b[A-Z])\.$/;
+
+// Sentences of a clause as [start, end) offsets into its text.
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  for (const m of text.matchAll(/[.?!](?=["”’)]?\s+["“(]?[A-Z(])/g)) {
+    const end = m.index + 1;
+    if (ABBREVIATIONS.test(text.slice(Math.max(start, end - 12), end))) continue;
+    spans.push([start, end]);
+    start = end;
+  }
+  spans.push([start, text.length]);
+  return spans.map(([s, e]) => {
+    const raw = text.slice(s, e);
+    const lead = raw.length - raw.trimStart().length;
+    return [s + lead, s + raw.trimEnd().length];
+  }).filter(([s, e]) => e > s);
+}
+
+// Enumerators, list numbers and statutory lead-ins like "In general.—" aren't part of the
+// requirement; returns how many characters to skip.
+function prefixLength(sentence) {
+  const m = /^(?:(?:\([0-9A-Za-z]{1,5}\)\s*)+|\d{1,3}[.)]\s+)?(?:[A-Z][A-Za-z ,'-]{0,60}\.?\s*[—–]\s*)?/.exec(sentence);
+  return m ? m[0].length : 0;
+}
+
+function sentenceSignals(sentence) {
+  const signals = [];
+  if (PROHIBITION.test(sentence)) signals.push('prohibition');
+  else if (OBLIGATION.test(sentence)) signals.push('obligation');
+  for (const [name, pattern] of WEAK_SIGNALS) {
+    if (name === 'permission' && signals[0] === 'prohibition') continue; // "may not" is no permission
+    if (pattern.test(sentence)) signals.push(name);
+  }
+  return signals;
+}
+
+function isNormative(signals) {
+  if (signals.includes('obligation') || signals.includes('prohibition')) return true;
+  const quantitative = signals.filter(s => ['threshold', 'age range', 'date window'].includes(s)).length;
+  const modal = signals.filter(s => ['permission', 'applicability'].includes(s)).length;
+  return quantitative >= 2 || (quantitative >= 1 && modal >= 1);
+}
+
+// Candidates from clause rows ({ id, kind, text } in document order):
+// [{ clause_id, span_start, span_end, statement, signals }], spans being offsets into the clause text.
+export function extractCandidates(clauses) {
+  const candidates = [];
+  for (const clause of clauses) {
+    if (clause.kind !== 'clause') continue;
+    for (const [start, end] of sentenceSpans(clause.text)) {
+      const sentence = clause.text.slice(start, end);
+      const signals = sentenceSignals(sentence);
+      if (!isNormative(signals)) continue;
+      const skip = prefixLength(sentence);
+      const statement = sentence.slice(skip).replace(/\s+/g, ' ').trim();
+      if (statement.length < 12) continue;
+      candidates.push({
+        clause_id: clause.id,
+        span_start: start + skip,
+        span_end: end,
+        statement: statement[0].toUpperCase() + statement.slice(1),
+        signals
+      });
+    }
+  }
+  return candidates;
+}
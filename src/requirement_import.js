@@ -0,0 +1,111 @@
+// Bulk requirement import: turns spreadsheet rows (see spreadsheet.js) into a plan of creates
+// and updates against a policy's current requirements. Nothing here touches the database.
+//
+// A row matches an existing requirement by external ID, or, when the row has no external ID,
+// by identical statement, so importing the same sheet twice updates instead of duplicating.
+
+export const MAX_IMPORT_ROWS = 2000;
+
+const HEADER_ALIASES = {
+  statement: 'statement',
+  requirement: 'statement',
+  requirement_statement: 'statement',
+  status: 'status',
+  tags: 'tags',
+  tag: 'tags',
+  external_id: 'external_id',
+  externalid: 'external_id',
+  ext_id: 'external_id',
+  external_ref: 'external_id'
+};
+
+const headerKey = (h) => String(h).trim().toLowerCase().replace(/[\s-]+/g, '_');
+export const sameStatement = (a, b) => a.replace(/\s+/g, ' ').trim().toLowerCase() === b.replace(/\s+/g, ' ').trim().toLowerCase();
+
+function normalizeTags(value) {
+  const tags = value.split(/[,;]/).map(t => t.trim()).filter(Boolean);
+  return tags.length ? tags.join(',') : null;
+}
+
+// Returns { columns, warnings, rows: [{ line, statement, status, tags, external_id }] } or
+// { error } when the sheet can't be used at all. Values are trimmed; missing columns are
+// left out of the row so updates keep the current value.
+export function readRequirementRows(cells) {
+  const headerAt = cells.findIndex(r => r.some(c => String(c).trim()));
+  if (headerAt < 0) return { error: 'The sheet is empty.' };
+
+  const header = cells[headerAt].map(headerKey);
+  const columns = {};
+  const warnings = [];
+  header.forEach((h, i) => {
+    if (!h) return;
+    const key = HEADER_ALIASES[h];
+    if (!key) warnings.push(`Column "${cells[headerAt][i]}" is not used.`);
+    else if (Object.hasOwn(columns, key)) warnings.push(`Column "${cells[headerAt][i]}" repeats ${key}; only the first is used.`);
+    else columns[key] = i;
+  });
+  if (!Object.hasOwn(columns, 'statement')) {
+    return { error: 'The first row must be a header with a "statement" column (optional: status, tags, external_id).' };
+  }
+
+  const rows = [];
+  for (let i = headerAt + 1; i < cells.length; i++) {
+    const cellsOfRow = cells[i];
+    if (!cellsOfRow.some(c => String(c).trim())) continue;
+    const row = { line: i + 1 };
+    for (const [key, col] of Object.entries(columns)) row[key] = String(cellsOfRow[col] ?? '').trim();
+    rows.push(row);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) return { error: `The sheet has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time.` };
+  return { columns: Object.keys(columns), warnings, rows };
+}
+
+// Plans each row against `existing` (live requirements of the policy). Returns
+// [{ line, action: 'create' | 'update' | 'unchanged' | 'error', values, existing, changes, errors }]
+// where `values` holds the columns to write and `changes` the fields an update would change.
+export function planRequirementImport(rows, existing, { statuses }) {
+  const seenExternal = new Map();
+  const seenStatement = [];
+
+  return rows.map((row) => {
+    const errors = [];
+    const values = {};
+
+    if (!row.statement) errors.push('statement is required');
+    else values.statement = row.statement;
+
+    if (row.status) {
+      const status = row.status.toLowerCase().replace(/[\s-]+/g, '_');
+      if (statuses.includes(status)) values.status = status;
+      else errors.push(`status "${row.status}" must be one of: ${statuses.join(', ')}`);
+    }
+    if (Object.hasOwn(row, 'tags')) values.tags = normalizeTags(row.tags);
+    if (row.external_id) values.external_id = row.external_id;
+
+    let match = null;
+    if (row.external_id) {
+      if (seenExternal.has(row.external_id)) errors.push(`external_id "${row.external_id}" is also on line ${seenExternal.get(row.external_id)}`);
+      seenExternal.set(row.external_id, row.line);
+      const found = existing.filter(r => r.external_id === row.external_id);
+      if (found.length > 1) errors.push(`external_id "${row.external_id}" matches ${found.length} requirements in this policy`);
+      match = found[0] ?? null;
+    } else if (row.statement) {
+      const earlier = seenStatement.find(s => sameStatement(s.statement, row.statement));
+      if (earlier) errors.push(`same statement as line ${earlier.line}; give the rows external IDs to import both`);
+      seenStatement.push(row);
+      const found = existing.filter(r => sameStatement(r.statement, row.statement));
+      if (found.length > 1) errors.push(`statement matches ${found.length} requirements in this policy; add an external_id column`);
+      match = found[0] ?? null;
+    }
+
+    if (errors.length) return { line: row.line, action: 'error', values, existing: match, changes: {}, errors };
+    if (!match) return { line: row.line, action: 'create', values: { status: 'draft', tags: null, ...values }, existing: null, changes: {}, errors };
+
+    const changes = {};
+    for (const [f, to] of Object.entries(values)) {
+      const from = match[f] ?? null;
+      if (from !== to) changes[f] = { from, to };
+    }
+    return { line: row.line, action: Object.keys(changes).length ? 'update' : 'unchanged', values, existing: match, changes, errors };
+  });
+}
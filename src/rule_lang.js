@@ -0,0 +1,468 @@
+// Rule language for rules.definition_text.
+//
+//   # comments start with # or //
+//   IF age < 19 THEN exempt
+//   IF pregnant OR (age >= 55 AND NOT employed) THEN status = "exempt", reason = "age"
+//   IF hoursWorked < 80 THEN non-compliant
+//   ELSE compliant
+//
+// Statements are checked top to bottom and the first matching IF wins; an
+// optional trailing ELSE supplies the fallback outcome. A bare outcome name
+// becomes { status: name }; assignments build the outcome object field by field.
+
+const KEYWORDS = new Set(['IF', 'THEN', 'ELSE', 'AND', 'OR', 'NOT', 'IN', 'BETWEEN', 'IS', 'NULL', 'MISSING', 'TRUE', 'FALSE']);
+
+export class RuleSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'RuleSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+export class RuleEvaluationError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'RuleEvaluationError';
+    this.reason = message;
+    this.line = line ?? null;
+  }
+}
+
+// ---------- lexer ----------
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let col = 1;
+
+  const advance = (n = 1) => {
+    for (let k = 0; k < n; k++) {
+      if (src[i] === '\n') { line++; col = 1; } else { col++; }
+      i++;
+    }
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === '\n' || ch === ' ' || ch === '\t' || ch === '\r') { advance(); continue; }
+    if (ch === '#' || (ch === '/' && src[i + 1] === '/')) {
+      while (i < src.length && src[i] !== '\n') advance();
+      continue;
+    }
+
+    const start = { line, column: col, offset: i };
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1] || ''))) {
+      const m = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(src.slice(i));
+      tokens.push({ type: 'number', value: Number(m[0]), ...start, end: i + m[0].length });
+      advance(m[0].length);
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      advance();
+      while (i < src.length && src[i] !== ch) {
+        if (src[i] === '\n') throw new RuleSyntaxError('Unterminated string', start.line, start.column);
+        if (src[i] === '\\' && i + 1 < src.length) {
+          advance();
+          value += { n: '\n', t: '\t' }[src[i]] ?? src[i];
+        } else {
+          value += src[i];
+        }
+        advance();
+      }
+      if (i >= src.length) throw new RuleSyntaxError('Unterminated string', start.line, start.column);
+      advance();
+      tokens.push({ type: 'string', value, ...start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      const upper = m[0].toUpperCase();
+      if (KEYWORDS.has(upper)) tokens.push({ type: 'keyword', value: upper, ...start, end: i + m[0].length });
+      else tokens.push({ type: 'ident', value: m[0], ...start, end: i + m[0].length });
+      advance(m[0].length);
+      continue;
+    }
+
+    const two = src.slice(i, i + 2);
+    if (['<=', '>=', '==', '!=', '<>', '&&', '||'].includes(two)) {
+      const value = { '==': '=', '<>': '!=', '&&': 'AND', '||': 'OR' }[two] ?? two;
+      tokens.push({ type: value === 'AND' || value === 'OR' ? 'keyword' : 'op', value, ...start, end: i + 2 });
+      advance(2);
+      continue;
+    }
+    if ('<>=+-*/'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, ...start, end: i + 1 });
+      advance();
+      continue;
+    }
+    if (ch === '!') {
+      tokens.push({ type: 'keyword', value: 'NOT', ...start, end: i + 1 });
+      advance();
+      continue;
+    }
+    if ('(),[].'.includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, ...start, end: i + 1 });
+      advance();
+      continue;
+    }
+
+    throw new RuleSyntaxError(`Unexpected character '${ch}'`, line, col);
+  }
+
+  tokens.push({ type: 'eof', value: null, line, column: col, offset: i, end: i });
+  return tokens;
+}
+
+// ---------- parser ----------
+const COMPARE_OPS = new Set(['<', '<=', '>', '>=', '=', '!=']);
+
+function describe(tok) {
+  if (tok.type === 'eof') return 'end of rule';
+  if (tok.type === 'string') return `"${tok.value}"`;
+  return `'${tok.value}'`;
+}
+
+export function parseRule(src) {
+  const tokens = tokenize(String(src ?? ''));
+  let pos = 0;
+
+  const peek = (n = 0) => tokens[pos + n];
+  const next = () => tokens[pos++];
+  const is = (type, value) => peek().type === type && (value === undefined || peek().value === value);
+  const fail = (message, tok = peek()) => { throw new RuleSyntaxError(message, tok.line, tok.column); };
+  const expect = (type, value, what) => {
+    if (!is(type, value)) fail(`Expected ${what} but found ${describe(peek())}`);
+    return next();
+  };
+
+  function parseExpr() { return parseOr(); }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (is('keyword', 'OR')) {
+      next();
+      left = { type: 'logical', op: 'OR', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (is('keyword', 'AND')) {
+      next();
+      left = { type: 'logical', op: 'AND', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (is('keyword', 'NOT')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseAdditive();
+
+    if (is('op') && COMPARE_OPS.has(peek().value)) {
+      const op = next().value;
+      return { type: 'compare', op, left, right: parseAdditive() };
+    }
+    if (is('keyword', 'IN') || (is('keyword', 'NOT') && peek(1).type === 'keyword' && peek(1).value === 'IN')) {
+      const negate = next().value === 'NOT';
+      if (negate) next();
+      const node = { type: 'in', value: left, list: parseList() };
+      return negate ? { type: 'not', operand: node } : node;
+    }
+    if (is('keyword', 'BETWEEN')) {
+      next();
+      const low = parseAdditive();
+      expect('keyword', 'AND', "'AND' in BETWEEN");
+      return { type: 'between', value: left, low, high: parseAdditive() };
+    }
+    if (is('keyword', 'IS')) {
+      next();
+      const negate = is('keyword', 'NOT');
+      if (negate) next();
+      if (!is('keyword', 'NULL') && !is('keyword', 'MISSING')) fail(`Expected NULL or MISSING after IS but found ${describe(peek())}`);
+      const node = { type: next().value === 'NULL' ? 'isNull' : 'isMissing', value: left };
+      return negate ? { type: 'not', operand: node } : node;
+    }
+    return left;
+  }
+
+  function parseAdditive() {
+    let left = parseMultiplicative();
+    while (is('op', '+') || is('op', '-')) {
+      const op = next().value;
+      left = { type: 'arith', op, left, right: parseMultiplicative() };
+    }
+    return left;
+  }
+
+  function parseMultiplicative() {
+    let left = parseUnary();
+    while (is('op', '*') || is('op', '/')) {
+      const op = next().value;
+      left = { type: 'arith', op, left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (is('op', '-')) {
+      next();
+      return { type: 'neg', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parseList() {
+    expect('punct', '[', "'['");
+    const items = [];
+    if (!is('punct', ']')) {
+      items.push(parseExpr());
+      while (is('punct', ',')) {
+        next();
+        items.push(parseExpr());
+      }
+    }
+    expect('punct', ']', "']'");
+    return items;
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (tok.type === 'number' || tok.type === 'string') {
+      next();
+      return { type: 'literal', value: tok.value };
+    }
+    if (tok.type === 'keyword' && (tok.value === 'TRUE' || tok.value === 'FALSE' || tok.value === 'NULL')) {
+      next();
+      return { type: 'literal', value: tok.value === 'TRUE' ? true : tok.value === 'FALSE' ? false : null };
+    }
+    if (tok.type === 'ident') {
+      next();
+      const path = [tok.value];
+      while (is('punct', '.')) {
+        next();
+        path.push(expect('ident', undefined, 'a field name after \'.\'').value);
+      }
+      return { type: 'input', path };
+    }
+    if (tok.type === 'punct' && tok.value === '(') {
+      next();
+      const inner = parseExpr();
+      expect('punct', ')', "')'");
+      return inner;
+    }
+    if (tok.type === 'punct' && tok.value === '[') {
+      return { type: 'list', items: parseList() };
+    }
+    return fail(`Expected a value but found ${describe(tok)}`);
+  }
+
+  // Outcome names may be hyphenated (non-compliant) as long as there is no whitespace.
+  function parseOutcomeName() {
+    const first = expect('ident', undefined, 'an outcome');
+    let name = first.value;
+    let end = first.end;
+    while (is('op', '-') && peek().offset === end && peek(1).type === 'ident' && peek(1).offset === end + 1) {
+      next();
+      const part = next();
+      name += `-${part.value}`;
+      end = part.end;
+    }
+    return name;
+  }
+
+  function parseOutcome() {
+    if (is('string')) return [{ field: 'status', value: { type: 'literal', value: next().value } }];
+    if (is('ident') && peek(1).type === 'op' && peek(1).value === '=') {
+      const assignments = [];
+      const seen = new Set();
+      do {
+        if (assignments.length) next();
+        const key = expect('ident', undefined, 'an outcome field');
+        if (seen.has(key.value)) fail(`Outcome field '${key.value}' is assigned twice`, key);
+        seen.add(key.value);
+        expect('op', '=', "'='");
+        assignments.push({ field: key.value, value: parseExpr() });
+      } while (is('punct', ','));
+      return assignments;
+    }
+    if (is('ident')) return [{ field: 'status', value: { type: 'literal', value: parseOutcomeName() } }];
+    return fail(`Expected an outcome after THEN/ELSE but found ${describe(peek())}`);
+  }
+
+  const statements = [];
+  let fallback = null;
+
+  while (!is('eof')) {
+    const tok = peek();
+    if (fallback) fail('ELSE must be the last statement in a rule', tok);
+
+    if (is('keyword', 'ELSE') && !(peek(1).type === 'keyword' && peek(1).value === 'IF')) {
+      next();
+      fallback = { line: tok.line, outcome: parseOutcome() };
+      continue;
+    }
+    if (is('keyword', 'ELSE')) next();
+    if (!is('keyword', 'IF')) fail(`Expected IF or ELSE but found ${describe(peek())}`);
+    next();
+    const condition = parseExpr();
+    expect('keyword', 'THEN', "'THEN'");
+    statements.push({ line: tok.line, condition, outcome: parseOutcome() });
+  }
+
+  if (!statements.length && !fallback) fail('Rule has no statements');
+
+  return { type: 'rule', version: 1, statements, fallback };
+}
+
+// Returns { ok: true, ast } or { ok: false, error: { message, line, column } } for storage/display.
+export function tryParseRule(src) {
+  try {
+    return { ok: true, ast: parseRule(src) };
+  } catch (err) {
+    if (!(err instanceof RuleSyntaxError)) throw err;
+    return { ok: false, error: { message: err.reason, line: err.line, column: err.column } };
+  }
+}
+
+// ---------- evaluator ----------
+function typeName(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'list';
+  return typeof v;
+}
+
+function evalNode(node, input, line) {
+  const err = (message) => { throw new RuleEvaluationError(message, line); };
+
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'list':
+      return node.items.map(n => evalNode(n, input, line));
+    case 'input': {
+      let v = input;
+      for (const key of node.path) {
+        v = v !== null && typeof v === 'object' && Object.hasOwn(v, key) ? v[key] : undefined;
+      }
+      if (v === undefined) err(`Input '${node.path.join('.')}' is missing`);
+      return v;
+    }
+    case 'isMissing':
+    case 'isNull': {
+      let v;
+      try {
+        v = evalNode(node.value, input, line);
+      } catch (e) {
+        if (e instanceof RuleEvaluationError && node.value.type === 'input') return true;
+        throw e;
+      }
+      return node.type === 'isNull' ? v === null : false;
+    }
+    case 'not': {
+      const v = evalNode(node.operand, input, line);
+      if (typeof v !== 'boolean') err(`NOT expects true/false but got ${typeName(v)}`);
+      return !v;
+    }
+    case 'logical': {
+      const left = evalNode(node.left, input, line);
+      if (typeof left !== 'boolean') err(`${node.op} expects true/false but got ${typeName(left)}`);
+      if (node.op === 'AND' && !left) return false;
+      if (node.op === 'OR' && left) return true;
+      const right = evalNode(node.right, input, line);
+      if (typeof right !== 'boolean') err(`${node.op} expects true/false but got ${typeName(right)}`);
+      return right;
+    }
+    case 'compare': {
+      const a = evalNode(node.left, input, line);
+      const b = evalNode(node.right, input, line);
+      if (node.op === '=') return a === b;
+      if (node.op === '!=') return a !== b;
+      if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string'))) {
+        err(`Cannot compare ${typeName(a)} ${node.op} ${typeName(b)}`);
+      }
+      if (node.op === '<') return a < b;
+      if (node.op === '<=') return a <= b;
+      if (node.op === '>') return a > b;
+      return a >= b;
+    }
+    case 'in': {
+      const v = evalNode(node.value, input, line);
+      return node.list.some(n => evalNode(n, input, line) === v);
+    }
+    case 'between': {
+      const v = evalNode(node.value, input, line);
+      const lo = evalNode(node.low, input, line);
+      const hi = evalNode(node.high, input, line);
+      if (typeof v !== 'number' || typeof lo !== 'number' || typeof hi !== 'number') err('BETWEEN expects numbers');
+      return v >= lo && v <= hi;
+    }
+    case 'neg': {
+      const v = evalNode(node.operand, input, line);
+      if (typeof v !== 'number') err(`Cannot negate ${typeName(v)}`);
+      return -v;
+    }
+    case 'arith': {
+      const a = evalNode(node.left, input, line);
+      const b = evalNode(node.right, input, line);
+      if (node.op === '+' && typeof a === 'string' && typeof b === 'string') return a + b;
+      if (typeof a !== 'number' || typeof b !== 'number') err(`Cannot compute ${typeName(a)} ${node.op} ${typeName(b)}`);
+      if (node.op === '+') return a + b;
+      if (node.op === '-') return a - b;
+      if (node.op === '*') return a * b;
+      if (b === 0) err('Division by zero');
+      return a / b;
+    }
+    default:
+      return err(`Unknown expression node '${node.type}'`);
+  }
+}
+
+function buildOutcome(assignments, input, line) {
+  const out = {};
+  for (const a of assignments) out[a.field] = evalNode(a.value, input, line);
+  return out;
+}
+
+// Evaluates a parsed rule against an input object.
+// Returns { matched, outcome, line }; outcome is null when nothing matched and there is no ELSE.
+export function evaluateRule(ast, input) {
+  if (!ast || ast.type !== 'rule') throw new RuleEvaluationError('Rule has not been parsed');
+  const data = input ?? {};
+
+  for (const st of ast.statements) {
+    const cond = evalNode(st.condition, data, st.line);
+    if (typeof cond !== 'boolean') throw new RuleEvaluationError(`IF condition must be true/false but got ${typeName(cond)}`, st.line);
+    if (cond) return { matched: true, outcome: buildOutcome(st.outcome, data, st.line), line: st.line };
+  }
+  if (ast.fallback) return { matched: true, outcome: buildOutcome(ast.fallback.outcome, data, ast.fallback.line), line: ast.fallback.line };
+  return { matched: false, outcome: null, line: null };
+}
+
+// Dotted input paths referenced anywhere in the rule, in first-use order.
+export function ruleInputs(ast) {
+  const seen = new Set();
+  const walk = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node.type === 'input') seen.add(node.path.join('.'));
+    for (const v of Object.values(node)) if (v && typeof v === 'object') walk(v);
+  };
+  walk(ast);
+  return [...seen];
+}
@@ -1,14 +1,39 @@
 import express from 'express';
-import Database from 'better-sqlite3';
 import { nanoid } from 'nanoid';
-import fs from 'node:fs';
 import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { tryParseRule, evaluateRule, ruleInputs, RuleEvaluationError } from './rule_lang.js';
+import { runTestCase, ruleHash, testCaseHash } from './test_runner.js';
+import { apiV1 } from './api_v1.js';
+import { REQUIREMENT_STATUSES, MAPPING_TYPES, EVIDENCE_KINDS, EVIDENCE_STATUSES } from './field_values.js';
+import { openDb, defaultWorkspaceId } from './db.js';
+import { validateForm, hasErrors, isIsoDate } from './form_validation.js';
+import { exportBundle, importBundle, BundleError } from './bundle.js';
+import { parseCsv, readXlsx, SpreadsheetError } from './spreadsheet.js';
+import { readRequirementRows, planRequirementImport, sameStatement } from './requirement_import.js';
+import { parsePolicyDocument, clauseCoverage, sourceDigest, DOCUMENT_FORMATS, DocumentError } from './policy_document.js';
+import { extractCandidates } from './requirement_extraction.js';
+import { entryHash, verifyChain, GENESIS_HASH } from './audit.js';
+import { diffLines, sideBySide } from './line_diff.js';
+import { projectReadiness, PACE_WINDOW_DAYS } from './trend.js';
+import { DEFAULT_GATE, EVIDENCE_LEVELS, MAX_MIN_TESTS, parseGate, gateJson, gateFromForm, gateCriteria, gateText } from './traceability_gate.js';
+import { requirementCoverage, policyMetrics } from './coverage.js';
+import { complianceCheck, renderJunit, CHECK_FORMATS } from './compliance_check.js';
+import { renderMarkdownReport, renderHtmlPacket } from './reports.js';
+import { renderPdfReport } from './report_pdf.js';
+import { TRANSITIONS, EDITABLE_STATUSES, WorkflowError, checkTransition, parseReviewers, isSignedOff } from './decision_workflow.js';
+import {
+  ROLES, ROLE_LABELS, ACCOUNT_ROLES, ACCOUNT_ROLE_LABELS, can, rolesWith, isSiteAdmin, hashPassword, verifyPassword, DUMMY_HASH, passwordProblem, usernameProblem,
+  SESSION_COOKIE, SESSION_TTL_MS, newSessionToken, tokenDigest, parseCookies, basicCredentials,
+  CSRF_COOKIE, CSRF_FIELD, sameToken
+} from './auth.js';
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const DB_PATH = process.env.DB_PATH || './data/policy_to_code.sqlite';
 
 const app = express();
-app.use(express.urlencoded({ extended: true }));
+// Large enough for a policy bundle pasted into /policies/import
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static assets (self-hosted) to avoid CDN/tracker blocking
 app.use('/static', express.static(path.join(process.cwd(), 'public'), {
@@ -33,8 +58,20 @@ function escapeHtml(s) {
     .replaceAll("'", '&#039;');
 }
 
+// The request being handled: its signed-in user (with their active workspace) and CSRF token,
+// for page() and the workspace-scoped helpers
+const requestContext = new AsyncLocalStorage();
+
+function activeWorkspaceId() {
+  return requestContext.getStore()?.user?.workspace_id ?? null;
+}
+
 function page(title, body) {
-  return `<!doctype html>
+  const { user, csrfToken } = requestContext.getStore() ?? {};
+  // Every POST form carries the CSRF token (checked in "accounts and sign-in" below)
+  const csrfInput = csrfToken ? `<input type="hidden" name="${CSRF_FIELD}" value="${escapeHtml(csrfToken)}" />` : '';
+  const withToken = (html) => html.replace(/<form\b[^>]*\bmethod="post"[^>]*>/g, (tag) => tag + csrfInput);
+  return withToken(`<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8" />
@@ -67,6 +104,8 @@ function page(title, body) {
     .hr { height:1px; background: var(--border); margin: 12px 0; }
     .small { font-size: 12px; }
     .kvs { display:grid; grid-template-columns: 160px 1fr; gap: 6px 12px; }
+    .uncovered { border-left: 3px solid var(--danger); background: rgba(255,107,107,0.08); }
+    mark { background: rgba(138,180,255,0.25); color: inherit; border-radius: 3px; }
   </style>
 </head>
 <body>
@@ -75,493 +114,2311 @@ function page(title, body) {
     <div class="row wrap">
       <strong>Policy-to-Code</strong>
       <span class="pill">MVP</span>
+      ${user ? `
       <a href="/">Policies</a>
       <a href="/dashboard">Dashboard</a>
-      <a href="/policies/new">New Policy</a>
+      <a href="/portfolio">Portfolio</a>
+      ${can(user, 'policy:write') ? '<a href="/policies/new">New Policy</a>' : ''}
+      <a href="/trash">Trash</a>
+      ${isSiteAdmin(user) ? '<a href="/users">Users</a> <a href="/workspaces">Workspaces</a>' : ''}` : ''}
+    </div>
+    <div class="row muted small">
+      ${user ? `
+      ${user.workspaces.length > 1 ? `
+      <form class="row" method="post" action="/account/workspace">
+        <select name="workspace_id" aria-label="Workspace" style="width:auto; padding:6px 10px">${user.workspaces.map(w => `<option value="${w.workspace_id}" ${w.workspace_id === user.workspace_id ? 'selected' : ''}>${escapeHtml(w.name)}</option>`).join('')}</select>
+        <button type="submit" class="small" style="padding:4px 8px">Switch</button>
+      </form>` : user.workspace_name ? `<span class="pill">${escapeHtml(user.workspace_name)}</span>` : ''}
+      <form method="get" action="/search"><input name="q" type="search" placeholder="Search…" aria-label="Search" style="width:220px; padding:6px 10px" /></form>
+      <a href="/account">${escapeHtml(user.display_name)}</a> <span class="pill">${escapeHtml(user.role ? ROLE_LABELS[user.role] : 'No workspace')}</span>
+      <form method="post" action="/logout"><button type="submit" class="small" style="padding:4px 8px">Sign out</button></form>` : ''}
+      ${escapeHtml(new Date().toISOString())}
     </div>
-    <div class="row muted small">${escapeHtml(new Date().toISOString())}</div>
   </div>
 </header>
 <main>
 ${body}
 </main>
 </body>
-</html>`;
-}
-
-function ensureDir(p) {
-  const dir = path.dirname(p);
-  fs.mkdirSync(dir, { recursive: true });
-}
-
-function initDb() {
-  ensureDir(DB_PATH);
-  const db = new Database(DB_PATH);
-  db.pragma('journal_mode = WAL');
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS policies (
-      id TEXT PRIMARY KEY,
-      title TEXT NOT NULL,
-      jurisdiction TEXT,
-      program TEXT,
-      source_citation TEXT,
-      effective_date TEXT,
-      created_at TEXT NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS requirements (
-      id TEXT PRIMARY KEY,
-      policy_id TEXT NOT NULL,
-      statement TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'draft',
-      tags TEXT,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(policy_id) REFERENCES policies(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE IF NOT EXISTS decisions (
-      id TEXT PRIMARY KEY,
-      requirement_id TEXT NOT NULL,
-      decision TEXT NOT NULL,
-      rationale TEXT,
-      alternatives TEXT,
-      owner TEXT,
-      status TEXT NOT NULL DEFAULT 'draft',
-      approved_at TEXT,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(requirement_id) REFERENCES requirements(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE IF NOT EXISTS rules (
-      id TEXT PRIMARY KEY,
-      decision_id TEXT NOT NULL,
-      name TEXT NOT NULL,
-      version TEXT NOT NULL DEFAULT '0.1',
-      definition_text TEXT NOT NULL,
-      inputs TEXT,
-      exceptions TEXT,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(decision_id) REFERENCES decisions(id) ON DELETE CASCADE
-    );
-
-    CREATE TABLE IF NOT EXISTS test_cases (
-      id TEXT PRIMARY KEY,
-      rule_id TEXT NOT NULL,
-      name TEXT NOT NULL,
-      given_json TEXT NOT NULL,
-      expected_json TEXT NOT NULL,
-      notes TEXT,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY(rule_id) REFERENCES rules(id) ON DELETE CASCADE
-    );
-
-    -- Architecture mappings (attach to either a decision or a rule)
-    CREATE TABLE IF NOT EXISTS mappings (
-      id TEXT PRIMARY KEY,
-      target_type TEXT NOT NULL, -- 'decision' | 'rule'
-      target_id TEXT NOT NULL,
-      type TEXT NOT NULL,        -- 'service' | 'api' | 'data' | 'integration' | 'security'
-      ref TEXT NOT NULL,
-      notes TEXT,
-      created_at TEXT NOT NULL
-    );
-
-    -- Evidence (manual first; later sync from ADO)
-    CREATE TABLE IF NOT EXISTS evidence (
-      id TEXT PRIMARY KEY,
-      target_type TEXT NOT NULL, -- 'decision' | 'rule'
-      target_id TEXT NOT NULL,
-      kind TEXT NOT NULL,        -- 'pr' | 'commit' | 'build' | 'deploy' | 'doc' | 'link'
-      ref TEXT NOT NULL,
-      status TEXT,               -- optional: 'draft' | 'approved'
-      notes TEXT,
-      created_at TEXT NOT NULL
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_requirements_policy_id ON requirements(policy_id);
-    CREATE INDEX IF NOT EXISTS idx_decisions_requirement_id ON decisions(requirement_id);
-    CREATE INDEX IF NOT EXISTS idx_rules_decision_id ON rules(decision_id);
-    CREATE INDEX IF NOT EXISTS idx_test_cases_rule_id ON test_cases(rule_id);
-    CREATE INDEX IF NOT EXISTS idx_mappings_target ON mappings(target_type, target_id);
-    CREATE INDEX IF NOT EXISTS idx_mappings_type ON mappings(type);
-    CREATE INDEX IF NOT EXISTS idx_evidence_target ON evidence(target_type, target_id);
-    CREATE INDEX IF NOT EXISTS idx_evidence_kind ON evidence(kind);
-  `);
-  return db;
+</html>`);
+}
+
+function notFoundPage() {
+  return page('Not found', `<div class="card"><h1>Not found</h1></div>`);
 }
 
-const db = initDb();
+const db = await openDb(DB_PATH);
 
 // ---------- queries ----------
 const q = {
-  listPolicies: db.prepare('SELECT * FROM policies ORDER BY created_at DESC'),
-  getPolicy: db.prepare('SELECT * FROM policies WHERE id = ?'),
-  insertPolicy: db.prepare(`INSERT INTO policies (id, title, jurisdiction, program, source_citation, effective_date, created_at)
-    VALUES (@id,@title,@jurisdiction,@program,@source_citation,@effective_date,@created_at)`),
-
-  listRequirements: db.prepare('SELECT * FROM requirements WHERE policy_id = ? ORDER BY created_at ASC'),
-  getRequirement: db.prepare('SELECT * FROM requirements WHERE id = ?'),
-  insertRequirement: db.prepare(`INSERT INTO requirements (id, policy_id, statement, status, tags, created_at)
-    VALUES (@id,@policy_id,@statement,@status,@tags,@created_at)`),
-
-  listDecisionsByRequirement: db.prepare('SELECT * FROM decisions WHERE requirement_id = ? ORDER BY created_at ASC'),
-  getDecision: db.prepare('SELECT * FROM decisions WHERE id = ?'),
-  insertDecision: db.prepare(`INSERT INTO decisions (id, requirement_id, decision, rationale, alternatives, owner, status, approved_at, created_at)
-    VALUES (@id,@requirement_id,@decision,@rationale,@alternatives,@owner,@status,@approved_at,@created_at)`),
-
-  listRulesByDecision: db.prepare('SELECT * FROM rules WHERE decision_id = ? ORDER BY created_at ASC'),
-  getRule: db.prepare('SELECT * FROM rules WHERE id = ?'),
-  insertRule: db.prepare(`INSERT INTO rules (id, decision_id, name, version, definition_text, inputs, exceptions, created_at)
-    VALUES (@id,@decision_id,@name,@version,@definition_text,@inputs,@exceptions,@created_at)`),
-
-  listTestCasesByRule: db.prepare('SELECT * FROM test_cases WHERE rule_id = ? ORDER BY created_at ASC'),
-  insertTestCase: db.prepare(`INSERT INTO test_cases (id, rule_id, name, given_json, expected_json, notes, created_at)
-    VALUES (@id,@rule_id,@name,@given_json,@expected_json,@notes,@created_at)`),
-
-  listMappings: db.prepare('SELECT * FROM mappings WHERE target_type = ? AND target_id = ? ORDER BY created_at ASC'),
+  listPolicies: db.prepare('SELECT * FROM policies WHERE workspace_id = ? AND deleted_at IS NULL ORDER BY created_at DESC'),
+  // Pages of the lists for the JSON API: (...list arguments, limit, offset), and their totals
+  pagePolicies: db.prepare('SELECT * FROM policies WHERE workspace_id = ? AND deleted_at IS NULL ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?'),
+  countPolicies: db.prepare('SELECT COUNT(*) AS n FROM policies WHERE workspace_id = ? AND deleted_at IS NULL'),
+  getPolicy: db.prepare('SELECT * FROM policies WHERE id = ? AND deleted_at IS NULL'),
+  getPolicyWorkspace: db.prepare('SELECT workspace_id FROM policies WHERE id = ?'),
+  insertPolicy: db.prepare(`INSERT INTO policies (id, workspace_id, title, jurisdiction, program, source_citation, effective_date, created_at)
+    VALUES (@id,@workspace_id,@title,@jurisdiction,@program,@source_citation,@effective_date,@created_at)`),
+  updatePolicy: db.prepare(`UPDATE policies SET title = @title, jurisdiction = @jurisdiction, program = @program,
+    source_citation = @source_citation, effective_date = @effective_date, gate_json = @gate_json WHERE id = @id`),
+
+  listRequirements: db.prepare('SELECT * FROM requirements WHERE policy_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  pageRequirements: db.prepare('SELECT * FROM requirements WHERE policy_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'),
+  countRequirements: db.prepare('SELECT COUNT(*) AS n FROM requirements WHERE policy_id = ? AND deleted_at IS NULL'),
+  getRequirement: db.prepare('SELECT * FROM requirements WHERE id = ? AND deleted_at IS NULL'),
+  insertRequirement: db.prepare(`INSERT INTO requirements (id, policy_id, statement, status, tags, external_id, created_at)
+    VALUES (@id,@policy_id,@statement,@status,@tags,@external_id,@created_at)`),
+  updateRequirement: db.prepare(`UPDATE requirements SET statement = @statement, status = @status, tags = @tags,
+    external_id = @external_id WHERE id = @id`),
+
+  listDecisionsByRequirement: db.prepare('SELECT * FROM decisions WHERE requirement_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  pageDecisionsByRequirement: db.prepare('SELECT * FROM decisions WHERE requirement_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'),
+  countDecisionsByRequirement: db.prepare('SELECT COUNT(*) AS n FROM decisions WHERE requirement_id = ? AND deleted_at IS NULL'),
+  listCurrentDecisionsByRequirement: db.prepare(`SELECT * FROM decisions WHERE requirement_id = ? AND deleted_at IS NULL
+    AND status <> 'superseded' ORDER BY created_at ASC`),
+  getDecisionReplacement: db.prepare('SELECT * FROM decisions WHERE supersedes_id = ? AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 1'),
+  getDecision: db.prepare('SELECT * FROM decisions WHERE id = ? AND deleted_at IS NULL'),
+  insertDecision: db.prepare(`INSERT INTO decisions (id, requirement_id, decision, rationale, alternatives, owner, status, approved_at, supersedes_id, created_at)
+    VALUES (@id,@requirement_id,@decision,@rationale,@alternatives,@owner,@status,@approved_at,@supersedes_id,@created_at)`),
+  updateDecision: db.prepare(`UPDATE decisions SET decision = @decision, rationale = @rationale, alternatives = @alternatives,
+    owner = @owner, status = @status, approved_at = @approved_at WHERE id = @id`),
+  setDecisionStatus: db.prepare('UPDATE decisions SET status = @status, approved_at = @approved_at, approved_by = @approved_by WHERE id = @id'),
+  insertDecisionReview: db.prepare(`INSERT INTO decision_reviews (id, decision_id, action, from_status, to_status, actor, comment, reviewers_json, created_at)
+    VALUES (@id,@decision_id,@action,@from_status,@to_status,@actor,@comment,@reviewers_json,@created_at)`),
+  listDecisionReviews: db.prepare('SELECT * FROM decision_reviews WHERE decision_id = ? ORDER BY created_at ASC, rowid ASC'),
+  lastDecisionSubmit: db.prepare(`SELECT * FROM decision_reviews WHERE decision_id = ? AND action = 'submit'
+    ORDER BY created_at DESC, rowid DESC LIMIT 1`),
+  listDecisionAuthors: db.prepare(`SELECT actor AS name FROM audit_log WHERE entity_type = 'decision' AND entity_id = @id
+      AND action IN ('create', 'update') AND actor IS NOT NULL
+    UNION SELECT edited_by FROM revisions WHERE entity_type = 'decision' AND entity_id = @id AND edited_by IS NOT NULL
+    UNION SELECT actor FROM decision_reviews WHERE decision_id = @id AND action = 'submit'`),
+
+  // Current versions only: rules without a live newer version
+  listRulesByDecision: db.prepare(`SELECT * FROM rules WHERE decision_id = ? AND deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM rules n WHERE n.previous_version_id = rules.id AND n.deleted_at IS NULL)
+    ORDER BY created_at ASC`),
+  pageRulesByDecision: db.prepare(`SELECT * FROM rules WHERE decision_id = ? AND deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM rules n WHERE n.previous_version_id = rules.id AND n.deleted_at IS NULL)
+    ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?`),
+  countRulesByDecision: db.prepare(`SELECT COUNT(*) AS n FROM rules WHERE decision_id = ? AND deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM rules n WHERE n.previous_version_id = rules.id AND n.deleted_at IS NULL)`),
+  listRuleVersionsByDecision: db.prepare('SELECT * FROM rules WHERE decision_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  listRuleSuccessors: db.prepare('SELECT * FROM rules WHERE previous_version_id = ? ORDER BY created_at ASC'),
+  getRule: db.prepare('SELECT * FROM rules WHERE id = ? AND deleted_at IS NULL'),
+  insertRule: db.prepare(`INSERT INTO rules (id, decision_id, name, version, definition_text, inputs, exceptions, definition_ast, parse_error, previous_version_id, created_at)
+    VALUES (@id,@decision_id,@name,@version,@definition_text,@inputs,@exceptions,@definition_ast,@parse_error,@previous_version_id,@created_at)`),
+  freezeRule: db.prepare('UPDATE rules SET frozen_at = ? WHERE id = ?'),
+
+  listUnparsedRules: db.prepare('SELECT * FROM rules WHERE definition_ast IS NULL AND parse_error IS NULL'),
+  updateRuleParse: db.prepare('UPDATE rules SET definition_ast = @definition_ast, parse_error = @parse_error WHERE id = @id'),
+  updateRule: db.prepare(`UPDATE rules SET name = @name, version = @version, definition_text = @definition_text, inputs = @inputs,
+    exceptions = @exceptions, definition_ast = @definition_ast, parse_error = @parse_error WHERE id = @id`),
+
+  listTestCasesByRule: db.prepare('SELECT * FROM test_cases WHERE rule_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  pageTestCasesByRule: db.prepare('SELECT * FROM test_cases WHERE rule_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'),
+  countTestCasesByRule: db.prepare('SELECT COUNT(*) AS n FROM test_cases WHERE rule_id = ? AND deleted_at IS NULL'),
+  getTestCase: db.prepare('SELECT * FROM test_cases WHERE id = ? AND deleted_at IS NULL'),
+  insertTestCase: db.prepare(`INSERT INTO test_cases (id, rule_id, name, given_json, expected_json, notes, rule_version, created_at)
+    VALUES (@id,@rule_id,@name,@given_json,@expected_json,@notes,@rule_version,@created_at)`),
+  updateTestCase: db.prepare('UPDATE test_cases SET name = @name, given_json = @given_json, expected_json = @expected_json, notes = @notes WHERE id = @id'),
+
+  insertTestRun: db.prepare(`INSERT INTO test_runs (id, batch_id, scope, test_case_id, rule_id, rule_version, rule_hash, case_hash, verdict, actual_json, error, ran_at)
+    VALUES (@id,@batch_id,@scope,@test_case_id,@rule_id,@rule_version,@rule_hash,@case_hash,@verdict,@actual_json,@error,@ran_at)`),
+  countTestRunsByCase: db.prepare('SELECT COUNT(*) AS n FROM test_runs WHERE test_case_id = ?'),
+  latestTestRunByCase: db.prepare('SELECT * FROM test_runs WHERE test_case_id = ? ORDER BY ran_at DESC, rowid DESC LIMIT 1'),
+  listTestRunsByRule: db.prepare(`SELECT tr.*, tc.name AS test_case_name FROM test_runs tr
+    JOIN test_cases tc ON tc.id = tr.test_case_id
+    WHERE tr.rule_id = ? ORDER BY tr.ran_at DESC, tr.rowid DESC LIMIT 100`),
+  listTestRunBatchesByPolicy: db.prepare(`SELECT tr.batch_id, tr.scope, MIN(tr.ran_at) AS ran_at,
+      SUM(tr.verdict = 'pass') AS passed, SUM(tr.verdict = 'fail') AS failed, SUM(tr.verdict = 'error') AS errored, COUNT(*) AS total
+    FROM test_runs tr
+    JOIN rules ru ON ru.id = tr.rule_id
+    JOIN decisions d ON d.id = ru.decision_id
+    JOIN requirements r ON r.id = d.requirement_id
+    WHERE r.policy_id = ?
+    GROUP BY tr.batch_id ORDER BY MIN(tr.ran_at) DESC LIMIT 50`),
+  listTestRunsByBatch: db.prepare(`SELECT tr.*, tc.name AS test_case_name, ru.name AS rule_name FROM test_runs tr
+    JOIN test_cases tc ON tc.id = tr.test_case_id
+    JOIN rules ru ON ru.id = tr.rule_id
+    WHERE tr.batch_id = ? ORDER BY ru.name ASC, tc.created_at ASC`),
+
+  insertSnapshot: db.prepare(`INSERT INTO metric_snapshots (id, policy_id, taken_at, source, taken_by, req_total, req_traceable,
+      decisions_total, decisions_approved, tests_total, tests_passing, evidence_total, impact_json)
+    VALUES (@id,@policy_id,@taken_at,@source,@taken_by,@req_total,@req_traceable,@decisions_total,@decisions_approved,@tests_total,@tests_passing,@evidence_total,@impact_json)`),
+  listSnapshots: db.prepare('SELECT * FROM metric_snapshots WHERE policy_id = ? ORDER BY taken_at ASC, rowid ASC'),
+  // Live policies with no snapshot since the given time
+  listPoliciesDueSnapshot: db.prepare(`SELECT * FROM policies p WHERE p.deleted_at IS NULL
+    AND NOT EXISTS (SELECT 1 FROM metric_snapshots s WHERE s.policy_id = p.id AND s.taken_at > ?)`),
+
+  listMappings: db.prepare('SELECT * FROM mappings WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  pageMappings: db.prepare('SELECT * FROM mappings WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'),
+  countMappings: db.prepare('SELECT COUNT(*) AS n FROM mappings WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL'),
+  getMapping: db.prepare('SELECT * FROM mappings WHERE id = ? AND deleted_at IS NULL'),
+  updateMapping: db.prepare('UPDATE mappings SET type = @type, ref = @ref, notes = @notes WHERE id = @id'),
   insertMapping: db.prepare(`INSERT INTO mappings (id, target_type, target_id, type, ref, notes, created_at)
     VALUES (@id,@target_type,@target_id,@type,@ref,@notes,@created_at)`),
-  deleteMapping: db.prepare('DELETE FROM mappings WHERE id = ?'),
 
-  listEvidence: db.prepare('SELECT * FROM evidence WHERE target_type = ? AND target_id = ? ORDER BY created_at ASC'),
-  insertEvidence: db.prepare(`INSERT INTO evidence (id, target_type, target_id, kind, ref, status, notes, created_at)
-    VALUES (@id,@target_type,@target_id,@kind,@ref,@status,@notes,@created_at)`),
-  deleteEvidence: db.prepare('DELETE FROM evidence WHERE id = ?')
-};
+  listEvidence: db.prepare('SELECT * FROM evidence WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC'),
+  pageEvidence: db.prepare('SELECT * FROM evidence WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL ORDER BY created_at ASC, rowid ASC LIMIT ? OFFSET ?'),
+  countEvidence: db.prepare('SELECT COUNT(*) AS n FROM evidence WHERE target_type = ? AND target_id = ? AND deleted_at IS NULL'),
+  getEvidence: db.prepare('SELECT * FROM evidence WHERE id = ? AND deleted_at IS NULL'),
+  updateEvidence: db.prepare('UPDATE evidence SET kind = @kind, ref = @ref, status = @status, notes = @notes WHERE id = @id'),
+  insertEvidence: db.prepare(`INSERT INTO evidence (id, target_type, target_id, kind, ref, status, notes, rule_version, created_at)
+    VALUES (@id,@target_type,@target_id,@kind,@ref,@status,@notes,@rule_version,@created_at)`),
 
-// ---------- routes ----------
-app.get('/', (req, res) => {
-  const policies = q.listPolicies.all();
-  const body = `
-    <div class="card">
-      <h1 style="margin:0">Policies</h1>
-      <p class="muted">Create a policy, break it into requirements, capture decisions (ADRs), define rules, add test cases, and export an audit-ready report.</p>
-    </div>
-    <div class="card">
-      <div class="row">
-        <h2 style="margin:0">All policies</h2>
-        <div class="right"><a href="/policies/new">+ New Policy</a></div>
-      </div>
-      <div class="hr"></div>
-      ${policies.length ? `<ul>
-        ${policies.map(p => `<li style="margin: 8px 0">
-          <a href="/policies/${p.id}"><strong>${escapeHtml(p.title)}</strong></a>
-          <div class="muted small">${escapeHtml(p.jurisdiction || '—')} • ${escapeHtml(p.program || '—')} • effective: ${escapeHtml(p.effective_date || '—')}</div>
-        </li>`).join('')}
-      </ul>` : `<p class="muted">No policies yet.</p>`}
-    </div>
-  `;
-  res.type('html').send(page('Policies', body));
-});
+  listDocumentsByPolicy: db.prepare('SELECT * FROM policy_documents WHERE policy_id = ? ORDER BY created_at ASC, rowid ASC'),
+  getDocument: db.prepare('SELECT * FROM policy_documents WHERE id = ?'),
+  insertDocument: db.prepare(`INSERT INTO policy_documents (id, policy_id, title, format, source, text, created_by, created_at)
+    VALUES (@id,@policy_id,@title,@format,@source,@text,@created_by,@created_at)`),
+  insertClause: db.prepare(`INSERT INTO policy_clauses (id, document_id, parent_id, kind, number, heading, text, depth, position, start_offset, end_offset, created_at)
+    VALUES (@id,@document_id,@parent_id,@kind,@number,@heading,@text,@depth,@position,@start_offset,@end_offset,@created_at)`),
+  listClausesByDocument: db.prepare('SELECT * FROM policy_clauses WHERE document_id = ? ORDER BY position ASC'),
+  listClausesByPolicy: db.prepare(`SELECT c.* FROM policy_clauses c
+    JOIN policy_documents d ON d.id = c.document_id
+    WHERE d.policy_id = ? ORDER BY d.created_at ASC, d.rowid ASC, c.position ASC`),
+  // Citations by live requirements only; a trashed requirement covers nothing
+  listCitationsByPolicy: db.prepare(`SELECT rc.*, c.number, c.text AS clause_text, c.document_id, r.statement FROM requirement_clauses rc
+    JOIN policy_clauses c ON c.id = rc.clause_id
+    JOIN policy_documents d ON d.id = c.document_id
+    JOIN requirements r ON r.id = rc.requirement_id AND r.deleted_at IS NULL
+    WHERE d.policy_id = ? ORDER BY rc.created_at ASC, rc.rowid ASC`),
+  getCitation: db.prepare(`SELECT rc.*, c.number, c.text AS clause_text, r.policy_id FROM requirement_clauses rc
+    JOIN policy_clauses c ON c.id = rc.clause_id
+    JOIN requirements r ON r.id = rc.requirement_id AND r.deleted_at IS NULL
+    WHERE rc.id = ?`),
+  insertCitation: db.prepare(`INSERT INTO requirement_clauses (id, requirement_id, clause_id, span_start, span_end, created_by, created_at)
+    VALUES (@id,@requirement_id,@clause_id,@span_start,@span_end,@created_by,@created_at)`),
+  deleteCitation: db.prepare('DELETE FROM requirement_clauses WHERE id = ?'),
+  getClause: db.prepare('SELECT * FROM policy_clauses WHERE id = ?'),
 
-app.get('/dashboard', (req, res) => {
-  const policies = q.listPolicies.all();
-  const selectedPolicyId = req.query.policyId || (policies[0]?.id ?? null);
-  const policy = selectedPolicyId ? q.getPolicy.get(selectedPolicyId) : null;
+  insertCandidate: db.prepare(`INSERT INTO requirement_candidates (id, policy_id, clause_id, span_start, span_end, statement, signals, created_at)
+    VALUES (@id,@policy_id,@clause_id,@span_start,@span_end,@statement,@signals,@created_at)
+    ON CONFLICT (clause_id, span_start, span_end) DO NOTHING`),
+  getCandidate: db.prepare('SELECT * FROM requirement_candidates WHERE id = ?'),
+  listPendingCandidates: db.prepare(`SELECT rc.*, c.number, c.text AS clause_text, c.document_id FROM requirement_candidates rc
+    JOIN policy_clauses c ON c.id = rc.clause_id
+    JOIN policy_documents d ON d.id = c.document_id
+    WHERE rc.policy_id = ? AND rc.status = 'pending'
+    ORDER BY d.created_at ASC, d.rowid ASC, c.position ASC, rc.span_start ASC`),
+  countCandidatesByStatus: db.prepare('SELECT status, COUNT(*) AS n FROM requirement_candidates WHERE policy_id = ? GROUP BY status'),
+  decideCandidate: db.prepare(`UPDATE requirement_candidates SET status = @status, requirement_id = @requirement_id,
+    decided_by = @decided_by, decided_at = @decided_at WHERE id = @id`),
 
-  const requirements = policy ? q.listRequirements.all(policy.id) : [];
+  insertDeletion: db.prepare(`INSERT INTO deletions (id, entity_type, entity_id, label, counts_json, deleted_by, deleted_at)
+    VALUES (@id,@entity_type,@entity_id,@label,@counts_json,@deleted_by,@deleted_at)`),
+  listDeletions: db.prepare('SELECT * FROM deletions ORDER BY deleted_at DESC'),
+  getDeletion: db.prepare('SELECT * FROM deletions WHERE id = ?'),
+  removeDeletion: db.prepare('DELETE FROM deletions WHERE id = ?'),
 
-  // Compute coverage metrics per requirement
-  const rows = requirements.map((r) => {
-    const decisions = q.listDecisionsByRequirement.all(r.id);
-    const approvedDecisions = decisions.filter(d => d.status === 'approved');
+  lastAuditEntry: db.prepare('SELECT * FROM audit_log ORDER BY seq DESC LIMIT 1'),
+  insertAuditEntry: db.prepare(`INSERT INTO audit_log (seq, at, actor, action, entity_type, entity_id, policy_id, details_json, prev_hash, hash)
+    VALUES (@seq,@at,@actor,@action,@entity_type,@entity_id,@policy_id,@details_json,@prev_hash,@hash)`),
+  listAuditLog: db.prepare('SELECT * FROM audit_log ORDER BY seq ASC'),
+  listAuditLogByPolicy: db.prepare('SELECT * FROM audit_log WHERE policy_id = ? ORDER BY seq DESC'),
 
-    const rules = decisions.flatMap(d => q.listRulesByDecision.all(d.id));
-    const testCount = rules.reduce((acc, rule) => acc + q.listTestCasesByRule.all(rule.id).length, 0);
+  listRevisions: db.prepare('SELECT * FROM revisions WHERE entity_type = ? AND entity_id = ? ORDER BY edited_at DESC, rowid DESC'),
+  insertRevision: db.prepare(`INSERT INTO revisions (id, entity_type, entity_id, edited_by, edited_at, changes_json)
+    VALUES (@id,@entity_type,@entity_id,@edited_by,@edited_at,@changes_json)`),
 
-    const decisionEvidenceCount = decisions.reduce((acc, d) => acc + q.listEvidence.all('decision', d.id).length, 0);
-    const ruleEvidenceCount = rules.reduce((acc, rule) => acc + q.listEvidence.all('rule', rule.id).length, 0);
-    const evidenceCount = decisionEvidenceCount + ruleEvidenceCount;
+  countUsers: db.prepare('SELECT COUNT(*) AS n FROM users'),
+  listUsers: db.prepare('SELECT * FROM users ORDER BY disabled_at IS NOT NULL, username'),
+  listActiveUsers: db.prepare('SELECT * FROM users WHERE disabled_at IS NULL ORDER BY username'),
+  getUser: db.prepare('SELECT * FROM users WHERE id = ?'),
+  getUserByUsername: db.prepare('SELECT * FROM users WHERE username = ?'),
+  insertUser: db.prepare(`INSERT INTO users (id, username, display_name, role, password_hash, disabled_at, created_at)
+    VALUES (@id,@username,@display_name,@role,@password_hash,NULL,@created_at)`),
+  updateUser: db.prepare('UPDATE users SET display_name = @display_name, role = @role, disabled_at = @disabled_at WHERE id = @id'),
+  setUserPassword: db.prepare('UPDATE users SET password_hash = ? WHERE id = ?'),
+  countActiveAdmins: db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled_at IS NULL"),
 
-    const hasDecisionApproved = approvedDecisions.length > 0;
-    const hasRule = rules.length > 0;
-    const hasTests = testCount > 0;
-    const hasEvidence = evidenceCount > 0;
+  insertSession: db.prepare(`INSERT INTO sessions (id, user_id, workspace_id, created_at, expires_at)
+    VALUES (@id,@user_id,@workspace_id,@created_at,@expires_at)`),
+  getSessionUser: db.prepare(`SELECT u.*, s.workspace_id AS session_workspace_id FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > ? AND u.disabled_at IS NULL`),
+  setSessionWorkspace: db.prepare('UPDATE sessions SET workspace_id = ? WHERE id = ?'),
+  deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+  deleteUserSessions: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+  deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
 
-    const fullyTraceable = hasDecisionApproved && hasRule && hasTests && hasEvidence;
+  listWorkspaces: db.prepare(`SELECT w.*,
+      (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = w.id) AS member_count,
+      (SELECT COUNT(*) FROM policies p WHERE p.workspace_id = w.id AND p.deleted_at IS NULL) AS policy_count
+    FROM workspaces w ORDER BY w.name`),
+  getWorkspace: db.prepare('SELECT * FROM workspaces WHERE id = ?'),
+  getWorkspaceByName: db.prepare('SELECT * FROM workspaces WHERE name = ?'),
+  insertWorkspace: db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (@id,@name,@created_at)'),
+  renameWorkspace: db.prepare('UPDATE workspaces SET name = @name WHERE id = @id'),
+  // A user's workspaces, oldest membership first: that one is where they land by default
+  listMemberships: db.prepare(`SELECT m.workspace_id, m.role, w.name FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id WHERE m.user_id = ? ORDER BY m.created_at, w.name`),
+  getMembership: db.prepare('SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?'),
+  listMembers: db.prepare(`SELECT u.id, u.username, u.display_name, u.disabled_at, m.role FROM workspace_members m
+    JOIN users u ON u.id = m.user_id WHERE m.workspace_id = ? ORDER BY u.disabled_at IS NOT NULL, u.username`),
+  listActiveMembers: db.prepare(`SELECT u.id, u.username, u.display_name, m.role FROM workspace_members m
+    JOIN users u ON u.id = m.user_id WHERE m.workspace_id = ? AND u.disabled_at IS NULL ORDER BY u.username`),
+  // An active member with their role in the workspace, shaped like a user for can()
+  getActiveMember: db.prepare(`SELECT u.id, u.username, u.display_name, m.role FROM workspace_members m
+    JOIN users u ON u.id = m.user_id WHERE m.workspace_id = ? AND u.username = ? AND u.disabled_at IS NULL`),
+  insertMember: db.prepare('INSERT INTO workspace_members (workspace_id, user_id, role, created_at) VALUES (@workspace_id,@user_id,@role,@created_at)'),
+  updateMemberRole: db.prepare('UPDATE workspace_members SET role = @role WHERE workspace_id = @workspace_id AND user_id = @user_id'),
+  deleteMember: db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+};
 
-    return {
-      requirement: r,
-      decisions,
-      approvedDecisions,
-      rules,
-      testCount,
-      evidenceCount,
-      hasDecisionApproved,
-      hasRule,
-      hasTests,
-      hasEvidence,
-      fullyTraceable
-    };
-  });
+// ---------- rule language ----------
+// Parsed form of definition_text, shaped for the definition_ast / parse_error columns.
+function parseDefinition(text) {
+  const parsed = tryParseRule(text);
+  return parsed.ok
+    ? { definition_ast: JSON.stringify(parsed.ast), parse_error: null }
+    : { definition_ast: null, parse_error: JSON.stringify(parsed.error) };
+}
 
-  const reqTotal = requirements.length;
-  const reqTraceable = rows.filter(x => x.fullyTraceable).length;
-  const reqWithApprovedDecision = rows.filter(x => x.hasDecisionApproved).length;
-  const reqWithRule = rows.filter(x => x.hasRule).length;
-  const reqWithTests = rows.filter(x => x.hasTests).length;
-  const reqWithEvidence = rows.filter(x => x.hasEvidence).length;
-
-  const decisionsTotal = rows.reduce((a, x) => a + x.decisions.length, 0);
-  const decisionsApproved = rows.reduce((a, x) => a + x.approvedDecisions.length, 0);
-
-  const rulesTotal = rows.reduce((a, x) => a + x.rules.length, 0);
-  const testsTotal = rows.reduce((a, x) => a + x.testCount, 0);
-  const evidenceTotal = rows.reduce((a, x) => a + x.evidenceCount, 0);
-
-  const pct = (n, d) => (d ? Math.round((n / d) * 100) : 0);
-
-  // Impact counts from mappings across all decisions and rules
-  let impact = { service: 0, api: 0, data: 0, integration: 0, security: 0 };
-  if (policy) {
-    for (const r of requirements) {
-      const decisions = q.listDecisionsByRequirement.all(r.id);
-      for (const d of decisions) {
-        for (const m of q.listMappings.all('decision', d.id)) {
-          impact[m.type] = (impact[m.type] || 0) + 1;
-        }
-        for (const rule of q.listRulesByDecision.all(d.id)) {
-          for (const m of q.listMappings.all('rule', rule.id)) {
-            impact[m.type] = (impact[m.type] || 0) + 1;
-          }
-        }
-      }
+function ruleAst(rule) {
+  return rule.definition_ast ? JSON.parse(rule.definition_ast) : null;
+}
+
+function ruleParseError(rule) {
+  return rule.parse_error ? JSON.parse(rule.parse_error) : null;
+}
+
+// Rules inserted outside the web app (seed script, older DBs) have no parsed form yet.
+for (const rule of q.listUnparsedRules.all()) {
+  q.updateRuleParse.run({ id: rule.id, ...parseDefinition(rule.definition_text) });
+}
+
+// ---------- test runs ----------
+// Runs every test case of the given rules and records one test_runs row per case.
+const runTests = db.transaction((rules, scope) => {
+  const batchId = nanoid();
+  const ranAt = new Date().toISOString();
+  const counts = { pass: 0, fail: 0, error: 0 };
+  for (const rule of rules) {
+    const hash = ruleHash(rule);
+    for (const tc of q.listTestCasesByRule.all(rule.id)) {
+      const result = runTestCase(rule, tc);
+      counts[result.verdict]++;
+      q.insertTestRun.run({
+        id: nanoid(),
+        batch_id: batchId,
+        scope,
+        test_case_id: tc.id,
+        rule_id: rule.id,
+        rule_version: rule.version,
+        rule_hash: hash,
+        case_hash: testCaseHash(tc),
+        verdict: result.verdict,
+        actual_json: result.actual === null || result.actual === undefined ? null : JSON.stringify(result.actual),
+        error: result.error,
+        ran_at: ranAt
+      });
     }
   }
+  return { batchId, counts };
+});
 
-  const kpiCard = (label, value, sub = '') => `
-    <div class="card" style="margin:0">
-      <div class="muted small">${escapeHtml(label)}</div>
-      <div style="font-size:28px; font-weight:700; margin-top:4px">${escapeHtml(value)}</div>
-      ${sub ? `<div class="muted small" style="margin-top:6px">${sub}</div>` : ''}
-    </div>
-  `;
+function listPolicyRules(policyId) {
+  return q.listRequirements.all(policyId)
+    .flatMap(r => q.listCurrentDecisionsByRequirement.all(r.id))
+    .flatMap(d => q.listRulesByDecision.all(d.id));
+}
 
-  const flowBar = (label, value, max) => {
-    const w = max ? Math.max(2, Math.round((value / max) * 100)) : 0;
-    return `
-      <div style="margin:10px 0">
-        <div class="row"><div style="width:180px" class="muted small">${escapeHtml(label)}</div><div class="mono small">${value}</div></div>
-        <div style="height:10px; background:#0b1020; border:1px solid var(--border); border-radius:999px; overflow:hidden; margin-top:6px">
-          <div style="height:10px; width:${w}%; background:#3b82f6"></div>
-        </div>
-      </div>
-    `;
-  };
+function verdictPill(verdict) {
+  if (!verdict) return `<span class="pill">never run</span>`;
+  const style = {
+    pass: 'background:#0f2d1f; border-color:#1e8e5a; color:#bff3d6',
+    fail: 'background:#3a1d1d; border-color:#ff6b6b; color:#ffd0d0',
+    error: 'background:#3a2a12; border-color:#f59e0b; color:#fde7b0'
+  }[verdict] || '';
+  return `<span class="pill" style="${style}">${escapeHtml(verdict)}</span>`;
+}
 
-  const heatCell = (ok) => {
-    const bg = ok ? '#0f2d1f' : '#3a1d1d';
-    const bd = ok ? '#1e8e5a' : '#ff6b6b';
-    const txt = ok ? 'OK' : 'MISS';
-    return `<span class="pill" style="background:${bg}; border-color:${bd}; color:${ok ? '#bff3d6' : '#ffd0d0'}">${txt}</span>`;
+// ---------- audit log ----------
+// Appends one hash-chained entry. Called by every mutating route (directly or via the
+// update/delete helpers below), inside the same transaction as the change where possible.
+const recordAudit = db.transaction(({ actor, action, entityType, entityId, policyId, details }) => {
+  const last = q.lastAuditEntry.get();
+  const entry = {
+    seq: last ? last.seq + 1 : 1,
+    at: new Date().toISOString(),
+    actor: actor || null,
+    action,
+    entity_type: entityType,
+    entity_id: entityId,
+    policy_id: policyId ?? null,
+    details_json: JSON.stringify(details ?? {})
   };
+  const prevHash = last ? last.hash : GENESIS_HASH;
+  q.insertAuditEntry.run({ ...entry, prev_hash: prevHash, hash: entryHash(entry, prevHash) });
+});
 
-  const policySelect = `
-    <form method="get" action="/dashboard" class="row wrap" style="gap:12px">
-      <div>
-        <label>Policy</label>
-        <select name="policyId" onchange="this.form.submit()">
-          ${policies.map(p => `<option value="${escapeHtml(p.id)}" ${p.id === selectedPolicyId ? 'selected' : ''}>${escapeHtml(p.title)}</option>`).join('')}
-        </select>
-      </div>
-      ${policy ? `<div class="muted small" style="margin-top:22px">Effective: <span class="mono">${escapeHtml(policy.effective_date || '—')}</span></div>` : ''}
-    </form>
-  `;
+// Walks up to the owning policy; works for soft-deleted rows too.
+function policyIdFor(type, row) {
+  let t = type;
+  let r = row;
+  while (r && t !== 'policy') {
+    const parent = parentOf(t, r);
+    r = trashStmts[parent.type].getAny.get(parent.id);
+    t = parent.type;
+  }
+  return r ? r.id : null;
+}
 
-  // Safely embed JSON in HTML (prevents <script> breakouts and line-separator syntax errors)
-  const safeJson = (obj) => JSON.stringify(obj)
-    .replaceAll('<', '\\u003c')
-    .replaceAll('>', '\\u003e')
-    .replaceAll('&', '\\u0026')
-    .replaceAll('\u2028', '\\u2028')
-    .replaceAll('\u2029', '\\u2029');
+function workspaceIdFor(type, row) {
+  return q.getPolicyWorkspace.get(policyIdFor(type, row))?.workspace_id ?? null;
+}
 
-  const body = `
-    <div class="card">
-      <div class="row wrap">
-        <div>
-          <h1 style="margin:0">Executive dashboard</h1>
-          <div class="muted">Readiness, coverage, impact, and risk — policy-specific.</div>
-        </div>
-        <div class="right">${policySelect}</div>
-      </div>
-    </div>
+function auditCreate(type, row, actor) {
+  const { definition_ast, parse_error, ...values } = row;
+  recordAudit({ actor, action: 'create', entityType: type, entityId: row.id, policyId: policyIdFor(type, row), details: { values } });
+}
 
-    ${policy ? `
-    <div class="grid grid2">
-      ${kpiCard('Requirements traceable', `${reqTraceable}/${reqTotal}`, `${pct(reqTraceable, reqTotal)}% fully traceable (approved decision + rule + tests + evidence)`)}
-      ${kpiCard('Requirements w/ approved decision', `${reqWithApprovedDecision}/${reqTotal}`, `${pct(reqWithApprovedDecision, reqTotal)}% have at least one approved decision`)}
-      ${kpiCard('Decisions approved', `${decisionsApproved}/${decisionsTotal}`, `${pct(decisionsApproved, decisionsTotal)}% of recorded decisions approved`)}
-      ${kpiCard('Rules / Tests / Evidence', `${rulesTotal} / ${testsTotal} / ${evidenceTotal}`, `counts for selected policy`)}
-    </div>
+// ---------- edit history ----------
+// User-editable columns per entity. Only these are compared and recorded in revisions.
+const EDITABLE = {
+  policy: { update: q.updatePolicy, fields: ['title', 'jurisdiction', 'program', 'source_citation', 'effective_date', 'gate_json'] },
+  requirement: { update: q.updateRequirement, fields: ['statement', 'status', 'tags', 'external_id'] },
+  // status / approved_at only change through the approval workflow
+  decision: { update: q.updateDecision, fields: ['decision', 'rationale', 'alternatives', 'owner'] },
+  // version only changes by creating a new version (see rule versions below)
+  rule: { update: q.updateRule, fields: ['name', 'definition_text', 'inputs', 'exceptions'] },
+  test_case: { update: q.updateTestCase, fields: ['name', 'given_json', 'expected_json', 'notes'] },
+  mapping: { update: q.updateMapping, fields: ['type', 'ref', 'notes'] },
+  evidence: { update: q.updateEvidence, fields: ['kind', 'ref', 'status', 'notes'] }
+};
 
-    <div class="grid grid2">
-      <div class="card">
-        <h2 style="margin:0">Coverage (visual)</h2>
-        <div class="muted small">A more executive-friendly view of traceability and bottlenecks.</div>
-        <div class="hr"></div>
-        <div class="grid" style="grid-template-columns: 1fr 1fr; align-items:stretch">
-          <div>
-            <div class="muted small" style="margin-bottom:8px">Traceability</div>
-            <div id="traceDonut" style="height:220px; width:100%"></div>
-          </div>
-          <div>
-            <div class="muted small" style="margin-bottom:8px">Flow</div>
-            <div id="flowFunnel" style="height:220px; width:100%"></div>
-          </div>
-        </div>
-        <div class="hr"></div>
-        <details>
-          <summary class="muted small" style="cursor:pointer">Show raw counts</summary>
-          ${(() => {
-            const max = Math.max(reqTotal, decisionsTotal, rulesTotal, testsTotal, evidenceTotal);
-            return [
-              flowBar('Requirements', reqTotal, max),
-              flowBar('Decisions', decisionsTotal, max),
-              flowBar('Rules', rulesTotal, max),
-              flowBar('Test cases', testsTotal, max),
-              flowBar('Evidence items', evidenceTotal, max),
-            ].join('');
-          })()}
-        </details>
-      </div>
+// Applies an edit and records the previous values of the fields it changed.
+// Returns the recorded changes, or null when nothing changed (no revision is written).
+const updateWithHistory = db.transaction((entityType, existing, next, editedBy) => {
+  const { update, fields } = EDITABLE[entityType];
+  const changes = {};
+  for (const f of fields) {
+    const from = existing[f] ?? null;
+    const to = Object.hasOwn(next, f) ? (next[f] ?? null) : from;
+    if (from !== to) changes[f] = { from, to };
+  }
+  if (!Object.keys(changes).length) return null;
 
-      <div class="card">
-        <h2 style="margin:0">Impact (architecture)</h2>
-        <div class="muted small">Where this policy touches the system.</div>
-        <div class="hr"></div>
-        <div id="impactBar" style="height:260px; width:100%"></div>
-        <details>
-          <summary class="muted small" style="cursor:pointer">Show mapping list</summary>
-          <div class="kvs" style="margin-top:10px">
-            ${Object.entries(impact).map(([k,v]) => `<div class="muted">${escapeHtml(k)}</div><div><span class="mono">${v}</span></div>`).join('')}
-          </div>
-        </details>
+  update.run({ ...existing, ...next });
+  recordAudit({ actor: editedBy, action: 'update', entityType, entityId: existing.id, policyId: policyIdFor(entityType, existing), details: { changes } });
+  q.insertRevision.run({
+    id: nanoid(),
+    entity_type: entityType,
+    entity_id: existing.id,
+    edited_by: editedBy || null,
+    edited_at: new Date().toISOString(),
+    changes_json: JSON.stringify(changes)
+  });
+  return changes;
+});
+
+// Who is making a change: the signed-in user's username.
+function actorFor(req) {
+  return req.user?.username ?? null;
+}
+
+function historyList(entityType, entityId) {
+  const revisions = q.listRevisions.all(entityType, entityId);
+  if (!revisions.length) return `<p class="muted small">No edits yet.</p>`;
+  const show = (v) => v === null ? '<span class="muted">—</span>' : `<span class="mono" style="white-space:pre-wrap">${escapeHtml(v)}</span>`;
+  return `<ul>${revisions.map(rev => `
+    <li style="margin:10px 0">
+      <div class="small"><span class="mono">${escapeHtml(rev.edited_at)}</span> • ${escapeHtml(rev.edited_by || 'unknown')}</div>
+      <div class="kvs small" style="margin-top:6px">
+        ${Object.entries(JSON.parse(rev.changes_json)).map(([field, c]) => `
+          <div class="muted">${escapeHtml(field)}</div>
+          <div><span class="danger">${show(c.from)}</span> → ${show(c.to)}</div>
+        `).join('')}
       </div>
-    </div>
+    </li>
+  `).join('')}</ul>`;
+}
 
+function historyCard(entityType, entityId) {
+  const count = q.listRevisions.all(entityType, entityId).length;
+  return `
     <div class="card">
-      <div class="row">
-        <h2 style="margin:0">Coverage heatmap</h2>
-        <div class="right muted small">Requirement-level completeness snapshot</div>
-      </div>
-      <div class="hr"></div>
-      ${rows.length ? `
-        <table style="width:100%; border-collapse:collapse">
-          <thead>
-            <tr class="muted small">
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Requirement</th>
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Decision approved</th>
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Rules</th>
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Tests</th>
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Evidence</th>
-              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Traceable</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${rows.map(x => `
-              <tr>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">
-                  <div class="small">${escapeHtml(x.requirement.statement)}</div>
-                  <div class="muted small">status: <span class="mono">${escapeHtml(x.requirement.status)}</span></div>
-                </td>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasDecisionApproved)}</td>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasRule)} <span class="muted small mono">${x.rules.length}</span></td>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasTests)} <span class="muted small mono">${x.testCount}</span></td>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasEvidence)} <span class="muted small mono">${x.evidenceCount}</span></td>
-                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.fullyTraceable)}</td>
-              </tr>
-            `).join('')}
-          </tbody>
-        </table>
-      ` : `<p class="muted">No requirements yet.</p>`}
+      <details>
+        <summary style="cursor:pointer"><strong>Edit history</strong> <span class="muted small">(${count} edit${count === 1 ? '' : 's'})</span></summary>
+        <div class="hr"></div>
+        ${historyList(entityType, entityId)}
+      </details>
     </div>
-
-    <script id="dashboardData" type="application/json">${safeJson({
-      reqTotal,
-      reqTraceable,
-      reqWithApprovedDecision,
-      reqWithRule,
-      reqWithTests,
-      reqWithEvidence,
-      decisionsTotal,
-      decisionsApproved,
-      rulesTotal,
-      testsTotal,
-      evidenceTotal,
-      impact
-    })}</script>
-    <script src="/static/vendor/echarts.min.js"></script>
-    <script src="/static/dashboard.js"></script>
-    ` : `
-      <div class="card"><p class="muted">No policies yet. Create one first.</p></div>
-    `}
   `;
+}
 
-  res.type('html').send(page('Dashboard', body));
-});
+// Trimmed form values for the given fields; empty strings become null.
+function formValues(body, fields) {
+  return Object.fromEntries(fields.map(f => [f, typeof body[f] === 'string' ? (body[f].trim() || null) : null]));
+}
 
-app.get('/policies/new', (req, res) => {
-  const body = `
-    <div class="card">
-      <h1 style="margin:0">New Policy</h1>
-      <p class="muted">Government-specific policy intake. Keep it structured.</p>
-    </div>
+// A form for `fields` (see src/form_validation.js), filled with `values`, with each message in
+// `errors` under its field. Create routes re-render it when the form on the page was invalid.
+function formPage({ pill, heading, subtitle, action, back, fields, values, error, errors = {}, submit = 'Save changes', hidden = {} }) {
+  const input = (f) => {
+    const v = values[f.name] ?? '';
+    const invalid = errors[f.name] ? 'aria-invalid="true"' : '';
+    if (f.type === 'textarea') {
+      return `<textarea name="${f.name}" ${f.required ? 'required' : ''} ${f.mono ? 'class="mono"' : ''} ${invalid}>${escapeHtml(v)}</textarea>`;
+    }
+    if (f.type === 'select') {
+      // Options are values, or { value, label } when they differ
+      return `<select name="${f.name}" ${invalid}>${f.options.map(o => typeof o === 'string' ? { value: o, label: o || '(none)' } : o)
+        .map(o => `<option value="${escapeHtml(o.value)}" ${o.value === v ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}</select>`;
+    }
+    return `<input name="${f.name}" value="${escapeHtml(v)}" ${f.required ? 'required' : ''} ${f.placeholder ? `placeholder="${escapeHtml(f.placeholder)}"` : ''} ${invalid} />`;
+  };
+  const fieldErrors = Object.keys(errors).length;
 
-    <form class="card grid" method="post" action="/policies">
-      <div>
-        <label>Title</label>
-        <input name="title" required placeholder="e.g., HR1 Work Requirements" />
-      </div>
-      <div class="grid grid2">
-        <div>
-          <label>Jurisdiction</label>
-          <input name="jurisdiction" placeholder="e.g., Federal / State of X" />
-        </div>
+  return `
+    <div class="card">
+      <div class="row wrap">
         <div>
-          <label>Program</label>
-          <input name="program" placeholder="e.g., Medicaid" />
+          <div class="pill">${escapeHtml(pill)}</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(heading)}</h1>
+          ${subtitle ? `<div class="muted small">${subtitle}</div>` : ''}
         </div>
+        <div class="right"><a href="${back}">← Back</a></div>
       </div>
-      <div class="grid grid2">
-        <div>
-          <label>Effective date (ISO)</label>
-          <input name="effective_date" placeholder="YYYY-MM-DD" />
-        </div>
+    </div>
+
+    <form class="card grid" method="post" action="${action}">
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      ${fieldErrors ? `<div class="danger">Nothing was saved: fix the ${fieldErrors === 1 ? 'field' : `${fieldErrors} fields`} marked below.</div>` : ''}
+      ${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value ?? '')}" />`).join('')}
+      ${fields.map(f => `
         <div>
-          <label>Source citation / URL</label>
-          <input name="source_citation" placeholder="Law, CFR, memo link, etc." />
-        </div>
-      </div>
+          <label>${escapeHtml(f.label)}</label>${input(f)}
+          ${errors[f.name] ? `<div class="danger small" style="margin-top:4px">${escapeHtml(errors[f.name])}</div>` : ''}
+        </div>`).join('')}
       <div class="row">
-        <button type="submit">Create policy</button>
-        <a class="muted" href="/">Cancel</a>
+        <button type="submit">${escapeHtml(submit)}</button>
+        <a class="muted" href="${back}">Cancel</a>
       </div>
     </form>
   `;
-  res.type('html').send(page('New Policy', body));
-});
+}
 
-app.post('/policies', (req, res) => {
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertPolicy.run({
-    id,
-    title: req.body.title?.trim(),
-    jurisdiction: req.body.jurisdiction?.trim() || null,
-    program: req.body.program?.trim() || null,
-    source_citation: req.body.source_citation?.trim() || null,
-    effective_date: req.body.effective_date?.trim() || null,
-    created_at: now
-  });
-  res.redirect(`/policies/${id}`);
-});
+// Create forms live on the parent's page; when one is invalid it comes back on its own page,
+// with what was typed and the errors.
+function invalidCreateForm(res, title, form) {
+  return res.status(400).type('html').send(page(title, formPage({ pill: 'New', heading: title, submit: 'Create', ...form })));
+}
 
-app.get('/policies/:policyId', (req, res) => {
-  const policy = q.getPolicy.get(req.params.policyId);
-  if (!policy) return res.status(404).type('html').send(page('Not found', `<div class="card"><h1>Not found</h1></div>`));
+function editPage({ entityType, entityId, ...form }) {
+  return `
+    ${formPage({ pill: 'Edit', ...form })}
 
-  const requirements = q.listRequirements.all(policy.id);
+    <div class="card">
+      <h2 style="margin:0">Edit history</h2>
+      <div class="hr"></div>
+      ${historyList(entityType, entityId)}
+    </div>
+  `;
+}
+
+// ---------- deletion / trash ----------
+// Deleting hides a row and everything below it (soft delete). Restoring un-hides exactly the
+// rows hidden by that delete; purging removes them for good. Test runs and edit history stay.
+const TABLES = {
+  policy: 'policies',
+  requirement: 'requirements',
+  decision: 'decisions',
+  rule: 'rules',
+  test_case: 'test_cases',
+  mapping: 'mappings',
+  evidence: 'evidence'
+};
+
+const ENTITY_NAMES = {
+  policy: 'Policy',
+  requirement: 'Requirement',
+  decision: 'Decision',
+  rule: 'Rule',
+  test_case: 'Test case',
+  mapping: 'Mapping',
+  evidence: 'Evidence',
+  policy_document: 'Source document',
+  citation: 'Clause citation',
+  candidate: 'Requirement candidate',
+  user: 'User',
+  workspace: 'Workspace'
+};
+
+const getLive = {
+  policy: (id) => q.getPolicy.get(id),
+  requirement: (id) => q.getRequirement.get(id),
+  decision: (id) => q.getDecision.get(id),
+  rule: (id) => q.getRule.get(id),
+  test_case: (id) => q.getTestCase.get(id),
+  mapping: (id) => q.getMapping.get(id),
+  evidence: (id) => q.getEvidence.get(id),
+  policy_document: (id) => q.getDocument.get(id)
+};
+
+const trashStmts = Object.fromEntries(Object.entries(TABLES).map(([type, table]) => [type, {
+  getAny: db.prepare(`SELECT * FROM ${table} WHERE id = ?`),
+  hide: db.prepare(`UPDATE ${table} SET deleted_at = ?, deletion_id = ? WHERE id = ? AND deleted_at IS NULL`),
+  restore: db.prepare(`UPDATE ${table} SET deleted_at = NULL, deletion_id = NULL WHERE deletion_id = ?`),
+  purge: db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+}]));
+
+// Child ids regardless of deleted state, for purging.
+const childIds = {
+  requirement: db.prepare('SELECT id FROM requirements WHERE policy_id = ?'),
+  decision: db.prepare('SELECT id FROM decisions WHERE requirement_id = ?'),
+  rule: db.prepare('SELECT id FROM rules WHERE decision_id = ?')
+};
+const purgeTargetRows = {
+  mapping: db.prepare('DELETE FROM mappings WHERE target_type = ? AND target_id = ?'),
+  evidence: db.prepare('DELETE FROM evidence WHERE target_type = ? AND target_id = ?')
+};
+
+function entityLabel(type, row) {
+  if (type === 'policy') return row.title;
+  if (type === 'requirement') return row.statement;
+  if (type === 'decision') return row.decision;
+  if (type === 'rule') return `${row.name} v${row.version}`;
+  if (type === 'test_case') return row.name;
+  if (type === 'mapping') return `${row.type}: ${row.ref}`;
+  if (type === 'policy_document') return row.title;
+  if (type === 'citation') return row.quote ? `${row.number}: “${row.quote}”` : row.number;
+  if (type === 'candidate') return row.statement;
+  if (type === 'user') return `${row.display_name} (${row.username})`;
+  if (type === 'workspace') return row.name;
+  return `${row.kind}: ${row.ref}`;
+}
+
+function parentOf(type, row) {
+  if (type === 'requirement') return { type: 'policy', id: row.policy_id };
+  if (type === 'decision') return { type: 'requirement', id: row.requirement_id };
+  if (type === 'rule') return { type: 'decision', id: row.decision_id };
+  if (type === 'test_case') return { type: 'rule', id: row.rule_id };
+  if (type === 'mapping' || type === 'evidence') return { type: row.target_type, id: row.target_id };
+  return null;
+}
+
+// Page to land on after the row is gone.
+function parentPath(type, row) {
+  if (type === 'policy') return '/';
+  if (type === 'requirement') return `/policies/${row.policy_id}`;
+  if (type === 'decision') {
+    const requirement = trashStmts.requirement.getAny.get(row.requirement_id);
+    return `/policies/${requirement.policy_id}`;
+  }
+  const parent = parentOf(type, row);
+  return parent.type === 'rule' ? `/rules/${parent.id}` : `/decisions/${parent.id}`;
+}
+
+// Live rows that go with the given row, root first.
+function collectCascade(type, row) {
+  const out = [];
+  const visit = (t, r) => {
+    out.push({ type: t, row: r });
+    if (t === 'policy') q.listRequirements.all(r.id).forEach(x => visit('requirement', x));
+    if (t === 'requirement') q.listDecisionsByRequirement.all(r.id).forEach(x => visit('decision', x));
+    if (t === 'decision' || t === 'rule') {
+      q.listMappings.all(t, r.id).forEach(x => visit('mapping', x));
+      q.listEvidence.all(t, r.id).forEach(x => visit('evidence', x));
+    }
+    if (t === 'decision') q.listRuleVersionsByDecision.all(r.id).forEach(x => visit('rule', x));
+    if (t === 'rule') q.listTestCasesByRule.all(r.id).forEach(x => visit('test_case', x));
+  };
+  visit(type, row);
+  return out;
+}
+
+function cascadeCounts(rows) {
+  const counts = {};
+  for (const x of rows) counts[x.type] = (counts[x.type] || 0) + 1;
+  return counts;
+}
+
+const softDelete = db.transaction((type, row, deletedBy) => {
+  const rows = collectCascade(type, row);
+  const deletionId = nanoid();
+  const now = new Date().toISOString();
+  for (const x of rows) trashStmts[x.type].hide.run(now, deletionId, x.row.id);
+  const counts = cascadeCounts(rows);
+  q.insertDeletion.run({
+    id: deletionId,
+    entity_type: type,
+    entity_id: row.id,
+    label: entityLabel(type, row),
+    counts_json: JSON.stringify(counts),
+    deleted_by: deletedBy || null,
+    deleted_at: now
+  });
+  recordAudit({
+    actor: deletedBy,
+    action: 'delete',
+    entityType: type,
+    entityId: row.id,
+    policyId: policyIdFor(type, row),
+    details: { label: entityLabel(type, row), deletion_id: deletionId, counts }
+  });
+  return { deletionId, counts };
+});
+
+// Returns an error message when the deletion can't be restored, otherwise null.
+const restoreDeletion = db.transaction((deletion, actor) => {
+  const root = trashStmts[deletion.entity_type].getAny.get(deletion.entity_id);
+  if (!root) return 'The deleted rows no longer exist.';
+  const parent = parentOf(deletion.entity_type, root);
+  if (parent && !getLive[parent.type](parent.id)) {
+    return `Its parent ${ENTITY_NAMES[parent.type].toLowerCase()} is deleted too. Restore that first.`;
+  }
+  for (const type of Object.keys(TABLES)) trashStmts[type].restore.run(deletion.id);
+  q.removeDeletion.run(deletion.id);
+  recordAudit({
+    actor,
+    action: 'restore',
+    entityType: deletion.entity_type,
+    entityId: deletion.entity_id,
+    policyId: policyIdFor(deletion.entity_type, root),
+    details: { label: deletion.label, deletion_id: deletion.id, counts: JSON.parse(deletion.counts_json) }
+  });
+  return null;
+});
+
+// Permanently removes the deleted row. Foreign keys cascade to requirements, decisions, rules,
+// test cases and test runs; mappings and evidence are polymorphic, so they are removed here.
+const purgeDeletion = db.transaction((deletion, actor) => {
+  const root = trashStmts[deletion.entity_type].getAny.get(deletion.entity_id);
+  recordAudit({
+    actor,
+    action: 'purge',
+    entityType: deletion.entity_type,
+    entityId: deletion.entity_id,
+    policyId: root ? policyIdFor(deletion.entity_type, root) : null,
+    details: { label: deletion.label, deletion_id: deletion.id, counts: JSON.parse(deletion.counts_json) }
+  });
+  if (root) {
+    const decisionIds = [];
+    const ruleIds = [];
+    const walk = (type, id) => {
+      if (type === 'policy') childIds.requirement.all(id).forEach(x => walk('requirement', x.id));
+      if (type === 'requirement') childIds.decision.all(id).forEach(x => walk('decision', x.id));
+      if (type === 'decision') { decisionIds.push(id); childIds.rule.all(id).forEach(x => walk('rule', x.id)); }
+      if (type === 'rule') ruleIds.push(id);
+    };
+    walk(deletion.entity_type, root.id);
+    for (const id of decisionIds) { purgeTargetRows.mapping.run('decision', id); purgeTargetRows.evidence.run('decision', id); }
+    for (const id of ruleIds) { purgeTargetRows.mapping.run('rule', id); purgeTargetRows.evidence.run('rule', id); }
+    trashStmts[deletion.entity_type].purge.run(root.id);
+  }
+  q.removeDeletion.run(deletion.id);
+  // Earlier deletes of rows under this one were purged along with it
+  for (const other of q.listDeletions.all()) {
+    if (!trashStmts[other.entity_type].getAny.get(other.entity_id)) q.removeDeletion.run(other.id);
+  }
+});
+
+// ---------- decision approval ----------
+// Status changes go through the workflow in src/decision_workflow.js; reviewers are the ones
+// named on the latest submit.
+function decisionReviewers(decision) {
+  const submit = q.lastDecisionSubmit.get(decision.id);
+  return submit ? JSON.parse(submit.reviewers_json) : [];
+}
+
+// Everyone who created, edited or submitted the decision, and its owner: none of them may review it.
+function decisionAuthors(decision) {
+  const names = q.listDecisionAuthors.all({ id: decision.id }).map(r => r.name);
+  return [...new Set([decision.owner, ...names].filter(Boolean))];
+}
+
+function decisionStatusText(decision) {
+  if (decision.status === 'approved' && !isSignedOff(decision)) return 'approved (no sign-off on record)';
+  return decision.status.replace('_', ' ');
+}
+
+// Approving and rejecting is for approvers; every other step is for whoever writes decisions.
+function workflowPermission(action) {
+  return action === 'approve' || action === 'reject' ? 'decision:review' : 'decision:write';
+}
+
+// Reviewers are members of the decision's workspace whose role there can approve.
+function reviewerAccount(workspaceId, username) {
+  const member = q.getActiveMember.get(workspaceId, username);
+  return member && can(member, 'decision:review') ? member : null;
+}
+
+// A review none of whose named reviewers can approve in the workspace any more (they left or
+// lost the role, or the names predate accounts) can't be signed off; it has to be submitted again.
+function isStaleReview(decision) {
+  const workspaceId = workspaceIdFor('decision', decision);
+  return decision.status === 'in_review' && !decisionReviewers(decision).some(name => reviewerAccount(workspaceId, name));
+}
+
+function approvalCard(decision, error, user) {
+  const reviews = q.listDecisionReviews.all(decision.id);
+  const reviewers = decisionReviewers(decision);
+  const stale = isStaleReview(decision);
+  const actions = Object.entries(TRANSITIONS).filter(([action, t]) =>
+    (action === 'submit'
+      ? t.from.includes(decision.status) || (decision.status === 'approved' && !isSignedOff(decision)) || stale
+      : t.from.includes(decision.status) && !(stale && (action === 'approve' || action === 'reject'))) &&
+    can(user, workflowPermission(action)));
+  const authors = decisionAuthors(decision);
+  const candidates = q.listActiveMembers.all(workspaceIdFor('decision', decision))
+    .filter(u => can(u, 'decision:review') && !authors.includes(u.username) && u.username !== user.username);
+
+  const supersedeForm = () => `
+    <form class="grid" method="post" action="/decisions/${decision.id}/supersede" style="margin-top:12px">
+      <div class="muted small">Superseding creates a replacement decision (starting as draft) that links back to this one, and retires this one.</div>
+      <div>
+        <label>Owner of the replacement</label>
+        ${ownerSelect(decision.owner)}
+      </div>
+      <div>
+        <label>Reason for superseding (required)</label>
+        <textarea name="comment" required></textarea>
+      </div>
+      <div>
+        <label>Replacement decision</label>
+        <textarea name="decision" required>${escapeHtml(decision.decision)}</textarea>
+      </div>
+      <div>
+        <label>Rationale</label>
+        <textarea name="rationale">${escapeHtml(decision.rationale ?? '')}</textarea>
+      </div>
+      <div>
+        <label>Alternatives considered</label>
+        <textarea name="alternatives">${escapeHtml(decision.alternatives ?? '')}</textarea>
+      </div>
+      <label class="row" style="font-size:14px"><input type="checkbox" name="carry_rules" value="1" checked style="width:auto" /> Carry this decision's rules over as new versions under the replacement</label>
+      <div class="row"><button type="submit">Supersede</button></div>
+    </form>
+  `;
+
+  const form = (action, t) => action === 'supersede' ? supersedeForm() : `
+    <form class="grid" method="post" action="/decisions/${decision.id}/workflow" style="margin-top:12px">
+      <input type="hidden" name="action" value="${action}" />
+      ${action === 'submit' ? `
+      <div>
+        <label>Reviewers (approvers other than the decision's authors and yourself)</label>
+        ${candidates.length ? `<div class="row wrap">${candidates.map(u => `
+          <label class="row" style="font-size:14px; margin:0"><input type="checkbox" name="reviewers" value="${escapeHtml(u.username)}" style="width:auto" /> ${escapeHtml(entityLabel('user', u))}</label>
+        `).join('')}</div>` : `<div class="danger small">No one else in this workspace can approve decisions yet; a site admin can add an approver under Workspaces.</div>`}
+      </div>` : ''}
+      <div>
+        <label>Comment${action === 'approve' || action === 'reject' ? ' (required)' : ''}</label>
+        <textarea name="comment" ${action === 'approve' || action === 'reject' ? 'required' : ''}></textarea>
+      </div>
+      <div class="row"><button type="submit" ${action === 'reject' ? 'class="danger"' : ''}>${escapeHtml(t.label)}</button></div>
+    </form>
+  `;
+
+  return `
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Approval</h2>
+        <div class="right"><span class="pill">${escapeHtml(decisionStatusText(decision))}</span></div>
+      </div>
+      <div class="muted small" style="margin-top:6px">
+        ${isSignedOff(decision) ? `Signed off by ${escapeHtml(decision.approved_by)} at <span class="mono">${escapeHtml(decision.approved_at)}</span>` : ''}
+        ${decision.status === 'in_review' ? `Waiting on: ${escapeHtml(reviewers.join(', '))}` : ''}
+        ${stale ? `<div class="danger">None of the named reviewers can approve decisions in this workspace any more: submit it again with current reviewers.</div>` : ''}
+      </div>
+      ${error ? `<div class="danger" style="margin-top:8px">${escapeHtml(error)}</div>` : ''}
+      ${actions.map(([action, t]) => form(action, t)).join('<div class="hr"></div>')}
+      <div class="hr"></div>
+      <div class="muted small">Approval history</div>
+      ${reviews.length ? `<ul>${reviews.map(r => `
+        <li style="margin:8px 0">
+          <span class="pill">${escapeHtml(r.action)}</span>
+          <span class="small">${escapeHtml(r.from_status.replace('_', ' '))} → ${escapeHtml(r.to_status.replace('_', ' '))}</span>
+          <span class="muted small">by ${escapeHtml(r.actor)} • <span class="mono">${escapeHtml(r.created_at)}</span></span>
+          ${r.reviewers_json ? `<div class="small">Reviewers: ${escapeHtml(JSON.parse(r.reviewers_json).join(', '))}</div>` : ''}
+          ${r.comment ? `<div class="small" style="white-space:pre-wrap">${escapeHtml(r.comment)}</div>` : ''}
+        </li>
+      `).join('')}</ul>` : `<p class="muted small">Not submitted for review yet.</p>`}
+    </div>
+  `;
+}
+
+// Throws WorkflowError when the step isn't allowed; returns the new status.
+// Supersede only happens through supersedeDecision, which passes the replacement.
+const transitionDecision = db.transaction((decision, action, { actor, comment, reviewers, replacementId }) => {
+  if (action === 'supersede' && !replacementId) throw new WorkflowError('A decision is superseded by creating its replacement');
+  const newReviewers = action === 'submit' ? parseReviewers(reviewers) : [];
+  const workspaceId = workspaceIdFor('decision', decision);
+  const isReviewer = (name) => Boolean(reviewerAccount(workspaceId, name));
+  const to = checkTransition(decision, action, {
+    actor,
+    comment,
+    newReviewers,
+    reviewers: decisionReviewers(decision),
+    staleReview: isStaleReview(decision),
+    authors: decisionAuthors(decision)
+  });
+  const notReviewer = newReviewers.find(name => !isReviewer(name));
+  if (notReviewer) throw new WorkflowError(`${notReviewer} is not a member of this workspace who can approve decisions`);
+
+  const now = new Date().toISOString();
+  const keepSignOff = to === 'superseded';
+  q.setDecisionStatus.run({
+    id: decision.id,
+    status: to,
+    approved_at: to === 'approved' ? now : keepSignOff ? decision.approved_at : null,
+    approved_by: to === 'approved' ? actor : keepSignOff ? decision.approved_by : null
+  });
+  q.insertDecisionReview.run({
+    id: nanoid(),
+    decision_id: decision.id,
+    action,
+    from_status: decision.status,
+    to_status: to,
+    actor,
+    comment: comment || null,
+    reviewers_json: action === 'submit' ? JSON.stringify(newReviewers) : null,
+    created_at: now
+  });
+  recordAudit({
+    actor,
+    action,
+    entityType: 'decision',
+    entityId: decision.id,
+    policyId: policyIdFor('decision', decision),
+    details: {
+      from: decision.status,
+      to,
+      comment: comment || null,
+      ...(action === 'submit' ? { reviewers: newReviewers } : {}),
+      ...(replacementId ? { superseded_by: replacementId } : {})
+    }
+  });
+  return to;
+});
+
+// ---------- rule versions ----------
+// "New version" copies a rule (and its test cases) forward, links it to its predecessor and
+// freezes the predecessor. Frozen versions keep their test runs and evidence but can't change.
+function isFrozen(rule) {
+  return Boolean(rule.frozen_at);
+}
+
+// Every live version related to `rule`, oldest first.
+function ruleLineage(rule) {
+  let root = rule;
+  for (let prev = root; prev?.previous_version_id;) {
+    prev = trashStmts.rule.getAny.get(prev.previous_version_id);
+    if (prev) root = prev;
+  }
+  const all = [];
+  const queue = [root];
+  while (queue.length) {
+    const r = queue.shift();
+    all.push(r);
+    queue.push(...q.listRuleSuccessors.all(r.id));
+  }
+  return all.filter(r => !r.deleted_at).sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+function liveSuccessor(rule) {
+  return q.listRuleSuccessors.all(rule.id).find(r => !r.deleted_at) || null;
+}
+
+// 0.1 -> 0.2, 2 -> 3, 1.0-beta -> 1.0-beta.1
+function nextVersion(version) {
+  const m = /^(.*?)(\d+)$/.exec(version);
+  return m ? `${m[1]}${Number(m[2]) + 1}` : `${version}.1`;
+}
+
+// Returns an error message when `rule` can't get a new version called `version`.
+function newVersionError(rule, version) {
+  if (liveSuccessor(rule)) return 'This rule already has a newer version; create new versions from the latest one.';
+  if (!version) return 'Version is required.';
+  if (ruleLineage(rule).some(r => r.version === version)) return `Version ${version} already exists for this rule.`;
+  return null;
+}
+
+// `decisionId` moves the new version under another decision (used when superseding one).
+const createRuleVersion = db.transaction((rule, version, actor, decisionId = rule.decision_id) => {
+  const now = new Date().toISOString();
+  const next = {
+    id: nanoid(),
+    decision_id: decisionId,
+    name: rule.name,
+    version,
+    definition_text: rule.definition_text,
+    inputs: rule.inputs,
+    exceptions: rule.exceptions,
+    definition_ast: rule.definition_ast,
+    parse_error: rule.parse_error,
+    previous_version_id: rule.id,
+    created_at: now
+  };
+  q.insertRule.run(next);
+  // Test cases come along (keeping the version they were recorded against) so they can be rerun
+  const testCases = q.listTestCasesByRule.all(rule.id);
+  for (const tc of testCases) {
+    q.insertTestCase.run({ ...tc, id: nanoid(), rule_id: next.id, created_at: now });
+  }
+  q.freezeRule.run(now, rule.id);
+  recordAudit({
+    actor,
+    action: 'new_version',
+    entityType: 'rule',
+    entityId: next.id,
+    policyId: policyIdFor('rule', rule),
+    details: { previous_version_id: rule.id, from: rule.version, to: version, test_cases_copied: testCases.length }
+  });
+  return next;
+});
+
+function frozenRulePage(rule, what) {
+  const successor = liveSuccessor(rule);
+  return page('Rule version is frozen', `
+    <div class="card">
+      <h1 style="margin:0">${escapeHtml(rule.name)} v${escapeHtml(rule.version)} is frozen</h1>
+      <p class="muted">${escapeHtml(what)} ${successor
+        ? `Make changes in the newer version, <a href="/rules/${successor.id}">v${escapeHtml(successor.version)}</a>.`
+        : 'Create a new version from it to make changes.'}</p>
+      <a href="/rules/${rule.id}">← Back to rule</a>
+    </div>
+  `);
+}
+
+// ---------- decision supersession ----------
+// Superseding creates the replacement (linked by supersedes_id) and retires the original in one
+// step. Dashboard and export show current decisions and fold the rest into a timeline.
+const supersedeDecision = db.transaction((original, values, { actor, comment, carryRules }) => {
+  const now = new Date().toISOString();
+  const replacement = {
+    id: nanoid(),
+    requirement_id: original.requirement_id,
+    decision: values.decision,
+    rationale: values.rationale,
+    alternatives: values.alternatives,
+    owner: values.owner,
+    status: 'draft',
+    approved_at: null,
+    supersedes_id: original.id,
+    created_at: now
+  };
+  q.insertDecision.run(replacement);
+  auditCreate('decision', replacement, actor);
+  transitionDecision(original, 'supersede', { actor, comment, replacementId: replacement.id });
+
+  if (carryRules) {
+    for (const rule of q.listRulesByDecision.all(original.id)) {
+      let version = nextVersion(rule.version);
+      while (newVersionError(rule, version)) version = nextVersion(version);
+      createRuleVersion(rule, version, actor, replacement.id);
+    }
+  }
+  return replacement;
+});
+
+// Proposed / approved / superseded events for every decision under a requirement, oldest first.
+function decisionTimeline(requirementId) {
+  const events = [];
+  for (const d of q.listDecisionsByRequirement.all(requirementId)) {
+    events.push({ at: d.created_at, decision: d, kind: d.supersedes_id ? 'replacement proposed' : 'proposed', by: d.owner });
+    for (const r of q.listDecisionReviews.all(d.id)) {
+      if (r.action === 'approve' || r.action === 'supersede') {
+        const replacement = r.action === 'supersede' ? q.getDecisionReplacement.get(d.id) : null;
+        events.push({
+          at: r.created_at,
+          decision: d,
+          kind: r.action === 'approve' ? 'approved' : `superseded${replacement ? ` by “${replacement.decision.split('\n')[0].slice(0, 60)}”` : ''}`,
+          by: r.actor,
+          comment: r.comment
+        });
+      }
+    }
+  }
+  return events.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function hasDecisionHistory(requirementId) {
+  return q.listDecisionsByRequirement.all(requirementId).some(d => d.status === 'superseded');
+}
+
+function timelineHtml(requirementId) {
+  return `<ul class="small" style="margin:6px 0; padding-left:18px">${decisionTimeline(requirementId).map(e => `
+    <li>
+      <span class="mono muted">${escapeHtml(e.at.slice(0, 10))}</span>
+      <a href="/decisions/${e.decision.id}">${escapeHtml(e.decision.decision.slice(0, 60))}${e.decision.decision.length > 60 ? '…' : ''}</a>
+      — ${escapeHtml(e.kind)}${e.by ? ` (${escapeHtml(e.by)})` : ''}${e.comment ? `: <span class="muted">${escapeHtml(e.comment)}</span>` : ''}
+    </li>
+  `).join('')}</ul>`;
+}
+
+// ---------- policy bundles ----------
+// Imports a bundle (see src/bundle.js) into the workspace, re-parses its rules rather than
+// trusting the bundled parse, and records the import in the audit log. Throws BundleError.
+const importPolicyBundle = db.transaction((bundle, { remap, actor, workspaceId }) => {
+  const result = importBundle(db, bundle, { remap, workspaceId });
+  for (const { id } of bundle.rules ?? []) {
+    const rule = q.getRule.get(result.idMap[id] ?? id);
+    q.updateRuleParse.run({ id: rule.id, ...parseDefinition(rule.definition_text) });
+  }
+  recordAudit({
+    actor,
+    action: 'import',
+    entityType: 'policy',
+    entityId: result.policyId,
+    policyId: result.policyId,
+    details: { source_policy_id: bundle.policy.id, exported_at: bundle.exported_at ?? null, remapped: Boolean(remap), counts: result.counts }
+  });
+  return result;
+});
+
+function conflictList(conflicts) {
+  return `<ul class="small">${Object.entries(conflicts).map(([table, ids]) => `
+    <li>${escapeHtml(table)}: ${ids.length} — <span class="mono muted">${ids.slice(0, 5).map(escapeHtml).join(', ')}${ids.length > 5 ? ', …' : ''}</span></li>
+  `).join('')}</ul>`;
+}
+
+// ---------- accounts and sign-in ----------
+// Every page needs a signed-in user; roles and what they may change are in src/auth.js.
+// Browsers get a session cookie from /login; API clients may send HTTP Basic credentials instead.
+// /setup creates the first admin and only works while there are no users at all.
+//
+// Work happens in a workspace (tenant): the user's role there is what can() checks, and rows
+// outside it are "not found". Browsers pick the workspace in the header; API calls name it with
+// an X-Workspace header (a workspace id), or get the workspace the user joined first.
+const WRITE_PERMISSIONS = {
+  policy: 'policy:write',
+  requirement: 'policy:write',
+  decision: 'decision:write',
+  rule: 'rule:write',
+  test_case: 'rule:write',
+  mapping: 'trace:write',
+  evidence: 'trace:write'
+};
+
+const OPEN_PATHS = ['/login', '/setup'];
+// Answered with JSON errors like the API (a 401 rather than a redirect to the sign-in page)
+const isMachinePath = (p) => p.startsWith('/api/') || /^\/policies\/[^/]+\/gate$/.test(p);
+
+// Returns the user, or null for a wrong password, an unknown username or a disabled account.
+function checkCredentials(username, password) {
+  const user = q.getUserByUsername.get(String(username ?? '').trim().toLowerCase());
+  const ok = verifyPassword(password, user?.password_hash ?? DUMMY_HASH);
+  return ok && user && !user.disabled_at ? user : null;
+}
+
+// { user, via: 'session' | 'basic' } or null
+function authenticate(req) {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) {
+    const user = q.getSessionUser.get(tokenDigest(token), new Date().toISOString());
+    if (user) return { user, via: 'session' };
+  }
+  const basic = basicCredentials(req.get('Authorization'));
+  const user = basic && checkCredentials(basic.username, basic.password);
+  return user ? { user, via: 'basic' } : null;
+}
+
+// Pages rendered after this in the same response carry the new token.
+function setCsrfCookie(req, res) {
+  const token = newSessionToken();
+  res.cookie(CSRF_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+  const context = requestContext.getStore();
+  if (context) context.csrfToken = token;
+}
+
+function startSession(req, res, user) {
+  const token = newSessionToken();
+  const now = Date.now();
+  q.deleteExpiredSessions.run(new Date(now).toISOString());
+  q.insertSession.run({
+    id: tokenDigest(token),
+    user_id: user.id,
+    // Stays put when workspaces are added later; the header switches it
+    workspace_id: user.workspace_id ?? q.listMemberships.all(user.id)[0]?.workspace_id ?? null,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + SESSION_TTL_MS).toISOString()
+  });
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/', maxAge: SESSION_TTL_MS });
+  // A new session gets a new CSRF token too, so one planted before sign-in is useless after it
+  setCsrfCookie(req, res);
+}
+
+// Only same-site paths: "//evil.example" and "/\evil.example" are other hosts to a browser.
+function localPath(value, fallback = '/') {
+  return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : fallback;
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The account as routes see it: `role` is its role in the active workspace (null when it is in
+// none), `account_role` its site role, `workspaces` every membership.
+function workspaceUser(account, wanted) {
+  const workspaces = q.listMemberships.all(account.id);
+  const active = workspaces.find(w => w.workspace_id === wanted) ?? workspaces[0] ?? null;
+  return {
+    ...account,
+    account_role: account.role,
+    role: active?.role ?? null,
+    workspace_id: active?.workspace_id ?? null,
+    workspace_name: active?.name ?? null,
+    workspaces
+  };
+}
+
+// Who is asking; page() renders with their user and CSRF token
+app.use((req, res, next) => {
+  const auth = authenticate(req);
+  req.user = auth ? workspaceUser(auth.user, req.get('X-Workspace') ?? auth.user.session_workspace_id) : null;
+  req.authVia = auth?.via ?? null;
+  const csrfToken = parseCookies(req.get('Cookie'))[CSRF_COOKIE];
+  requestContext.run({ user: req.user, csrfToken }, () => {
+    if (!csrfToken) setCsrfCookie(req, res);
+    next();
+  });
+});
+
+app.use((req, res, next) => {
+  if (req.user || OPEN_PATHS.includes(req.path)) return next();
+  if (isMachinePath(req.path)) {
+    return res.status(401).set('WWW-Authenticate', 'Basic realm="Policy-to-Code", charset="UTF-8"')
+      .json({ error: { code: 'unauthorized', message: 'Sign in, or send HTTP Basic credentials' } });
+  }
+  if (!q.countUsers.get().n) return res.redirect('/setup');
+  res.redirect(req.method === 'GET' ? `/login?next=${encodeURIComponent(req.originalUrl)}` : '/login');
+});
+
+// Every change must echo the CSRF token, except JSON API calls made with Basic credentials. A
+// browser resends cached Basic credentials on another site's behalf too, but only in requests a
+// plain form or fetch can make without a CORS preflight: POSTs that aren't JSON.
+function isScriptedApiCall(req) {
+  return req.authVia === 'basic' && req.path.startsWith('/api/') && (req.method !== 'POST' || Boolean(req.is('application/json')));
+}
+
+app.use((req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || isScriptedApiCall(req)) return next();
+  const sent = req.body?.[CSRF_FIELD] ?? req.get('X-CSRF-Token');
+  if (sameToken(sent, parseCookies(req.get('Cookie'))[CSRF_COOKIE])) return next();
+  if (req.path.startsWith('/api/')) {
+    return res.status(403).json({ error: { code: 'csrf_failed', message: 'Missing or wrong X-CSRF-Token header (scripts can send HTTP Basic credentials with a JSON body instead)' } });
+  }
+  res.status(403).type('html').send(page('Form expired', `
+    <div class="card">
+      <h1 style="margin:0">Form expired</h1>
+      <p class="muted">The form was missing its security token, or was opened before you last signed in or out.
+        Go back, reload the page and submit it again.</p>
+    </div>
+  `));
+});
+
+// Everything except your own account (and, for site admins, accounts and workspaces) happens
+// in a workspace.
+const NO_WORKSPACE_PATHS = ['/account', '/logout', '/users', '/workspaces'];
+
+app.use((req, res, next) => {
+  if (!req.user) return next();
+  const wanted = req.get('X-Workspace');
+  if (wanted && wanted !== req.user.workspace_id) {
+    return res.status(403).json({ error: { code: 'workspace_forbidden', message: `You are not a member of workspace ${wanted}` } });
+  }
+  if (req.user.workspace_id || NO_WORKSPACE_PATHS.some(p => req.path === p || req.path.startsWith(`${p}/`))) return next();
+  if (isMachinePath(req.path)) {
+    return res.status(403).json({ error: { code: 'no_workspace', message: 'You are not a member of any workspace' } });
+  }
+  res.status(403).type('html').send(page('No workspace', `
+    <div class="card">
+      <h1 style="margin:0">No workspace</h1>
+      <p class="muted">Your account isn't a member of any workspace yet, so there is nothing to show.
+        ${isSiteAdmin(req.user) ? 'Add yourself to one under <a href="/workspaces">Workspaces</a>.' : 'Ask a site admin to add you to your agency\'s workspace.'}</p>
+    </div>
+  `));
+});
+
+// Rows reached by ID belong to a policy; one in another workspace is "not found". Delete
+// routes (`:id`) and the API check the same way with inActiveWorkspace.
+function inActiveWorkspace(req, type, row) {
+  return workspaceIdFor(type, row) === req.user.workspace_id;
+}
+
+const anyRow = (type) => (id) => {
+  const row = trashStmts[type].getAny.get(id);
+  return row && { type, row };
+};
+const policyRow = (policyId) => anyRow('policy')(policyId);
+
+const SCOPED_PARAMS = {
+  policyId: anyRow('policy'),
+  reqId: anyRow('requirement'),
+  decisionId: anyRow('decision'),
+  ruleId: anyRow('rule'),
+  testCaseId: anyRow('test_case'),
+  mappingId: anyRow('mapping'),
+  evidenceId: anyRow('evidence'),
+  documentId: (id) => policyRow(q.getDocument.get(id)?.policy_id),
+  citationId: (id) => policyRow(q.getCitation.get(id)?.policy_id),
+  candidateId: (id) => policyRow(q.getCandidate.get(id)?.policy_id),
+  deletionId: (id) => {
+    const deletion = q.getDeletion.get(id);
+    return deletion && anyRow(deletion.entity_type)(deletion.entity_id);
+  }
+};
+
+for (const [param, find] of Object.entries(SCOPED_PARAMS)) {
+  app.param(param, (req, res, next, id) => {
+    const found = find(id);
+    // Missing rows are left to the route's own 404
+    if (!found || inActiveWorkspace(req, found.type, found.row)) return next();
+    res.status(404).type('html').send(notFoundPage());
+  });
+}
+
+function forbiddenPage(user, permission) {
+  return page('Not allowed', `
+    <div class="card">
+      <h1 style="margin:0">Not allowed</h1>
+      <p class="muted">Your role in ${escapeHtml(user.workspace_name)} (${escapeHtml(ROLE_LABELS[user.role])}) can't do this. It needs one of:
+        ${rolesWith(permission).map(r => escapeHtml(ROLE_LABELS[r])).join(', ')}.</p>
+    </div>
+  `);
+}
+
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req.user, permission)) return next();
+    res.status(403).type('html').send(forbiddenPage(req.user, permission));
+  };
+}
+
+function requireSiteAdmin(req, res, next) {
+  if (isSiteAdmin(req.user)) return next();
+  res.status(403).type('html').send(page('Not allowed', `
+    <div class="card">
+      <h1 style="margin:0">Not allowed</h1>
+      <p class="muted">Only site admins manage accounts and workspaces and check the whole audit log.</p>
+    </div>
+  `));
+}
+
+// Decision owners are members of the active workspace. A name set before accounts existed (or
+// of someone who has since left) stays selectable so editing something else doesn't drop it.
+function ownerOptions(current) {
+  const users = q.listActiveMembers.all(activeWorkspaceId());
+  const options = [{ value: '', label: '(none)' }, ...users.map(u => ({ value: u.username, label: entityLabel('user', u) }))];
+  if (current && !users.some(u => u.username === current)) options.push({ value: current, label: `${current} (not a member)` });
+  return options;
+}
+
+function ownerSelect(current) {
+  return `<select name="owner">${ownerOptions(current).map(o => `<option value="${escapeHtml(o.value)}" ${o.value === (current ?? '') ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}</select>`;
+}
+
+// Error message when `owner` isn't an active member (keeping the current owner is always fine).
+function ownerProblem(owner, current = null) {
+  if (!owner || owner === current) return null;
+  return q.getActiveMember.get(activeWorkspaceId(), owner) ? null : `Owner "${owner}" is not an active member of this workspace.`;
+}
+
+function accountFormPage({ title, intro, action, fields, button, error, values = {} }) {
+  return page(title, `
+    <div class="card" style="max-width:420px; margin:40px auto">
+      <h1 style="margin:0 0 8px 0">${escapeHtml(title)}</h1>
+      ${intro ? `<p class="muted small">${intro}</p>` : ''}
+      <form class="grid" method="post" action="${action}">
+        ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+        ${fields.map(f => `
+          <div>
+            <label>${escapeHtml(f.label)}</label>
+            <input name="${f.name}" type="${f.type ?? 'text'}" value="${f.type === 'password' ? '' : escapeHtml(values[f.name] ?? '')}"
+              autocomplete="${f.autocomplete ?? 'off'}" required />
+          </div>`).join('')}
+        <div class="row"><button type="submit">${escapeHtml(button)}</button></div>
+      </form>
+    </div>
+  `);
+}
+
+const NEW_ACCOUNT_FIELDS = [
+  { name: 'username', label: 'Username', autocomplete: 'username' },
+  { name: 'display_name', label: 'Display name', autocomplete: 'name' },
+  { name: 'password', label: 'Password', type: 'password', autocomplete: 'new-password' }
+];
+
+function loginPage(next, error) {
+  return accountFormPage({
+    title: 'Sign in',
+    action: `/login?next=${encodeURIComponent(next)}`,
+    fields: [
+      { name: 'username', label: 'Username', autocomplete: 'username' },
+      { name: 'password', label: 'Password', type: 'password', autocomplete: 'current-password' }
+    ],
+    button: 'Sign in',
+    error
+  });
+}
+
+app.get('/login', (req, res) => {
+  if (!q.countUsers.get().n) return res.redirect('/setup');
+  const next = localPath(req.query.next);
+  if (req.user) return res.redirect(next);
+  res.type('html').send(loginPage(next, ''));
+});
+
+app.post('/login', (req, res) => {
+  const next = localPath(req.query.next);
+  const user = checkCredentials(req.body.username, req.body.password);
+  if (!user) return res.status(401).type('html').send(loginPage(next, 'Wrong username or password.'));
+  startSession(req, res, user);
+  res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) q.deleteSession.run(tokenDigest(token));
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  setCsrfCookie(req, res);
+  res.redirect('/login');
+});
+
+// Reads and checks the new-account fields; returns { values } or { error }. `role` is the site role.
+function readNewAccount(body) {
+  const values = {
+    username: String(body.username ?? '').trim().toLowerCase(),
+    display_name: String(body.display_name ?? '').trim(),
+    role: ACCOUNT_ROLES.includes(body.role) ? body.role : null
+  };
+  const error = usernameProblem(values.username)
+    || (!values.display_name && 'Display name is required.')
+    || (!values.role && `Site role must be one of: ${ACCOUNT_ROLES.join(', ')}.`)
+    || passwordProblem(body.password)
+    || (q.getUserByUsername.get(values.username) && `Username "${values.username}" is taken.`);
+  return error ? { values, error } : { values };
+}
+
+// Adds, changes (role) or removes (role null) a membership, recorded on the workspace.
+const setMembership = db.transaction((workspace, user, role, actor) => {
+  const current = q.getMembership.get(workspace.id, user.id)?.role ?? null;
+  if (current === role) return;
+  const member = { workspace_id: workspace.id, user_id: user.id, role };
+  if (!current) q.insertMember.run({ ...member, created_at: new Date().toISOString() });
+  else if (role) q.updateMemberRole.run(member);
+  else q.deleteMember.run(workspace.id, user.id);
+  recordAudit({
+    actor,
+    action: 'update',
+    entityType: 'workspace',
+    entityId: workspace.id,
+    policyId: null,
+    details: { changes: { [`member ${user.username}`]: { from: current, to: role } } }
+  });
+});
+
+// `membership` ({ workspace, role }) makes the new account a member straight away.
+const createUser = db.transaction((values, password, actor, membership = null) => {
+  const user = { id: nanoid(), ...values, password_hash: hashPassword(password), created_at: new Date().toISOString() };
+  q.insertUser.run(user);
+  recordAudit({ actor: actor ?? user.username, action: 'create', entityType: 'user', entityId: user.id, policyId: null, details: { values } });
+  if (membership) setMembership(membership.workspace, user, membership.role, actor ?? user.username);
+  return user;
+});
+
+function setupPage(error, values) {
+  return accountFormPage({
+    title: 'Create the first admin',
+    intro: 'There are no accounts yet. This one manages accounts and workspaces, and is the admin of the first workspace; add everyone else under Users.',
+    action: '/setup',
+    fields: NEW_ACCOUNT_FIELDS,
+    button: 'Create admin account',
+    error,
+    values
+  });
+}
+
+app.get('/setup', (req, res) => {
+  if (q.countUsers.get().n) return res.redirect('/login');
+  res.type('html').send(setupPage('', {}));
+});
+
+app.post('/setup', (req, res) => {
+  if (q.countUsers.get().n) return res.redirect('/login');
+  const { values, error } = readNewAccount({ ...req.body, role: 'admin' });
+  if (error) return res.status(400).type('html').send(setupPage(error, values));
+  const workspace = q.getWorkspace.get(defaultWorkspaceId(db));
+  startSession(req, res, createUser(values, req.body.password, null, { workspace, role: 'admin' }));
+  res.redirect('/');
+});
+
+function accountPage(user, { error = '', notice = '' } = {}) {
+  return page('Your account', `
+    <div class="card">
+      <h1 style="margin:0">${escapeHtml(user.display_name)}</h1>
+      <div class="muted small"><span class="mono">${escapeHtml(user.username)}</span> • ${escapeHtml(ACCOUNT_ROLE_LABELS[user.account_role])}</div>
+    </div>
+    <div class="card">
+      <h2 style="margin:0">Workspaces</h2>
+      ${user.workspaces.length ? `<ul>${user.workspaces.map(w => `
+        <li style="margin:8px 0">
+          <strong>${escapeHtml(w.name)}</strong> — ${escapeHtml(ROLE_LABELS[w.role])}
+          <span class="muted small mono">${escapeHtml(w.workspace_id)}</span>
+          ${w.workspace_id === user.workspace_id ? '<span class="pill">active</span>' : ''}
+        </li>`).join('')}</ul>
+        <div class="muted small">API calls work in the first workspace listed unless they send an <span class="mono">X-Workspace</span> header with one of these IDs.</div>`
+      : '<p class="muted">You are not a member of any workspace yet.</p>'}
+    </div>
+    <form class="card grid" method="post" action="/account/password" style="max-width:420px">
+      <h2 style="margin:0">Change password</h2>
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      ${notice ? `<div class="muted">${escapeHtml(notice)}</div>` : ''}
+      <div><label>Current password</label><input name="current_password" type="password" autocomplete="current-password" required /></div>
+      <div><label>New password</label><input name="password" type="password" autocomplete="new-password" required /></div>
+      <div class="row"><button type="submit">Change password</button></div>
+    </form>
+  `);
+}
+
+app.get('/account', (req, res) => {
+  res.type('html').send(accountPage(req.user));
+});
+
+// The workspace this browser session works in (the header's switcher)
+app.post('/account/workspace', (req, res) => {
+  const workspace = req.user.workspaces.find(w => w.workspace_id === req.body.workspace_id);
+  if (!workspace) return res.status(404).type('html').send(notFoundPage());
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) q.setSessionWorkspace.run(workspace.workspace_id, tokenDigest(token));
+  res.redirect('/');
+});
+
+// Changing a password signs out every other session of the account.
+app.post('/account/password', (req, res) => {
+  if (!verifyPassword(req.body.current_password, req.user.password_hash)) {
+    return res.status(400).type('html').send(accountPage(req.user, { error: 'Current password is wrong.' }));
+  }
+  const problem = passwordProblem(req.body.password);
+  if (problem) return res.status(400).type('html').send(accountPage(req.user, { error: problem }));
+  q.setUserPassword.run(hashPassword(req.body.password), req.user.id);
+  q.deleteUserSessions.run(req.user.id);
+  startSession(req, res, req.user);
+  recordAudit({ actor: actorFor(req), action: 'update', entityType: 'user', entityId: req.user.id, policyId: null, details: { changes: { password: { from: null, to: '(changed)' } } } });
+  res.type('html').send(accountPage(req.user, { notice: 'Password changed. Other sessions were signed out.' }));
+});
+
+const roleSelect = (name, current, roles, labels, extra = '') =>
+  `<select name="${name}">${extra}${roles.map(r => `<option value="${r}" ${r === current ? 'selected' : ''}>${escapeHtml(labels[r])}</option>`).join('')}</select>`;
+
+function usersPage(req, { error = '', values = {} } = {}) {
+  const workspace = req.user.workspace_id && q.getWorkspace.get(req.user.workspace_id);
+  return page('Users', `
+    <div class="card">
+      <h1 style="margin:0">Users</h1>
+      <p class="muted small">Site admins manage accounts and <a href="/workspaces">workspaces</a>. What everyone else can do depends on
+        their role in each workspace: analysts write policies and requirements; engineers write rules and tests; both can
+        write decisions and trace them. Approvers sign decisions off. Auditors can read everything and change nothing.
+        Workspace admins can do all of it, purge the trash, import bundles and copy policies between their workspaces.</p>
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+    </div>
+
+    <div class="card">
+      ${q.listUsers.all().map(u => `
+        <form class="grid" method="post" action="/users/${u.id}" style="grid-template-columns: 1.2fr 1.5fr 1fr 1.5fr 1.2fr auto auto; align-items:end; margin:10px 0">
+          <div><label>Username</label><div class="mono">${escapeHtml(u.username)}${u.disabled_at ? ' <span class="pill">disabled</span>' : ''}</div></div>
+          <div><label>Display name</label><input name="display_name" value="${escapeHtml(u.display_name)}" required /></div>
+          <div><label>Site role</label>${roleSelect('role', u.role, ACCOUNT_ROLES, ACCOUNT_ROLE_LABELS)}</div>
+          <div><label>Workspaces</label><div class="small">${q.listMemberships.all(u.id).map(m => `${escapeHtml(m.name)} <span class="muted">(${escapeHtml(ROLE_LABELS[m.role])})</span>`).join(', ') || '<span class="muted">none</span>'}</div></div>
+          <div><label>New password (optional)</label><input name="password" type="password" autocomplete="new-password" /></div>
+          <label class="row" style="font-size:14px; margin:0"><input type="checkbox" name="disabled" value="1" ${u.disabled_at ? 'checked' : ''} style="width:auto" /> Disabled</label>
+          <button type="submit">Save</button>
+        </form>
+      `).join('<div class="hr"></div>')}
+    </div>
+
+    <form class="card grid" method="post" action="/users">
+      <h2 style="margin:0">Add user</h2>
+      <div class="grid grid2">
+        ${NEW_ACCOUNT_FIELDS.map(f => `
+          <div><label>${escapeHtml(f.label)}</label><input name="${f.name}" type="${f.type ?? 'text'}" value="${f.type === 'password' ? '' : escapeHtml(values[f.name] ?? '')}" autocomplete="${f.autocomplete}" required /></div>
+        `).join('')}
+        <div><label>Site role</label>${roleSelect('role', values.role ?? 'member', ACCOUNT_ROLES, ACCOUNT_ROLE_LABELS)}</div>
+        ${workspace ? `<div><label>Role in ${escapeHtml(workspace.name)}</label>${roleSelect('workspace_role', values.workspace_role ?? 'analyst', ROLES, ROLE_LABELS, '<option value="">(not a member)</option>')}</div>` : ''}
+      </div>
+      <div class="row"><button type="submit">Add user</button></div>
+    </form>
+  `);
+}
+
+app.get('/users', requireSiteAdmin, (req, res) => {
+  res.type('html').send(usersPage(req));
+});
+
+app.post('/users', requireSiteAdmin, (req, res) => {
+  const { values, error } = readNewAccount(req.body);
+  const workspaceRole = req.body.workspace_role || null;
+  const problem = error || (workspaceRole && !ROLES.includes(workspaceRole) && `Workspace role must be one of: ${ROLES.join(', ')}.`);
+  if (problem) return res.status(400).type('html').send(usersPage(req, { error: problem, values: { ...values, workspace_role: workspaceRole } }));
+  const workspace = req.user.workspace_id && q.getWorkspace.get(req.user.workspace_id);
+  createUser(values, req.body.password, actorFor(req), workspace && workspaceRole ? { workspace, role: workspaceRole } : null);
+  res.redirect('/users');
+});
+
+const updateUser = db.transaction((user, next, password, actor) => {
+  const changes = {};
+  for (const f of ['display_name', 'role', 'disabled_at']) {
+    if ((user[f] ?? null) !== (next[f] ?? null)) changes[f] = { from: user[f] ?? null, to: next[f] ?? null };
+  }
+  if (password) changes.password = { from: null, to: '(reset)' };
+  if (!Object.keys(changes).length) return;
+  q.updateUser.run({ id: user.id, ...next });
+  if (password) q.setUserPassword.run(hashPassword(password), user.id);
+  // A new site role or password takes effect at the next sign-in
+  if (changes.role || changes.password || next.disabled_at) q.deleteUserSessions.run(user.id);
+  recordAudit({ actor, action: 'update', entityType: 'user', entityId: user.id, policyId: null, details: { changes } });
+});
+
+app.post('/users/:userId', requireSiteAdmin, (req, res) => {
+  const user = q.getUser.get(req.params.userId);
+  if (!user) return res.status(404).type('html').send(notFoundPage());
+  const next = {
+    display_name: String(req.body.display_name ?? '').trim(),
+    role: ACCOUNT_ROLES.includes(req.body.role) ? req.body.role : user.role,
+    disabled_at: req.body.disabled ? (user.disabled_at ?? new Date().toISOString()) : null
+  };
+  const password = req.body.password || null;
+  const stillAdmin = next.role === 'admin' && !next.disabled_at;
+  const error = (!next.display_name && 'Display name is required.')
+    || (password && passwordProblem(password))
+    || (user.role === 'admin' && !user.disabled_at && !stillAdmin && q.countActiveAdmins.get().n === 1 && 'Keep at least one active site admin.');
+  if (error) return res.status(400).type('html').send(usersPage(req, { error }));
+  updateUser(user, next, password, actorFor(req));
+  res.redirect(user.id === req.user.id && (next.role !== user.role || password || next.disabled_at) ? '/login' : '/users');
+});
+
+// ---------- workspaces ----------
+// Site admins create workspaces and decide who is a member with which role. Membership changes
+// apply from the member's next request.
+const WORKSPACE_FIELDS = [{ name: 'name', label: 'Name', required: true, maxLength: 120 }];
+
+function workspaceNameProblem(name, workspace = null) {
+  const taken = q.getWorkspaceByName.get(name);
+  return taken && taken.id !== workspace?.id ? `A workspace named "${name}" already exists.` : null;
+}
+
+// The creator becomes its admin, so there is someone to set it up.
+const createWorkspace = db.transaction((name, creator, actor) => {
+  const workspace = { id: nanoid(), name, created_at: new Date().toISOString() };
+  q.insertWorkspace.run(workspace);
+  recordAudit({ actor, action: 'create', entityType: 'workspace', entityId: workspace.id, policyId: null, details: { values: { name } } });
+  setMembership(workspace, creator, 'admin', actor);
+  return workspace;
+});
+
+function workspacesPage({ error = '', values = {} } = {}) {
+  const workspaces = q.listWorkspaces.all();
+  return page('Workspaces', `
+    <div class="card">
+      <h1 style="margin:0">Workspaces</h1>
+      <p class="muted small">One per agency. Every policy belongs to a workspace; people only see the workspaces they are members of,
+        and can do there what their role in it allows.</p>
+    </div>
+    <div class="card">
+      ${workspaces.length ? `<ul>${workspaces.map(w => `
+        <li style="margin:8px 0">
+          <a href="/workspaces/${w.id}"><strong>${escapeHtml(w.name)}</strong></a>
+          <span class="muted small">${w.member_count} member(s) • ${w.policy_count} policies • <span class="mono">${escapeHtml(w.id)}</span></span>
+        </li>`).join('')}</ul>` : '<p class="muted">No workspaces yet.</p>'}
+    </div>
+    <form class="card grid" method="post" action="/workspaces" style="max-width:520px">
+      <h2 style="margin:0">New workspace</h2>
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      <div><label>Name</label><input name="name" value="${escapeHtml(values.name ?? '')}" required placeholder="e.g., State Medicaid Agency" /></div>
+      <div class="muted small">You become its admin; change that on its page once others have joined.</div>
+      <div class="row"><button type="submit">Create workspace</button></div>
+    </form>
+  `);
+}
+
+function workspacePage(workspace, { error = '' } = {}) {
+  const members = q.listMembers.all(workspace.id);
+  const others = q.listActiveUsers.all().filter(u => !members.some(m => m.id === u.id));
+  return page(workspace.name, `
+    <div class="card">
+      <div class="pill">Workspace</div>
+      <h1 style="margin:8px 0 4px 0">${escapeHtml(workspace.name)}</h1>
+      <div class="muted small mono">${escapeHtml(workspace.id)}</div>
+      ${error ? `<div class="danger" style="margin-top:8px">${escapeHtml(error)}</div>` : ''}
+      <form class="row" method="post" action="/workspaces/${workspace.id}" style="margin-top:12px; max-width:520px">
+        <input name="name" value="${escapeHtml(workspace.name)}" aria-label="Name" required />
+        <button type="submit">Rename</button>
+      </form>
+    </div>
+
+    <div class="card">
+      <h2 style="margin:0">Members</h2>
+      ${members.length ? members.map(m => `
+        <form class="grid" method="post" action="/workspaces/${workspace.id}/members/${m.id}" style="grid-template-columns: 2fr 1.5fr auto; align-items:end; margin:10px 0">
+          <div>${escapeHtml(entityLabel('user', m))}${m.disabled_at ? ' <span class="pill">disabled</span>' : ''}</div>
+          <div>${roleSelect('role', m.role, ROLES, ROLE_LABELS, '<option value="">Remove from workspace</option>')}</div>
+          <button type="submit">Save</button>
+        </form>
+      `).join('') : '<p class="muted">No members yet.</p>'}
+    </div>
+
+    ${others.length ? `
+    <form class="card grid" method="post" action="/workspaces/${workspace.id}/members" style="grid-template-columns: 2fr 1.5fr auto; align-items:end">
+      <h2 style="margin:0; grid-column: 1 / -1">Add member</h2>
+      <div><label>User</label><select name="user_id">${others.map(u => `<option value="${u.id}">${escapeHtml(entityLabel('user', u))}</option>`).join('')}</select></div>
+      <div><label>Role</label>${roleSelect('role', 'analyst', ROLES, ROLE_LABELS)}</div>
+      <button type="submit">Add</button>
+    </form>` : ''}
+  `);
+}
+
+app.get('/workspaces', requireSiteAdmin, (req, res) => {
+  res.type('html').send(workspacesPage());
+});
+
+app.post('/workspaces', requireSiteAdmin, (req, res) => {
+  const { values, errors } = validateForm(req.body, WORKSPACE_FIELDS);
+  const error = errors.name || workspaceNameProblem(values.name);
+  if (error) return res.status(400).type('html').send(workspacesPage({ error, values }));
+  const workspace = createWorkspace(values.name, req.user, actorFor(req));
+  res.redirect(`/workspaces/${workspace.id}`);
+});
+
+app.get('/workspaces/:workspaceId', requireSiteAdmin, (req, res) => {
+  const workspace = q.getWorkspace.get(req.params.workspaceId);
+  if (!workspace) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(workspacePage(workspace));
+});
+
+app.post('/workspaces/:workspaceId', requireSiteAdmin, (req, res) => {
+  const workspace = q.getWorkspace.get(req.params.workspaceId);
+  if (!workspace) return res.status(404).type('html').send(notFoundPage());
+  const { values, errors } = validateForm(req.body, WORKSPACE_FIELDS);
+  const error = errors.name || workspaceNameProblem(values.name, workspace);
+  if (error) return res.status(400).type('html').send(workspacePage(workspace, { error }));
+  if (values.name !== workspace.name) {
+    q.renameWorkspace.run({ id: workspace.id, name: values.name });
+    recordAudit({ actor: actorFor(req), action: 'update', entityType: 'workspace', entityId: workspace.id, policyId: null, details: { changes: { name: { from: workspace.name, to: values.name } } } });
+  }
+  res.redirect(`/workspaces/${workspace.id}`);
+});
+
+app.post('/workspaces/:workspaceId/members', requireSiteAdmin, (req, res) => {
+  const workspace = q.getWorkspace.get(req.params.workspaceId);
+  const user = q.getUser.get(String(req.body.user_id ?? ''));
+  if (!workspace || !user) return res.status(404).type('html').send(notFoundPage());
+  if (!ROLES.includes(req.body.role)) return res.status(400).type('html').send(workspacePage(workspace, { error: `Role must be one of: ${ROLES.join(', ')}.` }));
+  setMembership(workspace, user, req.body.role, actorFor(req));
+  res.redirect(`/workspaces/${workspace.id}`);
+});
+
+// An empty role removes the member.
+app.post('/workspaces/:workspaceId/members/:userId', requireSiteAdmin, (req, res) => {
+  const workspace = q.getWorkspace.get(req.params.workspaceId);
+  const user = q.getUser.get(req.params.userId);
+  if (!workspace || !user || !q.getMembership.get(workspace.id, user.id)) return res.status(404).type('html').send(notFoundPage());
+  const role = req.body.role || null;
+  if (role && !ROLES.includes(role)) return res.status(400).type('html').send(workspacePage(workspace, { error: `Role must be one of: ${ROLES.join(', ')}.` }));
+  setMembership(workspace, user, role, actorFor(req));
+  res.redirect(`/workspaces/${workspace.id}`);
+});
+
+// ---------- JSON API ----------
+app.use('/api/v1', apiV1({
+  q, parseDefinition, updateWithHistory, softDelete, auditCreate, transitionDecision,
+  isFrozen, ruleLineage, newVersionError, createRuleVersion, supersedeDecision,
+  exportBundle: (policyId) => exportBundle(db, policyId), importPolicyBundle, ownerProblem, inActiveWorkspace
+}));
+
+// ---------- routes ----------
+app.get('/', (req, res) => {
+  const policies = q.listPolicies.all(req.user.workspace_id);
+  const body = `
+    <div class="card">
+      <h1 style="margin:0">Policies</h1>
+      <p class="muted">Create a policy, break it into requirements, capture decisions (ADRs), define rules, add test cases, and export an audit-ready report.</p>
+    </div>
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">${escapeHtml(req.user.workspace_name)}</h2>
+        <div class="right row">${can(req.user, 'admin') ? '<a href="/policies/import">Import bundle</a>' : ''} ${can(req.user, 'policy:write') ? '<a href="/policies/new">+ New Policy</a>' : ''}</div>
+      </div>
+      <div class="hr"></div>
+      ${policies.length ? `<ul>
+        ${policies.map(p => `<li style="margin: 8px 0">
+          <a href="/policies/${p.id}"><strong>${escapeHtml(p.title)}</strong></a>
+          <div class="muted small">${escapeHtml(p.jurisdiction || '—')} • ${escapeHtml(p.program || '—')} • effective: ${escapeHtml(p.effective_date || '—')}</div>
+        </li>`).join('')}
+      </ul>` : `<p class="muted">No policies yet.</p>`}
+    </div>
+  `;
+  res.type('html').send(page('Policies', body));
+});
+
+const pct = (n, d) => (d ? Math.round((n / d) * 100) : 0);
+
+const kpiCard = (label, value, sub = '') => `
+  <div class="card" style="margin:0">
+    <div class="muted small">${escapeHtml(label)}</div>
+    <div style="font-size:28px; font-weight:700; margin-top:4px">${escapeHtml(value)}</div>
+    ${sub ? `<div class="muted small" style="margin-top:6px">${sub}</div>` : ''}
+  </div>
+`;
+
+// Safely embed JSON in HTML (prevents <script> breakouts and line-separator syntax errors)
+const safeJson = (obj) => JSON.stringify(obj)
+  .replaceAll('<', '\\u003c')
+  .replaceAll('>', '\\u003e')
+  .replaceAll('&', '\\u0026')
+  .replaceAll('\u2028', '\\u2028')
+  .replaceAll('\u2029', '\\u2029');
+
+app.get('/dashboard', (req, res) => {
+  const policies = q.listPolicies.all(req.user.workspace_id);
+  const policy = policies.find(p => p.id === req.query.policyId) ?? policies[0] ?? null;
+
+  const {
+    gate, rows,
+    reqTotal, reqExempt, reqTraceable, reqWithApprovedDecision, reqWithRule, reqWithTests, reqWithPassingTests, reqWithEvidence,
+    decisionsTotal, decisionsApproved, rulesTotal,
+    testsTotal, testsPassing, testsFailing, testsNeverRun, evidenceTotal, impact
+  } = policyMetrics(db, policy?.id ?? null);
+
+  const snapshots = policy ? q.listSnapshots.all(policy.id) : [];
+  const projection = projectReadiness(snapshots.map(x => ({ at: x.taken_at, done: x.req_traceable, scope: x.req_total })));
+
+  const flowBar = (label, value, max) => {
+    const w = max ? Math.max(2, Math.round((value / max) * 100)) : 0;
+    return `
+      <div style="margin:10px 0">
+        <div class="row"><div style="width:180px" class="muted small">${escapeHtml(label)}</div><div class="mono small">${value}</div></div>
+        <div style="height:10px; background:#0b1020; border:1px solid var(--border); border-radius:999px; overflow:hidden; margin-top:6px">
+          <div style="height:10px; width:${w}%; background:#3b82f6"></div>
+        </div>
+      </div>
+    `;
+  };
+
+  const heatCell = (ok) => {
+    const bg = ok ? '#0f2d1f' : '#3a1d1d';
+    const bd = ok ? '#1e8e5a' : '#ff6b6b';
+    const txt = ok ? 'OK' : 'MISS';
+    return `<span class="pill" style="background:${bg}; border-color:${bd}; color:${ok ? '#bff3d6' : '#ffd0d0'}">${txt}</span>`;
+  };
+
+  // Tests column: MISS (no tests), FAIL (any failing), NOT RUN (some not run on the current version), OK
+  const testCell = (x) => {
+    if (!x.hasTests) return heatCell(false);
+    if (x.tests.failing) return `<span class="pill" style="background:#3a1d1d; border-color:#ff6b6b; color:#ffd0d0">FAIL</span>`;
+    if (x.tests.neverRun) return `<span class="pill" style="background:#3a2a12; border-color:#f59e0b; color:#fde7b0">NOT RUN</span>`;
+    return heatCell(true);
+  };
+
+  const projectionText = () => {
+    if (projection.status === 'ready') return `Every requirement was fully traceable at the latest snapshot (${escapeHtml(projection.date)}).`;
+    if (projection.status === 'stalled') return `<span class="danger">No progress over the last ${PACE_WINDOW_DAYS} days of snapshots</span>, so there is no projected readiness date.`;
+    if (projection.status === 'insufficient') return `Needs snapshots on at least two different days to project a readiness date.`;
+    const perWeek = Math.round(projection.perDay * 7 * 10) / 10;
+    const late = policy.effective_date && isIsoDate(policy.effective_date) ? (Date.parse(projection.date) - Date.parse(policy.effective_date)) / 86_400_000 : null;
+    return `Projected ready on <strong class="mono">${escapeHtml(projection.date)}</strong> at ${perWeek} requirement(s) a week${late === null ? ''
+      : late > 0 ? ` — <span class="danger">${late} day(s) after the effective date</span>` : ` — ${-late} day(s) before the effective date`}.`;
+  };
+
+  const policySelect = `
+    <form method="get" action="/dashboard" class="row wrap" style="gap:12px">
+      <div>
+        <label>Policy</label>
+        <select name="policyId" onchange="this.form.submit()">
+          ${policies.map(p => `<option value="${escapeHtml(p.id)}" ${p.id === policy?.id ? 'selected' : ''}>${escapeHtml(p.title)}</option>`).join('')}
+        </select>
+      </div>
+      ${policy ? `<div class="muted small" style="margin-top:22px">Effective: <span class="mono">${escapeHtml(policy.effective_date || '—')}</span></div>` : ''}
+    </form>
+  `;
+
+  const body = `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <h1 style="margin:0">Executive dashboard</h1>
+          <div class="muted">Readiness, coverage, impact, and risk — policy-specific. <a href="/portfolio">All policies</a></div>
+        </div>
+        <div class="right">${policySelect}</div>
+      </div>
+    </div>
+
+    ${policy ? `
+    <div class="grid grid2">
+      ${kpiCard('Requirements traceable', `${reqTraceable}/${reqTotal}`, `${pct(reqTraceable, reqTotal)}% pass the gate (${escapeHtml(gateText(gate))})${reqExempt ? ` • ${reqExempt} exempt` : ''}${can(req.user, 'policy:write') ? ` • <a href="/policies/${policy.id}/gate/edit">Edit gate</a>` : ''}`)}
+      ${kpiCard('Requirements w/ approved decision', `${reqWithApprovedDecision}/${reqTotal}`, `${pct(reqWithApprovedDecision, reqTotal)}% have at least one approved decision`)}
+      ${kpiCard('Decisions approved', `${decisionsApproved}/${decisionsTotal}`, `${pct(decisionsApproved, decisionsTotal)}% of recorded decisions signed off by a reviewer`)}
+      ${kpiCard('Requirements w/ passing tests', `${reqWithPassingTests}/${reqTotal}`, `${pct(reqWithPassingTests, reqTotal)}% have tests that all pass on the current rule version`)}
+      ${kpiCard('Tests passing', `${testsPassing}/${testsTotal}`, `<span class="danger">${testsFailing} failing</span> • ${testsNeverRun} never run on the current rule version`)}
+      ${kpiCard('Rules / Tests / Evidence', `${rulesTotal} / ${testsTotal} / ${evidenceTotal}`, `counts for selected policy`)}
+    </div>
+
+    <div class="card" id="trend">
+      <div class="row wrap">
+        <div>
+          <h2 style="margin:0">Trend (burn-up)</h2>
+          <div class="muted small">Snapshots taken daily and on demand; the projection uses the pace over the last ${PACE_WINDOW_DAYS} days.</div>
+        </div>
+        ${can(req.user, 'tests:run') ? `<form class="right" method="post" action="/policies/${policy.id}/snapshots"><button type="submit">Take snapshot</button></form>` : ''}
+      </div>
+      <div class="hr"></div>
+      ${snapshots.length ? `
+        <div id="burnup" style="height:280px; width:100%"></div>
+        <div class="small" style="margin-top:8px">${projectionText()} <span class="muted">${snapshots.length} snapshot(s) since ${escapeHtml(snapshots[0].taken_at.slice(0, 10))}.</span></div>
+      ` : `<p class="muted">No snapshots yet.</p>`}
+    </div>
+
+    <div class="grid grid2">
+      <div class="card">
+        <h2 style="margin:0">Coverage (visual)</h2>
+        <div class="muted small">A more executive-friendly view of traceability and bottlenecks.</div>
+        <div class="hr"></div>
+        <div class="grid" style="grid-template-columns: 1fr 1fr; align-items:stretch">
+          <div>
+            <div class="muted small" style="margin-bottom:8px">Traceability</div>
+            <div id="traceDonut" style="height:220px; width:100%"></div>
+          </div>
+          <div>
+            <div class="muted small" style="margin-bottom:8px">Flow</div>
+            <div id="flowFunnel" style="height:220px; width:100%"></div>
+          </div>
+        </div>
+        <div class="hr"></div>
+        <details>
+          <summary class="muted small" style="cursor:pointer">Show raw counts</summary>
+          ${(() => {
+            const max = Math.max(reqTotal, decisionsTotal, rulesTotal, testsTotal, evidenceTotal);
+            return [
+              flowBar('Requirements', reqTotal, max),
+              flowBar('Decisions', decisionsTotal, max),
+              flowBar('Rules', rulesTotal, max),
+              flowBar('Test cases', testsTotal, max),
+              flowBar('Tests passing', testsPassing, max),
+              flowBar('Tests failing', testsFailing, max),
+              flowBar('Tests never run', testsNeverRun, max),
+              flowBar('Evidence items', evidenceTotal, max),
+            ].join('');
+          })()}
+        </details>
+      </div>
+
+      <div class="card">
+        <h2 style="margin:0">Impact (architecture)</h2>
+        <div class="muted small">Where this policy touches the system.</div>
+        <div class="hr"></div>
+        <div id="impactBar" style="height:260px; width:100%"></div>
+        <details>
+          <summary class="muted small" style="cursor:pointer">Show mapping list</summary>
+          <div class="kvs" style="margin-top:10px">
+            ${Object.entries(impact).map(([k,v]) => `<div class="muted">${escapeHtml(k)}</div><div><span class="mono">${v}</span></div>`).join('')}
+          </div>
+        </details>
+      </div>
+    </div>
+
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Coverage heatmap</h2>
+        <div class="right muted small">Requirement-level completeness snapshot</div>
+      </div>
+      <div class="hr"></div>
+      ${rows.length ? `
+        <table style="width:100%; border-collapse:collapse">
+          <thead>
+            <tr class="muted small">
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Requirement</th>
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Decision approved</th>
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Rules</th>
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Tests</th>
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Evidence</th>
+              <th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">Traceable</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(x => `
+              <tr>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">
+                  <div class="small">${escapeHtml(x.requirement.statement)}</div>
+                  <div class="muted small">status: <span class="mono">${escapeHtml(x.requirement.status)}</span></div>
+                  ${x.decisions.map(d => `<div class="small">Decision: <a href="/decisions/${d.id}">${escapeHtml(d.decision.slice(0, 70))}${d.decision.length > 70 ? '…' : ''}</a> <span class="muted">(${escapeHtml(decisionStatusText(d))})</span></div>`).join('')}
+                  ${hasDecisionHistory(x.requirement.id) ? `<details><summary class="muted small">Decision history</summary>${timelineHtml(x.requirement.id)}</details>` : ''}
+                </td>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasDecisionApproved)}</td>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasRule)} <span class="muted small mono">${x.rules.length}</span></td>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${testCell(x)} <span class="muted small mono" title="passing / failing / never run">${x.tests.passing}✓ ${x.tests.failing}✗ ${x.tests.neverRun}∅</span></td>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${heatCell(x.hasEvidence)} <span class="muted small mono">${x.evidenceCount}</span></td>
+                <td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${x.exempt ? `<span class="pill">EXEMPT</span>` : heatCell(x.fullyTraceable)}
+                  ${x.failures.map(f => `<div class="danger small">${escapeHtml(f.message)}</div>`).join('')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `<p class="muted">No requirements yet.</p>`}
+    </div>
+
+    <script id="dashboardData" type="application/json">${safeJson({
+      reqTotal,
+      reqTraceable,
+      reqWithApprovedDecision,
+      reqWithRule,
+      reqWithTests,
+      reqWithPassingTests,
+      reqWithEvidence,
+      decisionsTotal,
+      decisionsApproved,
+      rulesTotal,
+      testsTotal,
+      testsPassing,
+      testsFailing,
+      testsNeverRun,
+      evidenceTotal,
+      impact,
+      effectiveDate: policy.effective_date && isIsoDate(policy.effective_date) ? policy.effective_date : null,
+      history: snapshots.map(x => ({
+        at: x.taken_at,
+        reqTotal: x.req_total,
+        reqTraceable: x.req_traceable,
+        decisionsApproved: x.decisions_approved,
+        testsTotal: x.tests_total,
+        evidenceTotal: x.evidence_total
+      })),
+      projectedDate: projection.status === 'projected' ? projection.date : null
+    })}</script>
+    <script src="/static/vendor/echarts.min.js"></script>
+    <script src="/static/dashboard.js"></script>
+    ` : `
+      <div class="card"><p class="muted">No policies yet. Create one first.</p></div>
+    `}
+  `;
+
+  res.type('html').send(page('Dashboard', body));
+});
+
+// ---------- metric snapshots ----------
+// The dashboard numbers are kept over time for the burn-up chart: every policy gets a snapshot
+// once its latest is a day old (checked hourly), and anyone who can run tests can take one now.
+const SNAPSHOT_EVERY_MS = 24 * 60 * 60 * 1000;
+
+function takeSnapshot(policy, { source, actor = null }) {
+  const m = policyMetrics(db, policy.id);
+  q.insertSnapshot.run({
+    id: nanoid(),
+    policy_id: policy.id,
+    taken_at: new Date().toISOString(),
+    source,
+    taken_by: actor,
+    req_total: m.reqTotal,
+    req_traceable: m.reqTraceable,
+    decisions_total: m.decisionsTotal,
+    decisions_approved: m.decisionsApproved,
+    tests_total: m.testsTotal,
+    tests_passing: m.testsPassing,
+    evidence_total: m.evidenceTotal,
+    impact_json: JSON.stringify(m.impact)
+  });
+}
+
+function takeDueSnapshots() {
+  try {
+    const since = new Date(Date.now() - SNAPSHOT_EVERY_MS).toISOString();
+    for (const policy of q.listPoliciesDueSnapshot.all(since)) takeSnapshot(policy, { source: 'scheduled' });
+  } catch (err) {
+    console.error('Scheduled snapshots failed:', err);
+  }
+}
+
+app.post('/policies/:policyId/snapshots', requirePermission('tests:run'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).send('Policy not found');
+
+  takeSnapshot(policy, { source: 'manual', actor: actorFor(req) });
+  res.redirect(`/dashboard?policyId=${encodeURIComponent(policy.id)}#trend`);
+});
+
+// ---------- portfolio ----------
+// Every policy in the workspace side by side. A policy with gaps is at risk once its effective
+// date is AT_RISK_DAYS away or closer, and overdue after it; ready means every requirement is
+// fully traceable.
+const AT_RISK_DAYS = 90;
+
+const READINESS = {
+  overdue: { label: 'Overdue', bg: '#3a1d1d', bd: '#ff6b6b', fg: '#ffd0d0' },
+  at_risk: { label: 'At risk', bg: '#3a2a12', bd: '#f59e0b', fg: '#fde7b0' },
+  in_progress: { label: 'In progress', bg: '#14213f', bd: '#3b82f6', fg: '#cfe0ff' },
+  ready: { label: 'Ready', bg: '#0f2d1f', bd: '#1e8e5a', fg: '#bff3d6' }
+};
+
+// Whole days from today (UTC) to a YYYY-MM-DD date; negative once it has passed.
+function daysUntil(date) {
+  if (!date || !isIsoDate(date)) return null;
+  const today = new Date().toISOString().slice(0, 10);
+  return Math.round((Date.parse(date) - Date.parse(today)) / 86_400_000);
+}
+
+function portfolioRow(policy) {
+  const m = policyMetrics(db, policy.id);
+  const daysLeft = daysUntil(policy.effective_date);
+  const gaps = m.reqTotal - m.reqTraceable;
+  let status = 'in_progress';
+  if (m.reqTotal && !gaps) status = 'ready';
+  else if (daysLeft !== null && daysLeft < 0) status = 'overdue';
+  else if (daysLeft !== null && daysLeft <= AT_RISK_DAYS) status = 'at_risk';
+  return {
+    policy,
+    reqTotal: m.reqTotal,
+    reqTraceable: m.reqTraceable,
+    traceablePct: m.reqTotal ? pct(m.reqTraceable, m.reqTotal) : null,
+    decisionsTotal: m.decisionsTotal,
+    decisionsApproved: m.decisionsApproved,
+    approvedPct: m.decisionsTotal ? pct(m.decisionsApproved, m.decisionsTotal) : null,
+    daysLeft,
+    gaps,
+    // Requirements failing each criterion of the policy's gate
+    missing: gateCriteria(m.gate).map(c => [c.label, m.rows.filter(x => x.failures.some(f => f.criterion === c.criterion)).length]),
+    status
+  };
+}
+
+const PORTFOLIO_COLUMNS = [
+  { key: 'title', label: 'Policy', dir: 'asc', value: x => x.policy.title.toLowerCase() },
+  { key: 'program', label: 'Program', dir: 'asc', value: x => x.policy.program?.toLowerCase() || null },
+  { key: 'jurisdiction', label: 'Jurisdiction', dir: 'asc', value: x => x.policy.jurisdiction?.toLowerCase() || null },
+  { key: 'traceable', label: 'Traceable', dir: 'asc', value: x => x.traceablePct },
+  { key: 'days', label: 'Days to effective', dir: 'asc', value: x => x.daysLeft },
+  { key: 'approved', label: 'Decisions approved', dir: 'asc', value: x => x.approvedPct },
+  { key: 'gaps', label: 'Open gaps', dir: 'desc', value: x => x.gaps },
+  { key: 'status', label: 'Readiness', dir: 'asc', value: x => Object.keys(READINESS).indexOf(x.status) }
+];
+
+// Sorted by one column, blanks last either way; ties keep the title order.
+function sortPortfolio(rows, column, dir) {
+  const sign = dir === 'desc' ? -1 : 1;
+  const byTitle = [...rows].sort((a, b) => a.policy.title.localeCompare(b.policy.title));
+  return byTitle.sort((a, b) => {
+    const x = column.value(a);
+    const y = column.value(b);
+    if (x === y) return 0;
+    if (x === null) return 1;
+    if (y === null) return -1;
+    return (x < y ? -1 : 1) * sign;
+  });
+}
+
+// Chart data: per program (or jurisdiction), the policies in each readiness state
+function readinessBy(rows, field, blank) {
+  const groups = new Map();
+  for (const x of rows) {
+    const name = x.policy[field] || blank;
+    if (!groups.has(name)) groups.set(name, Object.fromEntries(Object.keys(READINESS).map(k => [k, []])));
+    groups.get(name)[x.status].push(x.policy.title);
+  }
+  return [...groups].sort(([a], [b]) => a.localeCompare(b)).map(([name, policies]) => ({ name, policies }));
+}
+
+app.get('/portfolio', (req, res) => {
+  const rows = q.listPolicies.all(req.user.workspace_id).map(portfolioRow);
+  const column = PORTFOLIO_COLUMNS.find(c => c.key === req.query.sort) ?? PORTFOLIO_COLUMNS.find(c => c.key === 'status');
+  const dir = req.query.dir === 'asc' || req.query.dir === 'desc' ? req.query.dir : column.dir;
+  const sorted = sortPortfolio(rows, column, dir);
+
+  const count = (status) => rows.filter(x => x.status === status).length;
+  const reqTotal = rows.reduce((a, x) => a + x.reqTotal, 0);
+  const reqTraceable = rows.reduce((a, x) => a + x.reqTraceable, 0);
+
+  const th = (c) => {
+    const active = c.key === column.key;
+    const next = active ? (dir === 'asc' ? 'desc' : 'asc') : c.dir;
+    return `<th style="text-align:left; padding:8px; border-bottom:1px solid var(--border)">
+      <a href="/portfolio?sort=${c.key}&dir=${next}">${escapeHtml(c.label)}</a>${active ? (dir === 'asc' ? ' ▲' : ' ▼') : ''}
+    </th>`;
+  };
+  const readinessPill = (status) => {
+    const r = READINESS[status];
+    return `<span class="pill" style="background:${r.bg}; border-color:${r.bd}; color:${r.fg}">${escapeHtml(r.label)}</span>`;
+  };
+  const daysText = (days) => {
+    if (days === null) return '<span class="muted">no date</span>';
+    if (days < 0) return `<span class="danger">${-days} day(s) ago</span>`;
+    return days === 0 ? 'today' : `${days} day(s)`;
+  };
+  const td = (html) => `<td style="padding:10px; border-bottom:1px solid rgba(40,52,94,0.5)">${html}</td>`;
+
+  const body = `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <h1 style="margin:0">Portfolio</h1>
+          <div class="muted">Every policy in ${escapeHtml(req.user.workspace_name)}: traceability, time left until it takes effect, and open gaps. Click a policy for its dashboard.</div>
+        </div>
+      </div>
+    </div>
+
+    ${rows.length ? `
+    <div class="grid grid2">
+      ${kpiCard('Policies ready', `${count('ready')}/${rows.length}`, 'every requirement fully traceable')}
+      ${kpiCard('Policies at risk', `${count('overdue') + count('at_risk')}/${rows.length}`, `<span class="danger">${count('overdue')} past the effective date</span> • ${count('at_risk')} due within ${AT_RISK_DAYS} days with gaps`)}
+      ${kpiCard('Requirements traceable', `${reqTraceable}/${reqTotal}`, `${pct(reqTraceable, reqTotal)}% across all policies`)}
+      ${kpiCard('Open gaps', String(reqTotal - reqTraceable), 'requirements not yet fully traceable')}
+    </div>
+
+    <div class="grid grid2">
+      <div class="card">
+        <h2 style="margin:0">By program</h2>
+        <div class="muted small">Policies per program by readiness.</div>
+        <div class="hr"></div>
+        <div id="portfolioPrograms" style="height:260px; width:100%"></div>
+      </div>
+      <div class="card">
+        <h2 style="margin:0">By jurisdiction</h2>
+        <div class="muted small">Policies per jurisdiction by readiness.</div>
+        <div class="hr"></div>
+        <div id="portfolioJurisdictions" style="height:260px; width:100%"></div>
+      </div>
+    </div>
+
+    <div class="card">
+      <table style="width:100%; border-collapse:collapse">
+        <thead><tr class="muted small">${PORTFOLIO_COLUMNS.map(th).join('')}</tr></thead>
+        <tbody>
+          ${sorted.map(x => `
+            <tr>
+              ${td(`<a href="/dashboard?policyId=${encodeURIComponent(x.policy.id)}"><strong>${escapeHtml(x.policy.title)}</strong></a>
+                <div class="muted small">effective: <span class="mono">${escapeHtml(x.policy.effective_date || '—')}</span></div>`)}
+              ${td(escapeHtml(x.policy.program || '—'))}
+              ${td(escapeHtml(x.policy.jurisdiction || '—'))}
+              ${td(x.traceablePct === null ? '<span class="muted">no requirements</span>' : `${x.traceablePct}% <span class="muted small mono">${x.reqTraceable}/${x.reqTotal}</span>`)}
+              ${td(daysText(x.daysLeft))}
+              ${td(x.approvedPct === null ? '<span class="muted">no decisions</span>' : `${x.approvedPct}% <span class="muted small mono">${x.decisionsApproved}/${x.decisionsTotal}</span>`)}
+              ${td(`<span class="mono">${x.gaps}</span>${x.gaps ? `<div class="muted small">${x.missing.filter(([, n]) => n).map(([what, n]) => `${n} without ${escapeHtml(what)}`).join(' • ')}</div>` : ''}`)}
+              ${td(readinessPill(x.status))}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <script id="portfolioData" type="application/json">${safeJson({
+      readiness: Object.fromEntries(Object.entries(READINESS).map(([k, r]) => [k, r.label])),
+      programs: readinessBy(rows, 'program', 'No program'),
+      jurisdictions: readinessBy(rows, 'jurisdiction', 'No jurisdiction')
+    })}</script>
+    <script src="/static/vendor/echarts.min.js"></script>
+    <script src="/static/dashboard.js"></script>
+    ` : `
+      <div class="card"><p class="muted">No policies yet. Create one first.</p></div>
+    `}
+  `;
+
+  res.type('html').send(page('Portfolio', body));
+});
+
+app.get('/policies/new', requirePermission('policy:write'), (req, res) => {
+  const body = `
+    <div class="card">
+      <h1 style="margin:0">New Policy</h1>
+      <p class="muted">Government-specific policy intake. Keep it structured.</p>
+    </div>
+
+    <form class="card grid" method="post" action="/policies">
+      <div>
+        <label>Title</label>
+        <input name="title" required placeholder="e.g., HR1 Work Requirements" />
+      </div>
+      <div class="grid grid2">
+        <div>
+          <label>Jurisdiction</label>
+          <input name="jurisdiction" placeholder="e.g., Federal / State of X" />
+        </div>
+        <div>
+          <label>Program</label>
+          <input name="program" placeholder="e.g., Medicaid" />
+        </div>
+      </div>
+      <div class="grid grid2">
+        <div>
+          <label>Effective date (ISO)</label>
+          <input name="effective_date" placeholder="YYYY-MM-DD" />
+        </div>
+        <div>
+          <label>Source citation / URL</label>
+          <input name="source_citation" placeholder="Law, CFR, memo link, etc." />
+        </div>
+      </div>
+      <div class="row">
+        <button type="submit">Create policy</button>
+        <a class="muted" href="/">Cancel</a>
+      </div>
+    </form>
+  `;
+  res.type('html').send(page('New Policy', body));
+});
+
+function importPage({ text = '', remap = false, error = null, conflicts = null } = {}) {
+  return page('Import policy bundle', `
+    <div class="card">
+      <h1 style="margin:0">Import policy bundle</h1>
+      <p class="muted">Restores a policy exported with “Bundle (JSON)” into this workspace — requirements, decisions, rules, test cases, test runs, mappings, evidence and edit history, IDs included.</p>
+    </div>
+    <form class="card grid" method="post" action="/policies/import">
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      ${conflicts ? `<div>${conflictList(conflicts)}<div class="muted small">Tick “Give every row a new ID” to import it as a copy instead.</div></div>` : ''}
+      <div>
+        <label>Bundle file</label>
+        <input type="file" accept=".json,application/json" data-bundle-file />
+      </div>
+      <div>
+        <label>Bundle JSON</label>
+        <textarea name="bundle" class="mono" required rows="14" data-bundle-text>${escapeHtml(text)}</textarea>
+      </div>
+      <label class="row" style="font-size:14px"><input type="checkbox" name="remap" value="1" style="width:auto" ${remap ? 'checked' : ''} /> Give every row a new ID (import as a copy; otherwise IDs already in this database are a conflict)</label>
+      <div class="row">
+        <button type="submit">Import</button>
+        <a class="muted" href="/">Cancel</a>
+      </div>
+    </form>
+    <script src="/static/bundle_import.js"></script>
+  `);
+}
+
+app.get('/policies/import', requirePermission('admin'), (req, res) => {
+  res.type('html').send(importPage());
+});
+
+app.post('/policies/import', requirePermission('admin'), (req, res) => {
+  const text = typeof req.body.bundle === 'string' ? req.body.bundle : '';
+  const remap = req.body.remap === '1';
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    return res.status(400).type('html').send(importPage({ text, remap, error: 'The bundle is not valid JSON.' }));
+  }
+  try {
+    const { policyId } = importPolicyBundle(bundle, { remap, actor: actorFor(req), workspaceId: req.user.workspace_id });
+    res.redirect(`/policies/${policyId}`);
+  } catch (err) {
+    if (!(err instanceof BundleError)) throw err;
+    res.status(err.conflicts ? 409 : 400).type('html').send(importPage({ text, remap, error: err.message, conflicts: err.conflicts }));
+  }
+});
+
+app.post('/policies', requirePermission('policy:write'), (req, res) => {
+  const { values, errors } = validateForm(req.body, POLICY_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New policy', { action: '/policies', back: '/', fields: POLICY_FIELDS, values, errors });
+
+  const id = nanoid();
+  const policy = { id, workspace_id: req.user.workspace_id, ...values, created_at: new Date().toISOString() };
+  q.insertPolicy.run(policy);
+  auditCreate('policy', policy, actorFor(req));
+  res.redirect(`/policies/${id}`);
+});
+
+app.get('/policies/:policyId', (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(page('Not found', `<div class="card"><h1>Not found</h1></div>`));
+
+  const requirements = q.listRequirements.all(policy.id);
+  const documents = q.listDocumentsByPolicy.all(policy.id);
+  const citations = q.listCitationsByPolicy.all(policy.id);
+  const choices = documents.length ? citationChoices(policy.id) : [];
+  const copyTargets = can(req.user, 'admin') ? copyTargetsFor(req.user) : [];
 
   const body = `
     <div class="card">
@@ -571,7 +2428,16 @@ app.get('/policies/:policyId', (req, res) => {
           <div class="muted small">Policy ID: <span class="mono">${escapeHtml(policy.id)}</span></div>
         </div>
         <div class="right row wrap">
+          ${can(req.user, WRITE_PERMISSIONS.policy) ? `
+          <a href="/policies/${policy.id}/edit">Edit</a>
+          <a class="danger" href="/policies/${policy.id}/delete">Delete</a>` : ''}
+          <a href="/policies/${policy.id}/test-runs">Test runs</a>
+          <a href="/policies/${policy.id}/audit">Audit log</a>
+          <form method="post" action="/policies/${policy.id}/test-runs"><button type="submit">Run all tests</button></form>
           <a href="/policies/${policy.id}/export">Export report</a>
+          <a href="/policies/${policy.id}/export?format=html">Audit packet (HTML)</a>
+          <a href="/policies/${policy.id}/export?format=pdf">PDF</a>
+          <a href="/policies/${policy.id}/export?format=bundle">Bundle (JSON)</a>
         </div>
       </div>
       <div class="hr"></div>
@@ -581,10 +2447,49 @@ app.get('/policies/:policyId', (req, res) => {
         <div class="muted">Effective</div><div>${escapeHtml(policy.effective_date || '—')}</div>
         <div class="muted">Citation</div><div>${policy.source_citation ? `<a href="${escapeHtml(policy.source_citation)}" target="_blank" rel="noreferrer">${escapeHtml(policy.source_citation)}</a>` : '—'}</div>
       </div>
+      ${copyTargets.length ? `
+      <div class="hr"></div>
+      <form class="row wrap" method="post" action="/policies/${policy.id}/copy">
+        <span class="muted small">Copy as a template to</span>
+        <select name="workspace_id" style="width:auto">${copyTargets.map(w => `<option value="${w.workspace_id}">${escapeHtml(w.name)}</option>`).join('')}</select>
+        <button type="submit">Copy</button>
+        <span class="muted small">Everything under the policy is copied with new IDs, and the copy opens in that workspace.</span>
+      </form>` : ''}
+    </div>
+
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Source text</h2>
+        <div class="right small"><a href="/policies/${policy.id}/documents/new">Add source document</a></div>
+      </div>
+      ${documents.length ? `
+        <p class="muted">Clauses no requirement cites are highlighted: the policy says something the requirements don't.</p>
+        ${documents.map((doc) => {
+          const coverage = documentCoverage(q.listClausesByDocument.all(doc.id), citations.filter(c => c.document_id === doc.id));
+          return `
+            <div style="margin:12px 0">
+              <div class="row wrap">
+                <a href="/documents/${doc.id}"><strong>${escapeHtml(doc.title)}</strong></a>
+                <span class="muted small">${coverageSummary(coverage)}</span>
+              </div>
+              ${coverage.uncovered.slice(0, 50).map(c => `
+                <div class="uncovered small" style="padding:4px 10px; margin:4px 0; border-radius:8px">
+                  <a class="mono" href="/documents/${doc.id}#clause-${c.id}">${escapeHtml(c.number)}</a> ${escapeHtml(clip(c.text, 160))}
+                </div>`).join('')}
+              ${coverage.uncovered.length > 50 ? `<div class="small"><a href="/documents/${doc.id}?show=uncovered">All ${coverage.uncovered.length} clauses with no requirement →</a></div>` : ''}
+            </div>`;
+        }).join('')}
+        ${clauseDatalist(choices)}
+      ` : `<p class="muted">No source document yet. Upload or paste the policy text so requirements can cite the clauses they come from.</p>`}
     </div>
 
+    ${documents.length ? candidatesCard(policy, { showAll: req.query.candidates === 'all' }) : ''}
+
     <div class="card">
-      <h2 style="margin:0">Requirements</h2>
+      <div class="row">
+        <h2 style="margin:0">Requirements</h2>
+        <div class="right small"><a href="/policies/${policy.id}/requirements/import">Import from spreadsheet</a></div>
+      </div>
       <p class="muted">Each requirement should be atomic and testable.</p>
       <form class="grid" method="post" action="/policies/${policy.id}/requirements">
         <div>
@@ -605,6 +2510,17 @@ app.get('/policies/:policyId', (req, res) => {
             <input name="tags" placeholder="eligibility,work-requirements" />
           </div>
         </div>
+        ${documents.length ? `
+        <div class="grid grid2">
+          <div>
+            <label>Cites clause (optional)</label>
+            <input name="clause" list="policy-clauses" placeholder="e.g., § 101(a)(1)" />
+          </div>
+          <div>
+            <label>Exact words from the clause (optional)</label>
+            <input name="quote" />
+          </div>
+        </div>` : ''}
         <div class="row">
           <button type="submit">Add requirement</button>
         </div>
@@ -613,13 +2529,15 @@ app.get('/policies/:policyId', (req, res) => {
       ${requirements.length ? requirements.map(r => {
         const decisions = q.listDecisionsByRequirement.all(r.id);
         return `
-          <div class="card" style="background:#0e1530">
+          <div class="card" id="req-${r.id}" style="background:#0e1530">
             <div class="row wrap">
               <div>
                 <div class="pill">Requirement</div>
                 <h3 style="margin:8px 0 4px 0">${escapeHtml(r.statement)}</h3>
-                <div class="muted small">status: <span class="mono">${escapeHtml(r.status)}</span>${r.tags ? ` • tags: ${escapeHtml(r.tags)}` : ''}</div>
+                <div class="muted small">status: <span class="mono">${escapeHtml(r.status)}</span>${r.tags ? ` • tags: ${escapeHtml(r.tags)}` : ''}${r.external_id ? ` • external id: <span class="mono">${escapeHtml(r.external_id)}</span>` : ''}</div>
+                ${citationsBlock(r, citations, documents.length > 0)}
               </div>
+              ${can(req.user, WRITE_PERMISSIONS.requirement) ? `<div class="right small row"><a href="/requirements/${r.id}/edit">Edit</a> <a class="danger" href="/requirements/${r.id}/delete">Delete</a></div>` : ''}
             </div>
 
             <div class="hr"></div>
@@ -627,7 +2545,7 @@ app.get('/policies/:policyId', (req, res) => {
             <div class="grid grid2">
               <div>
                 <h4 style="margin:0">Decisions (ADRs)</h4>
-                ${decisions.length ? `<ul>${decisions.map(d => `<li style="margin:8px 0"><a href="/decisions/${d.id}">${escapeHtml(d.decision.slice(0, 80))}${d.decision.length>80?'…':''}</a> <span class="muted small">(${escapeHtml(d.status)})</span></li>`).join('')}</ul>` : `<p class="muted small">No decisions yet.</p>`}
+                ${decisions.length ? `<ul>${decisions.map(d => `<li style="margin:8px 0"><a href="/decisions/${d.id}">${escapeHtml(d.decision.slice(0, 80))}${d.decision.length>80?'…':''}</a> <span class="muted small">(${escapeHtml(decisionStatusText(d))})</span></li>`).join('')}</ul>` : `<p class="muted small">No decisions yet.</p>`}
 
                 <form class="grid" method="post" action="/requirements/${r.id}/decisions">
                   <div>
@@ -641,16 +2559,9 @@ app.get('/policies/:policyId', (req, res) => {
                   <div class="grid grid2">
                     <div>
                       <label>Owner</label>
-                      <input name="owner" placeholder="name / role" />
-                    </div>
-                    <div>
-                      <label>Status</label>
-                      <select name="status">
-                        <option value="draft">draft</option>
-                        <option value="approved">approved</option>
-                        <option value="superseded">superseded</option>
-                      </select>
+                      ${ownerSelect(req.user.username)}
                     </div>
+                    <div class="muted small" style="align-self:end">New decisions start as draft; submit them for review from the decision page.</div>
                   </div>
                   <div>
                     <label>Alternatives considered</label>
@@ -660,71 +2571,714 @@ app.get('/policies/:policyId', (req, res) => {
                 </form>
               </div>
 
-              <div>
-                <h4 style="margin:0">Rules + Test Cases</h4>
-                <p class="muted small">Create a decision first, then add rules and test cases.</p>
-                ${decisions.length ? `<ul>
-                  ${decisions.map(d => {
-                    const rules = q.listRulesByDecision.all(d.id);
-                    return `<li style="margin:10px 0">
-                      <div><a href="/decisions/${d.id}"><strong>${escapeHtml(d.decision.slice(0, 60))}${d.decision.length>60?'…':''}</strong></a> <span class="muted small">(${escapeHtml(d.status)})</span></div>
-                      ${rules.length ? `<ul>${rules.map(rule => {
-                        const tcs = q.listTestCasesByRule.all(rule.id);
-                        return `<li class="small" style="margin:6px 0">
-                          <a href="/rules/${rule.id}">${escapeHtml(rule.name)}</a>
-                          <span class="muted">v${escapeHtml(rule.version)} • ${tcs.length} test(s)</span>
-                        </li>`;
-                      }).join('')}</ul>` : `<div class="muted small">No rules yet.</div>`}
-                    </li>`;
-                  }).join('')}
-                </ul>` : ''}
-              </div>
-            </div>
+              <div>
+                <h4 style="margin:0">Rules + Test Cases</h4>
+                <p class="muted small">Create a decision first, then add rules and test cases.</p>
+                ${decisions.length ? `<ul>
+                  ${decisions.map(d => {
+                    const rules = q.listRulesByDecision.all(d.id);
+                    return `<li style="margin:10px 0">
+                      <div><a href="/decisions/${d.id}"><strong>${escapeHtml(d.decision.slice(0, 60))}${d.decision.length>60?'…':''}</strong></a> <span class="muted small">(${escapeHtml(decisionStatusText(d))})</span></div>
+                      ${rules.length ? `<ul>${rules.map(rule => {
+                        const tcs = q.listTestCasesByRule.all(rule.id);
+                        return `<li class="small" style="margin:6px 0">
+                          <a href="/rules/${rule.id}">${escapeHtml(rule.name)}</a>
+                          <span class="muted">v${escapeHtml(rule.version)} • ${tcs.length} test(s)</span>
+                          ${rule.parse_error ? `<span class="pill danger">parse error</span>` : ''}
+                        </li>`;
+                      }).join('')}</ul>` : `<div class="muted small">No rules yet.</div>`}
+                    </li>`;
+                  }).join('')}
+                </ul>` : ''}
+              </div>
+            </div>
+          </div>
+        `;
+      }).join('') : `<p class="muted">No requirements yet.</p>`}
+    </div>
+
+    ${historyCard('policy', policy.id)}
+  `;
+
+  res.type('html').send(page(policy.title, body));
+});
+
+// Other workspaces the user administers: where a policy can be copied to as a template.
+function copyTargetsFor(user) {
+  return user.workspaces.filter(w => w.workspace_id !== user.workspace_id && can(w, 'admin'));
+}
+
+// The copy is the policy's bundle imported with fresh IDs; both policies' audit logs record it.
+const copyPolicy = db.transaction((policy, from, to, actor) => {
+  const { policyId } = importPolicyBundle(exportBundle(db, policy.id), { remap: true, actor, workspaceId: to.workspace_id });
+  recordAudit({ actor, action: 'copy', entityType: 'policy', entityId: policy.id, policyId: policy.id, details: { from, to: to.name, copy_id: policyId } });
+  return policyId;
+});
+
+app.post('/policies/:policyId/copy', requirePermission('admin'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  const target = req.user.workspaces.find(w => w.workspace_id === req.body.workspace_id && w.workspace_id !== req.user.workspace_id);
+  if (!target) return res.status(404).type('html').send(notFoundPage());
+  if (!can(target, 'admin')) return res.status(403).type('html').send(forbiddenPage({ ...req.user, role: target.role, workspace_name: target.name }, 'admin'));
+  const copyId = copyPolicy(policy, req.user.workspace_name, target, actorFor(req));
+  const token = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (token) q.setSessionWorkspace.run(target.workspace_id, tokenDigest(token));
+  res.redirect(`/policies/${copyId}`);
+});
+
+app.post('/policies/:policyId/requirements', requirePermission('policy:write'), (req, res) => {
+  const policyId = req.params.policyId;
+  const policy = q.getPolicy.get(policyId);
+  if (!policy) return res.status(404).send('Policy not found');
+
+  const { values, errors } = validateForm(req.body, NEW_REQUIREMENT_FIELDS);
+  const cited = !errors.clause && !errors.quote && values.clause ? readCitation(policyId, values) : null;
+  if (cited?.error) errors.clause = cited.error;
+  if (hasErrors(errors)) {
+    return invalidCreateForm(res, 'New requirement', {
+      subtitle: escapeHtml(policy.title), action: `/policies/${policyId}/requirements`, back: `/policies/${policyId}`,
+      fields: NEW_REQUIREMENT_FIELDS, values, errors
+    });
+  }
+
+  const { clause, quote, ...fields } = values;
+  const requirement = { id: nanoid(), policy_id: policyId, ...fields, external_id: null, created_at: new Date().toISOString() };
+  db.transaction(() => {
+    q.insertRequirement.run(requirement);
+    auditCreate('requirement', requirement, actorFor(req));
+    if (cited) addCitation(requirement, cited.citation, actorFor(req));
+  })();
+  res.redirect(`/policies/${policyId}#req-${requirement.id}`);
+});
+
+// ---------- bulk requirement import ----------
+// The sheet travels as form fields: `sheet` (CSV / pasted cells) or `xlsx` (base64, filled in
+// by /static/requirement_import.js), and is re-read on confirm rather than trusted from the preview.
+function readImportSheet(body) {
+  const xlsx = typeof body.xlsx === 'string' ? body.xlsx.trim() : '';
+  if (xlsx) return readXlsx(Buffer.from(xlsx, 'base64'));
+  return parseCsv(typeof body.sheet === 'string' ? body.sheet : '');
+}
+
+function planFromBody(policy, body) {
+  let cells;
+  try {
+    cells = readImportSheet(body);
+  } catch (err) {
+    if (!(err instanceof SpreadsheetError)) throw err;
+    return { error: err.message };
+  }
+  const sheet = readRequirementRows(cells);
+  if (sheet.error) return sheet;
+  const plan = planRequirementImport(sheet.rows, q.listRequirements.all(policy.id), { statuses: REQUIREMENT_STATUSES });
+  return { ...sheet, plan };
+}
+
+const applyRequirementImport = db.transaction((policy, plan, actor) => {
+  const now = new Date().toISOString();
+  for (const item of plan) {
+    if (item.action === 'create') {
+      const requirement = { id: nanoid(), policy_id: policy.id, external_id: null, ...item.values, created_at: now };
+      q.insertRequirement.run(requirement);
+      auditCreate('requirement', requirement, actor);
+    } else if (item.action === 'update') {
+      updateWithHistory('requirement', item.existing, item.values, actor);
+    }
+  }
+});
+
+function sheetFields(body) {
+  return ['sheet', 'xlsx', 'filename']
+    .map(f => `<input type="hidden" name="${f}" value="${escapeHtml(typeof body[f] === 'string' ? body[f] : '')}" />`).join('');
+}
+
+function requirementImportPage(policy, { body = {}, error = null } = {}) {
+  return page(`Import requirements — ${policy.title}`, `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="pill">Import requirements</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+        </div>
+        <div class="right"><a href="/policies/${policy.id}">← Back</a></div>
+      </div>
+      <p class="muted">Upload a CSV or .xlsx sheet (or paste cells copied from a spreadsheet). The first row is a header: <span class="mono">statement</span> (required), <span class="mono">status</span>, <span class="mono">tags</span>, <span class="mono">external_id</span>.
+        Rows update the requirement with the same external ID — or, without one, the same statement — so importing a sheet again updates instead of duplicating. Nothing is saved until you confirm the preview.</p>
+    </div>
+    <form class="card grid" method="post" action="/policies/${policy.id}/requirements/import">
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      <div>
+        <label>Sheet file (.csv, .tsv, .xlsx)</label>
+        <input type="file" accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" data-sheet-file />
+        <div class="muted small" data-sheet-name>${body.filename ? `Loaded ${escapeHtml(body.filename)}` : ''}</div>
+      </div>
+      <div>
+        <label>…or paste CSV / cells</label>
+        <textarea name="sheet" class="mono" rows="10" data-sheet-text placeholder="statement,status,tags,external_id">${escapeHtml(typeof body.sheet === 'string' ? body.sheet : '')}</textarea>
+      </div>
+      <input type="hidden" name="xlsx" value="${escapeHtml(typeof body.xlsx === 'string' ? body.xlsx : '')}" data-sheet-xlsx />
+      <input type="hidden" name="filename" value="${escapeHtml(typeof body.filename === 'string' ? body.filename : '')}" data-sheet-filename />
+      <div class="row">
+        <button type="submit" name="step" value="preview">Preview</button>
+        <a class="muted" href="/policies/${policy.id}">Cancel</a>
+      </div>
+    </form>
+    <script src="/static/requirement_import.js"></script>
+  `);
+}
+
+function requirementPreviewPage(policy, body, { plan, warnings }) {
+  const count = (action) => plan.filter(p => p.action === action).length;
+  const errors = count('error');
+  const pending = count('create') + count('update');
+  const show = (v) => (v === null || v === undefined || v === '' ? '<span class="muted">—</span>' : escapeHtml(v));
+  const actionPill = {
+    create: '<span class="pill">new</span>',
+    update: '<span class="pill">update</span>',
+    unchanged: '<span class="pill muted">unchanged</span>',
+    error: '<span class="pill danger">error</span>'
+  };
+
+  return page(`Import preview — ${policy.title}`, `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="pill">Import preview</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+          <div class="muted small">${body.filename ? `${escapeHtml(body.filename)} • ` : ''}${plan.length} row(s): ${count('create')} new, ${count('update')} to update, ${count('unchanged')} unchanged, <span class="${errors ? 'danger' : ''}">${errors} with errors</span></div>
+        </div>
+        <div class="right"><a href="/policies/${policy.id}/requirements/import">← Start over</a></div>
+      </div>
+      ${warnings.length ? `<ul class="small muted">${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}</ul>` : ''}
+    </div>
+
+    <div class="card">
+      <table style="width:100%; border-collapse:collapse" class="small">
+        <thead>
+          <tr class="muted">
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Line</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">External ID</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Statement</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Status</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Tags</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${plan.map(p => `
+            <tr>
+              <td style="padding:6px" class="mono">${p.line}</td>
+              <td style="padding:6px" class="mono">${show(p.values.external_id ?? p.existing?.external_id)}</td>
+              <td style="padding:6px">${show(p.values.statement)}</td>
+              <td style="padding:6px" class="mono">${show(p.values.status ?? p.existing?.status)}</td>
+              <td style="padding:6px">${show(Object.hasOwn(p.values, 'tags') ? p.values.tags : p.existing?.tags)}</td>
+              <td style="padding:6px">
+                ${actionPill[p.action]}
+                ${p.errors.map(e => `<div class="danger">${escapeHtml(e)}</div>`).join('')}
+                ${Object.entries(p.changes).map(([f, c]) => `<div class="muted">${escapeHtml(f)}: ${show(c.from)} → ${show(c.to)}</div>`).join('')}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <form class="card row" method="post" action="/policies/${policy.id}/requirements/import">
+      ${sheetFields(body)}
+      ${errors
+        ? `<div class="danger">Fix the ${errors} row(s) with errors in the sheet and preview again; nothing is imported while any row has an error.</div>`
+        : `<button type="submit" name="step" value="commit" ${pending ? '' : 'disabled'}>Import ${pending} row(s)</button>
+           ${pending ? '' : '<span class="muted small">Everything in the sheet is already up to date.</span>'}`}
+    </form>
+  `);
+}
+
+app.get('/policies/:policyId/requirements/import', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(requirementImportPage(policy));
+});
+
+// step=preview shows what would happen; step=commit re-reads the sheet and applies it in one transaction
+app.post('/policies/:policyId/requirements/import', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+
+  const result = planFromBody(policy, req.body);
+  if (result.error) return res.status(400).type('html').send(requirementImportPage(policy, { body: req.body, error: result.error }));
+
+  if (req.body.step !== 'commit' || result.plan.some(p => p.action === 'error')) {
+    return res.status(req.body.step === 'commit' ? 400 : 200).type('html').send(requirementPreviewPage(policy, req.body, result));
+  }
+  applyRequirementImport(policy, result.plan, actorFor(req));
+  res.redirect(`/policies/${policy.id}`);
+});
+
+// ---------- policy source documents ----------
+// The policy text is split into sections and clauses (src/policy_document.js) once, on upload;
+// requirements cite clauses, and clauses nothing cites are policy-coverage gaps.
+const createPolicyDocument = db.transaction((policy, { title, format, source }, actor) => {
+  const { text, items } = parsePolicyDocument(source, format);
+  const now = new Date().toISOString();
+  const document = { id: nanoid(), policy_id: policy.id, title, format, source, text, created_by: actor || null, created_at: now };
+  q.insertDocument.run(document);
+  const ids = items.map(() => nanoid());
+  items.forEach((item, i) => q.insertClause.run({
+    id: ids[i],
+    document_id: document.id,
+    parent_id: item.parent === null ? null : ids[item.parent],
+    kind: item.kind,
+    number: item.number,
+    heading: item.heading,
+    text: item.text,
+    depth: item.depth,
+    position: i,
+    start_offset: item.start,
+    end_offset: item.end,
+    created_at: now
+  }));
+  // The source can be megabytes; the audit entry pins it by hash
+  recordAudit({
+    actor,
+    action: 'create',
+    entityType: 'policy_document',
+    entityId: document.id,
+    policyId: policy.id,
+    details: {
+      values: { title, format, source_sha256: sourceDigest(source) },
+      sections: items.filter(i => i.kind === 'section').length,
+      clauses: items.filter(i => i.kind === 'clause').length
+    }
+  });
+  return document;
+});
+
+// Coverage of one document: { state: Map(clause id → state), counts, uncovered: [clause] }.
+// Only clauses count; sections are headings.
+function documentCoverage(clauses, citations) {
+  const state = clauseCoverage(clauses, new Set(citations.map(c => c.clause_id)));
+  const counts = { cited: 0, inherited: 0, partial: 0, uncovered: 0 };
+  const uncovered = [];
+  for (const c of clauses) {
+    if (c.kind !== 'clause') continue;
+    counts[state.get(c.id)]++;
+    if (state.get(c.id) === 'uncovered') uncovered.push(c);
+  }
+  return { state, counts, uncovered, total: counts.cited + counts.inherited + counts.partial + counts.uncovered };
+}
+
+function coverageSummary({ counts, total }) {
+  const covered = counts.cited + counts.inherited;
+  return `${covered} of ${total} clause(s) covered${counts.partial ? ` • ${counts.partial} partly` : ''} • <span class="${counts.uncovered ? 'danger' : ''}">${counts.uncovered} with no requirement</span>`;
+}
+
+// Clause text with cited spans marked.
+function markSpans(text, citations) {
+  const spans = citations.filter(c => c.span_start !== null).sort((a, b) => a.span_start - b.span_start);
+  let out = '';
+  let at = 0;
+  for (const s of spans) {
+    const from = Math.max(s.span_start, at);
+    if (s.span_end <= from) continue;
+    out += `${escapeHtml(text.slice(at, from))}<mark>${escapeHtml(text.slice(from, s.span_end))}</mark>`;
+    at = s.span_end;
+  }
+  return out + escapeHtml(text.slice(at));
+}
+
+function clip(text, n) {
+  const flat = text.replace(/\s+/g, ' ');
+  return flat.length > n ? `${flat.slice(0, n)}…` : flat;
+}
+
+// What a requirement form types to cite a clause: its number, prefixed by the document title
+// when the policy has more than one document.
+function citationChoices(policyId) {
+  const documents = q.listDocumentsByPolicy.all(policyId);
+  const titles = new Map(documents.map(d => [d.id, d.title]));
+  return q.listClausesByPolicy.all(policyId).map(clause => ({
+    label: documents.length > 1 ? `${titles.get(clause.document_id)} ${clause.number}` : clause.number,
+    clause
+  }));
+}
+
+function clauseDatalist(choices) {
+  return `<datalist id="policy-clauses">${choices.map(c =>
+    `<option value="${escapeHtml(c.label)}">${escapeHtml(clip(c.clause.heading || c.clause.text, 80))}</option>`).join('')}</datalist>`;
+}
+
+// Resolves the clause / quote fields of a citation form. Returns { citation } or { error };
+// a quote must occur in the clause text (matched ignoring case and line breaks).
+function readCitation(policyId, body) {
+  const wanted = typeof body.clause === 'string' ? body.clause.trim() : '';
+  const quote = typeof body.quote === 'string' ? body.quote.trim() : '';
+  const choices = citationChoices(policyId);
+  const found = choices.filter(c => c.label === wanted);
+  const byNumber = choices.filter(c => c.clause.number === wanted);
+  const clause = (found.length ? found : byNumber.length === 1 ? byNumber : [])[0]?.clause;
+  if (!clause) return { error: choices.length ? `No clause "${wanted}" in this policy's source text.` : 'This policy has no source document to cite yet.' };
+
+  let span = { span_start: null, span_end: null };
+  if (quote) {
+    const pattern = new RegExp(quote.split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'i');
+    const m = pattern.exec(clause.text);
+    if (!m) return { error: `"${quote}" does not appear in ${clause.number}.` };
+    span = { span_start: m.index, span_end: m.index + m[0].length };
+  }
+  return { citation: { clause, quote: quote ? clause.text.slice(span.span_start, span.span_end) : null, ...span } };
+}
+
+function addCitation(requirement, { clause, quote, span_start, span_end }, actor) {
+  const citation = {
+    id: nanoid(),
+    requirement_id: requirement.id,
+    clause_id: clause.id,
+    span_start,
+    span_end,
+    created_by: actor || null,
+    created_at: new Date().toISOString()
+  };
+  q.insertCitation.run(citation);
+  recordAudit({
+    actor,
+    action: 'create',
+    entityType: 'citation',
+    entityId: citation.id,
+    policyId: requirement.policy_id,
+    details: { values: { requirement_id: requirement.id, clause_id: clause.id, number: clause.number, quote, span_start, span_end } }
+  });
+}
+
+function citationErrorPage(policyId, error) {
+  return page('Citation not added', `
+    <div class="card">
+      <h1 style="margin:0 0 8px 0">Citation not added</h1>
+      <div class="danger">${escapeHtml(error)}</div>
+      <p><a href="/policies/${policyId}">← Back to policy</a></p>
+    </div>
+  `);
+}
+
+// One requirement's citations with remove buttons, and the form to add one.
+function citationsBlock(requirement, citations, hasDocuments) {
+  const mine = citations.filter(c => c.requirement_id === requirement.id);
+  return `
+    <div class="small" style="margin-top:8px">
+      <span class="muted">Cites:</span>
+      ${mine.length ? mine.map(c => `
+        <span class="row" style="display:inline-flex; gap:4px; margin-right:8px">
+          <a class="pill mono" href="/documents/${c.document_id}#clause-${c.clause_id}">${escapeHtml(c.number)}</a>
+          ${c.span_start !== null ? `<span class="muted">“${escapeHtml(clip(c.clause_text.slice(c.span_start, c.span_end), 60))}”</span>` : ''}
+          <form method="post" action="/citations/${c.id}/delete" style="display:inline"><button type="submit" class="small" style="padding:2px 8px" title="Remove citation">×</button></form>
+        </span>`).join('') : '<span class="muted">no clause yet</span>'}
+    </div>
+    ${hasDocuments ? `
+    <form class="row small" method="post" action="/requirements/${requirement.id}/citations" style="margin-top:6px">
+      <input name="clause" list="policy-clauses" required placeholder="Clause, e.g. § 101(a)(1)" style="max-width:240px" />
+      <input name="quote" placeholder="Exact words (optional)" />
+      <button type="submit">Cite</button>
+    </form>` : ''}
+  `;
+}
+
+function documentFormPage(policy, { body = {}, error = null } = {}) {
+  const value = (f) => escapeHtml(typeof body[f] === 'string' ? body[f] : '');
+  const format = DOCUMENT_FORMATS.includes(body.format) ? body.format : 'text';
+  return page(`Add source document — ${policy.title}`, `
+    <div class="card">
+      <div class="row">
+        <div>
+          <div class="pill">Add source document</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+        </div>
+        <div class="right"><a href="/policies/${policy.id}">← Back</a></div>
+      </div>
+      <p class="muted">Upload or paste the policy text: plain text, Markdown or HTML. It is split into sections (headings, "SEC. 101." lines) and clauses ((a), (1), (A), (i), list items, paragraphs) that requirements can cite.</p>
+    </div>
+    <form class="card grid" method="post" action="/policies/${policy.id}/documents">
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+      <div class="grid grid2">
+        <div>
+          <label>Title</label>
+          <input name="title" required value="${value('title')}" placeholder="e.g., H.R. 1 § 71119 (enrolled)" data-document-title />
+        </div>
+        <div>
+          <label>Format</label>
+          <select name="format" data-document-format>
+            ${DOCUMENT_FORMATS.map(f => `<option value="${f}" ${f === format ? 'selected' : ''}>${f}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label>File (.txt, .md, .html)</label>
+        <input type="file" accept=".txt,.md,.markdown,.html,.htm,text/plain,text/markdown,text/html" data-document-file />
+      </div>
+      <div>
+        <label>…or paste the text</label>
+        <textarea name="source" class="mono" rows="16" required data-document-text>${value('source')}</textarea>
+      </div>
+      <div class="row">
+        <button type="submit">Add document</button>
+        <a class="muted" href="/policies/${policy.id}">Cancel</a>
+      </div>
+    </form>
+    <script src="/static/policy_document.js"></script>
+  `);
+}
+
+app.get('/policies/:policyId/documents/new', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(documentFormPage(policy));
+});
+
+app.post('/policies/:policyId/documents', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+
+  const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+  const format = req.body.format;
+  const source = typeof req.body.source === 'string' ? req.body.source : '';
+  if (!title) return res.status(400).type('html').send(documentFormPage(policy, { body: req.body, error: 'Title is required.' }));
+
+  let document;
+  try {
+    document = createPolicyDocument(policy, { title, format, source }, actorFor(req));
+  } catch (err) {
+    if (!(err instanceof DocumentError)) throw err;
+    return res.status(400).type('html').send(documentFormPage(policy, { body: req.body, error: err.message }));
+  }
+  res.redirect(`/documents/${document.id}`);
+});
+
+app.get('/documents/:documentId', (req, res) => {
+  const document = q.getDocument.get(req.params.documentId);
+  const policy = document && q.getPolicy.get(document.policy_id);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+
+  const clauses = q.listClausesByDocument.all(document.id);
+  const citations = q.listCitationsByPolicy.all(policy.id).filter(c => c.document_id === document.id);
+  const coverage = documentCoverage(clauses, citations);
+  const onlyUncovered = req.query.show === 'uncovered';
+  const statePill = {
+    cited: '',
+    inherited: '<span class="pill">covered by enclosing citation</span>',
+    partial: '<span class="pill">partly cited</span>',
+    uncovered: '<span class="pill danger">no requirement</span>'
+  };
+
+  const rows = clauses.filter(c => !onlyUncovered || (c.kind === 'clause' && coverage.state.get(c.id) === 'uncovered')).map((c) => {
+    const mine = citations.filter(x => x.clause_id === c.id);
+    const indent = `margin-left:${c.depth * 18}px`;
+    if (c.kind === 'section') {
+      return `<div id="clause-${c.id}" style="${indent}; margin-top:14px">
+        <strong class="mono">${escapeHtml(c.number)}</strong> <strong>${escapeHtml(c.heading || '')}</strong>
+        ${mine.length ? `<span class="pill">cited by ${mine.length}</span>` : ''}
+      </div>`;
+    }
+    const state = coverage.state.get(c.id);
+    return `<div id="clause-${c.id}" class="${state === 'uncovered' ? 'uncovered' : ''}" style="${indent}; padding:6px 10px; margin:4px 0; border-radius:8px">
+      <div class="row wrap small"><span class="mono muted">${escapeHtml(c.number)}</span> ${statePill[state]}</div>
+      <div>${markSpans(c.text, mine)}</div>
+      ${mine.length ? `<ul class="small" style="margin:4px 0">${mine.map(x => `<li><a href="/policies/${policy.id}#req-${x.requirement_id}">${escapeHtml(clip(x.statement, 120))}</a></li>`).join('')}</ul>` : ''}
+    </div>`;
+  });
+
+  res.type('html').send(page(document.title, `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <div class="pill">Source document</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(document.title)}</h1>
+          <div class="muted small">${escapeHtml(policy.title)} • ${escapeHtml(document.format)} • added ${escapeHtml(document.created_at)}${document.created_by ? ` by ${escapeHtml(document.created_by)}` : ''}</div>
+        </div>
+        <div class="right"><a href="/policies/${policy.id}">← Back to policy</a></div>
+      </div>
+      <div class="hr"></div>
+      <div class="row wrap small">
+        <div>${coverageSummary(coverage)}</div>
+        <div class="right row">
+          ${onlyUncovered ? `<a href="/documents/${document.id}">Show all clauses</a>` : `<a href="/documents/${document.id}?show=uncovered">Show only clauses with no requirement</a>`}
+        </div>
+      </div>
+    </div>
+    <div class="card">
+      ${rows.length ? rows.join('') : `<p class="muted">${onlyUncovered ? 'Every clause is covered by a requirement.' : 'No clauses found.'}</p>`}
+    </div>
+  `));
+});
+
+app.post('/requirements/:reqId/citations', requirePermission('policy:write'), (req, res) => {
+  const requirement = q.getRequirement.get(req.params.reqId);
+  if (!requirement) return res.status(404).send('Requirement not found');
+
+  const { citation, error } = readCitation(requirement.policy_id, req.body);
+  if (error) return res.status(400).type('html').send(citationErrorPage(requirement.policy_id, error));
+  addCitation(requirement, citation, actorFor(req));
+  res.redirect(`/policies/${requirement.policy_id}#req-${requirement.id}`);
+});
+
+app.post('/citations/:citationId/delete', requirePermission('policy:write'), (req, res) => {
+  const citation = q.getCitation.get(req.params.citationId);
+  if (!citation) return res.status(404).send('Citation not found');
+
+  db.transaction(() => {
+    q.deleteCitation.run(citation.id);
+    const quote = citation.span_start === null ? null : citation.clause_text.slice(citation.span_start, citation.span_end);
+    recordAudit({
+      actor: actorFor(req),
+      action: 'delete',
+      entityType: 'citation',
+      entityId: citation.id,
+      policyId: citation.policy_id,
+      details: { values: { requirement_id: citation.requirement_id, clause_id: citation.clause_id, number: citation.number, quote } }
+    });
+  })();
+  res.redirect(`/policies/${citation.policy_id}#req-${citation.requirement_id}`);
+});
+
+// ---------- requirement candidates ----------
+// Scanning the source text (src/requirement_extraction.js) proposes draft requirements; accepting
+// one creates the requirement, citing the sentence it came from.
+const extractRequirementCandidates = db.transaction((policy, actor) => {
+  const requirements = q.listRequirements.all(policy.id);
+  const now = new Date().toISOString();
+  let added = 0;
+  for (const c of extractCandidates(q.listClausesByPolicy.all(policy.id))) {
+    if (requirements.some(r => sameStatement(r.statement, c.statement))) continue;
+    added += q.insertCandidate.run({ id: nanoid(), policy_id: policy.id, ...c, signals: c.signals.join(','), created_at: now }).changes;
+  }
+  recordAudit({
+    actor,
+    action: 'extract',
+    entityType: 'policy',
+    entityId: policy.id,
+    policyId: policy.id,
+    details: { label: 'Scanned source text', counts: { candidate: added } }
+  });
+  return added;
+});
+
+const decideCandidate = db.transaction((candidate, { accept, statement, actor }) => {
+  const now = new Date().toISOString();
+  let requirementId = null;
+  if (accept) {
+    const requirement = {
+      id: nanoid(),
+      policy_id: candidate.policy_id,
+      statement,
+      status: 'draft',
+      tags: null,
+      external_id: null,
+      created_at: now
+    };
+    q.insertRequirement.run(requirement);
+    auditCreate('requirement', requirement, actor);
+    const clause = q.getClause.get(candidate.clause_id);
+    addCitation(requirement, {
+      clause,
+      quote: clause.text.slice(candidate.span_start, candidate.span_end),
+      span_start: candidate.span_start,
+      span_end: candidate.span_end
+    }, actor);
+    requirementId = requirement.id;
+  }
+  q.decideCandidate.run({
+    id: candidate.id,
+    status: accept ? 'accepted' : 'rejected',
+    requirement_id: requirementId,
+    decided_by: actor || null,
+    decided_at: now
+  });
+  recordAudit({
+    actor,
+    action: accept ? 'accept' : 'reject',
+    entityType: 'candidate',
+    entityId: candidate.id,
+    policyId: candidate.policy_id,
+    details: { values: { statement: candidate.statement }, ...(accept ? { requirement_id: requirementId, edited: statement !== candidate.statement } : {}) }
+  });
+});
+
+function candidatesCard(policy, { showAll }) {
+  const counts = Object.fromEntries(q.countCandidatesByStatus.all(policy.id).map(r => [r.status, r.n]));
+  const pending = q.listPendingCandidates.all(policy.id);
+  const shown = showAll ? pending : pending.slice(0, 25);
+  return `
+    <div class="card" id="candidates">
+      <div class="row wrap">
+        <h2 style="margin:0">Requirement candidates</h2>
+        <span class="muted small">${counts.pending ?? 0} to review • ${counts.accepted ?? 0} accepted • ${counts.rejected ?? 0} rejected</span>
+        <form class="right" method="post" action="/policies/${policy.id}/candidates/extract"><button type="submit">Scan source text</button></form>
+      </div>
+      <p class="muted">Sentences in the source text with normative wording (must, shall, may not, is required to, thresholds, age ranges, date windows) proposed as draft requirements. Edit the wording if needed, then accept or reject; a rejected sentence is not proposed again.</p>
+      ${shown.map(c => `
+        <form class="card grid" method="post" action="/candidates/${c.id}" style="background:#0e1530">
+          <div class="row wrap small">
+            <a class="pill mono" href="/documents/${c.document_id}#clause-${c.clause_id}">${escapeHtml(c.number)}</a>
+            ${c.signals.split(',').map(s => `<span class="pill">${escapeHtml(s)}</span>`).join(' ')}
           </div>
-        `;
-      }).join('') : `<p class="muted">No requirements yet.</p>`}
+          <div class="small muted">Source: “${escapeHtml(clip(c.clause_text.slice(c.span_start, c.span_end), 300))}”</div>
+          <div>
+            <label>Requirement statement</label>
+            <textarea name="statement" required>${escapeHtml(c.statement)}</textarea>
+          </div>
+          <div class="row">
+            <button type="submit" name="action" value="accept">Accept as requirement</button>
+            <button type="submit" name="action" value="reject">Reject</button>
+          </div>
+        </form>`).join('')}
+      ${pending.length > shown.length ? `<div class="small"><a href="/policies/${policy.id}?candidates=all#candidates">Show all ${pending.length} candidates</a></div>` : ''}
     </div>
   `;
+}
 
-  res.type('html').send(page(policy.title, body));
+app.post('/policies/:policyId/candidates/extract', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).send('Policy not found');
+  extractRequirementCandidates(policy, actorFor(req));
+  res.redirect(`/policies/${policy.id}#candidates`);
 });
 
-app.post('/policies/:policyId/requirements', (req, res) => {
-  const policyId = req.params.policyId;
-  const policy = q.getPolicy.get(policyId);
-  if (!policy) return res.status(404).send('Policy not found');
+app.post('/candidates/:candidateId', requirePermission('policy:write'), (req, res) => {
+  const candidate = q.getCandidate.get(req.params.candidateId);
+  if (!candidate || !q.getPolicy.get(candidate.policy_id)) return res.status(404).send('Candidate not found');
+  const back = `/policies/${candidate.policy_id}#candidates`;
+  if (candidate.status !== 'pending') return res.redirect(back);
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertRequirement.run({
-    id,
-    policy_id: policyId,
-    statement: req.body.statement?.trim(),
-    status: req.body.status?.trim() || 'draft',
-    tags: req.body.tags?.trim() || null,
-    created_at: now
-  });
-  res.redirect(`/policies/${policyId}`);
+  const accept = req.body.action === 'accept';
+  const statement = typeof req.body.statement === 'string' ? req.body.statement.trim() : '';
+  if (!accept && req.body.action !== 'reject') return res.status(400).send('action must be accept or reject');
+  if (accept && !statement) return res.status(400).send('statement is required');
+  decideCandidate(candidate, { accept, statement, actor: actorFor(req) });
+  res.redirect(back);
 });
 
-app.post('/requirements/:reqId/decisions', (req, res) => {
+app.post('/requirements/:reqId/decisions', requirePermission('decision:write'), (req, res) => {
   const requirement = q.getRequirement.get(req.params.reqId);
   if (!requirement) return res.status(404).send('Requirement not found');
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  const status = req.body.status?.trim() || 'draft';
-  q.insertDecision.run({
-    id,
+  const fields = decisionFields(null);
+  const { values, errors } = validateForm(req.body, fields);
+  if (hasErrors(errors)) {
+    return invalidCreateForm(res, 'New decision', {
+      subtitle: escapeHtml(clip(requirement.statement, 160)), action: `/requirements/${requirement.id}/decisions`,
+      back: `/policies/${requirement.policy_id}`, fields, values, errors
+    });
+  }
+
+  const decision = {
+    id: nanoid(),
     requirement_id: requirement.id,
-    decision: req.body.decision?.trim(),
-    rationale: req.body.rationale?.trim() || null,
-    alternatives: req.body.alternatives?.trim() || null,
-    owner: req.body.owner?.trim() || null,
-    status,
-    approved_at: status === 'approved' ? now : null,
-    created_at: now
-  });
+    ...values,
+    status: 'draft',
+    approved_at: null,
+    supersedes_id: null,
+    created_at: new Date().toISOString()
+  };
+  q.insertDecision.run(decision);
+  auditCreate('decision', decision, actorFor(req));
 
   res.redirect(`/policies/${requirement.policy_id}`);
 });
@@ -738,6 +3292,8 @@ app.get('/decisions/:decisionId', (req, res) => {
   const rules = q.listRulesByDecision.all(decision.id);
   const mappings = q.listMappings.all('decision', decision.id);
   const evidence = q.listEvidence.all('decision', decision.id);
+  const supersedes = decision.supersedes_id ? q.getDecision.get(decision.supersedes_id) : null;
+  const supersededBy = q.getDecisionReplacement.get(decision.id);
 
   const body = `
     <div class="card">
@@ -745,13 +3301,23 @@ app.get('/decisions/:decisionId', (req, res) => {
         <div>
           <div class="pill">Decision (ADR)</div>
           <h1 style="margin:8px 0 4px 0">${escapeHtml(decision.decision)}</h1>
-          <div class="muted small">status: <span class="mono">${escapeHtml(decision.status)}</span> • owner: ${escapeHtml(decision.owner || '—')} • decision id: <span class="mono">${escapeHtml(decision.id)}</span></div>
+          <div class="muted small">status: <span class="mono">${escapeHtml(decisionStatusText(decision))}</span> • owner: ${escapeHtml(decision.owner || '—')} • decision id: <span class="mono">${escapeHtml(decision.id)}</span></div>
         </div>
-        <div class="right"><a href="/policies/${policy.id}">← Back to policy</a></div>
+        <div class="right row">${can(req.user, WRITE_PERMISSIONS.decision) ? `${EDITABLE_STATUSES.includes(decision.status) ? `<a href="/decisions/${decision.id}/edit">Edit</a>` : ''} <a class="danger" href="/decisions/${decision.id}/delete">Delete</a>` : ''} <a href="/policies/${policy.id}">← Back to policy</a></div>
       </div>
+      ${supersedes || supersededBy ? `
+      <div class="small" style="margin-top:8px">
+        ${supersedes ? `Supersedes: <a href="/decisions/${supersedes.id}">${escapeHtml(supersedes.decision.slice(0, 80))}</a>` : ''}
+        ${supersedes && supersededBy ? '<br/>' : ''}
+        ${supersededBy ? `<span class="danger">Superseded by:</span> <a href="/decisions/${supersededBy.id}">${escapeHtml(supersededBy.decision.slice(0, 80))}</a>` : ''}
+      </div>` : ''}
       <div class="hr"></div>
       <div class="muted small">Requirement</div>
       <div>${escapeHtml(requirement.statement)}</div>
+      ${hasDecisionHistory(requirement.id) ? `
+        <div class="muted small" style="margin-top:8px">Decision timeline for this requirement</div>
+        ${timelineHtml(requirement.id)}
+      ` : ''}
 
       <div class="hr"></div>
       <div class="grid grid2">
@@ -766,6 +3332,10 @@ app.get('/decisions/:decisionId', (req, res) => {
       </div>
     </div>
 
+    ${approvalCard(decision, typeof req.query.error === 'string' ? req.query.error : '', req.user)}
+
+    ${historyCard('decision', decision.id)}
+
     <div class="card">
       <div class="row">
         <h2 style="margin:0">Architecture mappings</h2>
@@ -777,10 +3347,11 @@ app.get('/decisions/:decisionId', (req, res) => {
           <span class="pill">${escapeHtml(m.type)}</span>
           <strong>${escapeHtml(m.ref)}</strong>
           ${m.notes ? `<div class="muted small">${escapeHtml(m.notes)}</div>` : ''}
-          <form method="post" action="/mappings/${m.id}/delete" style="margin-top:6px">
-            <input type="hidden" name="back" value="/decisions/${decision.id}" />
+          ${can(req.user, WRITE_PERMISSIONS.mapping) ? `
+          <form method="post" action="/mappings/${m.id}/delete" class="row" style="margin-top:6px">
             <button type="submit" class="small">Delete</button>
-          </form>
+            <a class="small" href="/mappings/${m.id}/edit">Edit</a>
+          </form>` : ''}
         </li>
       `).join('')}</ul>` : `<p class="muted">No mappings yet.</p>`}
 
@@ -822,10 +3393,11 @@ app.get('/decisions/:decisionId', (req, res) => {
           <strong>${escapeHtml(ev.ref)}</strong>
           ${ev.status ? ` <span class="muted small">(${escapeHtml(ev.status)})</span>` : ''}
           ${ev.notes ? `<div class="muted small">${escapeHtml(ev.notes)}</div>` : ''}
-          <form method="post" action="/evidence/${ev.id}/delete" style="margin-top:6px">
-            <input type="hidden" name="back" value="/decisions/${decision.id}" />
+          ${can(req.user, WRITE_PERMISSIONS.evidence) ? `
+          <form method="post" action="/evidence/${ev.id}/delete" class="row" style="margin-top:6px">
             <button type="submit" class="small">Delete</button>
-          </form>
+            <a class="small" href="/evidence/${ev.id}/edit">Edit</a>
+          </form>` : ''}
         </li>
       `).join('')}</ul>` : `<p class="muted">No evidence yet.</p>`}
 
@@ -877,6 +3449,7 @@ app.get('/decisions/:decisionId', (req, res) => {
         return `<li style="margin:10px 0">
           <a href="/rules/${r.id}"><strong>${escapeHtml(r.name)}</strong></a>
           <span class="muted small">v${escapeHtml(r.version)} • ${tcs.length} test(s)</span>
+          ${r.parse_error ? `<span class="pill danger">parse error</span>` : ''}
         </li>`;
       }).join('')}</ul>` : `<p class="muted">No rules yet.</p>`}
 
@@ -893,8 +3466,8 @@ app.get('/decisions/:decisionId', (req, res) => {
           </div>
         </div>
         <div>
-          <label>Definition (start as pseudo / structured text)</label>
-          <textarea name="definition_text" required placeholder="IF age < 19 THEN exempt\nIF pregnant THEN exempt\nIF hours < 80 THEN non-compliant..."></textarea>
+          <label>Definition (IF &lt;condition&gt; THEN &lt;outcome&gt;, optional final ELSE)</label>
+          <textarea name="definition_text" class="mono" required placeholder="IF age < 19 THEN exempt\nIF pregnant THEN exempt\nIF hoursWorked < 80 THEN non-compliant\nELSE compliant"></textarea>
         </div>
         <div class="grid grid2">
           <div>
@@ -914,63 +3487,101 @@ app.get('/decisions/:decisionId', (req, res) => {
   res.type('html').send(page('Decision', body));
 });
 
-app.post('/decisions/:decisionId/mappings', (req, res) => {
+app.post('/decisions/:decisionId/workflow', (req, res) => {
   const decision = q.getDecision.get(req.params.decisionId);
   if (!decision) return res.status(404).send('Decision not found');
+  const { action, comment } = formValues(req.body, ['action', 'comment']);
+  const permission = workflowPermission(action);
+  if (!can(req.user, permission)) return res.status(403).type('html').send(forbiddenPage(req.user, permission));
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertMapping.run({
-    id,
-    target_type: 'decision',
-    target_id: decision.id,
-    type: req.body.type?.trim() || 'service',
-    ref: req.body.ref?.trim(),
-    notes: req.body.notes?.trim() || null,
-    created_at: now
+  try {
+    transitionDecision(decision, action ?? '', {
+      actor: actorFor(req),
+      comment,
+      reviewers: req.body.reviewers
+    });
+  } catch (err) {
+    if (!(err instanceof WorkflowError)) throw err;
+    return res.redirect(`/decisions/${decision.id}?error=${encodeURIComponent(err.message)}`);
+  }
+  res.redirect(`/decisions/${decision.id}`);
+});
+
+app.post('/decisions/:decisionId/supersede', requirePermission('decision:write'), (req, res) => {
+  const decision = q.getDecision.get(req.params.decisionId);
+  if (!decision) return res.status(404).send('Decision not found');
+
+  const fields = [
+    { name: 'comment', label: 'Reason for superseding', type: 'textarea', required: true },
+    ...decisionFields(decision.owner).map(f => f.name === 'decision' ? { ...f, label: 'Replacement decision' } : f)
+  ];
+  const { values: { comment, ...values }, errors } = validateForm(req.body, fields);
+  const carryRules = req.body.carry_rules === '1';
+  const invalid = (error) => invalidCreateForm(res, 'Supersede decision', {
+    subtitle: escapeHtml(clip(decision.decision, 160)), action: `/decisions/${decision.id}/supersede`, back: `/decisions/${decision.id}`,
+    fields, values: { comment, ...values }, errors, error, submit: 'Supersede', hidden: { carry_rules: carryRules ? '1' : '0' }
   });
+  if (hasErrors(errors)) return invalid(null);
+
+  let replacement;
+  try {
+    replacement = supersedeDecision(decision, values, { actor: actorFor(req), comment, carryRules });
+  } catch (err) {
+    if (!(err instanceof WorkflowError)) throw err;
+    return invalid(err.message);
+  }
+  res.redirect(`/decisions/${replacement.id}`);
+});
+
+app.post('/decisions/:decisionId/mappings', requirePermission('trace:write'), (req, res) => {
+  const decision = q.getDecision.get(req.params.decisionId);
+  if (!decision) return res.status(404).send('Decision not found');
+
+  const { values, errors } = validateForm(req.body, MAPPING_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New mapping', { action: `/decisions/${decision.id}/mappings`, back: `/decisions/${decision.id}`, fields: MAPPING_FIELDS, values, errors });
+
+  const mapping = { id: nanoid(), target_type: 'decision', target_id: decision.id, ...values, created_at: new Date().toISOString() };
+  q.insertMapping.run(mapping);
+  auditCreate('mapping', mapping, actorFor(req));
 
   res.redirect(`/decisions/${decision.id}`);
 });
 
-app.post('/decisions/:decisionId/evidence', (req, res) => {
+app.post('/decisions/:decisionId/evidence', requirePermission('trace:write'), (req, res) => {
   const decision = q.getDecision.get(req.params.decisionId);
   if (!decision) return res.status(404).send('Decision not found');
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertEvidence.run({
-    id,
-    target_type: 'decision',
-    target_id: decision.id,
-    kind: req.body.kind?.trim() || 'link',
-    ref: req.body.ref?.trim(),
-    status: req.body.status?.trim() || null,
-    notes: req.body.notes?.trim() || null,
-    created_at: now
-  });
+  const { values, errors } = validateForm(req.body, EVIDENCE_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New evidence', { action: `/decisions/${decision.id}/evidence`, back: `/decisions/${decision.id}`, fields: EVIDENCE_FIELDS, values, errors });
+
+  const evidence = { id: nanoid(), target_type: 'decision', target_id: decision.id, ...values, rule_version: null, created_at: new Date().toISOString() };
+  q.insertEvidence.run(evidence);
+  auditCreate('evidence', evidence, actorFor(req));
 
   res.redirect(`/decisions/${decision.id}`);
 });
 
-app.post('/decisions/:decisionId/rules', (req, res) => {
+app.post('/decisions/:decisionId/rules', requirePermission('rule:write'), (req, res) => {
   const decision = q.getDecision.get(req.params.decisionId);
   if (!decision) return res.status(404).send('Decision not found');
 
+  const { values, errors } = validateForm(req.body, NEW_RULE_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New rule', { action: `/decisions/${decision.id}/rules`, back: `/decisions/${decision.id}`, fields: NEW_RULE_FIELDS, values, errors });
+
   const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertRule.run({
+  const rule = {
     id,
     decision_id: decision.id,
-    name: req.body.name?.trim(),
-    version: req.body.version?.trim() || '0.1',
-    definition_text: req.body.definition_text?.trim(),
-    inputs: req.body.inputs?.trim() || null,
-    exceptions: req.body.exceptions?.trim() || null,
-    created_at: now
-  });
+    ...values,
+    ...parseDefinition(values.definition_text),
+    previous_version_id: null,
+    created_at: new Date().toISOString()
+  };
+  q.insertRule.run(rule);
+  auditCreate('rule', rule, actorFor(req));
 
-  res.redirect(`/decisions/${decision.id}`);
+  // Land on the rule page so parse errors are visible right away.
+  res.redirect(`/rules/${id}`);
 });
 
 app.get('/rules/:ruleId', (req, res) => {
@@ -984,20 +3595,61 @@ app.get('/rules/:ruleId', (req, res) => {
   const mappings = q.listMappings.all('rule', rule.id);
   const evidence = q.listEvidence.all('rule', rule.id);
 
+  const ast = ruleAst(rule);
+  const parseError = ruleParseError(rule);
+  const testRuns = q.listTestRunsByRule.all(rule.id);
+  const currentHash = ruleHash(rule);
+  const previous = rule.previous_version_id ? q.getRule.get(rule.previous_version_id) : null;
+  const successor = liveSuccessor(rule);
+  const versionError = typeof req.query.version_error === 'string' ? req.query.version_error : '';
+
+  // Optional ad-hoc evaluation (?input={...}) against the stored parsed form
+  const evalInput = typeof req.query.input === 'string' ? req.query.input : '';
+  let evalResult = '';
+  if (evalInput && ast) {
+    try {
+      const result = evaluateRule(ast, JSON.parse(evalInput));
+      evalResult = result.matched
+        ? `<div class="small">Matched line <span class="mono">${result.line}</span></div><pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(JSON.stringify(result.outcome, null, 2))}</pre>`
+        : `<div class="small muted">No statement matched and the rule has no ELSE.</div>`;
+    } catch (err) {
+      if (!(err instanceof SyntaxError) && !(err instanceof RuleEvaluationError)) throw err;
+      evalResult = `<div class="small danger">${escapeHtml(err instanceof SyntaxError ? `Input is not valid JSON: ${err.message}` : err.message)}</div>`;
+    }
+  }
+
+  const definitionLines = String(rule.definition_text).split('\n');
+
   const body = `
     <div class="card">
       <div class="row wrap">
         <div>
           <div class="pill">Rule</div>
-          <h1 style="margin:8px 0 4px 0">${escapeHtml(rule.name)} <span class="muted">v${escapeHtml(rule.version)}</span></h1>
-          <div class="muted small">rule id: <span class="mono">${escapeHtml(rule.id)}</span></div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(rule.name)} <span class="muted">v${escapeHtml(rule.version)}</span> ${isFrozen(rule) ? '<span class="pill">frozen</span>' : ''}</h1>
+          <div class="muted small">rule id: <span class="mono">${escapeHtml(rule.id)}</span>
+            ${previous ? ` • previous: <a href="/rules/${previous.id}">v${escapeHtml(previous.version)}</a>` : ''}
+            ${successor ? ` • superseded by <a href="/rules/${successor.id}">v${escapeHtml(successor.version)}</a>` : ''}
+          </div>
         </div>
-        <div class="right"><a href="/decisions/${decision.id}">← Back to decision</a></div>
+        <div class="right row">${can(req.user, WRITE_PERMISSIONS.rule) && !isFrozen(rule) ? `<a href="/rules/${rule.id}/edit">Edit</a>` : ''} <a href="/rules/${rule.id}/history">Versions</a> ${can(req.user, WRITE_PERMISSIONS.rule) ? `<a class="danger" href="/rules/${rule.id}/delete">Delete</a>` : ''} <a href="/decisions/${decision.id}">← Back to decision</a></div>
       </div>
+      ${successor ? '' : `
+      <div class="hr"></div>
+      <form class="row wrap" method="post" action="/rules/${rule.id}/versions">
+        <div><label>New version</label><input name="version" value="${escapeHtml(nextVersion(rule.version))}" required /></div>
+        <div style="align-self:end"><button type="submit">Create new version</button></div>
+        <div class="muted small" style="align-self:end">Copies this rule and its test cases forward and freezes v${escapeHtml(rule.version)}.</div>
+      </form>
+      ${versionError ? `<div class="danger small">${escapeHtml(versionError)}</div>` : ''}`}
       <div class="hr"></div>
       <div class="muted small">Definition</div>
-      <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:12px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(rule.definition_text)}</pre>
-      <div class="row wrap small muted">
+      <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:12px; border-radius:12px; border:1px solid var(--border)">${definitionLines.map((line, i) =>
+        parseError && parseError.line === i + 1 ? `<span class="danger">${escapeHtml(line)}</span>` : escapeHtml(line)).join('\n')}</pre>
+      ${parseError ? `
+        <div class="danger small">Parse error at line <span class="mono">${parseError.line}</span>, column <span class="mono">${parseError.column}</span>: ${escapeHtml(parseError.message)}</div>
+        <pre class="mono small danger" style="margin:6px 0 0 0">${escapeHtml(definitionLines[parseError.line - 1] ?? '')}\n${' '.repeat(Math.max(0, parseError.column - 1))}^</pre>
+      ` : `<div class="small"><span class="pill">parsed</span> <span class="muted">${ast.statements.length} statement(s)${ast.fallback ? ' + ELSE' : ''} • reads: <span class="mono">${escapeHtml(ruleInputs(ast).join(', ') || '—')}</span></span></div>`}
+      <div class="row wrap small muted" style="margin-top:8px">
         <div>Inputs: <span class="mono">${escapeHtml(rule.inputs || '—')}</span></div>
         <div>Exceptions: <span class="mono">${escapeHtml(rule.exceptions || '—')}</span></div>
       </div>
@@ -1010,6 +3662,26 @@ app.get('/rules/:ruleId', (req, res) => {
       </div>
     </div>
 
+    ${historyCard('rule', rule.id)}
+
+    ${ast ? `
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Evaluate</h2>
+        <div class="right muted small">Run the parsed rule against an input (nothing is saved).</div>
+      </div>
+      <div class="hr"></div>
+      <form class="grid" method="get" action="/rules/${rule.id}">
+        <div>
+          <label>Input (JSON)</label>
+          <textarea name="input" class="mono" placeholder='{"age":25,"pregnant":false,"hoursWorked":90}'>${escapeHtml(evalInput)}</textarea>
+        </div>
+        <div class="row"><button type="submit">Evaluate</button></div>
+      </form>
+      ${evalResult ? `<div class="hr"></div>${evalResult}` : ''}
+    </div>
+    ` : ''}
+
     <div class="card">
       <div class="row">
         <h2 style="margin:0">Architecture mappings</h2>
@@ -1022,10 +3694,11 @@ app.get('/rules/:ruleId', (req, res) => {
           <span class="pill">${escapeHtml(m.type)}</span>
           <strong>${escapeHtml(m.ref)}</strong>
           ${m.notes ? `<div class="muted small">${escapeHtml(m.notes)}</div>` : ''}
-          <form method="post" action="/mappings/${m.id}/delete" style="margin-top:6px">
-            <input type="hidden" name="back" value="/rules/${rule.id}" />
+          ${can(req.user, WRITE_PERMISSIONS.mapping) ? `
+          <form method="post" action="/mappings/${m.id}/delete" class="row" style="margin-top:6px">
             <button type="submit" class="small">Delete</button>
-          </form>
+            <a class="small" href="/mappings/${m.id}/edit">Edit</a>
+          </form>` : ''}
         </li>
       `).join('')}</ul>` : `<p class="muted">No mappings yet.</p>`}
 
@@ -1067,11 +3740,13 @@ app.get('/rules/:ruleId', (req, res) => {
           <span class="pill">${escapeHtml(ev.kind)}</span>
           <strong>${escapeHtml(ev.ref)}</strong>
           ${ev.status ? ` <span class="muted small">(${escapeHtml(ev.status)})</span>` : ''}
+          ${ev.rule_version ? ` <span class="muted small">• recorded against v${escapeHtml(ev.rule_version)}</span>` : ''}
           ${ev.notes ? `<div class="muted small">${escapeHtml(ev.notes)}</div>` : ''}
-          <form method="post" action="/evidence/${ev.id}/delete" style="margin-top:6px">
-            <input type="hidden" name="back" value="/rules/${rule.id}" />
+          ${can(req.user, WRITE_PERMISSIONS.evidence) ? `
+          <form method="post" action="/evidence/${ev.id}/delete" class="row" style="margin-top:6px">
             <button type="submit" class="small">Delete</button>
-          </form>
+            <a class="small" href="/evidence/${ev.id}/edit">Edit</a>
+          </form>` : ''}
         </li>
       `).join('')}</ul>` : `<p class="muted">No evidence yet.</p>`}
 
@@ -1108,243 +3783,1097 @@ app.get('/rules/:ruleId', (req, res) => {
             <input name="notes" placeholder="optional" />
           </div>
         </div>
-        <div class="row"><button type="submit">Add evidence</button></div>
-      </form>
+        <div class="row"><button type="submit">Add evidence</button></div>
+      </form>
+    </div>
+
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Test Cases</h2>
+        <div class="right row">
+          <span class="muted small">Given is the rule input; Expected must equal the rule outcome.</span>
+          ${testCases.length ? `<form method="post" action="/rules/${rule.id}/test-runs"><button type="submit">Run tests</button></form>` : ''}
+        </div>
+      </div>
+      <div class="hr"></div>
+
+      ${testCases.length ? `<ul>${testCases.map(tc => {
+        const last = q.latestTestRunByCase.get(tc.id);
+        return `
+        <li style="margin: 12px 0">
+          <strong>${escapeHtml(tc.name)}</strong>
+          ${verdictPill(last?.verdict)}
+          ${tc.rule_version ? `<span class="muted small">recorded against v${escapeHtml(tc.rule_version)}</span>` : ''}
+          ${can(req.user, WRITE_PERMISSIONS.test_case) ? `
+          ${isFrozen(rule) ? '' : `<a class="small" href="/test-cases/${tc.id}/edit">Edit</a>`}
+          <a class="small danger" href="/test-cases/${tc.id}/delete">Delete</a>` : ''}
+          ${last ? `<span class="muted small">${escapeHtml(last.ran_at)} • v${escapeHtml(last.rule_version)}${last.rule_hash !== currentHash ? ' (rule changed since)' : last.case_hash !== testCaseHash(tc) ? ' (test case changed since)' : ''}</span>` : ''}
+          ${tc.notes ? `<div class="muted small">${escapeHtml(tc.notes)}</div>` : ''}
+          <div class="grid grid2" style="margin-top:8px">
+            <div>
+              <div class="muted small">Given</div>
+              <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(tc.given_json)}</pre>
+            </div>
+            <div>
+              <div class="muted small">Expected</div>
+              <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(tc.expected_json)}</pre>
+            </div>
+          </div>
+          ${last && last.verdict === 'fail' ? `
+            <div class="muted small" style="margin-top:8px">Actual (last run)</div>
+            <pre class="mono danger" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(last.actual_json ?? 'null')}</pre>
+          ` : ''}
+          ${last && last.verdict === 'error' ? `<div class="small danger" style="margin-top:8px">${escapeHtml(last.error)}</div>` : ''}
+        </li>
+      `;
+      }).join('')}</ul>` : `<p class="muted">No test cases yet.</p>`}
+
+      ${isFrozen(rule) ? '' : `
+      <div class="hr"></div>
+      <form class="grid" method="post" action="/rules/${rule.id}/test-cases">
+        <div>
+          <label>Name</label>
+          <input name="name" required placeholder="e.g., Pregnant exemption" />
+        </div>
+        <div class="grid grid2">
+          <div>
+            <label>Given (JSON)</label>
+            <textarea name="given_json" required placeholder='{"age":25,"pregnant":true,"hoursWorked":0}'></textarea>
+          </div>
+          <div>
+            <label>Expected (JSON)</label>
+            <textarea name="expected_json" required placeholder='{"status":"exempt"}'></textarea>
+          </div>
+        </div>
+        <div>
+          <label>Notes</label>
+          <input name="notes" placeholder="optional" />
+        </div>
+        <div class="row"><button type="submit">Add test case</button></div>
+      </form>`}
+    </div>
+
+    <div class="card">
+      <div class="row">
+        <h2 style="margin:0">Run history</h2>
+        <div class="right muted small">Every recorded run of this rule's test cases (latest 100).</div>
+      </div>
+      <div class="hr"></div>
+      ${testRuns.length ? `
+        <table style="width:100%; border-collapse:collapse" class="small">
+          <thead>
+            <tr class="muted">
+              <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Ran at</th>
+              <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Test case</th>
+              <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Rule version</th>
+              <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Verdict</th>
+              <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Actual / error</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${testRuns.map(tr => `
+              <tr>
+                <td style="padding:6px" class="mono">${escapeHtml(tr.ran_at)}</td>
+                <td style="padding:6px">${escapeHtml(tr.test_case_name)}</td>
+                <td style="padding:6px"><span class="mono">v${escapeHtml(tr.rule_version)}</span> <span class="muted mono" title="${escapeHtml(tr.rule_hash)}">${escapeHtml(tr.rule_hash.slice(0, 8))}</span></td>
+                <td style="padding:6px">${verdictPill(tr.verdict)}</td>
+                <td style="padding:6px" class="mono">${escapeHtml(tr.error || tr.actual_json || 'null')}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : `<p class="muted">No runs yet.</p>`}
+    </div>
+  `;
+
+  res.type('html').send(page('Rule', body));
+});
+
+app.post('/rules/:ruleId/mappings', requirePermission('trace:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).send('Rule not found');
+
+  const { values, errors } = validateForm(req.body, MAPPING_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New mapping', { action: `/rules/${rule.id}/mappings`, back: `/rules/${rule.id}`, fields: MAPPING_FIELDS, values, errors });
+
+  const mapping = { id: nanoid(), target_type: 'rule', target_id: rule.id, ...values, created_at: new Date().toISOString() };
+  q.insertMapping.run(mapping);
+  auditCreate('mapping', mapping, actorFor(req));
+
+  res.redirect(`/rules/${rule.id}`);
+});
+
+app.post('/rules/:ruleId/evidence', requirePermission('trace:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).send('Rule not found');
+
+  const { values, errors } = validateForm(req.body, EVIDENCE_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New evidence', { action: `/rules/${rule.id}/evidence`, back: `/rules/${rule.id}`, fields: EVIDENCE_FIELDS, values, errors });
+
+  const evidence = { id: nanoid(), target_type: 'rule', target_id: rule.id, ...values, rule_version: rule.version, created_at: new Date().toISOString() };
+  q.insertEvidence.run(evidence);
+  auditCreate('evidence', evidence, actorFor(req));
+
+  res.redirect(`/rules/${rule.id}`);
+});
+
+app.post('/rules/:ruleId/test-cases', requirePermission('rule:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).send('Rule not found');
+  if (isFrozen(rule)) return res.status(409).type('html').send(frozenRulePage(rule, 'Test cases can no longer be added to it.'));
+
+  const { values, errors } = validateForm(req.body, TEST_CASE_FIELDS);
+  if (hasErrors(errors)) return invalidCreateForm(res, 'New test case', { action: `/rules/${rule.id}/test-cases`, back: `/rules/${rule.id}`, fields: TEST_CASE_FIELDS, values, errors });
+
+  const testCase = { id: nanoid(), rule_id: rule.id, ...values, rule_version: rule.version, created_at: new Date().toISOString() };
+  q.insertTestCase.run(testCase);
+  auditCreate('test_case', testCase, actorFor(req));
+
+  res.redirect(`/rules/${rule.id}`);
+});
+
+app.post('/rules/:ruleId/versions', requirePermission('rule:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).send('Rule not found');
+
+  const version = formValues(req.body, ['version']).version ?? '';
+  const error = newVersionError(rule, version);
+  if (error) return res.redirect(`/rules/${rule.id}?version_error=${encodeURIComponent(error)}`);
+  const next = createRuleVersion(rule, version, actorFor(req));
+  res.redirect(`/rules/${next.id}`);
+});
+
+function diffTable(before, after) {
+  const rows = sideBySide(diffLines(before, after));
+  if (!rows.some(r => r.op !== 'same')) return `<p class="muted small">No changes.</p>`;
+  const bg = { del: '#3a1d1d', add: '#0f2d1f' };
+  const cell = (no, text, color) => `
+    <td class="muted mono" style="padding:2px 6px; text-align:right; vertical-align:top; width:1%">${no ?? ''}</td>
+    <td class="mono" style="padding:2px 6px; white-space:pre-wrap; vertical-align:top; width:49%; ${text !== null && color ? `background:${color}` : ''}">${text === null ? '' : escapeHtml(text)}</td>`;
+  return `
+    <table style="width:100%; border-collapse:collapse" class="small">
+      ${rows.map(r => `<tr>${cell(r.leftNo, r.left, r.op === 'same' ? null : bg.del)}${cell(r.rightNo, r.right, r.op === 'same' ? null : bg.add)}</tr>`).join('')}
+    </table>
+  `;
+}
+
+app.get('/rules/:ruleId/history', (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).type('html').send(notFoundPage());
+
+  const versions = ruleLineage(rule);
+  const byId = (id) => versions.find(v => v.id === id);
+  const to = byId(req.query.to) || rule;
+  const from = byId(req.query.from) || (to.previous_version_id && byId(to.previous_version_id)) || versions[0];
+
+  const select = (name, selected) => `
+    <select name="${name}">${versions.map(v => `<option value="${v.id}" ${v.id === selected.id ? 'selected' : ''}>v${escapeHtml(v.version)}</option>`).join('')}</select>`;
+
+  const body = `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <div class="pill">Rule versions</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(rule.name)}</h1>
+          <div class="muted small">Each version links to the one it was copied from; older versions are frozen.</div>
+        </div>
+        <div class="right"><a href="/rules/${rule.id}">← Back to rule</a></div>
+      </div>
+      <div class="hr"></div>
+      <table style="width:100%; border-collapse:collapse" class="small">
+        <thead>
+          <tr class="muted">
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Version</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Created</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Previous</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">State</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Test cases</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Evidence</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${versions.map(v => `
+            <tr>
+              <td style="padding:6px"><a href="/rules/${v.id}">v${escapeHtml(v.version)}</a></td>
+              <td style="padding:6px" class="mono">${escapeHtml(v.created_at)}</td>
+              <td style="padding:6px">${v.previous_version_id && byId(v.previous_version_id) ? `v${escapeHtml(byId(v.previous_version_id).version)}` : '<span class="muted">—</span>'}</td>
+              <td style="padding:6px">${isFrozen(v) ? `<span class="pill">frozen</span> <span class="muted mono">${escapeHtml(v.frozen_at)}</span>` : '<span class="pill">current</span>'}</td>
+              <td style="padding:6px">${q.listTestCasesByRule.all(v.id).length}</td>
+              <td style="padding:6px">${q.listEvidence.all('rule', v.id).length}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="card">
+      <form class="row wrap" method="get" action="/rules/${rule.id}/history">
+        <div><label>From</label>${select('from', from)}</div>
+        <div><label>To</label>${select('to', to)}</div>
+        <div style="align-self:end"><button type="submit">Compare</button></div>
+      </form>
+      <div class="hr"></div>
+      <h2 style="margin:0 0 8px 0">v${escapeHtml(from.version)} → v${escapeHtml(to.version)}</h2>
+      ${[['definition_text', 'Definition'], ['inputs', 'Inputs'], ['exceptions', 'Exceptions']].map(([field, label]) => `
+        <div class="muted small" style="margin-top:12px">${label}</div>
+        ${diffTable(from[field], to[field])}
+      `).join('')}
+    </div>
+  `;
+  res.type('html').send(page('Rule versions', body));
+});
+
+app.post('/rules/:ruleId/test-runs', requirePermission('tests:run'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).send('Rule not found');
+
+  const { batchId, counts } = runTests([rule], 'rule');
+  recordAudit({ actor: actorFor(req), action: 'run_tests', entityType: 'rule', entityId: rule.id, policyId: policyIdFor('rule', rule), details: { batch_id: batchId, counts } });
+  res.redirect(`/rules/${rule.id}`);
+});
+
+app.post('/policies/:policyId/test-runs', requirePermission('tests:run'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).send('Policy not found');
+
+  const { batchId, counts } = runTests(listPolicyRules(policy.id), 'policy');
+  recordAudit({ actor: actorFor(req), action: 'run_tests', entityType: 'policy', entityId: policy.id, policyId: policy.id, details: { batch_id: batchId, counts } });
+  res.redirect(`/policies/${policy.id}/test-runs?batch=${batchId}`);
+});
+
+app.get('/policies/:policyId/test-runs', (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(page('Not found', `<div class="card"><h1>Not found</h1></div>`));
+
+  const batches = q.listTestRunBatchesByPolicy.all(policy.id);
+  const selectedBatch = batches.find(b => b.batch_id === req.query.batch) || batches[0] || null;
+  const runs = selectedBatch ? q.listTestRunsByBatch.all(selectedBatch.batch_id) : [];
+
+  const body = `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <div class="pill">Test runs</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+          <div class="muted small">Recorded results of rule test cases for this policy.</div>
+        </div>
+        <div class="right row wrap">
+          <a href="/policies/${policy.id}">← Back to policy</a>
+          <form method="post" action="/policies/${policy.id}/test-runs"><button type="submit">Run all tests</button></form>
+        </div>
+      </div>
     </div>
 
     <div class="card">
-      <div class="row">
-        <h2 style="margin:0">Test Cases</h2>
-        <div class="right muted small">Given/Expected stored as JSON strings (start simple; we can evolve).</div>
-      </div>
+      <h2 style="margin:0">Runs</h2>
       <div class="hr"></div>
-
-      ${testCases.length ? `<ul>${testCases.map(tc => `
-        <li style="margin: 12px 0">
-          <strong>${escapeHtml(tc.name)}</strong>
-          ${tc.notes ? `<div class="muted small">${escapeHtml(tc.notes)}</div>` : ''}
-          <div class="grid grid2" style="margin-top:8px">
-            <div>
-              <div class="muted small">Given</div>
-              <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(tc.given_json)}</pre>
-            </div>
-            <div>
-              <div class="muted small">Expected</div>
-              <pre class="mono" style="white-space:pre-wrap; background:#0b1020; padding:10px; border-radius:12px; border:1px solid var(--border)">${escapeHtml(tc.expected_json)}</pre>
-            </div>
-          </div>
+      ${batches.length ? `<ul>${batches.map(b => `
+        <li style="margin:8px 0">
+          <a href="/policies/${policy.id}/test-runs?batch=${escapeHtml(b.batch_id)}"><span class="mono">${escapeHtml(b.ran_at)}</span></a>
+          <span class="pill">${escapeHtml(b.scope)}</span>
+          <span class="small">${b.passed} pass • ${b.failed} fail • ${b.errored} error</span>
+          ${selectedBatch && b.batch_id === selectedBatch.batch_id ? '<span class="muted small">(shown below)</span>' : ''}
         </li>
-      `).join('')}</ul>` : `<p class="muted">No test cases yet.</p>`}
+      `).join('')}</ul>` : `<p class="muted">No runs yet.</p>`}
+    </div>
 
+    ${selectedBatch ? `
+    <div class="card">
+      <h2 style="margin:0">Run <span class="mono">${escapeHtml(selectedBatch.ran_at)}</span></h2>
       <div class="hr"></div>
-      <form class="grid" method="post" action="/rules/${rule.id}/test-cases">
+      <table style="width:100%; border-collapse:collapse" class="small">
+        <thead>
+          <tr class="muted">
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Rule</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Test case</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Verdict</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Actual / error</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${runs.map(tr => `
+            <tr>
+              <td style="padding:6px"><a href="/rules/${tr.rule_id}">${escapeHtml(tr.rule_name)}</a> <span class="muted mono">v${escapeHtml(tr.rule_version)}</span></td>
+              <td style="padding:6px">${escapeHtml(tr.test_case_name)}</td>
+              <td style="padding:6px">${verdictPill(tr.verdict)}</td>
+              <td style="padding:6px" class="mono">${escapeHtml(tr.error || tr.actual_json || 'null')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    ` : ''}
+  `;
+
+  res.type('html').send(page('Test runs', body));
+});
+
+// ---------- edit routes ----------
+const POLICY_FIELDS = [
+  { name: 'title', label: 'Title', required: true },
+  { name: 'jurisdiction', label: 'Jurisdiction' },
+  { name: 'program', label: 'Program' },
+  { name: 'effective_date', label: 'Effective date (ISO)', placeholder: 'YYYY-MM-DD', format: 'date' },
+  { name: 'source_citation', label: 'Source citation / URL' }
+];
+
+app.get('/policies/:policyId/edit', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(page('Edit policy', editPage({
+    heading: policy.title, action: `/policies/${policy.id}/edit`, back: `/policies/${policy.id}`,
+    fields: POLICY_FIELDS, values: policy, entityType: 'policy', entityId: policy.id
+  })));
+});
+
+app.post('/policies/:policyId/edit', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  const { values, errors } = validateForm(req.body, POLICY_FIELDS);
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit policy', editPage({
+      heading: policy.title, action: `/policies/${policy.id}/edit`, back: `/policies/${policy.id}`,
+      fields: POLICY_FIELDS, values, errors, entityType: 'policy', entityId: policy.id
+    })));
+  }
+  updateWithHistory('policy', policy, values, actorFor(req));
+  res.redirect(`/policies/${policy.id}`);
+});
+
+// The traceability gate: what counts as "fully traceable" for this policy's requirements.
+function gatePage(policy, gate, errors = {}) {
+  const box = (name, checked, label) =>
+    `<label class="row small" style="color:var(--text); margin:6px 0"><input type="checkbox" name="${name}" ${checked ? 'checked' : ''} style="width:auto" /> ${escapeHtml(label)}</label>`;
+  const error = (name) => errors[name] ? `<div class="danger small" style="margin-top:4px">${escapeHtml(errors[name])}</div>` : '';
+  const fieldErrors = Object.keys(errors).length;
+  return `
+    <div class="card">
+      <div class="row wrap">
         <div>
-          <label>Name</label>
-          <input name="name" required placeholder="e.g., Pregnant exemption" />
+          <div class="pill">Traceability gate</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+          <div class="muted small">What a requirement needs before the dashboard, portfolio and exports count it as fully traceable. Currently: ${escapeHtml(gateText(parseGate(policy.gate_json)))}.</div>
+          <div class="muted small" style="margin-top:6px">CI check against this gate: <a href="/policies/${policy.id}/gate">JSON</a> • <a href="/policies/${policy.id}/gate?format=junit">JUnit XML</a></div>
         </div>
-        <div class="grid grid2">
-          <div>
-            <label>Given (JSON)</label>
-            <textarea name="given_json" required placeholder='{"age":25,"pregnant":true,"hoursWorked":0}'></textarea>
-          </div>
-          <div>
-            <label>Expected (JSON)</label>
-            <textarea name="expected_json" required placeholder='{"status":"exempt"}'></textarea>
-          </div>
+        <div class="right"><a href="/dashboard?policyId=${encodeURIComponent(policy.id)}">← Dashboard</a></div>
+      </div>
+    </div>
+
+    <form class="card grid" method="post" action="/policies/${policy.id}/gate/edit">
+      ${fieldErrors ? `<div class="danger">Nothing was saved: fix the ${fieldErrors === 1 ? 'field' : `${fieldErrors} fields`} marked below.</div>` : ''}
+      <div>
+        <label>Decisions and rules</label>
+        ${box('approved_decision', gate.approved_decision, 'At least one approved (signed-off) decision')}
+        ${box('rule', gate.rule, 'At least one rule')}
+      </div>
+      <div class="grid grid2">
+        <div>
+          <label>Minimum test cases (0–${MAX_MIN_TESTS})</label>
+          <input name="min_tests" value="${escapeHtml(String(gate.min_tests))}" inputmode="numeric" ${errors.min_tests ? 'aria-invalid="true"' : ''} />
+          ${error('min_tests')}
+          ${box('passing_tests', gate.passing_tests, 'Every test case passes on the current rule version')}
         </div>
         <div>
-          <label>Notes</label>
-          <input name="notes" placeholder="optional" />
+          <label>Evidence</label>
+          <select name="evidence" ${errors.evidence ? 'aria-invalid="true"' : ''}>${Object.entries(EVIDENCE_LEVELS).map(([value, label]) =>
+            `<option value="${value}" ${value === gate.evidence ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}</select>
+          ${error('evidence')}
         </div>
-        <div class="row"><button type="submit">Add test case</button></div>
-      </form>
-    </div>
+      </div>
+      <div>
+        <label>Architecture mappings required (at least one of each, on the requirement's decisions or rules)</label>
+        <div class="row wrap">${MAPPING_TYPES.map(t => box(`mapping_${t}`, gate.mappings.includes(t), t)).join('')}</div>
+        ${error('mappings')}
+      </div>
+      <div>
+        <label>Exempt requirements with status (left out of the gate and the totals)</label>
+        <div class="row wrap">${REQUIREMENT_STATUSES.map(st => box(`exempt_${st}`, gate.exempt_statuses.includes(st), st)).join('')}</div>
+        ${error('exempt_statuses')}
+      </div>
+      <div class="row">
+        <button type="submit">Save gate</button>
+        <a class="muted" href="/dashboard?policyId=${encodeURIComponent(policy.id)}">Cancel</a>
+        <span class="right muted small">Default: ${escapeHtml(gateText(DEFAULT_GATE))}</span>
+      </div>
+    </form>
   `;
+}
 
-  res.type('html').send(page('Rule', body));
+app.get('/policies/:policyId/gate/edit', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(page('Traceability gate', gatePage(policy, parseGate(policy.gate_json))));
 });
 
-app.post('/rules/:ruleId/mappings', (req, res) => {
-  const rule = q.getRule.get(req.params.ruleId);
-  if (!rule) return res.status(404).send('Rule not found');
+app.post('/policies/:policyId/gate/edit', requirePermission('policy:write'), (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+  const { gate, errors } = gateFromForm(req.body);
+  if (hasErrors(errors)) {
+    // Show what was sent, including the invalid minimum
+    const min = String(req.body.min_tests ?? '');
+    return res.status(400).type('html').send(page('Traceability gate', gatePage(policy, { ...gate, min_tests: errors.min_tests ? min : gate.min_tests }, errors)));
+  }
+  updateWithHistory('policy', policy, { gate_json: gateJson(gate) }, actorFor(req));
+  res.redirect(`/dashboard?policyId=${encodeURIComponent(policy.id)}`);
+});
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertMapping.run({
-    id,
-    target_type: 'rule',
-    target_id: rule.id,
-    type: req.body.type?.trim() || 'service',
-    ref: req.body.ref?.trim(),
-    notes: req.body.notes?.trim() || null,
-    created_at: now
-  });
+// The compliance check for CI (src/compliance_check.js): ?format=json (default) | junit. It
+// answers 200 whether the policy passes or not, so the pipeline always gets the report; read
+// `status` (JSON) or the failure count (JUnit), or use scripts/gate_check.js for an exit code.
+app.get('/policies/:policyId/gate', (req, res) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).json({ error: { code: 'not_found', message: 'Policy not found' } });
+  const format = req.query.format || 'json';
+  if (!CHECK_FORMATS.includes(format)) {
+    return res.status(400).json({ error: { code: 'validation_failed', message: `Unknown format: ${format}`, fields: { format: `must be one of: ${CHECK_FORMATS.join(', ')}` } } });
+  }
+  const check = complianceCheck(policy, policyMetrics(db, policy.id));
+  if (format === 'junit') return res.type('application/xml').send(renderJunit(check));
+  res.json(check);
+});
 
-  res.redirect(`/rules/${rule.id}`);
+const REQUIREMENT_FIELDS = [
+  { name: 'statement', label: 'Requirement statement', type: 'textarea', required: true },
+  { name: 'status', label: 'Status', type: 'select', options: REQUIREMENT_STATUSES, default: 'draft' },
+  { name: 'tags', label: 'Tags (comma-separated)' },
+  { name: 'external_id', label: 'External ID (matches spreadsheet rows on import)' }
+];
+
+// The add-requirement form on the policy page can cite a clause of the source text too.
+const NEW_REQUIREMENT_FIELDS = [
+  ...REQUIREMENT_FIELDS.filter(f => f.name !== 'external_id'),
+  { name: 'clause', label: 'Cites clause (optional)' },
+  { name: 'quote', label: 'Exact words from the clause (optional)' }
+];
+
+app.get('/requirements/:reqId/edit', requirePermission('policy:write'), (req, res) => {
+  const requirement = q.getRequirement.get(req.params.reqId);
+  if (!requirement) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(page('Edit requirement', editPage({
+    heading: 'Requirement', subtitle: `requirement id: <span class="mono">${escapeHtml(requirement.id)}</span>`,
+    action: `/requirements/${requirement.id}/edit`, back: `/policies/${requirement.policy_id}`,
+    fields: REQUIREMENT_FIELDS, values: requirement, entityType: 'requirement', entityId: requirement.id
+  })));
 });
 
-app.post('/rules/:ruleId/evidence', (req, res) => {
-  const rule = q.getRule.get(req.params.ruleId);
-  if (!rule) return res.status(404).send('Rule not found');
+app.post('/requirements/:reqId/edit', requirePermission('policy:write'), (req, res) => {
+  const requirement = q.getRequirement.get(req.params.reqId);
+  if (!requirement) return res.status(404).type('html').send(notFoundPage());
+  const { values, errors } = validateForm(req.body, REQUIREMENT_FIELDS, { status: requirement.status });
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit requirement', editPage({
+      heading: 'Requirement', action: `/requirements/${requirement.id}/edit`, back: `/policies/${requirement.policy_id}`,
+      fields: REQUIREMENT_FIELDS, values, errors, entityType: 'requirement', entityId: requirement.id
+    })));
+  }
+  updateWithHistory('requirement', requirement, values, actorFor(req));
+  res.redirect(`/policies/${requirement.policy_id}`);
+});
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertEvidence.run({
-    id,
-    target_type: 'rule',
-    target_id: rule.id,
-    kind: req.body.kind?.trim() || 'link',
-    ref: req.body.ref?.trim(),
-    status: req.body.status?.trim() || null,
-    notes: req.body.notes?.trim() || null,
-    created_at: now
-  });
+const DECISION_FIELDS = [
+  { name: 'decision', label: 'Decision', type: 'textarea', required: true },
+  { name: 'rationale', label: 'Rationale', type: 'textarea' },
+  { name: 'alternatives', label: 'Alternatives considered', type: 'textarea' },
+  { name: 'owner', label: 'Owner', type: 'select' }
+];
 
-  res.redirect(`/rules/${rule.id}`);
+const decisionFields = (owner) => DECISION_FIELDS.map(f => f.name === 'owner' ? { ...f, options: ownerOptions(owner) } : f);
+
+function decisionLockedPage(decision) {
+  return page('Edit decision', `
+    <div class="card">
+      <h1 style="margin:0">Decision is ${escapeHtml(decisionStatusText(decision))}</h1>
+      <p class="muted">Only draft or rejected decisions can be edited, so a sign-off always covers the text that was reviewed.</p>
+      <a href="/decisions/${decision.id}">← Back to decision</a>
+    </div>
+  `);
+}
+
+app.get('/decisions/:decisionId/edit', requirePermission('decision:write'), (req, res) => {
+  const decision = q.getDecision.get(req.params.decisionId);
+  if (!decision) return res.status(404).type('html').send(notFoundPage());
+  if (!EDITABLE_STATUSES.includes(decision.status)) return res.status(409).type('html').send(decisionLockedPage(decision));
+  res.type('html').send(page('Edit decision', editPage({
+    heading: 'Decision (ADR)', subtitle: `decision id: <span class="mono">${escapeHtml(decision.id)}</span>`,
+    action: `/decisions/${decision.id}/edit`, back: `/decisions/${decision.id}`,
+    fields: decisionFields(decision.owner), values: decision, entityType: 'decision', entityId: decision.id
+  })));
 });
 
-app.post('/rules/:ruleId/test-cases', (req, res) => {
-  const rule = q.getRule.get(req.params.ruleId);
-  if (!rule) return res.status(404).send('Rule not found');
+app.post('/decisions/:decisionId/edit', requirePermission('decision:write'), (req, res) => {
+  const decision = q.getDecision.get(req.params.decisionId);
+  if (!decision) return res.status(404).type('html').send(notFoundPage());
+  if (!EDITABLE_STATUSES.includes(decision.status)) return res.status(409).type('html').send(decisionLockedPage(decision));
+  const fields = decisionFields(decision.owner);
+  const { values, errors } = validateForm(req.body, fields);
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit decision', editPage({
+      heading: 'Decision (ADR)', action: `/decisions/${decision.id}/edit`, back: `/decisions/${decision.id}`,
+      fields, values, errors, entityType: 'decision', entityId: decision.id
+    })));
+  }
+  updateWithHistory('decision', decision, values, actorFor(req));
+  res.redirect(`/decisions/${decision.id}`);
+});
 
-  const id = nanoid();
-  const now = new Date().toISOString();
-  q.insertTestCase.run({
-    id,
-    rule_id: rule.id,
-    name: req.body.name?.trim(),
-    given_json: req.body.given_json?.trim(),
-    expected_json: req.body.expected_json?.trim(),
-    notes: req.body.notes?.trim() || null,
-    created_at: now
-  });
+const RULE_FIELDS = [
+  { name: 'name', label: 'Rule name', required: true },
+  { name: 'definition_text', label: 'Definition', type: 'textarea', required: true, mono: true },
+  { name: 'inputs', label: 'Inputs (comma-separated)', type: 'textarea', mono: true },
+  { name: 'exceptions', label: 'Exceptions / edge cases', type: 'textarea', mono: true }
+];
+
+const NEW_RULE_FIELDS = [RULE_FIELDS[0], { name: 'version', label: 'Version', default: '0.1', maxLength: 40 }, ...RULE_FIELDS.slice(1)];
+
+app.get('/rules/:ruleId/edit', requirePermission('rule:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).type('html').send(notFoundPage());
+  if (isFrozen(rule)) return res.status(409).type('html').send(frozenRulePage(rule, 'It can no longer be edited.'));
+  res.type('html').send(page('Edit rule', editPage({
+    heading: rule.name, subtitle: `rule id: <span class="mono">${escapeHtml(rule.id)}</span> • changing the definition means tests must be re-run`,
+    action: `/rules/${rule.id}/edit`, back: `/rules/${rule.id}`,
+    fields: RULE_FIELDS, values: rule, entityType: 'rule', entityId: rule.id
+  })));
+});
 
+app.post('/rules/:ruleId/edit', requirePermission('rule:write'), (req, res) => {
+  const rule = q.getRule.get(req.params.ruleId);
+  if (!rule) return res.status(404).type('html').send(notFoundPage());
+  if (isFrozen(rule)) return res.status(409).type('html').send(frozenRulePage(rule, 'It can no longer be edited.'));
+  const { values, errors } = validateForm(req.body, RULE_FIELDS);
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit rule', editPage({
+      heading: rule.name, action: `/rules/${rule.id}/edit`, back: `/rules/${rule.id}`,
+      fields: RULE_FIELDS, values, errors, entityType: 'rule', entityId: rule.id
+    })));
+  }
+  updateWithHistory('rule', rule, { ...values, ...parseDefinition(values.definition_text) }, actorFor(req));
   res.redirect(`/rules/${rule.id}`);
 });
 
-app.post('/mappings/:mappingId/delete', (req, res) => {
-  const back = req.body.back || '/';
-  q.deleteMapping.run(req.params.mappingId);
-  res.redirect(back);
+const TEST_CASE_FIELDS = [
+  { name: 'name', label: 'Name', required: true },
+  { name: 'given_json', label: 'Given (JSON)', type: 'textarea', required: true, mono: true, format: 'json' },
+  { name: 'expected_json', label: 'Expected (JSON)', type: 'textarea', required: true, mono: true, format: 'json' },
+  { name: 'notes', label: 'Notes' }
+];
+
+app.get('/test-cases/:testCaseId/edit', requirePermission('rule:write'), (req, res) => {
+  const tc = q.getTestCase.get(req.params.testCaseId);
+  if (!tc) return res.status(404).type('html').send(notFoundPage());
+  const rule = q.getRule.get(tc.rule_id);
+  if (isFrozen(rule)) return res.status(409).type('html').send(frozenRulePage(rule, 'Its test cases can no longer be edited.'));
+  res.type('html').send(page('Edit test case', editPage({
+    heading: tc.name, subtitle: `test case id: <span class="mono">${escapeHtml(tc.id)}</span>`,
+    action: `/test-cases/${tc.id}/edit`, back: `/rules/${tc.rule_id}`,
+    fields: TEST_CASE_FIELDS, values: tc, entityType: 'test_case', entityId: tc.id
+  })));
 });
 
-app.post('/evidence/:evidenceId/delete', (req, res) => {
-  const back = req.body.back || '/';
-  q.deleteEvidence.run(req.params.evidenceId);
-  res.redirect(back);
+app.post('/test-cases/:testCaseId/edit', requirePermission('rule:write'), (req, res) => {
+  const tc = q.getTestCase.get(req.params.testCaseId);
+  if (!tc) return res.status(404).type('html').send(notFoundPage());
+  const rule = q.getRule.get(tc.rule_id);
+  if (isFrozen(rule)) return res.status(409).type('html').send(frozenRulePage(rule, 'Its test cases can no longer be edited.'));
+  const { values, errors } = validateForm(req.body, TEST_CASE_FIELDS);
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit test case', editPage({
+      heading: tc.name, action: `/test-cases/${tc.id}/edit`, back: `/rules/${tc.rule_id}`,
+      fields: TEST_CASE_FIELDS, values, errors, entityType: 'test_case', entityId: tc.id
+    })));
+  }
+  updateWithHistory('test_case', tc, values, actorFor(req));
+  res.redirect(`/rules/${tc.rule_id}`);
 });
 
-app.get('/policies/:policyId/export', (req, res) => {
-  const policy = q.getPolicy.get(req.params.policyId);
-  if (!policy) return res.status(404).type('text').send('Not found');
+const MAPPING_FIELDS = [
+  { name: 'type', label: 'Type', type: 'select', options: MAPPING_TYPES, default: 'service' },
+  { name: 'ref', label: 'Ref', required: true },
+  { name: 'notes', label: 'Notes' }
+];
 
-  const requirements = q.listRequirements.all(policy.id);
+app.get('/mappings/:mappingId/edit', requirePermission('trace:write'), (req, res) => {
+  const m = q.getMapping.get(req.params.mappingId);
+  if (!m) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(page('Edit mapping', editPage({
+    heading: m.ref, subtitle: `mapping on ${escapeHtml(m.target_type)} <span class="mono">${escapeHtml(m.target_id)}</span>`,
+    action: `/mappings/${m.id}/edit`, back: `/${m.target_type}s/${m.target_id}`,
+    fields: MAPPING_FIELDS, values: m, entityType: 'mapping', entityId: m.id
+  })));
+});
 
-  let out = '';
-  out += `# Policy Implementation Report\n\n`;
-  out += `- **Title:** ${policy.title}\n`;
-  out += `- **Policy ID:** ${policy.id}\n`;
-  out += `- **Jurisdiction:** ${policy.jurisdiction || '—'}\n`;
-  out += `- **Program:** ${policy.program || '—'}\n`;
-  out += `- **Effective date:** ${policy.effective_date || '—'}\n`;
-  out += `- **Citation:** ${policy.source_citation || '—'}\n\n`;
-
-  out += `## Requirements\n\n`;
-
-  for (const r of requirements) {
-    out += `### Requirement: ${r.id}\n\n`;
-    out += `${r.statement}\n\n`;
-    out += `- Status: ${r.status}\n`;
-    if (r.tags) out += `- Tags: ${r.tags}\n`;
-    out += `\n`;
-
-    const decisions = q.listDecisionsByRequirement.all(r.id);
-    if (!decisions.length) {
-      out += `> No decisions recorded yet.\n\n`;
-      continue;
-    }
+app.post('/mappings/:mappingId/edit', requirePermission('trace:write'), (req, res) => {
+  const m = q.getMapping.get(req.params.mappingId);
+  if (!m) return res.status(404).type('html').send(notFoundPage());
+  const { values, errors } = validateForm(req.body, MAPPING_FIELDS, { type: m.type });
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit mapping', editPage({
+      heading: m.ref, action: `/mappings/${m.id}/edit`, back: `/${m.target_type}s/${m.target_id}`,
+      fields: MAPPING_FIELDS, values, errors, entityType: 'mapping', entityId: m.id
+    })));
+  }
+  updateWithHistory('mapping', m, values, actorFor(req));
+  res.redirect(`/${m.target_type}s/${m.target_id}`);
+});
 
-    for (const d of decisions) {
-      out += `#### Decision (ADR): ${d.id}\n\n`;
-      out += `- Status: ${d.status}\n`;
-      out += `- Owner: ${d.owner || '—'}\n`;
-      if (d.approved_at) out += `- Approved at: ${d.approved_at}\n`;
-      out += `\n`;
-      out += `**Decision:**\n\n${d.decision}\n\n`;
-      if (d.rationale) out += `**Rationale:**\n\n${d.rationale}\n\n`;
-      if (d.alternatives) out += `**Alternatives:**\n\n${d.alternatives}\n\n`;
-
-      const decisionMappings = q.listMappings.all('decision', d.id);
-      if (decisionMappings.length) {
-        out += `**Architecture mappings (Decision)**\n\n`;
-        for (const m of decisionMappings) {
-          out += `- ${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}\n`;
-        }
-        out += `\n`;
-      }
+const EVIDENCE_FIELDS = [
+  { name: 'kind', label: 'Kind', type: 'select', options: EVIDENCE_KINDS, default: 'link' },
+  { name: 'ref', label: 'Ref (URL or identifier)', required: true },
+  { name: 'status', label: 'Status', type: 'select', options: ['', ...EVIDENCE_STATUSES] },
+  { name: 'notes', label: 'Notes' }
+];
 
-      const decisionEvidence = q.listEvidence.all('decision', d.id);
-      if (decisionEvidence.length) {
-        out += `**Evidence (Decision)**\n\n`;
-        for (const ev of decisionEvidence) {
-          out += `- ${ev.kind}: ${ev.ref}${ev.status ? ` (${ev.status})` : ''}${ev.notes ? ` — ${ev.notes}` : ''}\n`;
-        }
-        out += `\n`;
-      }
+app.get('/evidence/:evidenceId/edit', requirePermission('trace:write'), (req, res) => {
+  const ev = q.getEvidence.get(req.params.evidenceId);
+  if (!ev) return res.status(404).type('html').send(notFoundPage());
+  res.type('html').send(page('Edit evidence', editPage({
+    heading: ev.ref, subtitle: `evidence on ${escapeHtml(ev.target_type)} <span class="mono">${escapeHtml(ev.target_id)}</span>`,
+    action: `/evidence/${ev.id}/edit`, back: `/${ev.target_type}s/${ev.target_id}`,
+    fields: EVIDENCE_FIELDS, values: ev, entityType: 'evidence', entityId: ev.id
+  })));
+});
 
-      const rules = q.listRulesByDecision.all(d.id);
-      if (!rules.length) {
-        out += `> No rules recorded for this decision yet.\n\n`;
-        continue;
-      }
+app.post('/evidence/:evidenceId/edit', requirePermission('trace:write'), (req, res) => {
+  const ev = q.getEvidence.get(req.params.evidenceId);
+  if (!ev) return res.status(404).type('html').send(notFoundPage());
+  const { values, errors } = validateForm(req.body, EVIDENCE_FIELDS, { kind: ev.kind });
+  if (hasErrors(errors)) {
+    return res.status(400).type('html').send(page('Edit evidence', editPage({
+      heading: ev.ref, action: `/evidence/${ev.id}/edit`, back: `/${ev.target_type}s/${ev.target_id}`,
+      fields: EVIDENCE_FIELDS, values, errors, entityType: 'evidence', entityId: ev.id
+    })));
+  }
+  updateWithHistory('evidence', ev, values, actorFor(req));
+  res.redirect(`/${ev.target_type}s/${ev.target_id}`);
+});
 
-      for (const rule of rules) {
-        out += `##### Rule: ${rule.name} (v${rule.version})\n\n`;
-        out += `- Rule ID: ${rule.id}\n`;
-        if (rule.inputs) out += `- Inputs: ${rule.inputs}\n`;
-        if (rule.exceptions) out += `- Exceptions: ${rule.exceptions}\n`;
-        out += `\n`;
-        out += "```\n" + rule.definition_text + "\n```\n\n";
-
-        const ruleMappings = q.listMappings.all('rule', rule.id);
-        if (ruleMappings.length) {
-          out += `**Architecture mappings (Rule)**\n\n`;
-          for (const m of ruleMappings) {
-            out += `- ${m.type}: ${m.ref}${m.notes ? ` — ${m.notes}` : ''}\n`;
-          }
-          out += `\n`;
-        }
-
-        const ruleEvidence = q.listEvidence.all('rule', rule.id);
-        if (ruleEvidence.length) {
-          out += `**Evidence (Rule)**\n\n`;
-          for (const ev of ruleEvidence) {
-            out += `- ${ev.kind}: ${ev.ref}${ev.status ? ` (${ev.status})` : ''}${ev.notes ? ` — ${ev.notes}` : ''}\n`;
-          }
-          out += `\n`;
-        }
-
-        const tcs = q.listTestCasesByRule.all(rule.id);
-        out += `**Test Cases (${tcs.length})**\n\n`;
-        if (!tcs.length) {
-          out += `> No test cases recorded yet.\n\n`;
-        } else {
-          for (const tc of tcs) {
-            out += `- ${tc.name}\n`;
-            out += `  - Given: \`${tc.given_json}\`\n`;
-            out += `  - Expected: \`${tc.expected_json}\`\n`;
-            if (tc.notes) out += `  - Notes: ${tc.notes}\n`;
-          }
-          out += `\n`;
-        }
-      }
-    }
+// ---------- delete routes ----------
+const DELETE_ROUTES = {
+  policies: 'policy',
+  requirements: 'requirement',
+  decisions: 'decision',
+  rules: 'rule',
+  'test-cases': 'test_case',
+  mappings: 'mapping',
+  evidence: 'evidence'
+};
+
+for (const [segment, type] of Object.entries(DELETE_ROUTES)) {
+  // Confirmation page listing every row the delete will take with it
+  app.get(`/${segment}/:id/delete`, requirePermission(WRITE_PERMISSIONS[type]), (req, res) => {
+    const row = getLive[type](req.params.id);
+    if (!row || !inActiveWorkspace(req, type, row)) return res.status(404).type('html').send(notFoundPage());
+
+    const rows = collectCascade(type, row);
+    const counts = cascadeCounts(rows);
+    const groups = Object.keys(TABLES).filter(t => counts[t]);
+
+    const body = `
+      <div class="card">
+        <div class="pill">Delete ${escapeHtml(ENTITY_NAMES[type].toLowerCase())}</div>
+        <h1 style="margin:8px 0 4px 0">${escapeHtml(entityLabel(type, row))}</h1>
+        <div class="muted small">This removes ${rows.length} row(s): ${groups.map(t => `${counts[t]} ${escapeHtml(ENTITY_NAMES[t].toLowerCase())}`).join(' • ')}.
+          They go to the <a href="/trash">Trash</a> and can be restored. Test-run and edit history are kept.</div>
+      </div>
+
+      <div class="card">
+        <h2 style="margin:0">Everything that will be removed</h2>
+        <div class="hr"></div>
+        ${groups.map(t => `
+          <h4 style="margin:12px 0 4px 0">${escapeHtml(ENTITY_NAMES[t])} <span class="muted small">(${counts[t]})</span></h4>
+          <ul>${rows.filter(x => x.type === t).map(x => `<li class="small">${escapeHtml(entityLabel(t, x.row))} <span class="muted mono">${escapeHtml(x.row.id)}</span></li>`).join('')}</ul>
+        `).join('')}
+      </div>
+
+      <form class="card grid" method="post" action="/${segment}/${row.id}/delete">
+        <div class="row">
+          <button type="submit" class="danger">Delete ${rows.length} row(s)</button>
+          <a class="muted" href="${parentPath(type, row)}">Cancel</a>
+        </div>
+      </form>
+    `;
+    res.type('html').send(page(`Delete ${ENTITY_NAMES[type].toLowerCase()}`, body));
+  });
+
+  app.post(`/${segment}/:id/delete`, requirePermission(WRITE_PERMISSIONS[type]), (req, res) => {
+    const row = getLive[type](req.params.id);
+    if (!row || !inActiveWorkspace(req, type, row)) return res.status(404).type('html').send(notFoundPage());
+    softDelete(type, row, actorFor(req));
+    res.redirect(parentPath(type, row));
+  });
+}
+
+// ---------- search ----------
+// Global full-text search over the search_index FTS5 table (see src/migrations/003_search_index.js).
+const SEARCH_TYPES = ['policy', 'requirement', 'decision', 'rule', 'test_case', 'mapping', 'evidence'];
+const SEARCH_GROUP_LIMIT = 10;
+
+// User input → FTS5 query: every word must match (the last one as a prefix, for
+// search-as-you-type); "quoted phrases" stay phrases. Nothing the user types is FTS syntax.
+function ftsQuery(input) {
+  const terms = (String(input).match(/"[^"]*"|[^\s"]+/g) ?? [])
+    .map(t => t.replace(/"/g, '').trim())
+    .filter(Boolean);
+  return terms.map((t, i) => `"${t.replace(/"/g, '""')}"${i === terms.length - 1 && !/\s/.test(t) ? '*' : ''}`).join(' ');
+}
+
+// SQL for the workspace of an indexed row, given an SQL expression for its id: walks up to the
+// owning policy like policyIdFor(), one primary-key lookup per level.
+const workspaceSql = {
+  policy: id => `(SELECT workspace_id FROM policies WHERE id = ${id})`,
+  requirement: id => workspaceSql.policy(`(SELECT policy_id FROM requirements WHERE id = ${id})`),
+  decision: id => workspaceSql.requirement(`(SELECT requirement_id FROM decisions WHERE id = ${id})`),
+  rule: id => workspaceSql.decision(`(SELECT decision_id FROM rules WHERE id = ${id})`),
+  test_case: id => workspaceSql.rule(`(SELECT rule_id FROM test_cases WHERE id = ${id})`)
+};
+for (const [type, table] of [['mapping', 'mappings'], ['evidence', 'evidence']]) {
+  workspaceSql[type] = id => `CASE (SELECT target_type FROM ${table} WHERE id = ${id})
+    WHEN 'decision' THEN ${workspaceSql.decision(`(SELECT target_id FROM ${table} WHERE id = ${id})`)}
+    WHEN 'rule' THEN ${workspaceSql.rule(`(SELECT target_id FROM ${table} WHERE id = ${id})`)} END`;
+}
+
+// Matches in one workspace (and optionally of one type), best first. Filtered before the LIMIT
+// so other workspaces' rows can't crowd this one's out.
+const searchStmt = db.prepare(`SELECT entity_type, entity_id,
+    snippet(search_index, -1, char(1), char(2), '…', 16) AS snippet
+  FROM search_index WHERE search_index MATCH @match AND (@type IS NULL OR entity_type = @type)
+    AND CASE entity_type ${SEARCH_TYPES.map(t => `WHEN '${t}' THEN ${workspaceSql[t]('entity_id')}`).join(' ')} END = @workspace_id
+  ORDER BY bm25(search_index, 0, 0, 10.0, 1.0) LIMIT 500`);
+
+// Snippet with matches in <mark>; the markers are control characters no field contains.
+function snippetHtml(snippet) {
+  return escapeHtml(snippet).replaceAll('\u0001', '<mark>').replaceAll('\u0002', '</mark>');
+}
+
+function searchResultPath(type, row) {
+  if (type === 'policy') return `/policies/${row.id}`;
+  if (type === 'requirement') return `/policies/${row.policy_id}#req-${row.id}`;
+  if (type === 'decision') return `/decisions/${row.id}`;
+  if (type === 'rule') return `/rules/${row.id}`;
+  if (type === 'test_case') return `/rules/${row.rule_id}`;
+  return `/${row.target_type === 'rule' ? 'rules' : 'decisions'}/${row.target_id}`;
+}
+
+app.get('/search', (req, res) => {
+  const text = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const only = SEARCH_TYPES.includes(req.query.type) ? req.query.type : null;
+  const match = ftsQuery(text);
+  const matches = match ? searchStmt.all({ match, type: only, workspace_id: req.user.workspace_id }) : [];
+  const hits = matches
+    .map(hit => ({ ...hit, row: getLive[hit.entity_type](hit.entity_id) }))
+    .filter(hit => hit.row);
+
+  const policyTitles = new Map();
+  const policyTitle = (type, row) => {
+    const id = policyIdFor(type, row);
+    if (!policyTitles.has(id)) policyTitles.set(id, q.getPolicy.get(id)?.title ?? '');
+    return policyTitles.get(id);
+  };
+
+  const groups = SEARCH_TYPES.filter(t => !only || t === only).map((type) => {
+    const found = hits.filter(h => h.entity_type === type);
+    const shown = found.slice(0, only ? found.length : SEARCH_GROUP_LIMIT).map(({ row, snippet }) => `
+        <li style="margin:8px 0">
+          <a href="${searchResultPath(type, row)}">${escapeHtml(clip(entityLabel(type, row), 120))}</a>
+          ${type === 'policy' ? '' : `<span class="muted small">• ${escapeHtml(policyTitle(type, row))}</span>`}
+          <div class="small muted">${snippetHtml(snippet)}</div>
+        </li>`);
+    if (!found.length) return '';
+    return `
+      <div class="card">
+        <div class="row">
+          <h2 style="margin:0">${escapeHtml(ENTITY_NAMES[type])}</h2>
+          <span class="pill">${found.length}</span>
+          ${found.length > shown.length ? `<a class="right small" href="/search?q=${encodeURIComponent(text)}&type=${type}">Show all ${found.length}</a>` : ''}
+        </div>
+        <ul>${shown.join('')}</ul>
+      </div>`;
+  }).join('');
+
+  res.type('html').send(page(text ? `Search: ${text}` : 'Search', `
+    <div class="card">
+      <form class="row" method="get" action="/search">
+        <input name="q" type="search" value="${escapeHtml(text)}" placeholder="Search policies, requirements, decisions, rules, test cases, mappings, evidence" autofocus />
+        ${only ? `<input type="hidden" name="type" value="${only}" />` : ''}
+        <button type="submit">Search</button>
+      </form>
+      ${text ? `<div class="muted small" style="margin-top:8px">${hits.length}${matches.length === 500 ? '+' : ''} result(s) for <strong>${escapeHtml(text)}</strong>${only ? ` in ${escapeHtml(ENTITY_NAMES[only].toLowerCase())} • <a href="/search?q=${encodeURIComponent(text)}">all types</a>` : ''}</div>` : ''}
+    </div>
+    ${groups || (text ? '<div class="card muted">No matches.</div>' : '')}
+  `));
+});
+
+app.get('/trash', (req, res) => {
+  const deletions = q.listDeletions.all().filter((d) => {
+    const root = trashStmts[d.entity_type].getAny.get(d.entity_id);
+    return root && inActiveWorkspace(req, d.entity_type, root);
+  });
+  const error = typeof req.query.error === 'string' ? req.query.error : '';
+
+  const body = `
+    <div class="card">
+      <h1 style="margin:0">Trash</h1>
+      <p class="muted">Deleted items and everything deleted with them. Restore puts back exactly those rows; Delete permanently cannot be undone.</p>
+      ${error ? `<div class="danger">${escapeHtml(error)}</div>` : ''}
+    </div>
+    <div class="card">
+      ${deletions.length ? `<ul>${deletions.map(d => {
+        const counts = JSON.parse(d.counts_json);
+        return `
+          <li style="margin:12px 0">
+            <span class="pill">${escapeHtml(ENTITY_NAMES[d.entity_type])}</span>
+            <strong>${escapeHtml(d.label.slice(0, 120))}${d.label.length > 120 ? '…' : ''}</strong>
+            <div class="muted small">deleted <span class="mono">${escapeHtml(d.deleted_at)}</span> by ${escapeHtml(d.deleted_by || 'unknown')} •
+              ${Object.entries(counts).map(([t, n]) => `${n} ${escapeHtml(ENTITY_NAMES[t].toLowerCase())}`).join(', ')}</div>
+            <div class="row" style="margin-top:6px">
+              <form method="post" action="/trash/${d.id}/restore"><button type="submit" class="small">Restore</button></form>
+              ${can(req.user, 'admin') ? `
+              <form method="post" action="/trash/${d.id}/purge" onsubmit="return confirm('Permanently delete these rows? This cannot be undone.')">
+                <button type="submit" class="small danger">Delete permanently</button>
+              </form>` : ''}
+            </div>
+          </li>
+        `;
+      }).join('')}</ul>` : `<p class="muted">Trash is empty.</p>`}
+    </div>
+  `;
+  res.type('html').send(page('Trash', body));
+});
+
+app.post('/trash/:deletionId/restore', (req, res) => {
+  const deletion = q.getDeletion.get(req.params.deletionId);
+  if (!deletion) return res.status(404).type('html').send(notFoundPage());
+  const permission = WRITE_PERMISSIONS[deletion.entity_type];
+  if (!can(req.user, permission)) return res.status(403).type('html').send(forbiddenPage(req.user, permission));
+  const error = restoreDeletion(deletion, actorFor(req));
+  if (error) return res.redirect(`/trash?error=${encodeURIComponent(error)}`);
+  const root = getLive[deletion.entity_type](deletion.entity_id);
+  res.redirect(deletion.entity_type === 'policy' ? `/policies/${root.id}` : parentPath(deletion.entity_type, root));
+});
+
+app.post('/trash/:deletionId/purge', requirePermission('admin'), (req, res) => {
+  const deletion = q.getDeletion.get(req.params.deletionId);
+  if (!deletion) return res.status(404).type('html').send(notFoundPage());
+  purgeDeletion(deletion, actorFor(req));
+  res.redirect('/trash');
+});
+
+// Whole-chain check; the chain is global so one tampered row anywhere fails it. Its size and head
+// span every workspace, so only site admins see them.
+app.get('/audit/verify', requireSiteAdmin, (req, res) => {
+  res.json(verifyChain(q.listAuditLog.all()));
+});
+
+// The chain as one policy's pages and reports show it: whether the whole chain is intact, but the
+// count and latest hash of this policy's entries only.
+function policyAuditChain(policyId, entries = q.listAuditLogByPolicy.all(policyId)) {
+  const chain = verifyChain(q.listAuditLog.all());
+  return { ok: chain.ok, entries: entries.length, head: entries[0]?.hash ?? null, broken: chain.broken };
+}
+
+const AUDIT_PAGES = { policy: 'policies', decision: 'decisions', rule: 'rules', policy_document: 'documents' };
+
+function auditSummary(entry) {
+  const details = JSON.parse(entry.details_json);
+  if (entry.action === 'update') {
+    return Object.entries(details.changes).map(([field, c]) =>
+      `<div><span class="mono">${escapeHtml(field)}</span>: <span class="muted">${escapeHtml(String(c.from ?? '—').slice(0, 80))}</span> → ${escapeHtml(String(c.to ?? '—').slice(0, 80))}</div>`
+    ).join('');
+  }
+  if (entry.action === 'run_tests') {
+    const { pass = 0, fail = 0, error = 0 } = details.counts || {};
+    return `${pass} pass • ${fail} fail • ${error} error`;
+  }
+  if (details.counts) {
+    return `${escapeHtml(details.label || '')} <span class="muted">(${Object.entries(details.counts).map(([t, n]) => `${n} ${escapeHtml(ENTITY_NAMES[t]?.toLowerCase() ?? t.replaceAll('_', ' '))}`).join(', ')})</span>`;
   }
+  if (!details.values && details.to !== undefined) {
+    // workflow steps and new rule versions
+    return `${escapeHtml(String(details.from ?? '—'))} → ${escapeHtml(String(details.to))}${details.comment ? ` <span class="muted">— ${escapeHtml(String(details.comment).slice(0, 120))}</span>` : ''}`;
+  }
+  return escapeHtml(entityLabel(entry.entity_type, details.values || {}).slice(0, 120));
+}
+
+app.get('/policies/:policyId/audit', (req, res) => {
+  // Deleted policies keep their audit trail.
+  const policy = trashStmts.policy.getAny.get(req.params.policyId);
+  if (!policy) return res.status(404).type('html').send(notFoundPage());
+
+  const entries = q.listAuditLogByPolicy.all(policy.id);
+  const chain = policyAuditChain(policy.id, entries);
 
-  res.type('text/markdown').send(out);
+  const body = `
+    <div class="card">
+      <div class="row wrap">
+        <div>
+          <div class="pill">Audit log</div>
+          <h1 style="margin:8px 0 4px 0">${escapeHtml(policy.title)}</h1>
+          <div class="muted small">Every change to this policy and everything under it. Entries are append-only and hash-chained.</div>
+        </div>
+        <div class="right row wrap">
+          <a href="/policies/${policy.id}">← Back to policy</a>
+          ${isSiteAdmin(req.user) ? '<a href="/audit/verify">Verify whole chain (JSON)</a>' : ''}
+        </div>
+      </div>
+      <div class="hr"></div>
+      ${chain.ok
+        ? `<div class="small">Chain intact: ${chain.entries} entries for this policy${chain.head ? `, latest <span class="mono">${escapeHtml(chain.head)}</span>` : ''}</div>`
+        : `<div class="danger">Chain broken at entry #${chain.broken.seq}: ${escapeHtml(chain.broken.reason)}</div>`}
+    </div>
+
+    <div class="card">
+      ${entries.length ? `
+      <table style="width:100%; border-collapse:collapse" class="small">
+        <thead>
+          <tr class="muted">
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">#</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">When</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Who</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Action</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Item</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Details</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid var(--border)">Hash</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${entries.map(e => `
+            <tr>
+              <td style="padding:6px; vertical-align:top" class="mono">${e.seq}</td>
+              <td style="padding:6px; vertical-align:top" class="mono">${escapeHtml(e.at)}</td>
+              <td style="padding:6px; vertical-align:top">${escapeHtml(e.actor || 'unknown')}</td>
+              <td style="padding:6px; vertical-align:top"><span class="pill">${escapeHtml(e.action)}</span></td>
+              <td style="padding:6px; vertical-align:top">
+                ${escapeHtml(ENTITY_NAMES[e.entity_type])}
+                ${AUDIT_PAGES[e.entity_type] && getLive[e.entity_type](e.entity_id)
+                  ? `<a href="/${AUDIT_PAGES[e.entity_type]}/${e.entity_id}" class="mono">${escapeHtml(e.entity_id)}</a>`
+                  : `<span class="mono muted">${escapeHtml(e.entity_id)}</span>`}
+              </td>
+              <td style="padding:6px; vertical-align:top">${auditSummary(e)}</td>
+              <td style="padding:6px; vertical-align:top" class="mono muted" title="${escapeHtml(e.hash)}">${escapeHtml(e.hash.slice(0, 12))}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>` : `<p class="muted">No changes recorded yet.</p>`}
+    </div>
+  `;
+  res.type('html').send(page('Audit log', body));
+});
+
+// Everything the exports show for one policy, as plain data (rendered by src/reports.js).
+function buildReport(policy) {
+  const gate = parseGate(policy.gate_json);
+  const requirements = q.listRequirements.all(policy.id).map((r) => {
+    const coverage = requirementCoverage(db, r, gate);
+    return {
+      ...r,
+      coverage: {
+        hasDecisionApproved: coverage.hasDecisionApproved,
+        hasRule: coverage.hasRule,
+        hasTests: coverage.hasTests,
+        hasPassingTests: coverage.hasPassingTests,
+        hasEvidence: coverage.hasEvidence,
+        fullyTraceable: coverage.fullyTraceable,
+        exempt: coverage.exempt,
+        failures: coverage.failures,
+        tests: coverage.tests,
+        evidenceCount: coverage.evidenceCount
+      },
+      has_history: hasDecisionHistory(r.id),
+      timeline: hasDecisionHistory(r.id) ? decisionTimeline(r.id).map(e => ({
+        at: e.at, kind: e.kind, by: e.by || null, comment: e.comment || null, decision_id: e.decision.id, decision: e.decision.decision
+      })) : [],
+      decisions: coverage.decisions.map(d => ({
+        ...d,
+        status_text: decisionStatusText(d),
+        signed_off: isSignedOff(d),
+        approval_comment: isSignedOff(d) ? (q.listDecisionReviews.all(d.id).filter(rv => rv.action === 'approve').at(-1)?.comment ?? null) : null,
+        mappings: q.listMappings.all('decision', d.id),
+        evidence: q.listEvidence.all('decision', d.id),
+        rules: q.listRulesByDecision.all(d.id).map((rule) => {
+          const hash = ruleHash(rule);
+          const previous = rule.previous_version_id ? q.getRule.get(rule.previous_version_id) : null;
+          return {
+            ...rule,
+            previous_version: previous ? { id: previous.id, version: previous.version } : null,
+            parse_error: ruleParseError(rule),
+            mappings: q.listMappings.all('rule', rule.id),
+            evidence: q.listEvidence.all('rule', rule.id),
+            test_cases: q.listTestCasesByRule.all(rule.id).map((tc) => {
+              const last = q.latestTestRunByCase.get(tc.id);
+              return {
+                ...tc,
+                last_run: last ? { verdict: last.verdict, ran_at: last.ran_at, rule_version: last.rule_version, stale: last.rule_hash !== hash || last.case_hash !== testCaseHash(tc), actual_json: last.actual_json, error: last.error } : null
+              };
+            })
+          };
+        })
+      }))
+    };
+  });
+
+  const sum = (f) => requirements.reduce((a, r) => a + f(r), 0);
+  return {
+    policy,
+    generated_at: new Date().toISOString(),
+    gate: { text: gateText(gate), exempt_statuses: gate.exempt_statuses },
+    summary: {
+      // Requirements the gate exempts don't count
+      requirements: requirements.filter(r => !r.coverage.exempt).length,
+      exempt: requirements.filter(r => r.coverage.exempt).length,
+      traceable: requirements.filter(r => r.coverage.fullyTraceable).length,
+      decisions: sum(r => r.decisions.length),
+      decisionsApproved: sum(r => r.decisions.filter(d => d.signed_off).length),
+      rules: sum(r => r.decisions.reduce((a, d) => a + d.rules.length, 0)),
+      tests: sum(r => r.coverage.tests.total),
+      testsPassing: sum(r => r.coverage.tests.passing),
+      testsFailing: sum(r => r.coverage.tests.failing),
+      testsNeverRun: sum(r => r.coverage.tests.neverRun),
+      evidence: sum(r => r.coverage.evidenceCount)
+    },
+    audit: policyAuditChain(policy.id),
+    requirements
+  };
+}
+
+function exportFilename(policy, ext) {
+  const slug = policy.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'policy';
+  return `${slug}-${policy.id}.${ext}`;
+}
+
+// ?format=md (default) | html (self-contained audit packet) | pdf | bundle (JSON, re-importable)
+app.get('/policies/:policyId/export', (req, res, next) => {
+  const policy = q.getPolicy.get(req.params.policyId);
+  if (!policy) return res.status(404).type('text').send('Not found');
+
+  const format = req.query.format || 'md';
+  if (format === 'bundle') {
+    return res
+      .set('Content-Disposition', `attachment; filename="${exportFilename(policy, 'bundle.json')}"`)
+      .json(exportBundle(db, policy.id));
+  }
+  const report = buildReport(policy);
+  if (format === 'html') {
+    return res
+      .type('html')
+      .set('Content-Disposition', `attachment; filename="${exportFilename(policy, 'html')}"`)
+      .send(renderHtmlPacket(report));
+  }
+  if (format === 'pdf') {
+    return renderPdfReport(report)
+      .then(pdf => res
+        .type('application/pdf')
+        .set('Content-Disposition', `attachment; filename="${exportFilename(policy, 'pdf')}"`)
+        .send(pdf))
+      .catch(next);
+  }
+  if (format !== 'md') return res.status(400).type('text').send(`Unknown export format: ${format}`);
+  res.type('text/markdown').send(renderMarkdownReport(report));
 });
 
 app.listen(PORT, () => {
   console.log(`Policy-to-Code web app listening on http://127.0.0.1:${PORT}`);
   console.log(`DB: ${DB_PATH}`);
+  takeDueSnapshots();
+  setInterval(takeDueSnapshots, 60 * 60 * 1000).unref();
 });
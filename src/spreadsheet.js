@@ -0,0 +1,179 @@
+import zlib from 'node:zlib';
+
+// Just enough spreadsheet reading for imports: CSV/TSV text and the first worksheet of an
+// .xlsx file. Both return rows as arrays of cell strings.
+
+export class SpreadsheetError extends Error {}
+
+// RFC 4180 CSV. The delimiter is a comma, or a tab when the first line has more tabs than
+// commas (cells copied straight out of a spreadsheet paste as tab-separated text).
+export function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/\t/g)?.length ?? 0) > (firstLine.match(/,/g)?.length ?? 0) ? '\t' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && cell === '') quoted = true;
+    else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+    } else cell += ch;
+    i++;
+  }
+  if (quoted) throw new SpreadsheetError('Unterminated quoted cell at the end of the file');
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ---------- xlsx ----------
+// An .xlsx file is a zip of XML parts. Reads the central directory and inflates entries.
+// Largest uncompressed part read from a workbook, so a zip bomb can't exhaust memory
+const MAX_PART_BYTES = 20 * 1024 * 1024;
+
+function unzip(buf) {
+  // Every record the directory points at must lie inside the file
+  const need = (at, len, what) => {
+    if (at < 0 || at + len > buf.length) throw new SpreadsheetError(`Corrupt .xlsx file (${what})`);
+  };
+
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new SpreadsheetError('Not an .xlsx file (no zip directory found)');
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    need(p, 46, 'truncated zip directory');
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new SpreadsheetError('Corrupt .xlsx file (bad zip directory)');
+    const method = buf.readUInt16LE(p + 10);
+    const size = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const offset = buf.readUInt32LE(p + 42);
+    need(p + 46, nameLen, 'truncated zip directory');
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    files.set(name, { method, size, offset });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+
+  return (name) => {
+    const f = files.get(name);
+    if (!f) return null;
+    need(f.offset, 30, `truncated part ${name}`);
+    const start = f.offset + 30 + buf.readUInt16LE(f.offset + 26) + buf.readUInt16LE(f.offset + 28);
+    need(start, f.size, `truncated part ${name}`);
+    const data = buf.subarray(start, start + f.size);
+    if (f.method === 0) return data.toString('utf8');
+    if (f.method !== 8) throw new SpreadsheetError(`Unsupported compression in .xlsx part ${name}`);
+    try {
+      return zlib.inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new SpreadsheetError(`The .xlsx part ${name} is too large (over ${MAX_PART_BYTES / 1024 / 1024} MB uncompressed)`);
+      }
+      throw new SpreadsheetError(`Corrupt .xlsx file (part ${name} does not decompress: ${err.message})`);
+    }
+  };
+}
+
+function decodeXml(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const cp = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      if (cp > 0x10ffff) throw new SpreadsheetError(`Corrupt .xlsx file (invalid character reference ${m})`);
+      return String.fromCodePoint(cp);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e.toLowerCase()];
+  });
+}
+
+// Text of every <t> in a fragment (shared strings and inline strings can be split into runs).
+function textOf(xml) {
+  return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(m => decodeXml(m[1])).join('');
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] ?? '';
+  return [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Excel's own sheet size limits; anything past them is a corrupt or hostile file
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  const rid = workbook && /<sheet\b[^>]*\br:id="([^"]+)"/.exec(workbook)?.[1];
+  const target = rid && rels && new RegExp(`<Relationship\\b[^>]*\\bId="${rid}"[^>]*\\bTarget="([^"]+)"`).exec(rels)?.[1];
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+}
+
+export function readXlsx(buf) {
+  const read = unzip(buf);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new SpreadsheetError('The .xlsx file has no worksheet');
+
+  const sharedXml = read('xl/sharedStrings.xml');
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)].map(m => textOf(m[1])) : [];
+
+  const rows = [];
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNo = Number(/\br="(\d+)"/.exec(rowMatch[1])?.[1] ?? rows.length + 1);
+    if (rowNo > MAX_ROWS) throw new SpreadsheetError(`The worksheet has a row past Excel's limit of ${MAX_ROWS} rows`);
+    const cells = [];
+    for (const c of (rowMatch[2] ?? '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = c[1];
+      const body = c[2] ?? '';
+      const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+      const type = /\bt="(\w+)"/.exec(attrs)?.[1] ?? 'n';
+      const v = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(v)] ?? '';
+      else if (type === 'inlineStr') value = textOf(body);
+      else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+      else if (v !== undefined) value = decodeXml(v);
+      const col = ref ? columnIndex(ref) : cells.length;
+      if (col >= MAX_COLUMNS) throw new SpreadsheetError(`The worksheet has a cell past Excel's limit of ${MAX_COLUMNS} columns`);
+      cells[col] = value;
+    }
+    // Keep blank rows so reported line numbers match the sheet
+    while (rows.length < rowNo - 1) rows.push([]);
+    rows.push(Array.from(cells, v => v ?? ''));
+  }
+  return rows;
+}
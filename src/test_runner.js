@@ -0,0 +1,57 @@
+import crypto from 'node:crypto';
+import { evaluateRule, RuleEvaluationError } from './rule_lang.js';
+
+// Identifies the exact rule text a run was made against, so a run can be tied to what shipped.
+export function ruleHash(rule) {
+  return crypto.createHash('sha256').update(String(rule.definition_text ?? '')).digest('hex');
+}
+
+// Identifies the given/expected a run was made against: editing either makes earlier runs stale.
+export function testCaseHash(testCase) {
+  return crypto.createHash('sha256').update(JSON.stringify([testCase.given_json ?? '', testCase.expected_json ?? ''])).digest('hex');
+}
+
+function canonical(v) {
+  if (Array.isArray(v)) return v.map(canonical);
+  if (v && typeof v === 'object') {
+    return Object.fromEntries(Object.keys(v).sort().map(k => [k, canonical(v[k])]));
+  }
+  return v;
+}
+
+export function sameJson(a, b) {
+  return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// Runs one test case against a rule row. Never throws for bad test data or rules:
+// those come back as verdict 'error' so they are recorded like any other result.
+// Returns { verdict: 'pass' | 'fail' | 'error', actual, error }.
+export function runTestCase(rule, testCase) {
+  if (rule.parse_error || !rule.definition_ast) {
+    const pe = rule.parse_error ? JSON.parse(rule.parse_error) : null;
+    return { verdict: 'error', actual: null, error: pe ? `Rule does not parse: line ${pe.line}, column ${pe.column}: ${pe.message}` : 'Rule has not been parsed' };
+  }
+
+  let given;
+  let expected;
+  try {
+    given = JSON.parse(testCase.given_json);
+  } catch (err) {
+    return { verdict: 'error', actual: null, error: `Given is not valid JSON: ${err.message}` };
+  }
+  try {
+    expected = JSON.parse(testCase.expected_json);
+  } catch (err) {
+    return { verdict: 'error', actual: null, error: `Expected is not valid JSON: ${err.message}` };
+  }
+
+  let result;
+  try {
+    result = evaluateRule(JSON.parse(rule.definition_ast), given);
+  } catch (err) {
+    if (!(err instanceof RuleEvaluationError)) throw err;
+    return { verdict: 'error', actual: null, error: err.message };
+  }
+
+  return { verdict: sameJson(result.outcome, expected) ? 'pass' : 'fail', actual: result.outcome, error: null };
+}
@@ -0,0 +1,123 @@
+import { MAPPING_TYPES, REQUIREMENT_STATUSES } from './field_values.js';
+
+// Traceability gates: what a requirement needs before it counts as fully traceable. Each policy
+// keeps its own in policies.gate_json; NULL means DEFAULT_GATE, the bar every policy had before
+// gates were configurable.
+//
+//   { approved_decision, rule, min_tests, passing_tests, evidence, mappings, exempt_statuses }
+//
+// `evidence` is 'none' | 'any' | 'approved'; `mappings` lists mapping types the requirement's
+// decisions and rules need at least one of each; requirements whose status is in
+// `exempt_statuses` are left out of the gate (and of the totals).
+
+export const DEFAULT_GATE = {
+  approved_decision: true,
+  rule: true,
+  min_tests: 1,
+  passing_tests: true,
+  evidence: 'any',
+  mappings: [],
+  exempt_statuses: []
+};
+
+export const EVIDENCE_LEVELS = {
+  none: 'Not required',
+  any: 'Any evidence',
+  approved: 'Approved evidence only'
+};
+
+export const MAX_MIN_TESTS = 100;
+
+const FLAGS = ['approved_decision', 'rule', 'passing_tests'];
+
+// Checks a gate given as an object (a form post, the API, a stored row) → { gate, errors }.
+export function normalizeGate(raw) {
+  const gate = { ...DEFAULT_GATE };
+  const errors = {};
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { gate, errors: { gate: 'Gate must be an object.' } };
+  for (const flag of FLAGS) {
+    if (raw[flag] === undefined) continue;
+    if (typeof raw[flag] !== 'boolean') errors[flag] = `${flag} must be true or false.`;
+    else gate[flag] = raw[flag];
+  }
+  if (raw.min_tests !== undefined) {
+    if (!Number.isInteger(raw.min_tests) || raw.min_tests < 0 || raw.min_tests > MAX_MIN_TESTS) errors.min_tests = `Minimum test cases must be a whole number from 0 to ${MAX_MIN_TESTS}.`;
+    else gate.min_tests = raw.min_tests;
+  }
+  if (raw.evidence !== undefined) {
+    if (!Object.hasOwn(EVIDENCE_LEVELS, raw.evidence)) errors.evidence = `Evidence must be one of: ${Object.keys(EVIDENCE_LEVELS).join(', ')}.`;
+    else gate.evidence = raw.evidence;
+  }
+  for (const [field, allowed] of [['mappings', MAPPING_TYPES], ['exempt_statuses', REQUIREMENT_STATUSES]]) {
+    if (raw[field] === undefined) continue;
+    if (!Array.isArray(raw[field]) || raw[field].some(v => !allowed.includes(v))) errors[field] = `${field} must be a list of: ${allowed.join(', ')}.`;
+    else gate[field] = allowed.filter(v => raw[field].includes(v));
+  }
+  return { gate, errors };
+}
+
+// policies.gate_json → gate. A stored gate that no longer checks out falls back to the default.
+export function parseGate(json) {
+  if (!json) return { ...DEFAULT_GATE };
+  try {
+    const { gate, errors } = normalizeGate(JSON.parse(json));
+    return Object.keys(errors).length ? { ...DEFAULT_GATE } : gate;
+  } catch {
+    return { ...DEFAULT_GATE };
+  }
+}
+
+// gate → policies.gate_json (NULL for the default gate)
+export function gateJson(gate) {
+  const json = JSON.stringify(gate);
+  return json === JSON.stringify(DEFAULT_GATE) ? null : json;
+}
+
+// The edit form: checkboxes (present when ticked), a number and a select.
+export function gateFromForm(body) {
+  const raw = {
+    evidence: body.evidence,
+    mappings: MAPPING_TYPES.filter(t => body[`mapping_${t}`]),
+    exempt_statuses: REQUIREMENT_STATUSES.filter(s => body[`exempt_${s}`])
+  };
+  for (const flag of FLAGS) raw[flag] = Boolean(body[flag]);
+  const minTests = String(body.min_tests ?? '').trim();
+  raw.min_tests = /^\d+$/.test(minTests) ? Number(minTests) : NaN;
+  return normalizeGate(raw);
+}
+
+// What the gate asks for: [{ criterion, label }], e.g. { criterion: 'mapping:security', label: 'security mapping' }.
+export function gateCriteria(gate) {
+  const out = [];
+  if (gate.approved_decision) out.push({ criterion: 'approved_decision', label: 'approved decision' });
+  if (gate.rule) out.push({ criterion: 'rule', label: 'rule' });
+  if (gate.min_tests > 0) out.push({ criterion: 'min_tests', label: gate.min_tests === 1 ? 'a test case' : `${gate.min_tests}+ test cases` });
+  if (gate.passing_tests) out.push({ criterion: 'passing_tests', label: 'passing tests' });
+  if (gate.evidence !== 'none') out.push({ criterion: 'evidence', label: gate.evidence === 'approved' ? 'approved evidence' : 'evidence' });
+  for (const type of gate.mappings) out.push({ criterion: `mapping:${type}`, label: `${type} mapping` });
+  return out;
+}
+
+// e.g. "approved decision + rule + a test case + passing tests + evidence; superseded exempt"
+export function gateText(gate) {
+  const criteria = gateCriteria(gate).map(c => c.label).join(' + ') || 'no criteria';
+  return gate.exempt_statuses.length ? `${criteria}; ${gate.exempt_statuses.join(', ')} exempt` : criteria;
+}
+
+// facts: { status, approvedDecisions, rules, tests: { total, passing }, evidence, approvedEvidence,
+// mappingTypes: Set } → { exempt, failures: [{ criterion, message }] }, one failure per criterion missed.
+export function evaluateGate(gate, facts) {
+  if (gate.exempt_statuses.includes(facts.status)) return { exempt: true, failures: [] };
+  const failures = [];
+  const fail = (criterion, message) => failures.push({ criterion, message });
+  if (gate.approved_decision && !facts.approvedDecisions) fail('approved_decision', 'no approved decision');
+  if (gate.rule && !facts.rules) fail('rule', 'no rule');
+  if (facts.tests.total < gate.min_tests) fail('min_tests', `${facts.tests.total} of ${gate.min_tests} required test case(s)`);
+  if (gate.passing_tests && facts.tests.passing < facts.tests.total) fail('passing_tests', `${facts.tests.total - facts.tests.passing} test case(s) not passing on the current rule version`);
+  if (gate.evidence === 'any' && !facts.evidence) fail('evidence', 'no evidence');
+  if (gate.evidence === 'approved' && !facts.approvedEvidence) fail('evidence', 'no approved evidence');
+  for (const type of gate.mappings) {
+    if (!facts.mappingTypes.has(type)) fail(`mapping:${type}`, `no ${type} mapping`);
+  }
+  return { exempt: false, failures };
+}
@@ -0,0 +1,36 @@
+// Projected readiness for the dashboard's burn-up chart: at the pace of the recent snapshots,
+// when will the fully traceable requirements catch up with all of them?
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The pace is the least-squares slope over the snapshots this many days back from the newest
+export const PACE_WINDOW_DAYS = 30;
+
+// points: [{ at: ISO time, done, scope }], oldest first. Returns one of
+//   { status: 'ready', date }                    done has reached scope (date of that snapshot)
+//   { status: 'projected', date, perDay }        date (YYYY-MM-DD) done reaches today's scope
+//   { status: 'stalled', perDay }                no progress over the window
+//   { status: 'insufficient' }                   fewer than two days of snapshots in the window
+export function projectReadiness(points) {
+  if (!points.length) return { status: 'insufficient' };
+  const last = points.at(-1);
+  if (last.scope > 0 && last.done >= last.scope) return { status: 'ready', date: last.at.slice(0, 10) };
+
+  const end = Date.parse(last.at);
+  const recent = points.filter(p => end - Date.parse(p.at) <= PACE_WINDOW_DAYS * DAY_MS);
+  const xs = recent.map(p => (Date.parse(p.at) - end) / DAY_MS);
+  if (recent.length < 2 || -Math.min(...xs) < 1) return { status: 'insufficient' };
+
+  const meanX = xs.reduce((a, x) => a + x, 0) / xs.length;
+  const meanY = recent.reduce((a, p) => a + p.done, 0) / recent.length;
+  let num = 0;
+  let den = 0;
+  recent.forEach((p, i) => {
+    num += (xs[i] - meanX) * (p.done - meanY);
+    den += (xs[i] - meanX) ** 2;
+  });
+  const perDay = num / den;
+  if (!(perDay > 0)) return { status: 'stalled', perDay: 0 };
+
+  const days = Math.ceil((last.scope - last.done) / perDay);
+  return { status: 'projected', date: new Date(end + days * DAY_MS).toISOString().slice(0, 10), perDay };
+}
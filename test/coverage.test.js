@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { openDb } from '../src/db.js';
+import { loadMigrations, migrate } from '../src/migrate.js';
+import { ruleHash, testCaseHash } from '../src/test_runner.js';
+import { testStatusForRules } from '../src/coverage.js';
+
+const now = '2026-01-01T00:00:00.000Z';
+
+async function tempDb(options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-to-code-'));
+  const db = await openDb(path.join(dir, 'test.sqlite'), options);
+  test.after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return db;
+}
+
+// One policy → requirement → decision → rule → test case chain; returns the rule and test case.
+function seed(db) {
+  db.prepare('INSERT INTO workspaces (id, name, created_at) VALUES (?, ?, ?)').run('w1', 'Workspace', now);
+  db.prepare('INSERT INTO policies (id, workspace_id, title, created_at) VALUES (?, ?, ?, ?)').run('p1', 'w1', 'Policy', now);
+  db.prepare('INSERT INTO requirements (id, policy_id, statement, created_at) VALUES (?, ?, ?, ?)').run('r1', 'p1', 'Statement', now);
+  db.prepare('INSERT INTO decisions (id, requirement_id, decision, created_at) VALUES (?, ?, ?, ?)').run('d1', 'r1', 'Decision', now);
+  db.prepare('INSERT INTO rules (id, decision_id, name, definition_text, created_at) VALUES (?, ?, ?, ?, ?)').run('ru1', 'd1', 'Rule', 'eligible = true', now);
+  db.prepare('INSERT INTO test_cases (id, rule_id, name, given_json, expected_json, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .run('tc1', 'ru1', 'Case', '{"age":30}', '{"eligible":true}', now);
+  return {
+    rule: db.prepare("SELECT * FROM rules WHERE id = 'ru1'").get(),
+    testCase: () => db.prepare("SELECT * FROM test_cases WHERE id = 'tc1'").get()
+  };
+}
+
+function recordRun(db, rule, testCase, caseHash, ranAt = now) {
+  db.prepare(`INSERT INTO test_runs (id, batch_id, scope, test_case_id, rule_id, rule_version, rule_hash, case_hash, verdict, ran_at)
+    VALUES (?, 'b1', 'rule', ?, ?, ?, ?, ?, 'pass', ?)`).run(`run-${ranAt}`, testCase.id, rule.id, rule.version, ruleHash(rule), caseHash, ranAt);
+}
+
+test('a passing run stops counting once the test case is edited', async () => {
+  const db = await tempDb();
+  const { rule, testCase } = seed(db);
+  recordRun(db, rule, testCase(), testCaseHash(testCase()));
+  assert.deepEqual(testStatusForRules(db, [rule]), { total: 1, passing: 1, failing: 0, neverRun: 0 });
+
+  db.prepare(`UPDATE test_cases SET expected_json = '{"eligible":false}' WHERE id = 'tc1'`).run();
+  assert.deepEqual(testStatusForRules(db, [rule]), { total: 1, passing: 0, failing: 0, neverRun: 1 });
+
+  // Renaming or annotating a case doesn't touch what it tests
+  recordRun(db, rule, testCase(), testCaseHash(testCase()), '2026-01-02T00:00:00.000Z');
+  db.prepare("UPDATE test_cases SET name = 'Renamed', notes = 'Note' WHERE id = 'tc1'").run();
+  assert.deepEqual(testStatusForRules(db, [rule]), { total: 1, passing: 1, failing: 0, neverRun: 0 });
+});
+
+test('migration 006 keeps runs of unedited test cases and drops runs from before an edit', async () => {
+  const migrations = await loadMigrations();
+  const db = await tempDb({ migrate: false });
+  migrate(db, migrations, { to: 5 });
+  const { rule } = seed(db);
+  db.prepare(`INSERT INTO test_cases (id, rule_id, name, given_json, expected_json, created_at)
+    VALUES ('tc2', 'ru1', 'Edited case', '{"age":10}', '{"eligible":false}', ?)`).run(now);
+  for (const id of ['tc1', 'tc2']) {
+    db.prepare(`INSERT INTO test_runs (id, batch_id, scope, test_case_id, rule_id, rule_version, rule_hash, verdict, ran_at)
+      VALUES (?, 'b1', 'rule', ?, 'ru1', ?, ?, 'pass', ?)`).run(`run-${id}`, id, rule.version, ruleHash(rule), now);
+  }
+  db.prepare("INSERT INTO revisions (id, entity_type, entity_id, edited_at, changes_json) VALUES ('v1', 'test_case', 'tc2', ?, ?)")
+    .run('2026-01-02T00:00:00.000Z', JSON.stringify({ given_json: { from: '{"age":70}', to: '{"age":10}' } }));
+
+  migrate(db, migrations);
+  assert.deepEqual(testStatusForRules(db, [rule]), { total: 2, passing: 1, failing: 0, neverRun: 1 });
+});